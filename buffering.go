@@ -0,0 +1,212 @@
+package main
+
+import (
+	"flag"
+	"log"
+	"sort"
+	"strings"
+	"time"
+)
+
+var bufferingTimeout = flag.Duration("buffering-timeout", 15*time.Second, "how long wait-for-everyone mode waits for a buffering user before continuing without them")
+
+// bufferingReport is a user's latest "I am buffering" report.
+type bufferingReport struct {
+	videoUrl string    // Video the user was buffering, reports for an older video don't count
+	since    time.Time // When the user started buffering
+}
+
+// bufferingUsersLocked returns the users buffering the current video, sorted by name.
+// The caller must hold mu.
+func (r *Room) bufferingUsersLocked() []string {
+	names := []string{}
+	for name, report := range r.buffering {
+		if report.videoUrl == r.videoState.VideoUrl && r.hasClientLocked(name) {
+			names = append(names, name)
+		}
+	}
+	sort.Strings(names)
+	return names
+}
+
+// waitingForLocked returns the buffering users playback waits for, which leaves out
+// everyone who was dropped from the wait set for the current video.
+// The caller must hold mu.
+func (r *Room) waitingForLocked() []string {
+	names := []string{}
+	for _, name := range r.bufferingUsersLocked() {
+		if !r.bufferExempt[name] {
+			names = append(names, name)
+		}
+	}
+	return names
+}
+
+// withBufferStateLocked adds who is buffering and whether playback is waiting for them to a message.
+// The caller must hold mu.
+func (r *Room) withBufferStateLocked(msg Message) Message {
+	msg.Buffering = r.bufferingUsersLocked()
+	msg.WaitForAll = r.waitForAll
+	msg.Held = r.held
+	return msg
+}
+
+// broadcastBufferStateLocked tells everyone in the room who is buffering.
+// The caller must hold mu.
+func (r *Room) broadcastBufferStateLocked() {
+	r.sendToRoomLocked(r.withBufferStateLocked(Message{Type: "buffer_status"}))
+}
+
+// resetBufferingIfVideoChangedLocked lets slow users back into the wait set once the room moved on to another video.
+// The caller must hold mu.
+func (r *Room) resetBufferingIfVideoChangedLocked() {
+	key := r.currentVideoKeyLocked()
+	if key == r.bufferKey {
+		return
+	}
+	r.bufferKey = key
+	r.held = false
+	if len(r.bufferExempt) > 0 {
+		r.bufferExempt = make(map[string]bool)
+	}
+}
+
+// setHeldPlaybackLocked pauses or resumes the room on behalf of wait-for-everyone mode,
+// keeping the position the room had reached. The caller must hold mu.
+func (r *Room) setHeldPlaybackLocked(playbackState string) {
+	state := r.videoState
+	now := nowMillis()
+	state.CurrentTime = r.playbackPositionLocked(now)
+	state.Sender = "" // Applied by every client, including whoever set the previous state
+	state.PlaybackState = playbackState
+	state.UpdatedAt = now
+	r.videoState = state
+	r.sendToRoomLocked(state)
+}
+
+// updateBufferingHoldLocked pauses the room while anyone in the wait set is buffering and resumes it once
+// they all caught up. It returns true if the room was paused or resumed. The caller must hold mu.
+func (r *Room) updateBufferingHoldLocked() bool {
+	r.resetBufferingIfVideoChangedLocked()
+	waiting := r.waitingForLocked()
+
+	if !r.held && r.waitForAll && len(waiting) > 0 && r.videoState.PlaybackState == "play" {
+		r.held = true
+		r.setHeldPlaybackLocked("pause")
+		r.systemMessageLocked("Waiting for " + strings.Join(waiting, ", ") + " to buffer...")
+		log.Printf("Room %s: paused while %v buffer", r.code, waiting)
+		return true
+	}
+	if r.held && (!r.waitForAll || len(waiting) == 0) {
+		r.held = false
+		r.setHeldPlaybackLocked("play")
+		r.systemMessageLocked("Everyone is ready, resuming playback.")
+		log.Printf("Room %s: resumed after buffering", r.code)
+		return true
+	}
+	return false
+}
+
+// clearBufferingHoldLocked is called when a host or co-host sets the video state themselves.
+// Resuming while the room waits means continuing without whoever is still buffering.
+// The caller must hold mu.
+func (r *Room) clearBufferingHoldLocked(by string) {
+	r.resetBufferingIfVideoChangedLocked()
+	if !r.held {
+		return
+	}
+	r.held = false
+	if r.videoState.PlaybackState == "play" {
+		waiting := r.waitingForLocked()
+		for _, name := range waiting {
+			r.bufferExempt[name] = true
+		}
+		if len(waiting) > 0 {
+			r.systemMessageLocked(by + " resumed playback without waiting for " + strings.Join(waiting, ", ") + ".")
+		}
+	}
+	r.broadcastBufferStateLocked()
+}
+
+// dropStaleBufferingLocked forgets buffering reports of users who left, which may let the room resume.
+// The caller must hold mu.
+func (r *Room) dropStaleBufferingLocked() {
+	changed := false
+	for name := range r.buffering {
+		if !r.hasClientLocked(name) {
+			delete(r.buffering, name)
+			changed = true
+		}
+	}
+	if r.updateBufferingHoldLocked() || changed {
+		r.broadcastBufferStateLocked()
+	}
+}
+
+// checkBufferingTimeouts drops users who have kept a waiting room paused for longer than bufferingTimeout
+// out of the wait set for the rest of the video. Called periodically from the hub.
+func checkBufferingTimeouts() {
+	mu.Lock()
+	defer mu.Unlock()
+
+	for _, room := range rooms {
+		if !room.held {
+			continue
+		}
+		slow := []string{}
+		for _, name := range room.waitingForLocked() {
+			if time.Since(room.buffering[name].since) > *bufferingTimeout {
+				room.bufferExempt[name] = true
+				slow = append(slow, name)
+			}
+		}
+		if len(slow) == 0 {
+			continue
+		}
+		room.systemMessageLocked(strings.Join(slow, ", ") + " took too long to buffer, continuing without them for this video.")
+		log.Printf("Room %s: %v timed out while buffering", room.code, slow)
+		room.updateBufferingHoldLocked()
+		room.broadcastBufferStateLocked()
+	}
+}
+
+// handleBuffering records whether the sender's player is buffering the current video.
+func (c *Client) handleBuffering(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	report, wasBuffering := room.buffering[c.name]
+	if msg.Enabled {
+		if !wasBuffering || report.videoUrl != msg.VideoUrl {
+			room.buffering[c.name] = bufferingReport{videoUrl: msg.VideoUrl, since: time.Now()}
+		}
+	} else {
+		delete(room.buffering, c.name)
+	}
+	room.updateBufferingHoldLocked()
+	room.broadcastBufferStateLocked()
+}
+
+// handleWaitMode lets the host or a co-host turn wait-for-everyone mode on or off.
+func (c *Client) handleWaitMode(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if !room.isControllerLocked(c.name) {
+		c.sendError("Only the host or a co-host can change whether playback waits for everyone.")
+		return
+	}
+	if room.waitForAll == msg.Enabled {
+		return
+	}
+	room.waitForAll = msg.Enabled
+	if msg.Enabled {
+		room.systemMessageLocked(c.name + " turned on wait for everyone, playback pauses while anyone is buffering.")
+	} else {
+		room.systemMessageLocked(c.name + " turned off wait for everyone.")
+	}
+	room.updateBufferingHoldLocked()
+	room.broadcastBufferStateLocked()
+}
@@ -0,0 +1,305 @@
+package main
+
+import (
+	"sort"
+	"strconv"
+	"strings"
+	"time"
+	"unicode/utf8"
+)
+
+const (
+	maxChatLogMessages = 1000 // Chat lines a room keeps for late joiners, oldest are dropped first
+	defaultHistoryPage = 50
+	maxHistoryPage     = 100
+	messageEditWindow  = 15 * time.Minute // How long authors can edit or delete a message, must stay in sync with CHAT_CONFIG.EDIT_WINDOW_MS
+	maxQuoteLength     = 100              // Characters of the parent message kept in a reply's quote
+	maxChatLength      = 500              // Characters of a chat line; must stay in sync with VALIDATION.MAX_MESSAGE_LENGTH
+)
+
+// ReplyQuote is a short copy of the message a reply answers, so the reply can show it even when
+// the parent is no longer loaded or kept.
+type ReplyQuote struct {
+	Sender  string `json:"sender"`
+	Content string `json:"content"`
+	Deleted bool   `json:"deleted,omitempty"`
+}
+
+// chatLengthProblem returns why trimmed chat text is too long to post, or "" if it isn't.
+func chatLengthProblem(content string) string {
+	if utf8.RuneCountInString(content) > maxChatLength {
+		return "Messages can be at most " + strconv.Itoa(maxChatLength) + " characters long."
+	}
+	return ""
+}
+
+// quoteContent shortens a message for a reply quote.
+func quoteContent(content string) string {
+	if utf8.RuneCountInString(content) <= maxQuoteLength {
+		return content
+	}
+	return string([]rune(content)[:maxQuoteLength]) + "…"
+}
+
+// logChatLocked gives a chat line the room's next message id and keeps it in the bounded log. The line
+// also records the video that was playing and where, for transcripts. The caller must hold mu.
+func (r *Room) logChatLocked(msg Message) Message {
+	r.messageSeq++
+	msg.ID = strconv.Itoa(r.messageSeq)
+	msg.Room = r.code
+	msg.VideoUrl = r.videoState.VideoUrl
+	msg.CurrentTime = 0
+	if msg.VideoUrl != "" {
+		msg.CurrentTime = r.playbackPositionLocked(nowMillis())
+	}
+	r.chatLog = append(r.chatLog, msg)
+	// Trim in batches so the log isn't copied on every message once it is full
+	if len(r.chatLog) > maxChatLogMessages+maxChatLogMessages/10 {
+		r.chatLog = append([]Message(nil), r.chatLog[len(r.chatLog)-maxChatLogMessages:]...)
+	}
+	return msg
+}
+
+// postChatLocked logs a chat line and sends it to everyone in the room. The caller must hold mu.
+func (r *Room) postChatLocked(msg Message) {
+	r.sendToRoomLocked(r.logChatLocked(msg))
+}
+
+// canSeeMessage reports whether a user may read a logged chat line: direct messages are only
+// visible to their sender and recipient.
+func canSeeMessage(msg Message, name string) bool {
+	return msg.Type != "dm" || msg.Sender == name || msg.Target == name
+}
+
+// sendChatEventLocked sends an edit or delete of a logged chat line to everyone who can see the line.
+// The caller must hold mu.
+func (r *Room) sendChatEventLocked(line Message, event Message) {
+	if line.Type == "dm" {
+		r.sendToUsersLocked(event, line.Sender, line.Target)
+	} else {
+		r.sendToRoomLocked(event)
+	}
+}
+
+// withReplyQuoteLocked quotes the parent of a reply. Replies to messages the room no longer keeps, or to
+// direct messages outside the reply's own conversation, are turned into plain messages so quotes never
+// show anyone a message they couldn't read. The caller must hold mu.
+func (r *Room) withReplyQuoteLocked(msg Message) Message {
+	msg.Quote = nil
+	if msg.ReplyTo == "" {
+		return msg
+	}
+	i := r.findChatMessageLocked(msg.ReplyTo)
+	if i == -1 || r.chatLog[i].Deleted {
+		msg.ReplyTo = ""
+		return msg
+	}
+	parent := r.chatLog[i]
+	sameConversation := msg.Type == "dm" && parent.Type == "dm" &&
+		canSeeMessage(parent, msg.Sender) && canSeeMessage(parent, msg.Target)
+	if parent.Type == "dm" && !sameConversation {
+		msg.ReplyTo = ""
+		return msg
+	}
+	msg.Quote = &ReplyQuote{Sender: parent.Sender, Content: quoteContent(parent.Content)}
+	return msg
+}
+
+// handleChatMessage posts a chat line from the sender, stamped with the server clock. Only what the
+// user wrote is taken from the client, the server sets everything else about the line.
+func (c *Client) handleChatMessage(msg Message) {
+	content := strings.TrimSpace(msg.Content)
+	if content == "" {
+		return
+	}
+	if problem := chatLengthProblem(content); problem != "" {
+		c.sendError(problem)
+		return
+	}
+	line := Message{
+		Type:      "message",
+		Sender:    c.name,
+		Content:   content,
+		Emote:     msg.Emote,
+		ReplyTo:   msg.ReplyTo,
+		Timestamp: nowMillis(),
+	}
+
+	mu.Lock()
+	defer mu.Unlock()
+
+	if reason := c.takeChatTurnLocked(); reason != "" {
+		c.sendError(reason)
+		return
+	}
+	c.room.postChatLocked(c.room.withReplyQuoteLocked(line))
+}
+
+// updateQuotesLocked rewrites the quotes of the replies to a message after it was edited or deleted.
+// Quotes are replaced rather than changed in place, messages already queued for sending share them.
+// The caller must hold mu.
+func (r *Room) updateQuotesLocked(parentIndex int, update func(ReplyQuote) ReplyQuote) {
+	parentID := r.chatLog[parentIndex].ID
+	for i := parentIndex + 1; i < len(r.chatLog); i++ {
+		if r.chatLog[i].ReplyTo == parentID && r.chatLog[i].Quote != nil {
+			quote := update(*r.chatLog[i].Quote)
+			r.chatLog[i].Quote = &quote
+		}
+	}
+}
+
+// handleHistory sends the sender a page of the chat log: the latest messages, or those older
+// than the message id in Before, oldest first.
+func (c *Client) handleHistory(msg Message) {
+	limit := msg.Limit
+	if limit <= 0 {
+		limit = defaultHistoryPage
+	}
+	if limit > maxHistoryPage {
+		limit = maxHistoryPage
+	}
+
+	mu.Lock()
+	end := len(c.room.chatLog)
+	if msg.Before != "" {
+		before, err := strconv.Atoi(msg.Before)
+		if err != nil {
+			mu.Unlock()
+			c.sendError("Invalid history request.")
+			return
+		}
+		end = c.room.chatLogIndexLocked(before)
+	}
+	// Walk back from the cursor, skipping other people's direct messages
+	page := []Message{}
+	i := end - 1
+	for ; i >= 0 && len(page) < limit; i-- {
+		if canSeeMessage(c.room.chatLog[i], c.name) {
+			page = append(page, c.room.chatLog[i])
+		}
+	}
+	hasMore := false
+	for ; i >= 0 && !hasMore; i-- {
+		hasMore = canSeeMessage(c.room.chatLog[i], c.name)
+	}
+	mu.Unlock()
+
+	for left, right := 0, len(page)-1; left < right; left, right = left+1, right-1 {
+		page[left], page[right] = page[right], page[left]
+	}
+	c.sendDirect(Message{Type: "history", Messages: page, HasMore: hasMore, Before: msg.Before})
+}
+
+// chatLogIndexLocked returns the position of the first logged message with an id of at least id.
+// Ids grow with every message, so the log is sorted by id. The caller must hold mu.
+func (r *Room) chatLogIndexLocked(id int) int {
+	return sort.Search(len(r.chatLog), func(i int) bool {
+		logID, _ := strconv.Atoi(r.chatLog[i].ID)
+		return logID >= id
+	})
+}
+
+// findChatMessageLocked returns the position of a message in the room's chat log, or -1 if it isn't kept anymore.
+// The caller must hold mu.
+func (r *Room) findChatMessageLocked(id string) int {
+	target, err := strconv.Atoi(id)
+	if err != nil {
+		return -1
+	}
+	i := r.chatLogIndexLocked(target)
+	if i < len(r.chatLog) && r.chatLog[i].ID == id {
+		return i
+	}
+	return -1
+}
+
+// renameChatLinesLocked moves a renamed user's chat lines and direct messages to their new name, so they can
+// still edit and delete their recent messages and keep seeing their direct messages in their history.
+// The caller must hold mu.
+func (r *Room) renameChatLinesLocked(from, to string) {
+	for i := range r.chatLog {
+		if r.chatLog[i].System {
+			continue
+		}
+		if r.chatLog[i].Sender == from {
+			r.chatLog[i].Sender = to
+		}
+		if r.chatLog[i].Type == "dm" && r.chatLog[i].Target == from {
+			r.chatLog[i].Target = to
+		}
+	}
+}
+
+// canChangeOwnMessage reports whether a user may still edit or delete a message because they wrote it recently.
+func canChangeOwnMessage(msg Message, name string) bool {
+	return !msg.System && msg.Sender == name && nowMillis()-msg.Timestamp <= float64(messageEditWindow.Milliseconds())
+}
+
+// handleMessageEdit replaces the text of one of the sender's recent messages.
+func (c *Client) handleMessageEdit(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	i := room.findChatMessageLocked(msg.ID)
+	if i == -1 || room.chatLog[i].Deleted || !canSeeMessage(room.chatLog[i], c.name) {
+		c.sendError("That message can't be edited anymore.")
+		return
+	}
+	if !canChangeOwnMessage(room.chatLog[i], c.name) {
+		c.sendError("You can only edit your own messages, for " + formatWindow(messageEditWindow) + " after sending them.")
+		return
+	}
+	if c.isMutedLocked() {
+		c.sendError("You are muted in this room.")
+		return
+	}
+	content := strings.TrimSpace(msg.Content)
+	if content == "" {
+		c.sendError("A message can't be empty, delete it instead.")
+		return
+	}
+	if problem := chatLengthProblem(content); problem != "" {
+		c.sendError(problem)
+		return
+	}
+
+	room.chatLog[i].Content = content
+	room.chatLog[i].EditedAt = nowMillis()
+	room.updateQuotesLocked(i, func(quote ReplyQuote) ReplyQuote {
+		quote.Content = quoteContent(content)
+		return quote
+	})
+	room.sendChatEventLocked(room.chatLog[i], Message{Type: "message_edit", ID: msg.ID, Content: content, EditedAt: room.chatLog[i].EditedAt})
+}
+
+// handleMessageDelete removes a message: authors can delete their recent messages, hosts and co-hosts any message
+// in the room's chat but not direct messages. The message stays in the log as a placeholder so replies and history
+// keep their place.
+func (c *Client) handleMessageDelete(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	i := room.findChatMessageLocked(msg.ID)
+	if i == -1 || room.chatLog[i].Deleted || !canSeeMessage(room.chatLog[i], c.name) {
+		return
+	}
+	canModerate := room.chatLog[i].Type != "dm" && room.isControllerLocked(c.name)
+	if !canChangeOwnMessage(room.chatLog[i], c.name) && !canModerate {
+		c.sendError("You can only delete your own messages, for " + formatWindow(messageEditWindow) + " after sending them.")
+		return
+	}
+
+	room.chatLog[i].Content = ""
+	room.chatLog[i].Deleted = true
+	room.updateQuotesLocked(i, func(quote ReplyQuote) ReplyQuote {
+		return ReplyQuote{Sender: quote.Sender, Deleted: true}
+	})
+	room.sendChatEventLocked(room.chatLog[i], Message{Type: "message_delete", ID: msg.ID, Target: c.name})
+}
+
+// formatWindow describes a time window for error messages, e.g. "15 minutes".
+func formatWindow(window time.Duration) string {
+	return strconv.Itoa(int(window.Minutes())) + " minutes"
+}
@@ -0,0 +1,124 @@
+package main
+
+import (
+	"reflect"
+	"strconv"
+	"strings"
+	"testing"
+)
+
+// historyIDs asks the server for a page of history and returns the ids it sent back, and whether it has more.
+func historyIDs(t *testing.T, client *Client, before string, limit int) ([]string, bool) {
+	t.Helper()
+	received(client)
+	client.handleHistory(Message{Before: before, Limit: limit})
+	reply := lastOfType(received(client), "history")
+	if reply == nil {
+		t.Fatal("no history reply")
+	}
+	ids := []string{}
+	for _, msg := range reply.Messages {
+		ids = append(ids, msg.ID)
+	}
+	return ids, reply.HasMore
+}
+
+func TestHistoryPages(t *testing.T) {
+	room := newTestRoom(t)
+	client := joinTestRoom(room, "reader")
+	mu.Lock()
+	for i := 1; i <= 5; i++ {
+		room.systemMessageLocked("line " + strconv.Itoa(i))
+	}
+	mu.Unlock()
+
+	ids, hasMore := historyIDs(t, client, "", 2)
+	if !reflect.DeepEqual(ids, []string{"4", "5"}) || !hasMore {
+		t.Errorf("latest page = %v (more: %t), want [4 5] with more", ids, hasMore)
+	}
+	ids, hasMore = historyIDs(t, client, "4", 2)
+	if !reflect.DeepEqual(ids, []string{"2", "3"}) || !hasMore {
+		t.Errorf("page before 4 = %v (more: %t), want [2 3] with more", ids, hasMore)
+	}
+	ids, hasMore = historyIDs(t, client, "2", 2)
+	if !reflect.DeepEqual(ids, []string{"1"}) || hasMore {
+		t.Errorf("page before 2 = %v (more: %t), want [1] without more", ids, hasMore)
+	}
+}
+
+func TestChatLogIsBounded(t *testing.T) {
+	room := newTestRoom(t)
+	mu.Lock()
+	defer mu.Unlock()
+	for i := 0; i < maxChatLogMessages*2; i++ {
+		room.systemMessageLocked("line")
+	}
+	if len(room.chatLog) > maxChatLogMessages+maxChatLogMessages/10 {
+		t.Errorf("chat log holds %d messages", len(room.chatLog))
+	}
+	if last := room.chatLog[len(room.chatLog)-1].ID; last != strconv.Itoa(maxChatLogMessages*2) {
+		t.Errorf("last logged id = %s", last)
+	}
+}
+
+func TestChatMessageKeepsOnlyWrittenFields(t *testing.T) {
+	room := newTestRoom(t)
+	client := joinTestRoom(room, "writer")
+
+	client.handleChatMessage(Message{
+		Type:     "message",
+		Content:  "  hello  ",
+		Emote:    true,
+		Deleted:  true,
+		EditedAt: 12345,
+		System:   true,
+		Target:   "someone",
+		Messages: []Message{{Content: "nested"}},
+	})
+
+	if len(room.chatLog) != 1 {
+		t.Fatalf("chat log holds %d messages, want 1", len(room.chatLog))
+	}
+	line := room.chatLog[0]
+	if line.Content != "hello" || !line.Emote || line.Sender != "writer" {
+		t.Errorf("logged line = %+v", line)
+	}
+	if line.Deleted || line.EditedAt != 0 || line.System || line.Target != "" || line.Messages != nil {
+		t.Errorf("logged line kept fields the client set: %+v", line)
+	}
+}
+
+func TestChatMessageLength(t *testing.T) {
+	room := newTestRoom(t)
+	client := joinTestRoom(room, "writer")
+
+	client.handleChatMessage(Message{Content: "   "})
+	client.handleChatMessage(Message{Content: strings.Repeat("é", maxChatLength+1)})
+	if len(room.chatLog) != 0 {
+		t.Errorf("logged %d blank or too long messages", len(room.chatLog))
+	}
+	client.handleChatMessage(Message{Content: strings.Repeat("é", maxChatLength)})
+	if len(room.chatLog) != 1 {
+		t.Errorf("a message of %d characters wasn't logged", maxChatLength)
+	}
+}
+
+func TestMessageEdit(t *testing.T) {
+	room := newTestRoom(t)
+	author := joinTestRoom(room, "author")
+	other := joinTestRoom(room, "other")
+	author.handleChatMessage(Message{Content: "first"})
+	id := room.chatLog[0].ID
+
+	other.handleMessageEdit(Message{ID: id, Content: "taken over"})
+	author.handleMessageEdit(Message{ID: id, Content: "   "})
+	author.handleMessageEdit(Message{ID: id, Content: strings.Repeat("é", maxChatLength+1)})
+	if room.chatLog[0].Content != "first" || room.chatLog[0].EditedAt != 0 {
+		t.Fatalf("refused edits changed the message: %+v", room.chatLog[0])
+	}
+
+	author.handleMessageEdit(Message{ID: id, Content: " second "})
+	if room.chatLog[0].Content != "second" || room.chatLog[0].EditedAt == 0 {
+		t.Errorf("edit wasn't applied: %+v", room.chatLog[0])
+	}
+}
@@ -0,0 +1,123 @@
+package main
+
+import (
+	"log"
+	"math/rand"
+	"strconv"
+	"strings"
+	"unicode/utf8"
+)
+
+const (
+	maxNameLength    = 50 // Characters; must stay in sync with VALIDATION.MAX_USERNAME_LENGTH
+	defaultRollSides = 100
+	maxRollSides     = 1000000
+)
+
+// renameUserLocked moves everything the room keeps per user from one name to another.
+// Roles and votes stay with the old name while another connection still uses it.
+// The caller must hold mu.
+func (r *Room) renameUserLocked(from, to string) {
+	if r.hasClientLocked(from) {
+		return
+	}
+	if r.host == from {
+		r.host = to
+	}
+	if r.cohosts[from] {
+		delete(r.cohosts, from)
+		r.cohosts[to] = true
+	}
+	if r.skipVotes[from] {
+		delete(r.skipVotes, from)
+		r.skipVotes[to] = true
+	}
+	if report, ok := r.buffering[from]; ok {
+		delete(r.buffering, from)
+		r.buffering[to] = report
+	}
+	if r.bufferExempt[from] {
+		delete(r.bufferExempt, from)
+		r.bufferExempt[to] = true
+	}
+	if last, ok := r.lastReaction[from]; ok {
+		delete(r.lastReaction, from)
+		r.lastReaction[to] = last
+	}
+	if hours, ok := r.clientData[from]; ok {
+		delete(r.clientData, from)
+		r.clientData[to] = hours
+	}
+	if r.videoState.Sender == from {
+		r.videoState.Sender = to
+	}
+	r.renameChatLinesLocked(from, to)
+	r.renameModeratedLocked(from, to)
+}
+
+// checkName returns why a name can't be used, or "" if it can. Whether it's taken depends on the room.
+func checkName(name string) string {
+	if strings.TrimSpace(name) == "" || utf8.RuneCountInString(name) > maxNameLength {
+		return "Names must be 1 to " + strconv.Itoa(maxNameLength) + " characters long."
+	}
+	if strings.EqualFold(strings.TrimSpace(name), "System") {
+		return "That name is reserved."
+	}
+	return ""
+}
+
+// handleNick renames the sender for the rest of their connection, keeping their roles and votes.
+func (c *Client) handleNick(msg Message) {
+	name := strings.TrimSpace(msg.Content)
+	if problem := checkName(name); problem != "" {
+		c.sendError(problem)
+		return
+	}
+
+	mu.Lock()
+	room := c.room
+	if name == c.name {
+		mu.Unlock()
+		return
+	}
+	if room.hasClientLocked(name) {
+		mu.Unlock()
+		c.sendError(name + " is already taken in this room.")
+		return
+	}
+	previous := c.name
+	c.name = name
+	room.renameUserLocked(previous, name)
+	c.sendDirect(Message{Type: "nick", Content: name})
+	room.systemMessageLocked(previous + " is now known as " + name + ".")
+	room.broadcastVoteStateLocked()
+	room.broadcastBufferStateLocked()
+	room.broadcastModerationStateLocked()
+	mu.Unlock()
+
+	log.Printf("Room %s: %s renamed to %s", room.code, previous, name) // --- DEBUG LOG ---
+	sendPresence(room)
+}
+
+// handleRoll rolls a die for the sender and posts the result, so nobody can make up their own roll.
+// Limit picks the number of sides.
+func (c *Client) handleRoll(msg Message) {
+	sides := msg.Limit
+	if sides <= 0 {
+		sides = defaultRollSides
+	}
+	if sides < 2 || sides > maxRollSides {
+		c.sendError("Rolls need between 2 and " + strconv.Itoa(maxRollSides) + " sides.")
+		return
+	}
+	result := rand.Intn(sides) + 1
+
+	mu.Lock()
+	if reason := c.takeChatTurnLocked(); reason != "" {
+		mu.Unlock()
+		c.sendError(reason)
+		return
+	}
+	c.room.systemMessageLocked("🎲 " + c.name + " rolled " + strconv.Itoa(result) + " (1-" + strconv.Itoa(sides) + ").")
+	mu.Unlock()
+}
@@ -0,0 +1,74 @@
+package main
+
+import (
+	"strings"
+	"testing"
+)
+
+func TestCheckName(t *testing.T) {
+	cases := []struct {
+		name  string
+		valid bool
+	}{
+		{"viewer", true},
+		{strings.Repeat("é", maxNameLength), true},
+		{"", false},
+		{"   ", false},
+		{strings.Repeat("é", maxNameLength+1), false},
+		{"System", false},
+		{" system ", false},
+	}
+	for _, tc := range cases {
+		if got := checkName(tc.name) == ""; got != tc.valid {
+			t.Errorf("%q: valid = %t, want %t", tc.name, got, tc.valid)
+		}
+	}
+}
+
+func TestNickKeepsRolesAndMutes(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	viewer := joinTestRoom(room, "viewer")
+	host.handleMute(Message{Target: "viewer", Enabled: true})
+
+	viewer.handleNick(Message{Content: "host"})
+	viewer.handleNick(Message{Content: "System"})
+	if viewer.name != "viewer" {
+		t.Fatalf("viewer took the name %q", viewer.name)
+	}
+
+	viewer.handleNick(Message{Content: " renamed "})
+	host.handleNick(Message{Content: "boss"})
+	if viewer.name != "renamed" || room.host != "boss" {
+		t.Errorf("names are %q and %q, host is %q", viewer.name, host.name, room.host)
+	}
+	mu.Lock()
+	muted := viewer.isMutedLocked()
+	mu.Unlock()
+	if !muted {
+		t.Error("renaming lifted the mute")
+	}
+}
+
+func TestNickKeepsOwnMessages(t *testing.T) {
+	room := newTestRoom(t)
+	author := joinTestRoom(room, "author")
+	joinTestRoom(room, "friend")
+	author.handleChatMessage(Message{Content: "first"})
+	author.handleDirectMessage(Message{Target: "friend", Content: "psst"})
+	mu.Lock()
+	room.systemMessageLocked("author did something.")
+	mu.Unlock()
+
+	author.handleNick(Message{Content: "renamed"})
+	if room.chatLog[0].Sender != "renamed" || room.chatLog[1].Sender != "renamed" || room.chatLog[2].Sender != "System" {
+		t.Fatalf("chat log senders after the rename: %q, %q, %q", room.chatLog[0].Sender, room.chatLog[1].Sender, room.chatLog[2].Sender)
+	}
+
+	impostor := joinTestRoom(room, "author")
+	impostor.handleMessageEdit(Message{ID: room.chatLog[0].ID, Content: "taken over"})
+	author.handleMessageEdit(Message{ID: room.chatLog[0].ID, Content: "second"})
+	if room.chatLog[0].Content != "second" {
+		t.Errorf("message after the edits = %q, want second", room.chatLog[0].Content)
+	}
+}
@@ -1,8 +1,31 @@
-import React, { useEffect, useState, useRef, useCallback } from 'react';
-import { WS_CONFIG } from '../utils/constants.js';
-import { isValidWebSocketMessage, sanitizeMessage, safeLocalStorageGet, isValidYoutubeOrigin } from '../utils/validation.js';
-
-function OnlineUsersSection({ onlineUsers }) {
+import React, { useEffect, useLayoutEffect, useMemo, useState, useRef, useCallback } from 'react';
+import { BUFFERING_CONFIG, CHAT_CONFIG, CHAT_HISTORY_CONFIG, CLOCK_SYNC_CONFIG, MODERATION_CONFIG, NOTIFICATION_CONFIG, STORAGE_KEYS, WS_CONFIG } from '../utils/constants.js';
+import { addClockSample, createClockSample, estimateClockOffset, getDriftCorrection, getExpectedPosition } from '../utils/clockSync.js';
+import { isValidWebSocketMessage, sanitizeMessage, safeLocalStorageGet, safeLocalStorageSet, isValidYoutubeOrigin } from '../utils/validation.js';
+import { getMediaKey } from '../utils/mediaSources.js';
+import { getOldestServerMessageId, mergeChatMessages, trimChatMessages } from '../utils/chatHistory.js';
+import { CHAT_COMMANDS, createCommandRegistry, parseCommandInput, runChatCommand } from '../utils/chatCommands.js';
+import { getMentionQuery, isMessageForUser, suggestMentions } from '../utils/mentions.js';
+import { playAlertSound, requestNotificationPermission, showBrowserNotification } from '../utils/notifications.js';
+import { ROOM_CONVERSATION, addConversations, getConversationPartner, isInConversation } from '../utils/directMessages.js';
+import { getClientId, getRemovalNotice, toModerationState } from '../utils/moderation.js';
+import { DEFAULT_FILTER_SETTINGS, runContentFilters, toFilterSettings } from '../utils/contentFilter.js';
+import { TRANSCRIPT_FORMATS, formatTranscript, getTranscriptFileName, messageMatchesSearch } from '../utils/chatTranscript.js';
+import MessageContent, { HighlightedText } from './MessageContent.js';
+import ContentFilterPanel from './ContentFilterPanel.js';
+import { useMessageWindow } from './messageWindowManager.js';
+
+const SUGGESTION_LABELS = {
+  play: 'resume playback',
+  pause: 'pause',
+  stop: 'stop',
+  next: 'skip to the next video',
+  previous: 'go back to the previous video',
+  queue: 'add a video',
+};
+
+function OnlineUsersSection({ onlineUsers, username, host, cohosts, bufferingUsers, mutedUsers, onTransferHost, onToggleCohost, onDirectMessage, onMute, onRemoveUser }) {
+  const isHost = username === host;
   return (
     <div className="mt-6 bg-black bg-opacity-40 backdrop-blur-md rounded-3xl shadow-2xl p-4 border border-pink-500 fixed bottom-4 left-4 right-4 z-10">
       <h3 className="text-pink-300 text-xl font-bold drop-shadow-[0_0_5px_rgba(255,105,180,0.7)] mb-2">
@@ -15,12 +38,75 @@ function OnlineUsersSection({ onlineUsers }) {
         ) : (
           onlineUsers.map((user, index) => (
             <span key={user.username} className="mr-2 flex items-center">
-              {user.username} ({(user.watchHours ?? 0).toFixed(1)}h)
-              {index === 0 && (
+              {user.username !== username ? (
+                <button
+                  onClick={() => onDirectMessage(user.username)}
+                  className="hover:text-pink-200 hover:underline"
+                  title={`Send ${user.username} a direct message`}
+                >
+                  {user.username}
+                </button>
+              ) : user.username}
+              {' '}({(user.watchHours ?? 0).toFixed(1)}h)
+              {user.username === host && (
                 <span className="ml-1 px-1.5 py-0.5 text-xs font-bold text-yellow-400 bg-pink-700 rounded-full shadow-[0_0_5px_rgba(255,105,180,0.7)]">
                   Host
                 </span>
               )}
+              {cohosts.includes(user.username) && (
+                <span className="ml-1 px-1.5 py-0.5 text-xs font-bold text-pink-200 bg-purple-700 rounded-full">
+                  Co-host
+                </span>
+              )}
+              {mutedUsers.includes(user.username) && (
+                <span className="ml-1 px-1.5 py-0.5 text-xs font-bold text-gray-200 bg-gray-700 rounded-full">
+                  Muted
+                </span>
+              )}
+              {bufferingUsers.includes(user.username) && (
+                <span className="ml-1 px-1.5 py-0.5 text-xs font-bold text-yellow-200 bg-gray-700 rounded-full animate-pulse">
+                  buffering…
+                </span>
+              )}
+              {isHost && user.username !== username && (
+                <>
+                  <button
+                    onClick={() => onTransferHost(user.username)}
+                    className="ml-1 px-1.5 py-0.5 text-xs text-white bg-pink-600 hover:bg-pink-700 rounded-full transition duration-300"
+                    aria-label={`Make ${user.username} the host`}
+                  >
+                    Make host
+                  </button>
+                  <button
+                    onClick={() => onToggleCohost(user.username, !cohosts.includes(user.username))}
+                    className="ml-1 px-1.5 py-0.5 text-xs text-white bg-purple-600 hover:bg-purple-700 rounded-full transition duration-300"
+                    aria-label={cohosts.includes(user.username) ? `Remove ${user.username} as co-host` : `Make ${user.username} a co-host`}
+                  >
+                    {cohosts.includes(user.username) ? 'Remove co-host' : 'Co-host'}
+                  </button>
+                  <button
+                    onClick={() => onMute(user.username, !mutedUsers.includes(user.username))}
+                    className="ml-1 px-1.5 py-0.5 text-xs text-white bg-gray-600 hover:bg-gray-700 rounded-full transition duration-300"
+                    aria-label={mutedUsers.includes(user.username) ? `Unmute ${user.username}` : `Mute ${user.username}`}
+                  >
+                    {mutedUsers.includes(user.username) ? 'Unmute' : 'Mute'}
+                  </button>
+                  <button
+                    onClick={() => onRemoveUser(user.username, false)}
+                    className="ml-1 px-1.5 py-0.5 text-xs text-white bg-red-600 hover:bg-red-700 rounded-full transition duration-300"
+                    aria-label={`Kick ${user.username} from the room`}
+                  >
+                    Kick
+                  </button>
+                  <button
+                    onClick={() => onRemoveUser(user.username, true)}
+                    className="ml-1 px-1.5 py-0.5 text-xs text-white bg-red-800 hover:bg-red-900 rounded-full transition duration-300"
+                    aria-label={`Ban ${user.username} from the room`}
+                  >
+                    Ban
+                  </button>
+                </>
+              )}
               {index < onlineUsers.length - 1 ? ', ' : ''}
             </span>
           ))
@@ -30,11 +116,147 @@ function OnlineUsersSection({ onlineUsers }) {
   );
 }
 
+function MessageEditor({ initialContent, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initialContent);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      if (draft.trim()) onSave(draft.trim());
+    } else if (e.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1 mt-1">
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        autoFocus
+        className="flex-1 rounded-md px-2 py-0.5 bg-black bg-opacity-60 text-white text-sm focus:outline-none focus:ring-2 focus:ring-pink-500"
+        aria-label="Edit message"
+      />
+      <button onClick={() => draft.trim() && onSave(draft.trim())} className="text-xs text-pink-200 hover:text-white font-bold">Save</button>
+      <button onClick={onCancel} className="text-xs text-gray-300 hover:text-white">Cancel</button>
+    </div>
+  );
+}
+
+// Compact quote of the message a reply answers; clicking it jumps to the original
+function ReplyQuote({ quote, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="block w-full mb-1 pl-2 border-l-2 border-pink-300 text-left text-xs text-gray-200 hover:text-white truncate"
+      title="Jump to the original message"
+    >
+      ↩ <span className="font-semibold">{quote.sender}</span>: {quote.deleted ? <span className="italic">message deleted</span> : quote.content}
+    </button>
+  );
+}
+
+function ChatMessage({ msg, username, quote, highlight, isCurrentMatch, canControl, canReply, canEdit, canDelete, isEditing, isMention, onAcceptSuggestion, onReply, onJumpToMessage, onStartEdit, onSaveEdit, onCancelEdit, onDelete, onQueueVideo }) {
+  if (msg.deleted) {
+    return (
+      <div className="mb-1 px-2 text-xs italic text-gray-500">
+        {msg.system ? 'System' : msg.sender}: message deleted
+      </div>
+    );
+  }
+
+  if (msg.system) {
+    return (
+      <div className={`mb-1 px-2 text-center text-xs italic whitespace-pre-line ${msg.isError ? 'text-red-400' : 'text-gray-400'} ${isCurrentMatch ? 'ring-2 ring-pink-300 rounded-lg' : ''}`}>
+        <HighlightedText text={msg.content} highlight={highlight} />
+      </div>
+    );
+  }
+
+  const isCurrentUser = msg.sender === username;
+
+  if (msg.type === 'suggest') {
+    return (
+      <div className="mb-1 p-2 rounded-lg bg-purple-900 bg-opacity-60 border border-purple-500 mr-auto" style={{ maxWidth: '80%' }}>
+        <span className="text-pink-300 font-semibold">{isCurrentUser ? 'You' : msg.sender}</span>
+        <span className="text-white ml-1">suggested to {SUGGESTION_LABELS[msg.action] || msg.action}</span>
+        {msg.videoUrl && <span className="block text-pink-200 text-xs truncate">{msg.videoUrl}</span>}
+        {canControl && (
+          <button
+            onClick={() => onAcceptSuggestion(msg)}
+            disabled={msg.accepted}
+            className="mt-1 px-3 py-0.5 text-xs bg-pink-600 hover:bg-pink-700 rounded-full text-white font-bold transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {msg.accepted ? 'Accepted' : 'Accept'}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`group mb-1 p-2 rounded-lg ${isCurrentUser ? 'bg-pink-700 ml-auto' : 'bg-gray-700 mr-auto'} ${isCurrentMatch ? 'ring-2 ring-pink-300' : (isMention ? 'ring-2 ring-yellow-400' : '')}`}
+      style={{ maxWidth: '80%' }}
+    >
+      {quote && <ReplyQuote quote={quote} onClick={() => onJumpToMessage(msg.replyTo)} />}
+      <span className={`font-semibold ${isCurrentUser ? 'text-white' : 'text-pink-400'}`}>
+        {msg.emote && '* '}{isCurrentUser ? 'You' : <HighlightedText text={msg.sender} highlight={highlight} />}{!msg.emote && ':'}
+      </span>
+      {isEditing ? (
+        <MessageEditor initialContent={msg.content} onSave={(content) => onSaveEdit(msg.id, content)} onCancel={onCancelEdit} />
+      ) : (
+        <>
+          <MessageContent
+            content={msg.content}
+            className={`text-white ml-1 ${msg.emote ? 'italic' : ''}`}
+            highlight={highlight}
+            queueLabel={canControl ? 'Add to queue' : 'Suggest'}
+            onQueueVideo={onQueueVideo}
+          />
+          {msg.editedAt && <span className="ml-1 text-xs text-gray-300 italic">(edited)</span>}
+          {(canReply || canEdit || canDelete) && (
+            <span className="ml-2 hidden group-hover:inline-flex gap-1 align-middle">
+              {canReply && (
+                <button onClick={() => onReply(msg)} className="text-xs text-gray-200 hover:text-white" aria-label="Reply to message">↩</button>
+              )}
+              {canEdit && (
+                <button onClick={() => onStartEdit(msg.id)} className="text-xs text-gray-200 hover:text-white" aria-label="Edit message">✎</button>
+              )}
+              {canDelete && (
+                <button onClick={() => onDelete(msg.id)} className="text-xs text-gray-200 hover:text-red-300" aria-label="Delete message">🗑</button>
+              )}
+            </span>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 export default function ChatRoom({
   username,
+  roomCode,
   videoState,
   watchTime,
   onVideoStateChange,
+  getPlayerPosition, // Returns the local player's real position ({ url, currentTime, isPlaying, availablePlaybackRates, isBuffering, bufferedAhead, duration }) or null
+  onPlaybackCorrection, // Called with { seekTo } or { playbackRate } to pull the local player back in sync
+  onRoleChange, // Called with { host, cohosts, canControl, queueLocked, canEditQueue } whenever the room's roles change
+  onSuggestionAccept, // Called when the host or a co-host accepts a suggestion from the chat
+  roomActionsRef, // Filled with functions WatchRoom can use to talk to the room (e.g. sendSuggestion)
+  onSkipVoteChange, // Called with { votes, required, threshold } when the vote-to-skip progress changes
+  onQueueOp, // Called with { op, version, sender } for every queue op sequenced by the server
+  onQueueSnapshot, // Called with { queue, version, appliedOps } when the server sends a full snapshot
+  onQueueReject, // Called with { opId } when the server refuses one of our queue ops
+  onReaction, // Called with { videoId, reaction } for every live reaction in the room
+  onReactionHistory, // Called with { videoId, reactions } with the stored reactions to the current video
+  onSubtitles, // Called with { entryId, subtitles } when a subtitle track is shared, subtitles is null if the entry has none
+  commandActions, // Playback and queue actions for slash commands ({ play, queue, skip, pause, seek }), see CHAT_COMMANDS
+  onUsernameChange, // Called with the new name once the server accepted a /nick
+  isVisible, // Whether the chat panel is shown, mentions notify us while it is collapsed
   onMessageSent // Add this new prop
 }) {
   const [messages, setMessages] = useState([]);
@@ -46,13 +268,45 @@ export default function ChatRoom({
   const [input, setInput] = useState('');
   const [isConnected, setIsConnected] = useState(false);
   const [syncStatus, setSyncStatus] = useState('waiting');
-
-  const messagesEndRef = useRef(null);
+  const [host, setHost] = useState(''); // Username of the room's host, as reported by the server
+  const [cohosts, setCohosts] = useState([]);
+  const [skipVote, setSkipVote] = useState({ votes: [], required: 0, threshold: 0 }); // Vote-to-skip progress for the current video
+  const [hasMoreHistory, setHasMoreHistory] = useState(false); // Whether the server has older messages than we loaded
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [suggestionIndex, setSuggestionIndex] = useState(0); // Highlighted command or @mention suggestion
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false); // Suggestions hidden with Escape until the input changes
+  const [caretPosition, setCaretPosition] = useState(0);
+  const [mentionAlertsMuted, setMentionAlertsMuted] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null); // Message the next one we send answers
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null); // Briefly highlighted after jumping to it
+  const [activeConversation, setActiveConversation] = useState(ROOM_CONVERSATION); // Room chat, or the user we DM with
+  const [conversations, setConversations] = useState([]); // Users we have a DM tab open with
+  const [unreadCounts, setUnreadCounts] = useState({}); // Unread live messages per conversation
+  const [bufferStatus, setBufferStatus] = useState({ buffering: [], waitForAll: false, held: false }); // Who is buffering, and whether playback waits for them
+  const [moderation, setModeration] = useState({ muted: [], banned: [], slowMode: 0, queueLocked: false }); // Set by the host, see moderation.go
+  const [removedNotice, setRemovedNotice] = useState(''); // Why the host removed us from the room, we don't reconnect then
+  const [filterSettings, setFilterSettings] = useState(DEFAULT_FILTER_SETTINGS); // The room's chat filters, see contentFilter.js
+  const [showFilterPanel, setShowFilterPanel] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState(''); // Only messages matching it are listed while searching
+  const [searchMatchIndex, setSearchMatchIndex] = useState(0); // Match the prev/next buttons are on
+  const [showExportMenu, setShowExportMenu] = useState(false);
+
+  // Until the server tells us who the host is we don't block anything, it has the final say anyway
+  const canControl = !host || host === username || cohosts.includes(username);
+  const canEditQueue = canControl && (!moderation.queueLocked || host === username);
+  const isHost = !!host && host === username;
+  const isMuted = moderation.muted.includes(username);
+
+  const messageListRef = useRef(null);
+  const historyCursorRef = useRef(null); // Id of the oldest server message we have, older pages are requested before it
+  const scrollAnchorRef = useRef(null); // { scrollHeight, firstId } of the list when older messages were requested
+  const lastMessageIdRef = useRef(null);
   const wsRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
   const isUnmountingRef = useRef(false);
-  const lastSentMessageRef = useRef('');
   const messageIdCounter = useRef(0);
   const videoStateRef = useRef(videoState);
   const syncTimeoutRef = useRef(null);
@@ -60,6 +314,30 @@ export default function ChatRoom({
   const lastVideoStateSentRef = useRef(null);
   const onVideoStateChangeRef = useRef(onVideoStateChange);
   const connectionInitializedRef = useRef(false);
+  const clockSamplesRef = useRef([]); // Recent ping/pong samples used to estimate the server clock offset
+  const clockOffsetRef = useRef(0); // Estimated server clock minus local clock, in ms
+  const playbackAnchorRef = useRef(null); // Shared { videoUrl, currentTime, updatedAt, isPlaying, sender } everyone syncs to
+  const correctionRateRef = useRef(1); // Playback rate currently applied by drift correction
+  const reportedBufferingRef = useRef(false); // Buffering state we last reported to the room
+  const getPlayerPositionRef = useRef(getPlayerPosition);
+  const onPlaybackCorrectionRef = useRef(onPlaybackCorrection);
+  const canControlRef = useRef(canControl);
+  const queueHandlersRef = useRef({ onQueueOp, onQueueSnapshot, onQueueReject });
+  const reactionHandlersRef = useRef({ onReaction, onReactionHistory });
+  const onSubtitlesRef = useRef(onSubtitles);
+  const commandActionsRef = useRef(commandActions);
+  const onUsernameChangeRef = useRef(onUsernameChange);
+  const connectRef = useRef(null);
+  const inputRef = useRef(null);
+  const pendingCaretRef = useRef(null); // Caret position to restore after completing a suggestion
+  const isVisibleRef = useRef(isVisible);
+  const mentionAlertsMutedRef = useRef(false);
+  const askedNotificationPermissionRef = useRef(false);
+  const highlightTimeoutRef = useRef(null);
+  const activeConversationRef = useRef(ROOM_CONVERSATION);
+  const filterSettingsRef = useRef(DEFAULT_FILTER_SETTINGS);
+  const isSearchingRef = useRef(false);
+  const commandRegistry = useMemo(() => createCommandRegistry(CHAT_COMMANDS), []);
 
   // Update refs when props change
   useEffect(() => {
@@ -70,8 +348,88 @@ export default function ChatRoom({
     onVideoStateChangeRef.current = onVideoStateChange;
   }, [onVideoStateChange]);
 
+  useEffect(() => {
+    canControlRef.current = canControl;
+    if (onRoleChange) {
+      onRoleChange({ host, cohosts, canControl, queueLocked: moderation.queueLocked, canEditQueue });
+    }
+  }, [host, cohosts, canControl, moderation.queueLocked, canEditQueue, onRoleChange]);
+
+  useEffect(() => {
+    if (onSkipVoteChange) {
+      onSkipVoteChange(skipVote);
+    }
+  }, [skipVote, onSkipVoteChange]);
+
+  useEffect(() => {
+    queueHandlersRef.current = { onQueueOp, onQueueSnapshot, onQueueReject };
+  }, [onQueueOp, onQueueSnapshot, onQueueReject]);
+
+  useEffect(() => {
+    reactionHandlersRef.current = { onReaction, onReactionHistory };
+  }, [onReaction, onReactionHistory]);
+
+  useEffect(() => {
+    onSubtitlesRef.current = onSubtitles;
+  }, [onSubtitles]);
+
+  useEffect(() => {
+    commandActionsRef.current = commandActions;
+    onUsernameChangeRef.current = onUsernameChange;
+  }, [commandActions, onUsernameChange]);
+
+  useEffect(() => {
+    isVisibleRef.current = isVisible;
+  }, [isVisible]);
+
+  useEffect(() => {
+    activeConversationRef.current = activeConversation;
+  }, [activeConversation]);
+
+  useEffect(() => {
+    filterSettingsRef.current = filterSettings;
+  }, [filterSettings]);
+
+  useEffect(() => {
+    setMentionAlertsMuted(safeLocalStorageGet(STORAGE_KEYS.MENTION_ALERTS_MUTED, false, (value) => typeof value === 'boolean'));
+  }, []);
+
+  useEffect(() => {
+    mentionAlertsMutedRef.current = mentionAlertsMuted;
+  }, [mentionAlertsMuted]);
+
+  useEffect(() => {
+    getPlayerPositionRef.current = getPlayerPosition;
+    onPlaybackCorrectionRef.current = onPlaybackCorrection;
+  }, [getPlayerPosition, onPlaybackCorrection]);
+
   // Removed watchHours increment interval effect since watchTime is managed centrally
 
+  // Every outgoing message carries the room code so the server can keep rooms apart
+  const sendSocketMessage = useCallback((payload) => {
+    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return false;
+    wsRef.current.send(JSON.stringify({ ...payload, room: roomCode }));
+    return true;
+  }, [roomCode]);
+
+  // Current time on the server clock, based on the estimated offset
+  const getServerNow = useCallback(() => Date.now() + clockOffsetRef.current, []);
+
+  // Position of the local player for the given video, or null if the player is on something else
+  const readPlayerPosition = useCallback((videoUrl) => {
+    const position = getPlayerPositionRef.current ? getPlayerPositionRef.current() : null;
+    if (!position || !videoUrl || position.url !== videoUrl) return null;
+    return position;
+  }, []);
+
+  const sendClockPing = useCallback(() => {
+    try {
+      sendSocketMessage({ type: 'ping', clientTime: Date.now() });
+    } catch (err) {
+      console.error(`[${username}] Error sending clock ping:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
   // Send watchHours update to other users when watchTime prop changes (throttled to every 5 seconds)
   useEffect(() => {
     if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
@@ -87,7 +445,7 @@ export default function ChatRoom({
           watchHours: watchTime / 3600, // Convert seconds to hours
         };
         try {
-          wsRef.current.send(JSON.stringify(watchHoursMessage));
+          sendSocketMessage(watchHoursMessage);
           lastSent = now;
         } catch (err) {
           console.error(`[${username}] Error sending watchHours update:`, err);
@@ -100,7 +458,7 @@ export default function ChatRoom({
     const intervalId = setInterval(sendThrottled, interval);
 
     return () => clearInterval(intervalId);
-  }, [watchTime, username]);
+  }, [watchTime, username, sendSocketMessage]);
 
   // Send typing notification when user types (debounced)
   useEffect(() => {
@@ -113,11 +471,11 @@ export default function ChatRoom({
     };
 
     try {
-      wsRef.current.send(JSON.stringify(typingMessage));
+      sendSocketMessage(typingMessage);
     } catch (err) {
       console.error(`[${username}] Error sending typing message:`, err);
     }
-  }, [input, username]);
+  }, [input, username, sendSocketMessage]);
 
   // Update onlineUsers with watchHours for current user using watchTime prop
   useEffect(() => {
@@ -173,10 +531,6 @@ export default function ChatRoom({
     });
   }, []);
 
-  const scrollToBottom = useCallback(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, []);
-
   const areVideoStatesEqual = useCallback((state1, state2) => {
     if (!state1 && !state2) return true;
     if (!state1 || !state2) return false;
@@ -184,9 +538,8 @@ export default function ChatRoom({
     return (
       state1.youtubeUrl === state2.youtubeUrl &&
       state1.isYoutubePlaying === state2.isYoutubePlaying &&
-      Math.abs((state1.currentTime || 0) - (state2.currentTime || 0)) < 2 &&
-      JSON.stringify(state1.youtubeQueue || []) === JSON.stringify(state2.youtubeQueue || []) &&
-      state1.currentIndex === state2.currentIndex
+      (state1.currentEntryId || null) === (state2.currentEntryId || null) &&
+      (state1.playbackRate || 1) === (state2.playbackRate || 1)
     );
   }, []);
 
@@ -198,28 +551,43 @@ export default function ChatRoom({
 
     if (!state) return;
 
+    // Only the host and co-hosts drive playback, everyone else follows (and can send suggestions)
+    if (!canControlRef.current) return;
+
     if (!force && lastVideoStateSentRef.current && areVideoStatesEqual(state, lastVideoStateSentRef.current)) {
       return;
     }
 
+    // Position is read from the real player; a video that hasn't loaded yet starts from 0
+    const position = readPlayerPosition(state.youtubeUrl);
     const videoMessage = {
       type: 'video',
       videoUrl: state.youtubeUrl || '',
       playbackState: state.isYoutubePlaying ? 'play' : 'pause',
-      currentTime: state.currentTime || 0,
-      queue: state.youtubeQueue || [],
-      index: state.currentIndex || 0,
+      currentTime: position ? position.currentTime : (state.currentTime || 0),
+      playbackRate: state.playbackRate || 1,
+      updatedAt: Math.round(getServerNow()),
+      entryId: state.currentEntryId || '', // The queue itself is shared through queue ops
       timestamp: Date.now()
     };
 
     try {
-      wsRef.current.send(JSON.stringify(videoMessage));
+      sendSocketMessage(videoMessage);
       lastVideoStateSentRef.current = state;
+      // We are now the reference everyone else syncs to, no need to wait for the server echo
+      playbackAnchorRef.current = {
+        videoUrl: videoMessage.videoUrl,
+        currentTime: videoMessage.currentTime,
+        updatedAt: videoMessage.updatedAt,
+        isPlaying: state.isYoutubePlaying,
+        playbackRate: videoMessage.playbackRate,
+        sender: username,
+      };
       console.log(`[${username}] Video state sent:`, videoMessage);
     } catch (err) {
       console.error(`[${username}] Error sending video state:`, err);
     }
-  }, [username, areVideoStatesEqual]);
+  }, [username, areVideoStatesEqual, sendSocketMessage, readPlayerPosition, getServerNow]);
 
   const requestVideoSync = useCallback(() => {
     if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
@@ -227,7 +595,7 @@ export default function ChatRoom({
     setSyncStatus('syncing');
 
     try {
-      wsRef.current.send(JSON.stringify({ type: 'sync', timestamp: Date.now() }));
+      sendSocketMessage({ type: 'sync', timestamp: Date.now() });
       console.log(`[${username}] Sent video state sync request.`);
 
       if (syncTimeoutRef.current) {
@@ -243,9 +611,85 @@ export default function ChatRoom({
       console.error(`[${username}] Error requesting sync:`, err);
       setSyncStatus('waiting');
     }
-  }, [username]);
+  }, [username, sendSocketMessage]);
+
+  // Mentions always highlight the message; while the tab is hidden or the chat collapsed they also ring and notify
+  const notifyMention = useCallback((msg) => {
+    if (mentionAlertsMutedRef.current) return;
+    if (!document.hidden && isVisibleRef.current !== false) return;
+
+    playAlertSound();
+    const body = msg.content.length > NOTIFICATION_CONFIG.MAX_BODY_LENGTH
+      ? `${msg.content.slice(0, NOTIFICATION_CONFIG.MAX_BODY_LENGTH)}…`
+      : msg.content;
+    const title = msg.type === 'dm' ? `${msg.sender} sent you a direct message in #${roomCode}` : `${msg.sender} mentioned you in #${roomCode}`;
+    showBrowserNotification(title, body, `mention-${roomCode}`);
+  }, [roomCode]);
+
+  // Counts a live message as unread unless its conversation is the one open
+  const markUnread = useCallback((conversation) => {
+    if (activeConversationRef.current === conversation) return;
+    setUnreadCounts(prev => ({ ...prev, [conversation]: (prev[conversation] || 0) + 1 }));
+  }, []);
 
   const handleWebSocketMessage = useCallback((event) => {
+    // Shared anchor the drift correction compares the local player against
+    const updatePlaybackAnchor = (msg) => {
+      playbackAnchorRef.current = {
+        videoUrl: msg.videoUrl || '',
+        currentTime: msg.currentTime || 0,
+        updatedAt: msg.updatedAt || getServerNow(),
+        isPlaying: msg.playbackState === 'play',
+        playbackRate: msg.playbackRate || 1,
+        sender: msg.sender || '',
+      };
+    };
+
+    // Video message in the shape of the videoState prop, for comparisons
+    const toLocalVideoState = (msg) => ({
+      youtubeUrl: msg.videoUrl || '',
+      isYoutubePlaying: msg.playbackState === 'play',
+      currentEntryId: msg.entryId || null,
+      playbackRate: msg.playbackRate || 1,
+    });
+
+    // Video message in the shape onVideoStateChange expects
+    const toVideoStateChange = (msg) => ({
+      videoUrl: msg.videoUrl || '',
+      playbackState: msg.playbackState,
+      currentTime: msg.currentTime || 0,
+      entryId: msg.entryId || null,
+      playbackRate: msg.playbackRate || 1,
+    });
+
+    // Messages of other users go through the room's filters again, in case their client skipped them
+    const filterIncoming = (content) => runContentFilters(sanitizeMessage(content), filterSettingsRef.current).text;
+
+    // Chat line from the server, deduplicated by the id the server gave it
+    const toChatMessage = (msg) => ({
+      ...msg,
+      content: msg.system ? sanitizeMessage(msg.content) : filterIncoming(msg.content),
+      quote: msg.quote ? { ...msg.quote, content: filterIncoming(msg.quote.content) } : msg.quote,
+      id: msg.id || `message-${Date.now()}-${messageIdCounter.current++}`,
+      timestamp: msg.timestamp || Date.now(),
+    });
+
+    const updateBufferStatus = (msg) => {
+      setBufferStatus({
+        buffering: Array.isArray(msg.buffering) ? msg.buffering : [],
+        waitForAll: msg.waitForAll === true,
+        held: msg.held === true,
+      });
+    };
+
+    const updateSkipVote = (msg) => {
+      setSkipVote({
+        votes: Array.isArray(msg.votes) ? msg.votes : [],
+        required: typeof msg.required === 'number' ? msg.required : 0,
+        threshold: typeof msg.threshold === 'number' ? msg.threshold : 0,
+      });
+    };
+
     try {
       const msg = JSON.parse(event.data);
 
@@ -254,29 +698,77 @@ export default function ChatRoom({
         return;
       }
 
+      if (msg.room && msg.room !== roomCode) {
+        console.warn(`[${username}] Ignoring message for room ${msg.room} while in room ${roomCode}`);
+        return;
+      }
+
       if (msg.type === 'message') {
-        const sanitizedContent = sanitizeMessage(msg.content);
-        const messageWithId = {
-          ...msg,
-          content: sanitizedContent,
-          id: `${msg.sender}-${msg.timestamp || Date.now()}-${messageIdCounter.current++}`,
-          timestamp: msg.timestamp || Date.now()
-        };
+        const chatMessage = toChatMessage(msg);
+        if (!historyCursorRef.current) {
+          historyCursorRef.current = chatMessage.id;
+        }
+        setMessages(prev => mergeChatMessages(prev, [chatMessage]));
+        if (!chatMessage.system && chatMessage.sender !== username) {
+          markUnread(ROOM_CONVERSATION);
+        }
+        if (isMessageForUser(chatMessage, username)) {
+          notifyMention(chatMessage);
+        }
+      }
 
-        setMessages(prev => {
-          const isDuplicate = prev.slice(-WS_CONFIG.MAX_DUPLICATE_CHECK_MESSAGES).some(prevMsg =>
-            prevMsg.sender === msg.sender &&
-            prevMsg.content === sanitizedContent &&
-            Math.abs(prevMsg.timestamp - messageWithId.timestamp) < WS_CONFIG.DUPLICATE_CHECK_WINDOW
-          );
+      else if (msg.type === 'dm') {
+        const chatMessage = toChatMessage(msg);
+        if (!historyCursorRef.current) {
+          historyCursorRef.current = chatMessage.id;
+        }
+        setMessages(prev => mergeChatMessages(prev, [chatMessage]));
+        setConversations(prev => addConversations(prev, [chatMessage], username));
+        if (chatMessage.sender !== username) {
+          markUnread(getConversationPartner(chatMessage, username));
+        }
+        if (isMessageForUser(chatMessage, username)) {
+          notifyMention(chatMessage);
+        }
+      }
 
-          if (isDuplicate) {
-            console.log(`[${username}] Skipping duplicate message:`, sanitizedContent);
-            return prev;
-          }
+      else if (msg.type === 'message_edit') {
+        const content = filterIncoming(msg.content);
+        setMessages(prev => prev.map(prevMsg => {
+          if (prevMsg.id === msg.id) return { ...prevMsg, content, editedAt: msg.editedAt || Date.now() };
+          if (prevMsg.replyTo === msg.id && prevMsg.quote) return { ...prevMsg, quote: { ...prevMsg.quote, content } };
+          return prevMsg;
+        }));
+        setReplyingTo(prev => (prev && prev.id === msg.id ? { ...prev, content } : prev));
+      }
 
-          return [...prev, messageWithId];
-        });
+      else if (msg.type === 'message_delete') {
+        setMessages(prev => prev.map(prevMsg => {
+          if (prevMsg.id === msg.id) return { ...prevMsg, content: '', deleted: true };
+          if (prevMsg.replyTo === msg.id && prevMsg.quote) return { ...prevMsg, quote: { sender: prevMsg.quote.sender, content: '', deleted: true } };
+          return prevMsg;
+        }));
+        setEditingMessageId(prev => (prev === msg.id ? null : prev));
+        setReplyingTo(prev => (prev && prev.id === msg.id ? null : prev));
+      }
+
+      else if (msg.type === 'history') {
+        const page = Array.isArray(msg.messages) ? msg.messages.filter(isValidWebSocketMessage).map(toChatMessage) : [];
+        // A page of older messages moves the cursor back; the latest messages after a reconnect only fill gaps
+        if (msg.before || !historyCursorRef.current) {
+          if (page.length > 0) {
+            historyCursorRef.current = page[0].id;
+          }
+          setHasMoreHistory(msg.hasMore === true);
+        }
+        if (msg.before) {
+          setIsLoadingHistory(false);
+          if (page.length === 0) {
+            scrollAnchorRef.current = null; // Nothing will be prepended
+          }
+        }
+        setMessages(prev => mergeChatMessages(prev, page));
+        setConversations(prev => addConversations(prev, page, username));
       }
 
       else if (msg.type === 'presence') {
@@ -286,6 +778,8 @@ export default function ChatRoom({
         }
         console.log(`[${username}] Updated online users:`, msg.users);
         handlePresenceUpdate([...new Set(msg.users)]);
+        setHost(typeof msg.host === 'string' ? msg.host : '');
+        setCohosts(Array.isArray(msg.cohosts) ? msg.cohosts : []);
       }
 
       else if (msg.type === 'typing' && msg.sender !== username) {
@@ -305,48 +799,111 @@ export default function ChatRoom({
         }, WS_CONFIG.TYPING_TIMEOUT);
       }
 
+      else if (msg.type === 'suggest') {
+        setMessages(prev => [...prev, {
+          ...msg,
+          id: `suggest-${msg.sender}-${msg.timestamp || Date.now()}-${messageIdCounter.current++}`,
+          accepted: false,
+        }]);
+      }
+
+      else if (msg.type === 'nick' && typeof msg.content === 'string' && msg.content) {
+        // The server renamed us; the drift check compares the anchor's sender to our name
+        const anchor = playbackAnchorRef.current;
+        if (anchor && anchor.sender === username) {
+          playbackAnchorRef.current = { ...anchor, sender: msg.content };
+        }
+        // The server moved our chat lines and direct messages to the new name, so we can still edit our
+        // recent messages and keep our direct messages in the same conversations
+        const rename = (name) => (name === username ? msg.content : name);
+        setMessages(prev => prev.map(prevMsg => {
+          if (prevMsg.type === 'dm') {
+            return { ...prevMsg, sender: rename(prevMsg.sender), target: rename(prevMsg.target) };
+          }
+          return prevMsg.type === 'message' && !prevMsg.system ? { ...prevMsg, sender: rename(prevMsg.sender) } : prevMsg;
+        }));
+        if (onUsernameChangeRef.current) {
+          onUsernameChangeRef.current(msg.content);
+        }
+      }
+
+      else if (msg.type === 'error') {
+        console.warn(`[${username}] Server refused a request:`, msg.content);
+        setMessages(prev => [...prev, {
+          id: `error-${Date.now()}-${messageIdCounter.current++}`,
+          system: true,
+          local: true,
+          isError: true,
+          content: sanitizeMessage(msg.content),
+          timestamp: Date.now(),
+        }]);
+      }
+
+      else if (msg.type === 'pong') {
+        const sample = createClockSample(msg.clientTime, msg.serverTime, Date.now());
+        clockSamplesRef.current = addClockSample(clockSamplesRef.current, sample);
+        clockOffsetRef.current = estimateClockOffset(clockSamplesRef.current);
+      }
+
+      else if (msg.type === 'position') {
+        const anchor = playbackAnchorRef.current;
+        if (anchor && anchor.videoUrl === msg.videoUrl && typeof msg.currentTime === 'number') {
+          playbackAnchorRef.current = {
+            ...anchor,
+            currentTime: msg.currentTime,
+            updatedAt: msg.updatedAt || getServerNow(),
+          };
+        }
+      }
+
+      else if (msg.type === 'video' && msg.sender === username) {
+        // Our own state echoed back by the server, now stamped with the authoritative time
+        updatePlaybackAnchor(msg);
+      }
+
       else if (msg.type === 'video' && msg.sender !== username) {
-        const newVideoState = {
-          videoUrl: msg.videoUrl || '',
-          playbackState: msg.playbackState,
-          currentTime: msg.currentTime || 0,
-          queue: Array.isArray(msg.queue) ? msg.queue : [],
-          index: typeof msg.index === 'number' ? msg.index : 0,
-        };
+        updatePlaybackAnchor(msg);
 
         const currentState = videoStateRef.current;
-        if (!areVideoStatesEqual(currentState, {
-          youtubeUrl: newVideoState.videoUrl,
-          isYoutubePlaying: newVideoState.playbackState === 'play',
-          currentTime: newVideoState.currentTime,
-          youtubeQueue: newVideoState.queue,
-          currentIndex: newVideoState.index
-        })) {
+        const incomingState = toLocalVideoState(msg);
+        if (!areVideoStatesEqual(currentState, incomingState)) {
+          // Remember it as already shared so applying it locally doesn't echo it back to the room
+          lastVideoStateSentRef.current = incomingState;
           if (onVideoStateChangeRef.current) {
-            onVideoStateChangeRef.current(newVideoState);
+            onVideoStateChangeRef.current(toVideoStateChange(msg));
           }
           setSyncStatus('synced');
-          console.log(`[${username}] Video state updated from ${msg.sender}`);
+          console.log(`[${username}] Video state updated from ${msg.sender || 'the server'}`);
         }
       }
 
       else if (msg.type === 'sync') {
+        // Full snapshot of the room (on join or on request), applied even if we set it last
         if (syncTimeoutRef.current) {
           clearTimeout(syncTimeoutRef.current);
           syncTimeoutRef.current = null;
         }
 
-        if (msg.videoUrl) {
-          const syncedVideoState = {
-            videoUrl: msg.videoUrl,
-            playbackState: msg.playbackState,
-            currentTime: msg.currentTime || 0,
+        updateSkipVote(msg);
+        updateBufferStatus(msg);
+        setModeration(toModerationState(msg));
+        setFilterSettings(toFilterSettings(msg));
+
+        // The queue first, so the entry the video state points at exists
+        if (queueHandlersRef.current.onQueueSnapshot) {
+          queueHandlersRef.current.onQueueSnapshot({
             queue: Array.isArray(msg.queue) ? msg.queue : [],
-            index: typeof msg.index === 'number' ? msg.index : 0,
-          };
+            version: typeof msg.queueVersion === 'number' ? msg.queueVersion : 0,
+            appliedOps: Array.isArray(msg.appliedOps) ? msg.appliedOps : [],
+          });
+        }
+
+        if (msg.videoUrl) {
+          updatePlaybackAnchor(msg);
+          lastVideoStateSentRef.current = toLocalVideoState(msg);
 
           if (onVideoStateChangeRef.current) {
-            onVideoStateChangeRef.current(syncedVideoState);
+            onVideoStateChangeRef.current(toVideoStateChange(msg));
           }
           setSyncStatus('synced');
           console.log(`[${username}] Received video state sync from server.`);
@@ -356,6 +913,68 @@ export default function ChatRoom({
         }
       }
 
+      else if (msg.type === 'queue_op') {
+        if (!msg.op || typeof msg.op !== 'object') {
+          console.warn(`[${username}] Invalid queue op message:`, msg);
+          return;
+        }
+        if (queueHandlersRef.current.onQueueOp) {
+          queueHandlersRef.current.onQueueOp({ op: msg.op, version: msg.version, sender: msg.sender });
+        }
+      }
+
+      else if (msg.type === 'queue_reject') {
+        if (msg.op && queueHandlersRef.current.onQueueReject) {
+          queueHandlersRef.current.onQueueReject({ opId: msg.op.id });
+        }
+      }
+
+      else if (msg.type === 'vote_status') {
+        updateSkipVote(msg);
+      }
+
+      else if (msg.type === 'buffer_status') {
+        updateBufferStatus(msg);
+      }
+
+      else if (msg.type === 'moderation') {
+        setModeration(toModerationState(msg));
+      }
+
+      else if (msg.type === 'content_filters') {
+        setFilterSettings(toFilterSettings(msg));
+      }
+
+      else if (msg.type === 'reaction') {
+        if (!msg.reaction || typeof msg.videoId !== 'string') {
+          console.warn(`[${username}] Invalid reaction message:`, msg);
+          return;
+        }
+        if (reactionHandlersRef.current.onReaction) {
+          reactionHandlersRef.current.onReaction({ videoId: msg.videoId, reaction: msg.reaction });
+        }
+      }
+
+      else if (msg.type === 'subtitles') {
+        if (typeof msg.entryId !== 'string' || !msg.entryId) {
+          console.warn(`[${username}] Invalid subtitles message:`, msg);
+          return;
+        }
+        if (onSubtitlesRef.current) {
+          onSubtitlesRef.current({ entryId: msg.entryId, subtitles: msg.subtitles || null });
+        }
+      }
+
+      else if (msg.type === 'reactions') {
+        if (typeof msg.videoId !== 'string') return;
+        if (reactionHandlersRef.current.onReactionHistory) {
+          reactionHandlersRef.current.onReactionHistory({
+            videoId: msg.videoId,
+            reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
+          });
+        }
+      }
+
       else if (msg.type === 'watchHours' && msg.sender !== username) {
         if (typeof msg.sender !== 'string' || typeof msg.watchHours !== 'number') {
           console.warn(`[${username}] Invalid watchHours message:`, msg);
@@ -367,7 +986,7 @@ export default function ChatRoom({
     } catch (err) {
       console.error(`[${username}] Error parsing WebSocket message:`, err, 'Raw message:', event.data);
     }
-  }, [username, areVideoStatesEqual, handleWatchHoursUpdate]);
+  }, [username, roomCode, areVideoStatesEqual, handleWatchHoursUpdate, getServerNow, notifyMention, markUnread]);
 
   const connect = useCallback(() => {
     if (isUnmountingRef.current) return;
@@ -394,7 +1013,7 @@ export default function ChatRoom({
       }
     }
 
-    const socket = new WebSocket(WS_CONFIG.URL);
+    const socket = new WebSocket(`${WS_CONFIG.URL}?room=${encodeURIComponent(roomCode)}&id=${encodeURIComponent(getClientId())}`);
     wsRef.current = socket;
 
     socket.onopen = () => {
@@ -410,6 +1029,9 @@ export default function ChatRoom({
 
       socket.send(username);
 
+      // Catch up on what was said before we joined or while we were disconnected
+      sendSocketMessage({ type: 'history', limit: CHAT_HISTORY_CONFIG.INITIAL_MESSAGES });
+
       const currentVideoState = videoStateRef.current;
       if (currentVideoState && currentVideoState.youtubeUrl) {
         sendVideoState(currentVideoState, true);
@@ -448,14 +1070,27 @@ export default function ChatRoom({
         reconnectTimeoutRef.current = null;
       }
 
-      if (!isUnmountingRef.current && event.code !== 1000) {
+      // Kicked or banned: reconnecting would only bring us back against the host's wishes, or be refused
+      const removalNotice = getRemovalNotice(event.code, event.reason);
+      if (removalNotice) {
+        console.warn(`[${username}] Removed from the room: ${removalNotice}`);
+        setRemovedNotice(removalNotice);
+        setMessages(prev => [...prev, {
+          id: `error-${Date.now()}-${messageIdCounter.current++}`,
+          system: true,
+          local: true,
+          isError: true,
+          content: removalNotice,
+          timestamp: Date.now(),
+        }]);
+      } else if (!isUnmountingRef.current && event.code !== 1000) {
         reconnectAttemptsRef.current++;
         const delay = Math.min(
           WS_CONFIG.RECONNECT_INTERVAL_MS * Math.pow(WS_CONFIG.EXPONENTIAL_BACKOFF_FACTOR, reconnectAttemptsRef.current - 1),
           30000
         );
         console.log(`[${username}] Reconnecting in ${Math.floor(delay)}ms...`);
-        reconnectTimeoutRef.current = setTimeout(connect, delay);
+        reconnectTimeoutRef.current = setTimeout(() => connectRef.current(), delay);
       } else if (event.code === 1000) {
         console.log(`[${username}] WebSocket closed normally with code 1000.`);
       }
@@ -466,7 +1101,7 @@ export default function ChatRoom({
       setIsConnected(false);
       setSyncStatus('waiting');
     };
-  }, [username, sendVideoState, requestVideoSync, handleWebSocketMessage]);
+  }, [username, roomCode, sendVideoState, requestVideoSync, handleWebSocketMessage, sendSocketMessage]);
 
   // Initialize connection once
   useEffect(() => {
@@ -507,29 +1142,490 @@ export default function ChatRoom({
     };
   }, []); // Empty dependency array - only run once
 
-  // Separate effect for username changes (if username can change)
+  // The username can change with /nick: reconnects must introduce us with the new name and the open
+  // socket must hand messages to a handler that knows it
   useEffect(() => {
-    if (connectionInitializedRef.current && wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-      // If username changes after connection, we might need to reconnect
-      // This is optional - only if your username can change during the session
-      console.log(`[${username}] Username changed, may need to reconnect`);
+    connectRef.current = connect;
+    if (wsRef.current) {
+      wsRef.current.onmessage = handleWebSocketMessage;
     }
-  }, [username]);
+  }, [connect, handleWebSocketMessage]);
 
-  useEffect(() => {
-    scrollToBottom();
+  const messageById = useMemo(() => new Map(messages.map(msg => [msg.id, msg])), [messages]);
+  const conversationMessages = useMemo(
+    () => messages.filter(msg => isInConversation(msg, activeConversation, username)),
+    [messages, activeConversation, username]
+  );
+  const isSearching = showSearch && !!searchQuery.trim();
+  const searchMatches = useMemo(
+    () => (isSearching ? conversationMessages.filter(msg => messageMatchesSearch(msg, searchQuery)) : []),
+    [isSearching, conversationMessages, searchQuery]
+  );
+  const listedMessages = isSearching ? searchMatches : conversationMessages;
+  const currentMatch = searchMatches[Math.min(searchMatchIndex, searchMatches.length - 1)] || null;
+  const listedIds = useMemo(() => listedMessages.map(msg => msg.id), [listedMessages]);
+  const messageWindow = useMessageWindow(messageListRef, listedIds);
+  const { scrollToBottom, scrollToKey, isAtBottom } = messageWindow;
+
+  // Keep the view steady when older messages are prepended, follow the conversation when new ones arrive
+  useLayoutEffect(() => {
+    const list = messageListRef.current;
+    const lastMessage = messages[messages.length - 1];
+    const lastMessageId = lastMessage ? lastMessage.id : null;
+    if (!list) return;
+
+    const anchor = scrollAnchorRef.current;
+    if (anchor && messages.length > 0 && messages[0].id !== anchor.firstId) {
+      list.scrollTop += list.scrollHeight - anchor.scrollHeight;
+      scrollAnchorRef.current = null;
+    } else if (lastMessageId !== lastMessageIdRef.current && !isSearchingRef.current) {
+      scrollToBottom();
+    }
+    lastMessageIdRef.current = lastMessageId;
   }, [messages, scrollToBottom]);
 
-  // Send video state when it changes (debounced)
+  // Keep a long session light: while following the chat, drop the oldest messages past the limit.
+  // Scrolling back up loads them from the server's history again.
+  useEffect(() => {
+    if (messages.length <= CHAT_HISTORY_CONFIG.MAX_LOADED_MESSAGES || !isAtBottom() ||
+        isSearchingRef.current || isLoadingHistory || scrollAnchorRef.current) return;
+    const trimmed = trimChatMessages(messages, CHAT_HISTORY_CONFIG.MAX_LOADED_MESSAGES);
+    historyCursorRef.current = getOldestServerMessageId(trimmed);
+    setHasMoreHistory(true);
+    setMessages(trimmed);
+  }, [messages, isLoadingHistory, isAtBottom]);
+
+  const loadOlderMessages = useCallback(() => {
+    if (!hasMoreHistory || isLoadingHistory || !historyCursorRef.current) return;
+    try {
+      if (sendSocketMessage({ type: 'history', before: historyCursorRef.current, limit: CHAT_HISTORY_CONFIG.PAGE_SIZE })) {
+        setIsLoadingHistory(true);
+        scrollAnchorRef.current = messageListRef.current
+          ? { scrollHeight: messageListRef.current.scrollHeight, firstId: messages.length > 0 ? messages[0].id : null }
+          : null;
+      }
+    } catch (err) {
+      console.error(`[${username}] Error requesting older messages:`, err);
+    }
+  }, [hasMoreHistory, isLoadingHistory, messages, username, sendSocketMessage]);
+
+  const handleMessageListScroll = useCallback((e) => {
+    if (e.currentTarget.scrollTop <= CHAT_HISTORY_CONFIG.LOAD_MORE_THRESHOLD_PX) {
+      loadOlderMessages();
+    }
+  }, [loadOlderMessages]);
+
+  const sendSuggestion = useCallback((action, videoUrl = '') => {
+    try {
+      sendSocketMessage({ type: 'suggest', action, videoUrl });
+    } catch (err) {
+      console.error(`[${username}] Error sending suggestion:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  // Pending ops are re-sent from the snapshot we get after reconnecting, so nothing to do while offline
+  const sendQueueOp = useCallback((op) => {
+    try {
+      sendSocketMessage({ type: 'queue_op', op });
+    } catch (err) {
+      console.error(`[${username}] Error sending queue op:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  // After a local seek: the state itself didn't change, so force sending it with the new position
+  const sendSeek = useCallback(() => {
+    if (videoStateRef.current) {
+      sendVideoState(videoStateRef.current, true);
+    }
+  }, [sendVideoState]);
+
+  // Reactions are tied to the current video and where it was when the reaction was sent
+  const sendReaction = useCallback((emoji) => {
+    const currentState = videoStateRef.current;
+    const videoUrl = currentState ? currentState.youtubeUrl : '';
+    const videoId = getMediaKey(videoUrl);
+    if (!videoId) return;
+
+    const position = readPlayerPosition(videoUrl);
+    const anchor = playbackAnchorRef.current;
+    const currentTime = position
+      ? position.currentTime
+      : (anchor && anchor.videoUrl === videoUrl ? getExpectedPosition(anchor, getServerNow()) : 0);
+    try {
+      sendSocketMessage({ type: 'reaction', content: emoji, videoUrl, videoId, currentTime });
+    } catch (err) {
+      console.error(`[${username}] Error sending reaction:`, err);
+    }
+  }, [username, sendSocketMessage, readPlayerPosition, getServerNow]);
+
+  // Shares a parsed subtitle file ({ label, cues }) for a queue entry
+  const sendSubtitles = useCallback((entryId, subtitles) => {
+    try {
+      sendSocketMessage({ type: 'subtitles', entryId, subtitles });
+    } catch (err) {
+      console.error(`[${username}] Error sending subtitles:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const voteSkip = useCallback(() => {
+    try {
+      sendSocketMessage({ type: 'vote_skip' });
+    } catch (err) {
+      console.error(`[${username}] Error sending skip vote:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleSkipThresholdChange = useCallback((e) => {
+    try {
+      sendSocketMessage({ type: 'skip_threshold', threshold: parseFloat(e.target.value) });
+    } catch (err) {
+      console.error(`[${username}] Error changing skip threshold:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleWaitModeChange = useCallback((e) => {
+    try {
+      sendSocketMessage({ type: 'wait_mode', enabled: e.target.checked });
+    } catch (err) {
+      console.error(`[${username}] Error changing wait mode:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  // Shows a note from a slash command in our chat only
+  const addCommandNote = useCallback((content) => {
+    setMessages(prev => [...prev, {
+      id: `note-${Date.now()}-${messageIdCounter.current++}`,
+      system: true,
+      local: true,
+      content,
+      timestamp: Date.now(),
+    }]);
+  }, []);
+
+  // Runs our own message through the room's filters and tells us what they changed; null if it can't be sent
+  const filterOutgoing = useCallback((content) => {
+    const result = runContentFilters(sanitizeMessage(content), filterSettingsRef.current);
+    if (result.blocked) {
+      addCommandNote(`Your message wasn't sent. ${result.notes.join(' ')}`);
+      return null;
+    }
+    if (result.notes.length > 0) {
+      addCommandNote(`Your message was changed. ${result.notes.join(' ')}`);
+    }
+    return result.text.trim() || null;
+  }, [addCommandNote]);
+
+  const handleSaveEdit = useCallback((id, content) => {
+    const filteredContent = filterOutgoing(content);
+    if (!filteredContent) return;
+    try {
+      sendSocketMessage({ type: 'message_edit', id, content: filteredContent });
+      setEditingMessageId(null);
+    } catch (err) {
+      console.error(`[${username}] Error editing message:`, err);
+    }
+  }, [username, sendSocketMessage, filterOutgoing]);
+
+  const handleDeleteMessage = useCallback((id) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+    try {
+      sendSocketMessage({ type: 'message_delete', id });
+    } catch (err) {
+      console.error(`[${username}] Error deleting message:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleTransferHost = useCallback((target) => {
+    if (!window.confirm(`Make ${target} the host? You will lose control of playback.`)) return;
+    try {
+      sendSocketMessage({ type: 'transfer_host', target });
+    } catch (err) {
+      console.error(`[${username}] Error transferring host:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleToggleCohost = useCallback((target, enabled) => {
+    try {
+      sendSocketMessage({ type: 'cohost', target, enabled });
+    } catch (err) {
+      console.error(`[${username}] Error updating co-host:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleMute = useCallback((target, enabled) => {
+    try {
+      sendSocketMessage({ type: 'mute', target, enabled });
+    } catch (err) {
+      console.error(`[${username}] Error updating mute:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  // Kicks or bans a user, after asking the host for an optional reason shown to them and in the chat
+  const handleRemoveUser = useCallback((target, ban) => {
+    const reason = window.prompt(ban
+      ? `Ban ${target}? They can't come back while the room exists. Reason (optional):`
+      : `Kick ${target} from the room? Reason (optional):`, '');
+    if (reason === null) return;
+    try {
+      sendSocketMessage({ type: ban ? 'ban' : 'kick', target, content: sanitizeMessage(reason).slice(0, MODERATION_CONFIG.MAX_REASON_LENGTH) });
+    } catch (err) {
+      console.error(`[${username}] Error removing user:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleUnban = useCallback((target) => {
+    try {
+      sendSocketMessage({ type: 'unban', target });
+    } catch (err) {
+      console.error(`[${username}] Error unbanning user:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleSlowModeChange = useCallback((e) => {
+    try {
+      sendSocketMessage({ type: 'slow_mode', slowMode: Number(e.target.value) });
+    } catch (err) {
+      console.error(`[${username}] Error changing slow mode:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleQueueLockChange = useCallback((e) => {
+    try {
+      sendSocketMessage({ type: 'queue_lock', enabled: e.target.checked });
+    } catch (err) {
+      console.error(`[${username}] Error locking the queue:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleSaveFilters = useCallback((filters) => {
+    try {
+      sendSocketMessage({ type: 'content_filters', filters });
+      setShowFilterPanel(false);
+    } catch (err) {
+      console.error(`[${username}] Error saving chat filters:`, err);
+    }
+  }, [username, sendSocketMessage]);
+
+  const handleAcceptSuggestion = useCallback((suggestion) => {
+    if (onSuggestionAccept) {
+      onSuggestionAccept(suggestion);
+    }
+    setMessages(prev => prev.map(msg => (msg.id === suggestion.id ? { ...msg, accepted: true } : msg)));
+  }, [onSuggestionAccept]);
+
+  // Expose room actions to the page that owns the player controls
+  useEffect(() => {
+    if (!roomActionsRef) return;
+    roomActionsRef.current = { sendSuggestion, voteSkip, sendQueueOp, requestSync: requestVideoSync, sendSeek, sendReaction, sendSubtitles };
+    return () => {
+      roomActionsRef.current = null;
+    };
+  }, [roomActionsRef, sendSuggestion, voteSkip, sendQueueOp, requestVideoSync, sendSeek, sendReaction, sendSubtitles]);
+
+  // Fetch what people reacted to the current video in earlier viewings, for the heatmap and replay
+  const currentVideoId = getMediaKey(videoState ? videoState.youtubeUrl : '');
+  useEffect(() => {
+    if (!isConnected || !currentVideoId) return;
+    try {
+      sendSocketMessage({ type: 'reactions', videoId: currentVideoId });
+    } catch (err) {
+      console.error(`[${username}] Error requesting reactions:`, err);
+    }
+  }, [isConnected, currentVideoId, username, sendSocketMessage]);
+
+  // Fetch the subtitle track someone may have loaded for the entry that is playing
+  const currentEntryId = videoState ? videoState.currentEntryId : null;
+  useEffect(() => {
+    if (!isConnected || !currentEntryId) return;
+    try {
+      sendSocketMessage({ type: 'subtitles_request', entryId: currentEntryId });
+    } catch (err) {
+      console.error(`[${username}] Error requesting subtitles:`, err);
+    }
+  }, [isConnected, currentEntryId, username, sendSocketMessage]);
+
+  // Estimate the server clock offset: a quick burst after connecting, then a steady trickle
+  useEffect(() => {
+    if (!isConnected) return;
+
+    clockSamplesRef.current = [];
+    const burstTimeouts = Array.from({ length: CLOCK_SYNC_CONFIG.INITIAL_PING_BURST }, (_, i) =>
+      setTimeout(sendClockPing, i * CLOCK_SYNC_CONFIG.INITIAL_PING_SPACING_MS)
+    );
+    const intervalId = setInterval(sendClockPing, CLOCK_SYNC_CONFIG.PING_INTERVAL_MS);
+
+    return () => {
+      burstTimeouts.forEach(clearTimeout);
+      clearInterval(intervalId);
+    };
+  }, [isConnected, sendClockPing]);
+
+  // Periodically report our real player position; the server only uses it if we set the current state
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const intervalId = setInterval(() => {
+      const currentState = videoStateRef.current;
+      const position = currentState && readPlayerPosition(currentState.youtubeUrl);
+      if (!position) return;
+
+      try {
+        sendSocketMessage({
+          type: 'position',
+          videoUrl: position.url,
+          currentTime: position.currentTime,
+          updatedAt: Math.round(getServerNow()),
+        });
+      } catch (err) {
+        console.error(`[${username}] Error sending position report:`, err);
+      }
+    }, CLOCK_SYNC_CONFIG.POSITION_REPORT_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [isConnected, username, sendSocketMessage, readPlayerPosition, getServerNow]);
+
+  // Tell the room when our player is buffering. Once it stalled we only report being ready again when
+  // a few seconds are loaded, otherwise a paused room would resume straight into the next stall.
+  useEffect(() => {
+    if (!isConnected) return;
+
+    reportedBufferingRef.current = false; // The server forgot our report when we disconnected
+    const intervalId = setInterval(() => {
+      const currentState = videoStateRef.current;
+      const position = currentState && readPlayerPosition(currentState.youtubeUrl);
+
+      let isBuffering = false;
+      if (position) {
+        isBuffering = position.isBuffering === true;
+        if (!isBuffering && reportedBufferingRef.current && typeof position.bufferedAhead === 'number') {
+          const remaining = position.duration ? position.duration - position.currentTime : Infinity;
+          isBuffering = position.bufferedAhead < Math.min(BUFFERING_CONFIG.READY_AHEAD_S, remaining - 0.5);
+        }
+      }
+      if (isBuffering === reportedBufferingRef.current) return;
+
+      try {
+        sendSocketMessage({
+          type: 'buffering',
+          enabled: isBuffering,
+          videoUrl: position ? position.url : '',
+        });
+        reportedBufferingRef.current = isBuffering;
+      } catch (err) {
+        console.error(`[${username}] Error sending buffering state:`, err);
+      }
+    }, BUFFERING_CONFIG.CHECK_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [isConnected, username, sendSocketMessage, readPlayerPosition]);
+
+  // Compare the local player to the shared anchor and seek or nudge the playback rate when drifting
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const applyCorrection = (correction) => {
+      if (onPlaybackCorrectionRef.current) {
+        onPlaybackCorrectionRef.current(correction);
+      }
+    };
+
+    const intervalId = setInterval(() => {
+      const anchor = playbackAnchorRef.current;
+      const position = anchor && readPlayerPosition(anchor.videoUrl);
+      if (!position) return;
+
+      // Whoever set the state is the reference and never corrects itself
+      const baseRate = anchor.playbackRate || 1;
+      if (anchor.sender === username) {
+        if (correctionRateRef.current !== baseRate) {
+          correctionRateRef.current = baseRate;
+          applyCorrection({ playbackRate: baseRate });
+        }
+        return;
+      }
+
+      const expected = getExpectedPosition(anchor, getServerNow());
+      const drift = position.currentTime - expected;
+
+      // A paused player can't catch up by changing speed, so any visible drift is a seek
+      const correction = anchor.isPlaying
+        ? getDriftCorrection(drift, baseRate, position.availablePlaybackRates)
+        : { action: Math.abs(drift) > CLOCK_SYNC_CONFIG.DRIFT_TOLERANCE_S ? 'seek' : 'none', playbackRate: baseRate };
+
+      if (correction.action === 'seek') {
+        console.log(`[${username}] Drifted ${drift.toFixed(2)}s from the room, seeking to ${expected.toFixed(2)}s`);
+        applyCorrection({ seekTo: expected });
+      }
+      if (correction.playbackRate !== correctionRateRef.current) {
+        correctionRateRef.current = correction.playbackRate;
+        applyCorrection({ playbackRate: correction.playbackRate });
+      }
+    }, CLOCK_SYNC_CONFIG.DRIFT_CHECK_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [isConnected, username, readPlayerPosition, getServerNow]);
+
+  // Send video state when it changes (debounced), and again when we gain control
   useEffect(() => {
-    if (videoState && isConnected && connectionInitializedRef.current) {
+    if (videoState && isConnected && canControl && connectionInitializedRef.current) {
       const timeoutId = setTimeout(() => {
         sendVideoState(videoState);
       }, 100); // Small debounce to prevent rapid fire
 
       return () => clearTimeout(timeoutId);
     }
-  }, [videoState, isConnected, sendVideoState]);
+  }, [videoState, isConnected, canControl, sendVideoState]);
+
+  // "Add to queue" on a YouTube link in the chat, same as /queue
+  const handleQueueLinkedVideo = useCallback((url) => {
+    const actions = commandActionsRef.current;
+    const note = actions && actions.queue ? actions.queue(url) : 'Videos can only be queued from a watch room.';
+    if (note) {
+      addCommandNote(note);
+    }
+  }, [addCommandNote]);
+
+  const runCommand = useCallback((commandInput) => {
+    // Chat commands are handled here, playback and queue commands by the page that owns the player
+    const context = {
+      ...commandActionsRef.current,
+      registry: commandRegistry,
+      nick: (name) => {
+        sendSocketMessage({ type: 'nick', content: name });
+      },
+      emote: (action) => {
+        const content = filterOutgoing(action);
+        if (!content) return;
+        const conversation = activeConversationRef.current;
+        sendSocketMessage(conversation
+          ? { type: 'dm', target: conversation, content, emote: true, timestamp: Date.now() }
+          : { type: 'message', content, emote: true, timestamp: Date.now() });
+        if (onMessageSent) {
+          onMessageSent();
+        }
+      },
+      roll: (sides) => {
+        sendSocketMessage({ type: 'roll', limit: sides });
+      },
+      clear: () => {
+        setMessages([]);
+        setHasMoreHistory(false);
+        setEditingMessageId(null);
+        setReplyingTo(null);
+        setUnreadCounts({});
+      },
+    };
+
+    try {
+      const result = runChatCommand(commandRegistry, commandInput, context);
+      console.log(`[${username}] Ran chat command:`, commandInput);
+      if (result && result.note) {
+        addCommandNote(result.note);
+      }
+    } catch (err) {
+      console.error(`[${username}] Error running chat command:`, err);
+    }
+  }, [username, commandRegistry, onMessageSent, sendSocketMessage, addCommandNote, filterOutgoing]);
 
   const sendMessage = useCallback(() => {
     const trimmedInput = input.trim();
@@ -545,21 +1641,30 @@ export default function ChatRoom({
       return;
     }
 
-    const now = Date.now();
-    if (lastSentMessageRef.current === trimmedInput) {
-      console.log(`[${username}] Preventing duplicate message send:`, trimmedInput);
+    // Browsers only let us ask from a user action, the first message we send is a good moment
+    if (!askedNotificationPermissionRef.current && !mentionAlertsMutedRef.current) {
+      askedNotificationPermissionRef.current = true;
+      requestNotificationPermission();
+    }
+
+    if (parseCommandInput(trimmedInput)) {
+      runCommand(trimmedInput);
+      setInput('');
       return;
     }
 
     try {
-      const sanitizedContent = sanitizeMessage(trimmedInput);
+      // "//" escapes a message that should start with a slash instead of running a command
+      const sanitizedContent = filterOutgoing(trimmedInput.startsWith('//') ? trimmedInput.slice(1) : trimmedInput);
+      if (!sanitizedContent) return; // Blocked by a filter, the input stays so it can be fixed
       const messageData = {
-        type: 'message',
+        ...(activeConversation ? { type: 'dm', target: activeConversation } : { type: 'message' }),
         content: sanitizedContent,
-        timestamp: now
+        timestamp: Date.now(),
+        ...(replyingTo ? { replyTo: replyingTo.id } : {}),
       };
 
-      wsRef.current.send(JSON.stringify(messageData));
+      sendSocketMessage(messageData);
       console.log(`[${username}] Message sent:`, sanitizedContent);
 
       // Call the onMessageSent prop if it exists
@@ -567,21 +1672,182 @@ export default function ChatRoom({
         onMessageSent();
       }
 
-      lastSentMessageRef.current = trimmedInput;
       setInput('');
-
-      setTimeout(() => {
-        if (lastSentMessageRef.current === trimmedInput) {
-          lastSentMessageRef.current = '';
-        }
-      }, WS_CONFIG.DUPLICATE_CHECK_WINDOW);
-
+      setReplyingTo(null);
     } catch (err) {
       console.error(`[${username}] Error sending message:`, err);
     }
-  }, [input, username, onMessageSent]); // Add onMessageSent to dependencies
+  }, [input, replyingTo, activeConversation, username, onMessageSent, sendSocketMessage, runCommand, filterOutgoing]); // Add onMessageSent to dependencies
+
+  const openConversation = useCallback((conversation) => {
+    if (conversation) {
+      setConversations(prev => (prev.includes(conversation) ? prev : [...prev, conversation]));
+    }
+    setActiveConversation(conversation);
+    setUnreadCounts(prev => ({ ...prev, [conversation]: 0 }));
+    setReplyingTo(null);
+    setEditingMessageId(null);
+  }, []);
+
+  const closeConversation = useCallback((conversation) => {
+    setConversations(prev => prev.filter(name => name !== conversation));
+    setUnreadCounts(prev => ({ ...prev, [conversation]: 0 }));
+    if (activeConversation === conversation) {
+      openConversation(ROOM_CONVERSATION);
+    }
+  }, [activeConversation, openConversation]);
+
+  // Start at the latest message when switching conversations
+  useLayoutEffect(() => {
+    scrollToBottom();
+  }, [activeConversation, scrollToBottom]);
+
+  const handleReply = useCallback((msg) => {
+    setReplyingTo({ id: msg.id, sender: msg.sender, content: msg.content });
+    if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, []);
+
+  // Scrolls the original of a reply into view and highlights it for a moment
+  const handleJumpToMessage = useCallback((id) => {
+    if (!scrollToKey(id)) {
+      addCommandNote('The original message is older than the loaded chat history.');
+      return;
+    }
+    setHighlightedMessageId(id);
+    clearTimeout(highlightTimeoutRef.current);
+    highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageId(null), CHAT_CONFIG.JUMP_HIGHLIGHT_MS);
+  }, [addCommandNote, scrollToKey]);
+
+  useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
+
+  useEffect(() => {
+    isSearchingRef.current = isSearching;
+  }, [isSearching]);
+
+  // A new search starts at the most recent match
+  useEffect(() => {
+    setSearchMatchIndex(Number.MAX_SAFE_INTEGER);
+  }, [searchQuery, activeConversation]);
+
+  useEffect(() => {
+    if (currentMatch) {
+      scrollToKey(currentMatch.id);
+    }
+  }, [currentMatch, scrollToKey]);
+
+  // Moves to the previous (-1) or next (1) match, wrapping around
+  const stepSearchMatch = useCallback((step) => {
+    if (searchMatches.length === 0) return;
+    setSearchMatchIndex(prev => (Math.min(prev, searchMatches.length - 1) + step + searchMatches.length) % searchMatches.length);
+  }, [searchMatches.length]);
+
+  const handleSearchKeyDown = useCallback((e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      stepSearchMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      setShowSearch(false);
+      setSearchQuery('');
+    }
+  }, [stepSearchMatch]);
+
+  // Downloads the loaded messages of the open conversation
+  const handleExportTranscript = useCallback((format) => {
+    const exportedAt = new Date();
+    const transcript = formatTranscript(conversationMessages, format, { roomCode, exportedAt });
+    const url = URL.createObjectURL(new Blob([transcript], { type: `${TRANSCRIPT_FORMATS[format].mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getTranscriptFileName(roomCode, format, exportedAt);
+    link.click();
+    URL.revokeObjectURL(url);
+    setShowExportMenu(false);
+  }, [conversationMessages, roomCode]);
+
+  const handleToggleMentionAlerts = useCallback(() => {
+    const muted = !mentionAlertsMuted;
+    setMentionAlertsMuted(muted);
+    safeLocalStorageSet(STORAGE_KEYS.MENTION_ALERTS_MUTED, muted);
+    if (!muted) {
+      requestNotificationPermission();
+    }
+  }, [mentionAlertsMuted]);
+
+  // Restore the caret after a suggestion was completed in the middle of the input
+  useLayoutEffect(() => {
+    if (pendingCaretRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current);
+      setCaretPosition(pendingCaretRef.current);
+      pendingCaretRef.current = null;
+    }
+  }, [input]);
+
+  const completeInput = (value, caret) => {
+    pendingCaretRef.current = caret;
+    setInput(value);
+    setSuggestionIndex(0);
+  };
+
+  // Suggest commands while a command name is typed and show its usage once arguments follow,
+  // otherwise suggest online users while an @mention is typed
+  const commandSuggestions = !suggestionsDismissed && /^\/[a-z0-9-]*$/i.test(input) ? commandRegistry.suggest(input.slice(1)) : [];
+  const typedCommand = parseCommandInput(input);
+  const typedCommandUsage = commandSuggestions.length === 0 && typedCommand && /\s/.test(input.trimStart())
+    ? commandRegistry.get(typedCommand.name)
+    : null;
+  const mentionQuery = !suggestionsDismissed && !typedCommand ? getMentionQuery(input, caretPosition) : null;
+  const suggestions = commandSuggestions.length > 0
+    ? commandSuggestions.map(command => ({
+      key: command.name,
+      label: command.usage,
+      description: command.description,
+      complete: () => completeInput(`/${command.name} `, command.name.length + 2),
+    }))
+    : (mentionQuery ? suggestMentions(onlineUsers.map(user => user.username), mentionQuery.query, username) : []).map(name => {
+      const before = `${input.slice(0, mentionQuery.start)}@${name} `;
+      return {
+        key: name,
+        label: `@${name}`,
+        description: '',
+        complete: () => completeInput(before + input.slice(caretPosition).replace(/^\S*\s?/, ''), before.length),
+      };
+    });
+  const highlightedSuggestionIndex = Math.min(suggestionIndex, suggestions.length - 1);
+
+  const handleInputChange = (e) => {
+    setInput(e.target.value);
+    setCaretPosition(e.target.selectionStart);
+    setSuggestionIndex(0);
+    setSuggestionsDismissed(false);
+  };
 
   const handleKeyPress = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setSuggestionIndex((highlightedSuggestionIndex + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      // Enter completes a partly typed command name or mention, and runs a complete command
+      if (e.key === 'Tab' || (e.key === 'Enter' && !(commandSuggestions.length > 0 && commandRegistry.get(input.slice(1).toLowerCase())))) {
+        e.preventDefault();
+        suggestions[highlightedSuggestionIndex].complete();
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setSuggestionsDismissed(true);
+        return;
+      }
+    }
+    if (e.key === 'Escape' && replyingTo) {
+      e.preventDefault();
+      setReplyingTo(null);
+      return;
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       sendMessage();
@@ -601,12 +1867,24 @@ export default function ChatRoom({
 
   const syncIndicator = getSyncStatusIndicator();
 
+  const getInputPlaceholder = () => {
+    if (removedNotice) return removedNotice;
+    if (!isConnected) return 'Connecting...';
+    if (isMuted) return 'You are muted in this room';
+    if (activeConversation) return `Message ${activeConversation} privately...`;
+    if (moderation.slowMode > 0 && !canControl) return `Slow mode: one message every ${moderation.slowMode}s`;
+    return 'Type a message or / for commands...';
+  };
+
+  const inputPlaceholder = getInputPlaceholder();
+
   return (
     <>
       <div className="mt-6 bg-black bg-opacity-40 backdrop-blur-md rounded-3xl shadow-2xl p-4 max-h-96 flex flex-col border border-pink-500 mb-32">
         <div className="flex items-center justify-between mb-2">
           <h3 className="text-pink-300 text-xl font-bold text-center drop-shadow-[0_0_5px_rgba(255,105,180,0.7)] flex items-center justify-center gap-2">
-            Chatroom {!isConnected && <span className="text-red-400 text-sm">(Connecting...)</span>}
+            Chatroom <span className="text-pink-400 text-sm font-mono">#{roomCode}</span>
+            {!isConnected && <span className="text-red-400 text-sm">(Connecting...)</span>}
             {typingUsers.length > 0 && (
               <span className="text-pink-400 italic text-sm">
                 {typingUsers.filter(user => user !== username).join(', ')} is Typing...
@@ -614,6 +1892,32 @@ export default function ChatRoom({
             )}
           </h3>
           <div className="flex items-center gap-2">
+            <button
+              onClick={() => setShowSearch(prev => !prev)}
+              className="text-sm leading-none"
+              title="Search the chat"
+              aria-label={showSearch ? 'Close chat search' : 'Search the chat'}
+              aria-expanded={showSearch}
+            >
+              🔍
+            </button>
+            <button
+              onClick={() => setShowExportMenu(prev => !prev)}
+              className="text-sm leading-none"
+              title="Download the loaded messages as a transcript"
+              aria-label="Export the chat transcript"
+              aria-expanded={showExportMenu}
+            >
+              💾
+            </button>
+            <button
+              onClick={handleToggleMentionAlerts}
+              className="text-sm leading-none"
+              title={mentionAlertsMuted ? 'Mention alerts are muted' : 'Sound and notification when someone mentions you while the chat is hidden'}
+              aria-label={mentionAlertsMuted ? 'Unmute mention alerts' : 'Mute mention alerts'}
+            >
+              {mentionAlertsMuted ? '🔕' : '🔔'}
+            </button>
             <div className={`w-3 h-3 rounded-full ${syncIndicator.color}`}
                  title={syncIndicator.title} />
             <div className={`w-3 h-3 rounded-full ${isConnected ? 'bg-green-400' : 'bg-red-400'}`}
@@ -621,39 +1925,286 @@ export default function ChatRoom({
           </div>
         </div>
 
-        <div className="flex-1 overflow-y-auto mb-2 px-2" style={{ minHeight: '200px' }}>
-          {messages.length === 0 ? (
+        {videoState && videoState.youtubeUrl && (
+          <div className="flex items-center justify-between gap-2 mb-2 px-2 py-1 rounded-lg bg-purple-900 bg-opacity-50 text-sm">
+            <span className="text-pink-200">
+              ⏩ Vote to skip: <span className="font-bold">{skipVote.votes.length}/{skipVote.required || '?'}</span> voted
+            </span>
+            <div className="flex items-center gap-2">
+              {canControl && (
+                <select
+                  value={skipVote.threshold || 0.5}
+                  onChange={handleSkipThresholdChange}
+                  className="px-1 py-0.5 bg-pink-900 bg-opacity-50 rounded-md text-white text-xs focus:outline-none focus:ring-2 focus:ring-pink-500 cursor-pointer"
+                  aria-label="Share of online users needed to skip"
+                >
+                  {[0.25, 0.5, 0.75, 1].map(value => (
+                    <option key={value} value={value}>{value * 100}%</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={voteSkip}
+                disabled={!isConnected}
+                className="px-2 py-0.5 text-xs bg-pink-600 hover:bg-pink-700 rounded-full text-white font-bold transition duration-300 disabled:opacity-50"
+              >
+                {skipVote.votes.includes(username) ? 'Retract vote' : 'Vote'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {videoState && videoState.youtubeUrl && (canControl || bufferStatus.waitForAll) && (
+          <div className="flex items-center justify-between gap-2 mb-2 px-2 py-1 rounded-lg bg-purple-900 bg-opacity-50 text-sm">
+            <span className="text-pink-200 truncate">
+              {bufferStatus.held
+                ? `⏳ Waiting for ${bufferStatus.buffering.filter(user => user !== username).join(', ') || 'you'} to buffer…`
+                : '⏳ Wait for everyone'}
+            </span>
+            {canControl ? (
+              <input
+                type="checkbox"
+                checked={bufferStatus.waitForAll}
+                onChange={handleWaitModeChange}
+                disabled={!isConnected}
+                className="accent-pink-500 cursor-pointer"
+                aria-label="Pause playback while anyone is buffering"
+              />
+            ) : (
+              <span className="text-pink-300 text-xs font-semibold">On</span>
+            )}
+          </div>
+        )}
+
+        {isHost && (
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2 px-2 py-1 rounded-lg bg-purple-900 bg-opacity-50 text-sm text-pink-200">
+            <label className="flex items-center gap-1">
+              🐢 Slow mode
+              <select
+                value={moderation.slowMode}
+                onChange={handleSlowModeChange}
+                disabled={!isConnected}
+                className="px-1 py-0.5 bg-pink-900 bg-opacity-50 rounded-md text-white text-xs focus:outline-none focus:ring-2 focus:ring-pink-500 cursor-pointer"
+                aria-label="Seconds everyone else waits between messages"
+              >
+                {[...new Set([...MODERATION_CONFIG.SLOW_MODE_OPTIONS_S, moderation.slowMode])].sort((a, b) => a - b).map(seconds => (
+                  <option key={seconds} value={seconds}>{seconds ? `${seconds}s` : 'Off'}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              🔒 Lock queue
+              <input
+                type="checkbox"
+                checked={moderation.queueLocked}
+                onChange={handleQueueLockChange}
+                disabled={!isConnected}
+                className="accent-pink-500 cursor-pointer"
+                aria-label="Only let the host change the queue"
+              />
+            </label>
+            <button
+              onClick={() => setShowFilterPanel(prev => !prev)}
+              className="px-2 py-0.5 text-xs bg-pink-600 hover:bg-pink-700 rounded-full text-white font-bold transition duration-300"
+              aria-expanded={showFilterPanel}
+            >
+              🧹 Filters
+            </button>
+            {moderation.banned.length > 0 && (
+              <span className="flex flex-wrap items-center gap-1 text-xs">
+                Banned:
+                {moderation.banned.map(name => (
+                  <button
+                    key={name}
+                    onClick={() => handleUnban(name)}
+                    className="px-1.5 py-0.5 bg-red-800 hover:bg-red-900 rounded-full text-white transition duration-300"
+                    aria-label={`Unban ${name}`}
+                  >
+                    {name} ✕
+                  </button>
+                ))}
+              </span>
+            )}
+          </div>
+        )}
+
+        {isHost && showFilterPanel && (
+          <ContentFilterPanel settings={filterSettings} onSave={handleSaveFilters} onCancel={() => setShowFilterPanel(false)} />
+        )}
+
+        {conversations.length > 0 && (
+          <div className="flex gap-1 mb-2 overflow-x-auto text-xs" role="tablist" aria-label="Conversations">
+            {[ROOM_CONVERSATION, ...conversations].map(conversation => (
+              <span
+                key={conversation || '#room'}
+                className={`flex items-center gap-1 px-2 py-1 rounded-full whitespace-nowrap ${
+                  activeConversation === conversation ? 'bg-pink-600 text-white' : 'bg-purple-900 bg-opacity-50 text-pink-200'
+                }`}
+              >
+                <button role="tab" aria-selected={activeConversation === conversation} onClick={() => openConversation(conversation)} className="font-semibold">
+                  {conversation ? `@${conversation}` : '# Room'}
+                </button>
+                {unreadCounts[conversation] > 0 && (
+                  <span className="px-1.5 rounded-full bg-yellow-400 text-black font-bold" aria-label={`${unreadCounts[conversation]} unread`}>
+                    {unreadCounts[conversation]}
+                  </span>
+                )}
+                {conversation && (
+                  <button onClick={() => closeConversation(conversation)} className="hover:text-white" aria-label={`Close the conversation with ${conversation}`}>✕</button>
+                )}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {showSearch && (
+          <div className="flex items-center gap-1 mb-2 text-sm">
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              autoFocus
+              placeholder="Search messages and senders..."
+              className="flex-1 rounded-md px-2 py-1 bg-black bg-opacity-60 text-white placeholder-pink-400 focus:outline-none focus:ring-2 focus:ring-pink-500"
+              aria-label="Search the chat"
+            />
+            {isSearching && (
+              <span className="text-pink-200 text-xs whitespace-nowrap" aria-live="polite">
+                {searchMatches.length === 0 ? 'No matches' : `${searchMatches.indexOf(currentMatch) + 1}/${searchMatches.length}`}
+              </span>
+            )}
+            <button onClick={() => stepSearchMatch(-1)} disabled={searchMatches.length === 0} className="px-1 text-pink-200 hover:text-white disabled:opacity-50" aria-label="Previous match">▲</button>
+            <button onClick={() => stepSearchMatch(1)} disabled={searchMatches.length === 0} className="px-1 text-pink-200 hover:text-white disabled:opacity-50" aria-label="Next match">▼</button>
+          </div>
+        )}
+
+        {showExportMenu && (
+          <div className="flex flex-wrap items-center gap-1 mb-2 px-2 py-1 rounded-lg bg-purple-900 bg-opacity-50 text-xs text-pink-200">
+            <span>Download the loaded messages as</span>
+            {Object.entries(TRANSCRIPT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => handleExportTranscript(format)}
+                className="px-2 py-0.5 bg-pink-600 hover:bg-pink-700 rounded-full text-white font-bold transition duration-300"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div
+          ref={messageListRef}
+          onScroll={handleMessageListScroll}
+          className="relative flex-1 overflow-y-auto mb-2 px-2"
+          style={{ minHeight: '200px', overflowAnchor: 'none' }}
+        >
+          {hasMoreHistory && (
+            <div className="text-gray-400 text-center text-xs py-1">
+              {isLoadingHistory ? 'Loading older messages...' : (
+                <button onClick={loadOlderMessages} className="hover:text-pink-300">Load older messages</button>
+              )}
+            </div>
+          )}
+          {listedMessages.length === 0 ? (
             <div className="text-gray-400 text-center py-4">
-              {isConnected ? 'No messages yet...' : 'Connecting to chat...'}
+              {isSearching ? 'No loaded messages match your search.' : (isConnected ? 'No messages yet...' : 'Connecting to chat...')}
             </div>
           ) : (
-            messages.map((msg) => {
-              const isCurrentUser = msg.sender === username;
-              return (
-                <div
-                  key={msg.id || `${msg.sender}-${msg.timestamp}`}
-                  className={`mb-1 p-2 rounded-lg ${isCurrentUser ? 'bg-pink-700 ml-auto' : 'bg-gray-700 mr-auto'}`}
-                  style={{ maxWidth: '80%' }}
-                >
-                  <span className={`font-semibold ${isCurrentUser ? 'text-white' : 'text-pink-400'}`}>
-                    {isCurrentUser ? 'You' : msg.sender}:
-                  </span>
-                  <span className="text-white ml-1">{msg.content}</span>
-                </div>
-              );
-            })
+            <>
+              <div ref={messageWindow.topSpacerRef} style={{ height: messageWindow.topSpace }} />
+              {listedMessages.slice(messageWindow.start, messageWindow.end).map((msg) => {
+                // Only lines the server logged can be edited or deleted; the server has the final say
+                const isChatLine = (msg.type === 'message' || msg.type === 'dm') && !msg.deleted;
+                const isOwnRecent = isChatLine && !msg.system && msg.sender === username &&
+                  getServerNow() - msg.timestamp <= CHAT_CONFIG.EDIT_WINDOW_MS;
+                // Prefer the loaded original, it reflects edits; the server's quote covers originals that aren't loaded
+                const parent = msg.replyTo ? messageById.get(msg.replyTo) : null;
+                const quote = parent ? { sender: parent.sender, content: parent.content, deleted: parent.deleted } : msg.quote;
+                return (
+                  <div
+                    key={msg.id || `${msg.sender}-${msg.timestamp}`}
+                    data-message-id={msg.id}
+                    className={`flow-root rounded-lg transition-colors duration-500 ${highlightedMessageId === msg.id ? 'bg-yellow-400 bg-opacity-20' : ''}`}
+                  >
+                    <ChatMessage
+                      msg={msg}
+                      username={username}
+                      quote={msg.replyTo ? quote : null}
+                      highlight={isSearching ? searchQuery : ''}
+                      isCurrentMatch={isSearching && currentMatch === msg}
+                      canControl={canControl}
+                      canReply={isChatLine && !msg.system}
+                      canEdit={isOwnRecent}
+                      canDelete={isOwnRecent || (isChatLine && msg.type !== 'dm' && canControl && !!host)}
+                      isEditing={editingMessageId === msg.id}
+                      isMention={msg.type !== 'dm' && isMessageForUser(msg, username)}
+                      onAcceptSuggestion={handleAcceptSuggestion}
+                      onReply={handleReply}
+                      onJumpToMessage={handleJumpToMessage}
+                      onStartEdit={setEditingMessageId}
+                      onSaveEdit={handleSaveEdit}
+                      onCancelEdit={() => setEditingMessageId(null)}
+                      onDelete={handleDeleteMessage}
+                      onQueueVideo={handleQueueLinkedVideo}
+                    />
+                  </div>
+                );
+              })}
+              <div style={{ height: messageWindow.bottomSpace }} />
+            </>
           )}
           {/* Typing indicator */}
           {false}
         </div>
 
-        <div className="flex gap-2">
+        {replyingTo && (
+          <div className="flex items-center gap-2 mb-1 px-2 py-1 rounded-md bg-purple-900 bg-opacity-50 text-xs text-pink-200">
+            <span className="flex-1 truncate">
+              ↩ Replying to <span className="font-semibold">{replyingTo.sender === username ? 'yourself' : replyingTo.sender}</span>: {replyingTo.content}
+            </span>
+            <button onClick={() => setReplyingTo(null)} className="hover:text-white" aria-label="Cancel reply">✕</button>
+          </div>
+        )}
+
+        <div className="relative flex gap-2">
+          {suggestions.length > 0 && (
+            <ul
+              className="absolute bottom-full left-0 right-0 mb-1 max-h-48 overflow-y-auto rounded-md bg-gray-900 bg-opacity-95 border border-pink-500 text-sm z-10"
+              role="listbox"
+              aria-label={commandSuggestions.length > 0 ? 'Chat commands' : 'Mention a user'}
+            >
+              {suggestions.map((suggestion, index) => (
+                <li
+                  key={suggestion.key}
+                  role="option"
+                  aria-selected={index === highlightedSuggestionIndex}
+                  onMouseDown={(e) => {
+                    e.preventDefault(); // Keep the focus in the input
+                    suggestion.complete();
+                  }}
+                  className={`px-3 py-1 cursor-pointer ${index === highlightedSuggestionIndex ? 'bg-pink-700 text-white' : 'text-pink-200 hover:bg-pink-900'}`}
+                >
+                  <span className="font-semibold">{suggestion.label}</span>
+                  {suggestion.description && <span className="ml-2 text-xs text-gray-300">{suggestion.description}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+          {typedCommandUsage && (
+            <div className="absolute bottom-full left-0 mb-1 px-3 py-1 rounded-md bg-gray-900 bg-opacity-95 border border-pink-500 text-xs text-pink-200 z-10">
+              {typedCommandUsage.usage} - {typedCommandUsage.description}
+            </div>
+          )}
           <input
+            ref={inputRef}
             type="text"
             value={input}
-            onChange={(e) => setInput(e.target.value)}
+            onChange={handleInputChange}
+            onSelect={(e) => setCaretPosition(e.target.selectionStart)}
             onKeyDown={handleKeyPress}
-            placeholder={isConnected ? "Type a message..." : "Connecting..."}
+            placeholder={inputPlaceholder}
             disabled={!isConnected}
             className="flex-1 rounded-md px-3 py-2 bg-black bg-opacity-60 text-white placeholder-pink-400 focus:outline-none focus:ring-2 focus:ring-pink-500 disabled:opacity-50"
             aria-label="Chat message input"
@@ -670,7 +2221,19 @@ export default function ChatRoom({
         </div>
       </div>
 
-      <OnlineUsersSection onlineUsers={onlineUsers} />
+      <OnlineUsersSection
+        onlineUsers={onlineUsers}
+        username={username}
+        host={host}
+        cohosts={cohosts}
+        bufferingUsers={bufferStatus.buffering}
+        onTransferHost={handleTransferHost}
+        onToggleCohost={handleToggleCohost}
+        onDirectMessage={openConversation}
+        mutedUsers={moderation.muted}
+        onMute={handleMute}
+        onRemoveUser={handleRemoveUser}
+      />
     </>
   );
 }
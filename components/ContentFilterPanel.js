@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import { CONTENT_FILTER_CONFIG } from '../utils/constants.js';
+import { CONTENT_FILTERS } from '../utils/contentFilter.js';
+
+// One entry per line or separated by commas, as typed into the lists below
+const parseList = (text, maxEntries) => text.split(/[\n,]/)
+  .map(entry => entry.trim().slice(0, CONTENT_FILTER_CONFIG.MAX_ENTRY_LENGTH))
+  .filter(Boolean)
+  .slice(0, maxEntries);
+
+const LISTS = [
+  { key: 'words', label: 'Masked words', placeholder: 'One word or phrase per line', maxEntries: CONTENT_FILTER_CONFIG.MAX_WORDS },
+  { key: 'allowedDomains', label: 'Only allow links to', placeholder: 'Any domain when empty, e.g. youtube.com', maxEntries: CONTENT_FILTER_CONFIG.MAX_DOMAINS },
+  { key: 'blockedDomains', label: 'Never allow links to', placeholder: 'e.g. example.com', maxEntries: CONTENT_FILTER_CONFIG.MAX_DOMAINS },
+];
+
+// Lets the host turn the room's chat filters on or off and edit their word and link lists
+export default function ContentFilterPanel({ settings, onSave, onCancel }) {
+  const [disabled, setDisabled] = useState(settings.disabled);
+  const [lists, setLists] = useState({});
+
+  // Start from the room's settings whenever they change
+  useEffect(() => {
+    setDisabled(settings.disabled);
+    setLists(Object.fromEntries(LISTS.map(({ key }) => [key, settings[key].join('\n')])));
+  }, [settings]);
+
+  const toggleFilter = (id) => {
+    setDisabled(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const handleSave = () => {
+    onSave({
+      disabled,
+      ...Object.fromEntries(LISTS.map(({ key, maxEntries }) => [key, parseList(lists[key] || '', maxEntries)])),
+    });
+  };
+
+  return (
+    <div className="mb-2 p-3 bg-black bg-opacity-50 rounded-lg border border-pink-500 text-sm">
+      <h3 className="text-pink-300 font-bold mb-2">Chat filters</h3>
+      <ul className="space-y-1 mb-2">
+        {CONTENT_FILTERS.map(filter => (
+          <li key={filter.id}>
+            <label className="flex items-center gap-2 text-pink-200 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!disabled.includes(filter.id)}
+                onChange={() => toggleFilter(filter.id)}
+                className="accent-pink-500"
+              />
+              {filter.label}
+            </label>
+          </li>
+        ))}
+      </ul>
+      {LISTS.map(({ key, label, placeholder }) => (
+        <label key={key} className="block mb-2 text-pink-200">
+          {label}
+          <textarea
+            value={lists[key] || ''}
+            onChange={(e) => setLists(prev => ({ ...prev, [key]: e.target.value }))}
+            placeholder={placeholder}
+            rows={2}
+            className="mt-1 w-full rounded-md px-2 py-1 bg-black bg-opacity-60 text-white placeholder-pink-400 text-xs focus:outline-none focus:ring-2 focus:ring-pink-500"
+          />
+        </label>
+      ))}
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white text-xs font-semibold rounded-full transition duration-300"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          className="px-3 py-1 bg-pink-600 hover:bg-pink-700 text-white text-xs font-bold rounded-full transition duration-300"
+        >
+          Save filters
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react';
+import { PLAYER_CONFIG } from '../utils/constants.js';
+import { parseMediaUrl } from '../utils/mediaSources.js';
+import { createPlayerAdapter } from '../utils/playerAdapters.js';
+
+const { SOURCE_TYPES } = PLAYER_CONFIG;
+
+// Renders the element the URL's source type needs and hands its player adapter to the parent.
+// Switching between source types remounts the element; URLs of the same type are loaded into the same player.
+export default function MediaPlayer({ url, onReady, onEnded, onDurationChange, className }) {
+  const media = parseMediaUrl(url);
+  const type = media ? media.type : null;
+  const start = media ? media.start : 0;
+
+  const elementRef = useRef(null);
+  const [adapter, setAdapter] = useState(null);
+  const handlersRef = useRef({ onReady, onEnded, onDurationChange });
+
+  useEffect(() => {
+    handlersRef.current = { onReady, onEnded, onDurationChange };
+  }, [onReady, onEnded, onDurationChange]);
+
+  // One adapter per rendered element
+  useEffect(() => {
+    if (!type || !elementRef.current) return;
+
+    const playerAdapter = createPlayerAdapter(type, elementRef.current);
+    if (!playerAdapter) return;
+    const removeEndedListener = playerAdapter.onEnded(() => {
+      if (handlersRef.current.onEnded) handlersRef.current.onEnded();
+    });
+    const removeDurationListener = playerAdapter.onDurationChange((duration, loadedUrl) => {
+      if (handlersRef.current.onDurationChange) handlersRef.current.onDurationChange(duration, loadedUrl);
+    });
+    setAdapter(playerAdapter);
+    handlersRef.current.onReady(playerAdapter);
+
+    return () => {
+      removeEndedListener();
+      removeDurationListener();
+      playerAdapter.destroy();
+      setAdapter(null);
+      handlersRef.current.onReady(null);
+    };
+  }, [type]);
+
+  useEffect(() => {
+    if (adapter && url) {
+      adapter.load(url, start);
+    }
+  }, [adapter, url, start]);
+
+  if (!type) return null;
+
+  if (type === SOURCE_TYPES.VIDEO || type === SOURCE_TYPES.HLS) {
+    return (
+      <video
+        key={type}
+        ref={elementRef}
+        width="100%"
+        height="350"
+        playsInline
+        className={`bg-black ${className || ''}`}
+      />
+    );
+  }
+
+  return (
+    <iframe
+      key={type}
+      ref={elementRef}
+      width="100%"
+      height="350"
+      allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; fullscreen"
+      allowFullScreen
+      title={type === SOURCE_TYPES.VIMEO ? 'Vimeo video player' : 'YouTube video player'}
+      className={className}
+    />
+  );
+}
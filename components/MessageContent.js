@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { useVideoMetadata } from './metadataManager.js';
+import { getLinkedYoutubeVideos, parseMessageContent } from '../utils/messageFormat.js';
+import { formatDuration } from '../utils/videoMetadata.js';
+import { splitSearchMatches } from '../utils/chatTranscript.js';
+
+// Hidden until clicked, and stays revealed once clicked
+function Spoiler({ children }) {
+  const [revealed, setRevealed] = useState(false);
+  return (
+    <span
+      onClick={() => setRevealed(true)}
+      className={`rounded px-0.5 transition duration-200 ${revealed ? 'bg-gray-600' : 'bg-gray-900 text-transparent cursor-pointer select-none'}`}
+      title={revealed ? undefined : 'Spoiler, click to reveal'}
+    >
+      {children}
+    </span>
+  );
+}
+
+// Marks the parts of a text that match the chat search
+export function HighlightedText({ text, highlight }) {
+  if (!highlight) return text;
+  return splitSearchMatches(text, highlight).map((part, index) => (
+    part.match ? <mark key={index} className="rounded bg-yellow-300 text-black">{part.text}</mark> : part.text
+  ));
+}
+
+// Renders tokens from parseMessageContent as React elements, so the text is always escaped by React
+function renderTokens(tokens, highlight) {
+  return tokens.map((token, index) => {
+    switch (token.type) {
+      case 'link':
+        return (
+          <a key={index} href={token.url} target="_blank" rel="noopener noreferrer" className="underline text-pink-200 hover:text-white break-all">
+            <HighlightedText text={token.url} highlight={highlight} />
+          </a>
+        );
+      case 'code':
+        return <code key={index} className="px-1 rounded bg-black bg-opacity-40 font-mono text-sm"><HighlightedText text={token.text} highlight={highlight} /></code>;
+      case 'emoji':
+        return <span key={index} title={`:${token.shortcode}:`}>{token.text}</span>;
+      case 'bold':
+        return <strong key={index}>{renderTokens(token.children, highlight)}</strong>;
+      case 'italic':
+        return <em key={index}>{renderTokens(token.children, highlight)}</em>;
+      case 'spoiler':
+        return <Spoiler key={index}>{renderTokens(token.children, highlight)}</Spoiler>;
+      default:
+        return <span key={index}><HighlightedText text={token.text} highlight={highlight} /></span>;
+    }
+  });
+}
+
+// Card under a message that links a YouTube video, with its title and a button to queue it
+function YoutubeLinkCard({ url, videoId, queueLabel, onQueueVideo }) {
+  const getVideoMetadata = useVideoMetadata([videoId]);
+  const metadata = getVideoMetadata(videoId);
+
+  return (
+    <div className="mt-2 flex items-center gap-2 rounded-lg bg-black bg-opacity-40 p-2">
+      <img
+        src={(metadata && metadata.thumbnailUrl) || `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`}
+        alt=""
+        className="w-20 h-12 object-cover rounded-md"
+      />
+      <div className="flex-1 min-w-0">
+        <p className="text-white text-xs font-semibold truncate" title={url}>{(metadata && metadata.title) || 'YouTube video'}</p>
+        {metadata && (metadata.channel || metadata.duration) && (
+          <p className="text-pink-300 text-xs truncate">{[metadata.channel, formatDuration(metadata.duration)].filter(Boolean).join(' · ')}</p>
+        )}
+      </div>
+      <button
+        onClick={() => onQueueVideo(url)}
+        className="px-3 py-0.5 text-xs bg-pink-600 hover:bg-pink-700 rounded-full text-white font-bold transition duration-300 whitespace-nowrap"
+      >
+        {queueLabel}
+      </button>
+    </div>
+  );
+}
+
+// Message body with links, formatting, emoji and spoilers. YouTube links also get a card to queue the video,
+// shown when onQueueVideo is given. Text matching highlight is marked.
+export default function MessageContent({ content, className, highlight, queueLabel, onQueueVideo }) {
+  const tokens = parseMessageContent(content);
+  const videos = onQueueVideo ? getLinkedYoutubeVideos(tokens) : [];
+
+  return (
+    <>
+      <span className={`break-words ${className || ''}`}>{renderTokens(tokens, highlight)}</span>
+      {videos.map(video => (
+        <YoutubeLinkCard key={video.videoId} url={video.url} videoId={video.videoId} queueLabel={queueLabel} onQueueVideo={onQueueVideo} />
+      ))}
+    </>
+  );
+}
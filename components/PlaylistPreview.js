@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+
+// Lets the host pick which videos of a pasted playlist go into the queue before importing them
+export default function PlaylistPreview({ preview, onImport, onCancel }) {
+  const playlist = preview.playlist;
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  // Everything is selected when a playlist arrives
+  useEffect(() => {
+    setSelectedIds(new Set(playlist ? playlist.items.map(item => item.videoId) : []));
+  }, [playlist]);
+
+  if (preview.loading) {
+    return (
+      <div className="p-4 bg-black bg-opacity-50 rounded-lg border border-pink-500 text-pink-300 text-sm">
+        Loading playlist...
+      </div>
+    );
+  }
+
+  const toggleItem = (videoId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(videoId)) {
+        next.delete(videoId);
+      } else {
+        next.add(videoId);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = selectedIds.size === playlist.items.length;
+  const selectedItems = playlist.items.filter(item => selectedIds.has(item.videoId));
+
+  return (
+    <div className="p-4 bg-black bg-opacity-50 rounded-lg border border-pink-500">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-pink-300 font-bold truncate">
+          {playlist.title || 'Playlist'} <span className="text-pink-400 text-sm font-semibold">({playlist.items.length} videos)</span>
+        </h3>
+        <button
+          onClick={() => setSelectedIds(new Set(allSelected ? [] : playlist.items.map(item => item.videoId)))}
+          className="ml-2 text-pink-300 hover:text-pink-100 text-sm font-semibold whitespace-nowrap"
+        >
+          {allSelected ? 'Select none' : 'Select all'}
+        </button>
+      </div>
+      {playlist.truncated && (
+        <p className="mb-2 text-yellow-300 text-xs font-semibold">
+          {playlist.total !== null
+            ? `Only the first ${playlist.items.length} of ${playlist.total} videos can be imported at once.`
+            : `This playlist may have more videos than the ${playlist.items.length} that could be loaded.`}
+        </p>
+      )}
+      <ul className="max-h-60 overflow-y-auto space-y-1 mb-3">
+        {playlist.items.map((item, index) => (
+          <li key={`${item.videoId}-${index}`}>
+            <label className="flex items-center space-x-2 px-2 py-1 rounded hover:bg-pink-900 hover:bg-opacity-40 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selectedIds.has(item.videoId)}
+                onChange={() => toggleItem(item.videoId)}
+                className="accent-pink-500"
+              />
+              <img src={`https://i.ytimg.com/vi/${item.videoId}/default.jpg`} alt="" className="w-12 h-8 object-cover rounded" />
+              <span className="text-white text-sm truncate">{item.title || item.videoId}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white text-sm font-semibold rounded-full transition duration-300"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onImport(selectedItems)}
+          disabled={selectedItems.length === 0}
+          className="px-4 py-2 bg-pink-500 hover:bg-pink-600 text-white text-sm font-semibold rounded-full transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add {selectedItems.length} {selectedItems.length === 1 ? 'video' : 'videos'} to queue
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState, useCallback } from 'react';
+import { getYoutubeVideoId } from '../utils/validation.js';
+import { getMediaDisplayName } from '../utils/mediaSources.js';
+import { formatDuration } from '../utils/videoMetadata.js';
+
+// Lists the shared queue. Hosts and co-hosts can drag entries to reorder them, remove them,
+// move them up to play next, jump to them and clear the whole queue; everyone else only sees the list.
+export default function QueuePanel({ queue, currentEntryId, canControl, onMove, onRemove, onPlayNext, onJump, onClear, getVideoMetadata }) {
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null); // Gap the dragged entry would land in, 0 is above the first entry
+
+  const resetDrag = useCallback(() => {
+    setDraggingId(null);
+    setDropIndex(null);
+  }, []);
+
+  const handleDragStart = useCallback((e, entryId) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', entryId); // Firefox won't start a drag without data
+    setDraggingId(entryId);
+  }, []);
+
+  const handleDragOver = useCallback((e, index) => {
+    if (!draggingId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    // Drop above or below the hovered entry depending on which half the pointer is in
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  }, [draggingId]);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    const fromIndex = queue.findIndex(entry => entry.id === draggingId);
+    if (fromIndex !== -1 && dropIndex !== null) {
+      // Index in the queue once the dragged entry is taken out
+      const toIndex = dropIndex > fromIndex ? dropIndex - 1 : dropIndex;
+      if (toIndex !== fromIndex) {
+        onMove(draggingId, toIndex);
+      }
+    }
+    resetDrag();
+  }, [queue, draggingId, dropIndex, onMove, resetDrag]);
+
+  const currentIndex = queue.findIndex(entry => entry.id === currentEntryId);
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-pink-300 text-2xl font-bold tracking-wide drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]">
+          Queue <span className="text-pink-400 text-base">({queue.length})</span>
+        </h2>
+        {canControl && queue.length > 0 && (
+          <button
+            onClick={() => {
+              if (window.confirm('Clear the queue for everyone in the room?')) onClear();
+            }}
+            className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm font-semibold rounded-full transition duration-300"
+            aria-label="Clear the queue"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      {queue.length === 0 ? (
+        <p className="text-pink-400 text-center text-sm">The queue is empty.</p>
+      ) : (
+        <ol className="space-y-1 max-h-64 overflow-y-auto" onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDropIndex(null);
+        }}>
+          {queue.map((entry, index) => {
+            const isCurrent = entry.id === currentEntryId;
+            const videoId = getYoutubeVideoId(entry.url);
+            const metadata = getVideoMetadata(videoId);
+            return (
+              <li
+                key={entry.id}
+                draggable={canControl}
+                onDragStart={(e) => handleDragStart(e, entry.id)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDrop={handleDrop}
+                onDragEnd={resetDrag}
+                className={`flex items-center px-2 py-2 rounded-lg border transition duration-200 ${
+                  isCurrent ? 'bg-pink-600 bg-opacity-40 border-pink-400' : 'bg-pink-900 bg-opacity-30 border-transparent'
+                } ${draggingId === entry.id ? 'opacity-40' : ''} ${
+                  dropIndex === index ? 'border-t-pink-300' : ''
+                } ${dropIndex === index + 1 && index === queue.length - 1 ? 'border-b-pink-300' : ''} ${
+                  canControl ? 'cursor-move' : ''
+                }`}
+              >
+                <span className="w-6 text-pink-300 text-sm font-semibold">{isCurrent ? '▶' : index + 1}</span>
+                {metadata?.thumbnailUrl && (
+                  <img src={metadata.thumbnailUrl} alt="" draggable={false} className="w-12 h-8 mr-2 object-cover rounded" />
+                )}
+                <span className="flex-1 min-w-0" title={entry.url}>
+                  <span className="block text-white text-sm truncate">{metadata?.title || getMediaDisplayName(entry.url)}</span>
+                  {(metadata?.channel || metadata?.duration) && (
+                    <span className="block text-pink-300 text-xs truncate">
+                      {[metadata.channel, formatDuration(metadata.duration)].filter(Boolean).join(' · ')}
+                    </span>
+                  )}
+                </span>
+                {canControl && (
+                  <span className="flex space-x-1 ml-2">
+                    {!isCurrent && (
+                      <button
+                        onClick={() => onJump(entry.id)}
+                        className="px-2 py-0.5 text-xs text-white bg-pink-500 hover:bg-pink-600 rounded-full transition duration-300"
+                        aria-label={`Play queue entry ${index + 1} now`}
+                      >
+                        Play
+                      </button>
+                    )}
+                    {!isCurrent && index !== currentIndex + 1 && (
+                      <button
+                        onClick={() => onPlayNext(entry.id)}
+                        className="px-2 py-0.5 text-xs text-white bg-purple-600 hover:bg-purple-700 rounded-full transition duration-300"
+                        aria-label={`Play queue entry ${index + 1} next`}
+                      >
+                        Next
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onRemove(entry.id)}
+                      className="px-2 py-0.5 text-xs text-white bg-red-600 hover:bg-red-700 rounded-full transition duration-300"
+                      aria-label={`Remove queue entry ${index + 1}`}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+      {canControl && queue.length > 1 && (
+        <p className="text-pink-400 text-xs mt-2 text-center">Drag entries to reorder them.</p>
+      )}
+    </div>
+  );
+}
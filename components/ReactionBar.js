@@ -0,0 +1,20 @@
+import { REACTION_CONFIG } from '../utils/constants.js';
+
+// Emoji buttons that send a reaction everyone sees over the player
+export default function ReactionBar({ onReact, disabled }) {
+  return (
+    <div className="flex items-center justify-center space-x-2 mb-4" role="group" aria-label="Reactions">
+      {REACTION_CONFIG.EMOJIS.map(emoji => (
+        <button
+          key={emoji}
+          onClick={() => onReact(emoji)}
+          disabled={disabled}
+          className="w-10 h-10 text-2xl rounded-full bg-black bg-opacity-50 border border-pink-500 hover:bg-pink-900 hover:scale-110 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label={`React with ${emoji}`}
+        >
+          {emoji}
+        </button>
+      ))}
+    </div>
+  );
+}
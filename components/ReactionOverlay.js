@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from 'react';
+import { REACTION_CONFIG } from '../utils/constants.js';
+import { getReactionsToReplay } from '../utils/reactions.js';
+
+// Floats reactions up over the player: live ones as they arrive, stored ones when playback reaches
+// the moment they were sent. Sits on top of the player without catching any clicks.
+export default function ReactionOverlay({ player, history, live }) {
+  const [floating, setFloating] = useState([]);
+  const shownLiveIdsRef = useRef(new Set());
+  const lastTimeRef = useRef(null);
+  const floatCounterRef = useRef(0);
+
+  const addFloating = (reactions) => {
+    if (reactions.length === 0) return;
+    const now = Date.now();
+    const added = reactions.map(reaction => ({
+      key: `${reaction.id}-${floatCounterRef.current++}`,
+      emoji: reaction.emoji,
+      left: 5 + Math.random() * 85, // Percent of the player width
+      expiresAt: now + REACTION_CONFIG.FLOAT_DURATION_MS,
+    }));
+    setFloating(prev => [...prev, ...added].slice(-REACTION_CONFIG.MAX_FLOATING));
+  };
+
+  // Live reactions float once, as soon as they arrive. The list is emptied when the video changes.
+  useEffect(() => {
+    if (live.length === 0) {
+      shownLiveIdsRef.current = new Set();
+      return;
+    }
+    const unseen = live.filter(reaction => !shownLiveIdsRef.current.has(reaction.id));
+    unseen.forEach(reaction => shownLiveIdsRef.current.add(reaction.id));
+    addFloating(unseen);
+  }, [live]);
+
+  // Replay stored reactions as playback passes them, and drop floats that finished their animation
+  useEffect(() => {
+    lastTimeRef.current = null;
+    const intervalId = setInterval(() => {
+      const now = Date.now();
+      setFloating(prev => (prev.some(item => item.expiresAt <= now) ? prev.filter(item => item.expiresAt > now) : prev));
+
+      const status = player ? player.getStatus() : null;
+      if (!status || status.currentTime === null) return;
+      if (status.isPlaying && lastTimeRef.current !== null) {
+        addFloating(getReactionsToReplay(history, lastTimeRef.current, status.currentTime));
+      }
+      lastTimeRef.current = status.currentTime;
+    }, REACTION_CONFIG.REPLAY_CHECK_MS);
+
+    return () => clearInterval(intervalId);
+  }, [player, history]);
+
+  return (
+    <div className="absolute inset-0 pointer-events-none overflow-hidden" aria-hidden="true">
+      {floating.map(item => (
+        <span
+          key={item.key}
+          className="absolute bottom-6 text-4xl animate-float-up drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]"
+          style={{ left: `${item.left}%` }}
+        >
+          {item.emoji}
+        </span>
+      ))}
+    </div>
+  );
+}
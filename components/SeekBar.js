@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { PLAYER_CONFIG } from '../utils/constants.js';
+import { formatDuration } from '../utils/videoMetadata.js';
+import { buildReactionHeatmap } from '../utils/reactions.js';
+
+// Shared seek bar and speed picker. Position comes from the player adapter; a seek is only committed when
+// the handle is released so dragging doesn't flood the room with video states.
+// Reactions to the video are drawn above the bar as a heatmap of where people reacted.
+export default function SeekBar({ player, canControl, playbackRate, reactions, onSeek, onPlaybackRateChange }) {
+  const [status, setStatus] = useState({ currentTime: 0, duration: 0 });
+  const [dragTime, setDragTime] = useState(null); // Position under the handle while dragging
+
+  useEffect(() => {
+    if (!player) {
+      setStatus({ currentTime: 0, duration: 0 });
+      return;
+    }
+    const update = () => {
+      const playerStatus = player.getStatus();
+      setStatus({ currentTime: playerStatus.currentTime || 0, duration: playerStatus.duration || 0 });
+    };
+    update();
+    const timer = setInterval(update, PLAYER_CONFIG.SEEK_BAR_UPDATE_MS);
+    return () => clearInterval(timer);
+  }, [player]);
+
+  const duration = status.duration;
+  const heatmap = buildReactionHeatmap(reactions || [], duration);
+  const maxCount = Math.max(0, ...heatmap);
+  const shownTime = dragTime !== null ? dragTime : Math.min(status.currentTime, duration || status.currentTime);
+
+  const commitSeek = () => {
+    if (dragTime === null) return;
+    onSeek(dragTime);
+    setDragTime(null);
+  };
+
+  return (
+    <div className="w-full flex items-center space-x-3 mb-6">
+      <span className="text-pink-300 text-sm font-semibold tabular-nums w-14 text-right">{formatDuration(shownTime) || '0:00'}</span>
+      <div className="flex-1 flex flex-col">
+        {maxCount > 0 && (
+          <div className="flex items-end h-4 mb-1" title="Where people reacted">
+            {heatmap.map((count, index) => (
+              <div
+                key={index}
+                className="flex-1 bg-pink-500 rounded-t-sm"
+                style={{ height: `${(count / maxCount) * 100}%`, opacity: count > 0 ? 0.4 + 0.6 * (count / maxCount) : 0 }}
+              />
+            ))}
+          </div>
+        )}
+        <input
+          type="range"
+          min="0"
+          max={duration || 0}
+          step="0.1"
+          value={shownTime}
+          disabled={!canControl || !duration}
+          onChange={(e) => setDragTime(Number(e.target.value))}
+          onPointerUp={commitSeek}
+          onKeyUp={commitSeek}
+          onBlur={commitSeek}
+          className="w-full rounded-full accent-pink-500 cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+          aria-label="Seek"
+        />
+      </div>
+      <span className="text-pink-300 text-sm font-semibold tabular-nums w-14">{duration ? formatDuration(duration) : '--:--'}</span>
+      <select
+        value={playbackRate}
+        disabled={!canControl}
+        onChange={(e) => onPlaybackRateChange(Number(e.target.value))}
+        className="bg-black bg-opacity-50 border border-pink-500 rounded-full px-2 py-1 text-pink-300 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        aria-label="Playback speed"
+      >
+        {PLAYER_CONFIG.PLAYBACK_RATES.map(rate => (
+          <option key={rate} value={rate}>{rate}x</option>
+        ))}
+      </select>
+    </div>
+  );
+}
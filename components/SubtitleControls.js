@@ -0,0 +1,94 @@
+import { useRef, useState } from 'react';
+import { SUBTITLE_CONFIG } from '../utils/constants.js';
+import { parseSubtitles, validateSubtitleFile } from '../utils/subtitles.js';
+
+// Loads an SRT/WebVTT file for the current queue entry and holds this viewer's subtitle settings
+export default function SubtitleControls({ track, canLoad, enabled, offset, onLoad, onToggle, onOffsetChange }) {
+  const fileInputRef = useRef(null);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Choosing the same file again should load it again
+    const fileError = validateSubtitleFile(file);
+    if (fileError) {
+      setError(fileError);
+      return;
+    }
+
+    try {
+      const cues = parseSubtitles(await file.text());
+      if (cues.length === 0) {
+        setError('No subtitles found in that file.');
+        return;
+      }
+      setError('');
+      onLoad({ label: file.name.slice(0, SUBTITLE_CONFIG.MAX_LABEL_LENGTH), cues });
+    } catch (err) {
+      console.error('Error reading subtitle file:', err);
+      setError('Could not read the subtitle file.');
+    }
+  };
+
+  const changeOffset = (delta) => onOffsetChange(Math.round((offset + delta) * 10) / 10);
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 mb-4 text-sm">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={SUBTITLE_CONFIG.FILE_EXTENSIONS.join(',')}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <button
+        onClick={() => fileInputRef.current && fileInputRef.current.click()}
+        disabled={!canLoad}
+        title={canLoad ? 'Load an .srt or .vtt file for everyone' : 'Subtitles can be loaded for videos played from the queue'}
+        className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white font-semibold rounded-full transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {track ? 'Replace subtitles' : 'Load subtitles'}
+      </button>
+      {track && (
+        <>
+          <span className="text-pink-300 truncate max-w-[12rem]" title={track.sender ? `Loaded by ${track.sender}` : undefined}>
+            💬 {track.label || 'Subtitles'}
+          </span>
+          <label className="flex items-center space-x-1 text-pink-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => onToggle(e.target.checked)}
+              className="accent-pink-500"
+            />
+            <span>Show</span>
+          </label>
+          <div className="flex items-center space-x-1" role="group" aria-label="Subtitle timing">
+            <button
+              onClick={() => changeOffset(-SUBTITLE_CONFIG.OFFSET_STEP_S)}
+              className="w-7 h-7 bg-black bg-opacity-50 border border-pink-500 rounded-full text-pink-300 hover:bg-pink-900"
+              aria-label="Show subtitles earlier"
+            >
+              −
+            </button>
+            <button
+              onClick={() => onOffsetChange(0)}
+              className="px-2 text-pink-300 tabular-nums hover:text-pink-100"
+              title="Reset subtitle timing"
+            >
+              {offset > 0 ? '+' : ''}{offset.toFixed(1)}s
+            </button>
+            <button
+              onClick={() => changeOffset(SUBTITLE_CONFIG.OFFSET_STEP_S)}
+              className="w-7 h-7 bg-black bg-opacity-50 border border-pink-500 rounded-full text-pink-300 hover:bg-pink-900"
+              aria-label="Show subtitles later"
+            >
+              +
+            </button>
+          </div>
+        </>
+      )}
+      {error && <p className="w-full text-center text-red-400 text-xs font-semibold">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { SUBTITLE_CONFIG } from '../utils/constants.js';
+import { getActiveCues } from '../utils/subtitles.js';
+
+// Shows the cues of the shared subtitle track at the local player's (synced) position, shifted by the viewer's offset
+export default function SubtitleOverlay({ player, track, offset }) {
+  const [activeCues, setActiveCues] = useState([]);
+
+  useEffect(() => {
+    if (!player || !track) {
+      setActiveCues([]);
+      return;
+    }
+    const update = () => {
+      const status = player.getStatus();
+      const next = status.currentTime === null ? [] : getActiveCues(track.cues, status.currentTime - offset);
+      // Same cues as before: keep the old array so nothing re-renders
+      setActiveCues(prev => (prev.length === next.length && prev.every((cue, i) => cue === next[i]) ? prev : next));
+    };
+    update();
+    const intervalId = setInterval(update, SUBTITLE_CONFIG.UPDATE_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [player, track, offset]);
+
+  if (activeCues.length === 0) return null;
+
+  return (
+    <div className="absolute inset-x-0 bottom-12 flex flex-col items-center px-8 pointer-events-none">
+      {activeCues.map((cue, index) => (
+        <p
+          key={`${cue.start}-${index}`}
+          className="mb-1 px-3 py-1 rounded-lg bg-black bg-opacity-70 text-white text-lg font-semibold text-center whitespace-pre-line"
+        >
+          {cue.text}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,1153 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import ChatRoom from './ChatRoom.js';
+import { useAchievements } from './achievementManager.js';
+import { useSharedQueue } from './queueManager.js';
+import QueuePanel from './QueuePanel.js';
+import PlaylistPreview from './PlaylistPreview.js';
+import MediaPlayer from './MediaPlayer.js';
+import SeekBar from './SeekBar.js';
+import ReactionBar from './ReactionBar.js';
+import ReactionOverlay from './ReactionOverlay.js';
+import { useVideoReactions } from './reactionManager.js';
+import SubtitleOverlay from './SubtitleOverlay.js';
+import SubtitleControls from './SubtitleControls.js';
+import { useSharedSubtitles } from './subtitleManager.js';
+import { useVideoMetadata, rememberVideoDuration } from './metadataManager.js';
+import { DISCORD_CONFIG, PLAYLIST_CONFIG, STORAGE_KEYS, UI_CONFIG, YOUTUBE_CONFIG } from '../utils/constants.js';
+import { createQueueEntry, createQueueOp } from '../utils/queueOps.js';
+import { formatDuration } from '../utils/videoMetadata.js';
+import { getMediaDisplayName, getMediaKey, isValidMediaUrl, parseMediaUrl } from '../utils/mediaSources.js';
+import { getYoutubeVideoId, parseYoutubeUrl, sanitizeString, safeLocalStorageGet, safeLocalStorageSet, validateNumber, generateRandomUsername } from '../utils/validation.js';
+
+const INVALID_MEDIA_URL_MESSAGE = 'Please enter a YouTube, Vimeo or direct video (MP4, WebM, HLS) URL.';
+
+export default function WatchRoom({ roomCode }) { // Everything inside a single room; rendered by pages/room/[code].js
+  // --- Refs for DOM elements and inter-component communication ---
+  const playerRef = useRef(null); // Player adapter of the current source (see utils/playerAdapters.js)
+  const sendVideoStateRef = useRef(null); // Used to hold a function from ChatRoom to send video state
+  const roomActionsRef = useRef(null); // Filled by ChatRoom with functions that talk to the room (suggestions, ...)
+  const dropdownRef = useRef(null); // Ref for dropdown to handle outside clicks
+  const watchSessionStartTimeRef = useRef(null); // To track when a video playback session starts for achievements
+
+  // --- State Variables ---
+  const [youtubeUrl, setYoutubeUrl] = useState(''); // The URL of the current video (YouTube, Vimeo or a direct file/stream)
+  const [youtubeInput, setYoutubeInput] = useState(''); // Input field for new YouTube URLs
+  const [urlError, setUrlError] = useState(''); // Stores validation errors for YouTube URLs
+  const [playlistPreview, setPlaylistPreview] = useState(null); // { loading, playlist } while importing a playlist link
+  const [isYoutubePlaying, setIsYoutubePlaying] = useState(false); // Playback state of the YouTube video
+  const [volume, setVolume] = useState(1); // Current volume level (0 to 1)
+  const [playbackRate, setPlaybackRate] = useState(1); // The room's shared playback speed
+  const [player, setPlayer] = useState(null); // Same adapter as playerRef, as state so effects rerun when it changes
+
+  // State for persistent username
+  const [chatUsername, setChatUsername] = useState('');
+  const [discordConnected, setDiscordConnected] = useState(false);
+
+  // New state for Discord profile dropdown
+  const [showDiscordDropdown, setShowDiscordDropdown] = useState(false);
+
+  // Shared queue of { id, url } entries, edited through queue ops, and the entry that is playing
+  const {
+    queue: youtubeQueue,
+    queueError,
+    submitQueueOp,
+    handleQueueOp,
+    handleQueueSnapshot,
+    handleQueueReject
+  } = useSharedQueue(roomActionsRef);
+  const [currentEntryId, setCurrentEntryId] = useState(null);
+  const {
+    history: reactionHistory,
+    live: liveReactions,
+    handleReaction,
+    handleReactionHistory,
+  } = useVideoReactions(getMediaKey(youtubeUrl));
+  const {
+    track: subtitleTrack,
+    enabled: subtitlesEnabled,
+    setEnabled: setSubtitlesEnabled,
+    offset: subtitleOffset,
+    setOffset: setSubtitleOffset,
+    handleSubtitles,
+  } = useSharedSubtitles(currentEntryId);
+  const currentIndex = youtubeQueue.findIndex(entry => entry.id === currentEntryId);
+  const currentEntryUrl = currentIndex >= 0 ? youtubeQueue[currentIndex].url : '';
+  const previousQueueRef = useRef([]); // Queue before the last change, to find where a removed entry was
+
+  // State for YouTube History (now with actual search/sort functionality)
+  const [youtubeHistory, setYoutubeHistory] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [sortBy, setSortBy] = useState('Date Added');
+
+  // Titles, channels, thumbnails and durations for everything on screen
+  const getVideoMetadata = useVideoMetadata([
+    getYoutubeVideoId(youtubeUrl),
+    ...youtubeQueue.map(entry => getYoutubeVideoId(entry.url)),
+    ...youtubeHistory.map(item => item.videoId)
+  ]);
+  const nowPlaying = getVideoMetadata(getYoutubeVideoId(youtubeUrl));
+  const startOffset = parseMediaUrl(youtubeUrl)?.start || 0; // t=/start= of the current link
+
+  // State to toggle ChatRoom visibility
+  const [showChatRoom, setShowChatRoom] = useState(false);
+
+  // Feedback for the "Copy invite link" button
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Room roles reported by ChatRoom; only the host and co-hosts control playback directly
+  const [roomRole, setRoomRole] = useState({ host: '', cohosts: [], canControl: true, queueLocked: false, canEditQueue: true });
+  const [suggestionNotice, setSuggestionNotice] = useState('');
+  const [skipVote, setSkipVote] = useState({ votes: [], required: 0, threshold: 0 }); // Vote-to-skip progress from ChatRoom
+  const canControl = roomRole.canControl;
+  const canEditQueue = roomRole.canEditQueue; // False for co-hosts while the host locked the queue
+
+  // --- Achievement Hook Integration ---
+  const {
+    stats,
+    trackDiscordConnection,
+    trackVideoAdded,
+    trackMessageSent,
+    trackQueueSize,
+    startWatchSession,
+    endWatchSession,
+    getAllAchievements,
+    unlockedCount,
+    totalCount,
+    formatWatchTime
+  } = useAchievements();
+
+
+
+  // Handle clicks outside of dropdown to close it
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setShowDiscordDropdown(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  // useEffect to manage persistent username and Discord avatar
+  useEffect(() => {
+    const storedUsername = safeLocalStorageGet(STORAGE_KEYS.USERNAME, null);
+    const storedAvatar = safeLocalStorageGet(STORAGE_KEYS.DISCORD_AVATAR, null);
+    const storedUserId = safeLocalStorageGet(STORAGE_KEYS.DISCORD_USER_ID, null);
+
+    if (!storedUsername) {
+      const defaultUsername = generateRandomUsername();
+      safeLocalStorageSet(STORAGE_KEYS.USERNAME, defaultUsername);
+      setChatUsername(defaultUsername);
+    } else {
+      setChatUsername(storedUsername);
+    }
+
+    if (storedAvatar && storedUserId) {
+      setDiscordConnected(true);
+    }
+
+    // Check for Discord username, avatar, and userId in URL query param and update state
+    const urlParams = new URLSearchParams(window.location.search);
+    const usernameFromUrl = urlParams.get('username');
+    const avatarFromUrl = urlParams.get('avatar');
+    const userIdFromUrl = urlParams.get('userId');
+
+    let shouldCleanUrl = false;
+    if (usernameFromUrl) {
+      const sanitizedUsername = sanitizeString(usernameFromUrl);
+      setChatUsername(sanitizedUsername);
+      safeLocalStorageSet(STORAGE_KEYS.USERNAME, sanitizedUsername);
+      shouldCleanUrl = true;
+    }
+    if (avatarFromUrl) {
+      const sanitizedAvatar = sanitizeString(avatarFromUrl);
+      safeLocalStorageSet(STORAGE_KEYS.DISCORD_AVATAR, sanitizedAvatar);
+      console.log('Stored Discord avatar:', sanitizedAvatar);
+      shouldCleanUrl = true;
+    }
+    if (userIdFromUrl) {
+      const sanitizedUserId = sanitizeString(userIdFromUrl);
+      safeLocalStorageSet(STORAGE_KEYS.DISCORD_USER_ID, sanitizedUserId);
+      shouldCleanUrl = true;
+    }
+    if (usernameFromUrl && avatarFromUrl && userIdFromUrl) {
+      setDiscordConnected(true);
+      // Track Discord connection upon successful authentication/re-auth from URL params
+      trackDiscordConnection();
+    }
+
+    // Remove query params from URL without causing a full page reload
+    if (shouldCleanUrl) {
+      window.history.replaceState({}, document.title, window.location.origin + window.location.pathname);
+    }
+  }, [trackDiscordConnection]); // Dependency on trackDiscordConnection for achievement tracking
+
+  // Load saved volume from localStorage
+  useEffect(() => {
+    const savedVolume = safeLocalStorageGet(STORAGE_KEYS.VOLUME, 1, (value) => {
+      return typeof value === 'number' && value >= 0 && value <= 1;
+    });
+    setVolume(savedVolume);
+  }, []);
+
+  // Load the current queue entry; playback itself is started by the action that picked the entry
+  useEffect(() => {
+    if (currentEntryUrl) {
+      setYoutubeUrl(currentEntryUrl);
+    }
+  }, [currentEntryUrl]);
+
+  // If the playing entry was removed, continue with the entry that took its place, or stop
+  useEffect(() => {
+    const previousQueue = previousQueueRef.current;
+    previousQueueRef.current = youtubeQueue;
+    if (!currentEntryId || youtubeQueue.some(entry => entry.id === currentEntryId)) return;
+
+    const previousIndex = previousQueue.findIndex(entry => entry.id === currentEntryId);
+    if (previousIndex === -1) return; // We never had this entry, its insert op is still on the way
+
+    const replacement = youtubeQueue[previousIndex];
+    if (replacement) {
+      setCurrentEntryId(replacement.id);
+    } else {
+      setCurrentEntryId(null);
+      setYoutubeUrl('');
+      setIsYoutubePlaying(false);
+    }
+  }, [youtubeQueue, currentEntryId]);
+
+  // Add youtubeUrl to history when it changes and is a playable URL
+  useEffect(() => {
+    if (youtubeUrl) {
+      const media = parseMediaUrl(youtubeUrl);
+      if (media) {
+        setYoutubeHistory(prev => {
+          // Check if item already exists in history to avoid duplicates
+          if (prev.some(item => item.src === youtubeUrl)) {
+            return prev;
+          }
+          return [
+            ...prev,
+            {
+              name: getMediaDisplayName(youtubeUrl), // Shown until the title is resolved
+              videoId: getYoutubeVideoId(youtubeUrl), // Metadata is only looked up for YouTube videos
+              src: youtubeUrl,
+              type: media.type,
+              timestamp: new Date().toLocaleString()
+            }
+          ];
+        });
+      }
+    }
+  }, [youtubeUrl]);
+
+  // The current video finished: play the next queue entry or stop at the end of the queue
+  const handleVideoEnded = useCallback(() => {
+    if (currentIndex + 1 < youtubeQueue.length) {
+      setCurrentEntryId(youtubeQueue[currentIndex + 1].id);
+    } else {
+      setIsYoutubePlaying(false); // Stop playing if no more videos in queue
+    }
+  }, [currentIndex, youtubeQueue]);
+
+  // MediaPlayer hands us the adapter of the element it rendered (null while switching players)
+  const handlePlayerReady = useCallback((adapter) => {
+    playerRef.current = adapter;
+    setPlayer(adapter);
+  }, []);
+
+  // Durations the player knows are shown in the queue and history too
+  const handleDurationChange = useCallback((duration, url) => {
+    rememberVideoDuration(getYoutubeVideoId(url), duration);
+  }, []);
+
+  // Real player position for clock sync
+  const getPlayerPosition = useCallback(() => {
+    if (!playerRef.current) return null;
+    const status = playerRef.current.getStatus();
+    if (!status.url || status.currentTime === null) return null;
+
+    return {
+      url: status.url,
+      currentTime: status.currentTime,
+      isPlaying: status.isPlaying,
+      availablePlaybackRates: status.availablePlaybackRates,
+      isBuffering: status.isBuffering,
+      bufferedAhead: status.bufferedAhead,
+      duration: status.duration,
+    };
+  }, []);
+
+  // Drift correction from ChatRoom: jump to the room's position or run slightly faster/slower
+  const handlePlaybackCorrection = useCallback(({ seekTo, playbackRate }) => {
+    if (!playerRef.current) return;
+    if (typeof seekTo === 'number' && seekTo >= 0) {
+      playerRef.current.seek(seekTo);
+    }
+    if (typeof playbackRate === 'number') {
+      playerRef.current.setPlaybackRate(playbackRate);
+    }
+  }, []);
+
+  // Player Control and Volume Sync
+  useEffect(() => {
+    if (!player || !youtubeUrl) return;
+
+    // Set volume whenever it changes or a new video loads
+    player.setVolume(volume);
+
+    // Control playback based on isYoutubePlaying state
+    if (isYoutubePlaying) {
+      player.play();
+    } else {
+      player.pause();
+    }
+  }, [player, youtubeUrl, isYoutubePlaying, volume]);
+
+  // Shared playback speed, drift correction nudges around it
+  useEffect(() => {
+    if (!player || !youtubeUrl) return;
+    player.setPlaybackRate(playbackRate);
+  }, [player, youtubeUrl, playbackRate]);
+
+  // Seek bar: move the local player, then share the new position with the room
+  const handleSeek = useCallback((seconds) => {
+    if (!playerRef.current || !canControl) return;
+    playerRef.current.seek(seconds);
+    if (roomActionsRef.current) {
+      roomActionsRef.current.sendSeek();
+    }
+  }, [canControl]);
+
+  // --- Track video playback sessions for achievements ---
+  useEffect(() => {
+    if (isYoutubePlaying && youtubeUrl && !watchSessionStartTimeRef.current) {
+      // Start a new session if video starts playing and no session is active
+      watchSessionStartTimeRef.current = Date.now();
+      startWatchSession();
+    } else if (!isYoutubePlaying && watchSessionStartTimeRef.current) {
+      // End the session if video pauses/stops and a session was active
+      // IMPORTANT: endWatchSession in achievementManager.js does NOT take a duration argument.
+      // It calculates duration internally from its own managed watchSessionStart.
+      endWatchSession(); // Call without arguments
+      watchSessionStartTimeRef.current = null;
+    }
+    // Cleanup function: If component unmounts or youtubeUrl changes while playing, end current session
+    return () => {
+      if (watchSessionStartTimeRef.current) {
+        // Same as above, call without arguments
+        endWatchSession();
+        watchSessionStartTimeRef.current = null;
+      }
+    };
+  }, [isYoutubePlaying, youtubeUrl, startWatchSession, endWatchSession]);
+
+
+  // --- Enhanced addToQueue function (from modifications) ---
+  // Returns true if the URL was added so callers can clear their input
+  const addToQueue = useCallback((url) => {
+    if (!url) return false;
+    const sanitizedUrl = sanitizeString(url);
+    if (!isValidMediaUrl(sanitizedUrl)) {
+      setUrlError(INVALID_MEDIA_URL_MESSAGE);
+      return false;
+    }
+    setUrlError('');
+    const entry = createQueueEntry(sanitizedUrl);
+    if (!submitQueueOp(createQueueOp('insert', { entries: [entry], position: 'end' }))) return false;
+    // Track the video addition for achievements
+    trackVideoAdded();
+    // Track queue size for achievements
+    trackQueueSize(youtubeQueue.length + 1);
+
+    if (youtubeQueue.length === 0) {
+      setCurrentEntryId(entry.id);
+      setIsYoutubePlaying(true);
+    }
+    return true;
+  }, [youtubeQueue, submitQueueOp, trackVideoAdded, trackQueueSize]); // Added trackVideoAdded and trackQueueSize to dependencies
+
+  // Appends the chosen playlist videos with a single insert op, so the import can't interleave with other edits
+  const importPlaylistItems = useCallback((items) => {
+    setPlaylistPreview(null);
+    if (items.length === 0) return;
+
+    const entries = items.map(item => createQueueEntry(`https://www.youtube.com/watch?v=${item.videoId}`));
+    if (!submitQueueOp(createQueueOp('insert', { entries, position: 'end' }))) return;
+    trackVideoAdded();
+    trackQueueSize(youtubeQueue.length + entries.length);
+
+    if (youtubeQueue.length === 0) {
+      setCurrentEntryId(entries[0].id);
+      setIsYoutubePlaying(true);
+    }
+  }, [youtubeQueue, submitQueueOp, trackVideoAdded, trackQueueSize]);
+
+  // Expands a playlist link on the server and shows the preview; links that also name a video
+  // fall back to adding just that video when the playlist can't be loaded (e.g. auto-generated mixes)
+  const loadPlaylistPreview = useCallback(async (url) => {
+    const { videoId, playlistId } = parseYoutubeUrl(url);
+    setUrlError('');
+    setPlaylistPreview({ loading: true, playlist: null });
+    try {
+      const response = await fetch(`${PLAYLIST_CONFIG.API_PATH}?list=${encodeURIComponent(playlistId)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not load the playlist.');
+      }
+      setPlaylistPreview({ loading: false, playlist: data.playlist });
+    } catch (error) {
+      console.warn('Playlist import failed:', error);
+      setPlaylistPreview(null);
+      if (videoId && addToQueue(url)) {
+        setUrlError(`${error.message} Added the linked video only.`);
+      } else {
+        setUrlError(error.message);
+      }
+    }
+  }, [addToQueue]);
+
+  // Non-hosts send suggestions instead of changing playback directly
+  const sendSuggestion = useCallback((action, videoUrl = '') => {
+    if (!roomActionsRef.current) {
+      setSuggestionNotice('Connect to the chatroom to send suggestions.');
+      return;
+    }
+    roomActionsRef.current.sendSuggestion(action, videoUrl);
+    setSuggestionNotice('Suggestion sent to the host.');
+    setTimeout(() => setSuggestionNotice(''), 3000);
+  }, []);
+
+  const suggestVideo = useCallback((url) => {
+    const sanitizedUrl = sanitizeString(url);
+    if (!isValidMediaUrl(sanitizedUrl)) {
+      setUrlError(INVALID_MEDIA_URL_MESSAGE);
+      return false;
+    }
+    setUrlError('');
+    sendSuggestion('queue', sanitizedUrl);
+    return true;
+  }, [sendSuggestion]);
+
+  const handleAddToQueue = useCallback(() => {
+    const sanitizedInput = sanitizeString(youtubeInput);
+    if (canEditQueue && parseYoutubeUrl(sanitizedInput)?.playlistId) {
+      setYoutubeInput('');
+      loadPlaylistPreview(sanitizedInput);
+      return;
+    }
+    const added = canEditQueue ? addToQueue(youtubeInput) : suggestVideo(youtubeInput);
+    if (added) {
+      setYoutubeInput('');
+    }
+  }, [youtubeInput, addToQueue, suggestVideo, loadPlaylistPreview, canEditQueue]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAddToQueue();
+    }
+  }, [handleAddToQueue]);
+
+  const handlePlay = useCallback(() => {
+    if (youtubeInput) { // If there's input, add it to queue first
+      if (addToQueue(youtubeInput)) {
+        setYoutubeInput('');
+      }
+    } else if (currentIndex === -1 && youtubeQueue.length > 0) {
+      // If no input and nothing is playing, but queue has items, start from first
+      setCurrentEntryId(youtubeQueue[0].id);
+      setIsYoutubePlaying(true);
+    } else if (currentIndex >= 0 && currentIndex < youtubeQueue.length && playerRef.current) {
+      // Otherwise, play the current video if it's paused
+      playerRef.current.play();
+      setIsYoutubePlaying(true);
+    }
+  }, [youtubeInput, addToQueue, currentIndex, youtubeQueue]);
+
+  const handlePause = useCallback(() => {
+    if (playerRef.current) {
+      playerRef.current.pause();
+      setIsYoutubePlaying(false);
+    }
+  }, []);
+
+  const handleStop = useCallback(() => {
+    if (playerRef.current) {
+      playerRef.current.stop();
+      setIsYoutubePlaying(false);
+      // Optionally reset current index or clear queue on stop
+      // setCurrentEntryId(null);
+      // submitQueueOp(createQueueOp('clear'));
+    }
+  }, []);
+
+  const handleNext = useCallback(() => {
+    if (currentIndex + 1 < youtubeQueue.length) {
+      setCurrentEntryId(youtubeQueue[currentIndex + 1].id);
+      setIsYoutubePlaying(true);
+    } else {
+      setIsYoutubePlaying(false); // Stop if no next video
+      // Optionally loop or indicate end of queue
+    }
+  }, [currentIndex, youtubeQueue]);
+
+  const handlePrevious = useCallback(() => {
+    if (currentIndex > 0) {
+      setCurrentEntryId(youtubeQueue[currentIndex - 1].id);
+      setIsYoutubePlaying(true);
+    }
+  }, [currentIndex, youtubeQueue]);
+
+  const playFromHistory = useCallback((item) => {
+    if (item && item.src) {
+      const queuedEntry = youtubeQueue.find(entry => entry.url === item.src);
+      if (queuedEntry) {
+        setCurrentEntryId(queuedEntry.id);
+      } else {
+        // Add the item to the end of the queue and then make it the current entry
+        const entry = createQueueEntry(item.src);
+        if (!submitQueueOp(createQueueOp('insert', { entries: [entry], position: 'end' }))) return;
+        setCurrentEntryId(entry.id);
+      }
+      setIsYoutubePlaying(true);
+    }
+  }, [youtubeQueue, submitQueueOp]);
+
+  // --- Queue panel actions, shared with the room as queue ops ---
+  const handleQueueMove = useCallback((entryId, toIndex) => {
+    const others = youtubeQueue.filter(entry => entry.id !== entryId);
+    submitQueueOp(toIndex <= 0
+      ? createQueueOp('move', { entryId, position: 'start' })
+      : createQueueOp('move', { entryId, position: 'after', afterId: others[toIndex - 1].id }));
+  }, [youtubeQueue, submitQueueOp]);
+
+  const handleQueueRemove = useCallback((entryId) => {
+    submitQueueOp(createQueueOp('remove', { entryId }));
+  }, [submitQueueOp]);
+
+  const handlePlayNext = useCallback((entryId) => {
+    submitQueueOp(currentIndex !== -1
+      ? createQueueOp('move', { entryId, position: 'after', afterId: currentEntryId })
+      : createQueueOp('move', { entryId, position: 'start' }));
+  }, [currentIndex, currentEntryId, submitQueueOp]);
+
+  const handleJumpToEntry = useCallback((entryId) => {
+    setCurrentEntryId(entryId);
+    setIsYoutubePlaying(true);
+  }, []);
+
+  const handleClearQueue = useCallback(() => {
+    submitQueueOp(createQueueOp('clear'));
+  }, [submitQueueOp]);
+
+  // A host or co-host accepted a suggestion from the chat: perform it like the matching button would
+  const handleSuggestionAccept = useCallback((suggestion) => {
+    switch (suggestion.action) {
+      case 'play':
+        if (currentIndex === -1 && youtubeQueue.length > 0) {
+          setCurrentEntryId(youtubeQueue[0].id);
+        }
+        setIsYoutubePlaying(youtubeQueue.length > 0);
+        break;
+      case 'pause':
+        handlePause();
+        break;
+      case 'stop':
+        handleStop();
+        break;
+      case 'next':
+        handleNext();
+        break;
+      case 'previous':
+        handlePrevious();
+        break;
+      case 'queue':
+        addToQueue(suggestion.videoUrl);
+        break;
+      default:
+        console.warn('Unknown suggestion action:', suggestion.action);
+    }
+  }, [currentIndex, youtubeQueue, handlePause, handleStop, handleNext, handlePrevious, addToQueue]);
+
+  // Inserts a video right after the one that is playing and switches to it, for /play <url>
+  const playNow = useCallback((url) => {
+    const sanitizedUrl = sanitizeString(url);
+    if (!isValidMediaUrl(sanitizedUrl)) return false;
+    const entry = createQueueEntry(sanitizedUrl);
+    const submitted = submitQueueOp(currentEntryId
+      ? createQueueOp('insert', { entries: [entry], position: 'after', afterId: currentEntryId })
+      : createQueueOp('insert', { entries: [entry], position: 'end' }));
+    if (!submitted) return false;
+    trackVideoAdded();
+    trackQueueSize(youtubeQueue.length + 1);
+    setCurrentEntryId(entry.id);
+    setIsYoutubePlaying(true);
+    return true;
+  }, [currentEntryId, youtubeQueue, submitQueueOp, trackVideoAdded, trackQueueSize]);
+
+  // Slash commands from the chat take the same paths as the buttons above; each returns a note for the chat, if any
+  const chatCommandActions = {
+    play: (url) => {
+      if (!url) {
+        if (canControl) handlePlay(); else sendSuggestion('play');
+        return '';
+      }
+      if (!canControl) {
+        return suggestVideo(url) ? 'Only the host or a co-host can play a video right away, suggested it for the queue instead.' : INVALID_MEDIA_URL_MESSAGE;
+      }
+      // A valid link that wasn't added was refused by the queue, which says why above the player
+      return playNow(url) || isValidMediaUrl(sanitizeString(url)) ? '' : INVALID_MEDIA_URL_MESSAGE;
+    },
+    queue: (url) => {
+      if (!canEditQueue) {
+        return suggestVideo(url) ? 'Suggestion sent to the host.' : INVALID_MEDIA_URL_MESSAGE;
+      }
+      const sanitizedUrl = sanitizeString(url);
+      if (parseYoutubeUrl(sanitizedUrl)?.playlistId) {
+        loadPlaylistPreview(sanitizedUrl);
+        return 'Loading the playlist, pick the videos to add above the queue.';
+      }
+      return addToQueue(sanitizedUrl) || isValidMediaUrl(sanitizedUrl) ? '' : INVALID_MEDIA_URL_MESSAGE;
+    },
+    skip: () => {
+      if (!canControl) {
+        if (roomActionsRef.current) roomActionsRef.current.voteSkip();
+        return 'Only the host or a co-host can skip, toggled your vote to skip instead.';
+      }
+      if (currentIndex + 1 >= youtubeQueue.length) return 'There is no next video in the queue.';
+      handleNext();
+      return '';
+    },
+    pause: () => {
+      if (canControl) handlePause(); else sendSuggestion('pause');
+      return '';
+    },
+    seek: (seconds) => {
+      if (!canControl) return 'Only the host or a co-host can seek.';
+      if (!playerRef.current) return 'Nothing is playing.';
+      handleSeek(seconds);
+      return '';
+    },
+  };
+
+  const handleVolumeChange = useCallback((e) => {
+    const newVolume = validateNumber(e.target.value, 0, 1);
+    setVolume(newVolume);
+    safeLocalStorageSet(STORAGE_KEYS.VOLUME, newVolume);
+  }, []);
+
+  // Effect to send video state to ChatRoom whenever it changes locally
+  useEffect(() => {
+    if (sendVideoStateRef.current) {
+      sendVideoStateRef.current({
+        youtubeUrl,
+        isYoutubePlaying,
+        currentEntryId,
+        currentTime: startOffset, // Only used until the player reports its real position
+        playbackRate,
+        volume // Including volume for potential sync
+      });
+    }
+  }, [youtubeUrl, isYoutubePlaying, currentEntryId, startOffset, playbackRate, volume]);
+
+  // --- Enhanced Discord connection handler (from modifications) ---
+  const handleDiscordConnect = useCallback(() => {
+    // The room code travels through OAuth as `state` so we land back in the same room
+    const oauthUrl = `${DISCORD_CONFIG.OAUTH_URL}?client_id=${DISCORD_CONFIG.CLIENT_ID}&redirect_uri=${encodeURIComponent(DISCORD_CONFIG.REDIRECT_URI)}&response_type=code&scope=${DISCORD_CONFIG.SCOPE}&state=${encodeURIComponent(roomCode)}`;
+
+    // Track Discord connection attempt
+    trackDiscordConnection();
+
+    window.location.href = oauthUrl;
+  }, [trackDiscordConnection, roomCode]); // Added trackDiscordConnection to dependencies
+
+  const handleCopyInviteLink = useCallback(async () => {
+    const inviteUrl = `${window.location.origin}/room/${roomCode}`;
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.warn('Could not copy invite link:', error);
+      window.prompt('Copy this invite link:', inviteUrl);
+    }
+  }, [roomCode]);
+
+
+  // The video title once it's known, the placeholder name until then
+  const getHistoryName = (item) => getVideoMetadata(item.videoId)?.title || item.name;
+
+  const filteredHistory = youtubeHistory.filter(item =>
+    getHistoryName(item).toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const sortedHistory = filteredHistory.sort((a, b) => {
+    // Sorting by name for "Difficulty" (as no actual difficulty field exists)
+    if (sortBy === 'Difficulty') {
+      return getHistoryName(a).localeCompare(getHistoryName(b));
+    } else if (sortBy === 'Date Added') {
+      return new Date(b.timestamp) - new Date(a.timestamp);
+    }
+    return 0;
+  });
+
+  // Get all achievements from the hook
+  const allAchievements = getAllAchievements();
+
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-pink-900 to-purple-900 flex flex-col">
+      <header className="flex items-center justify-between px-6 py-3 bg-black bg-opacity-50 backdrop-blur-md border-b border-pink-600 shadow-lg overflow-visible relative z-10">
+        <div className="flex space-x-4">
+          <button
+            onClick={() => setShowChatRoom(prev => !prev)}
+            className="bg-pink-600 hover:bg-pink-700 text-white font-bold px-4 py-2 rounded-md shadow-pink-400/70 shadow-lg transition duration-300"
+            aria-label="Toggle Chatroom visibility"
+          >
+            {showChatRoom ? 'Hide Chatroom' : 'Show Chatroom'}
+          </button>
+          <button
+            onClick={handleCopyInviteLink}
+            className="bg-purple-600 hover:bg-purple-700 text-white font-bold px-4 py-2 rounded-md shadow-purple-400/70 shadow-lg transition duration-300"
+            aria-label="Copy room invite link"
+            title="Copy a link others can use to join this room"
+          >
+            Room <span className="font-mono">{roomCode}</span> · {linkCopied ? 'Link copied!' : 'Copy invite link'}
+          </button>
+          {!discordConnected ? (
+            <button
+              onClick={handleDiscordConnect} // Use the new useCallback for Discord connect
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold px-4 py-2 rounded-md shadow-blue-400/70 shadow-lg transition duration-300"
+              aria-label="Connect with Discord"
+            >
+              Connect with Discord
+            </button>
+          ) : (
+            <button
+              onClick={() => {
+                setDiscordConnected(false);
+                const defaultUsername = generateRandomUsername();
+                setChatUsername(defaultUsername);
+                safeLocalStorageSet(STORAGE_KEYS.USERNAME, defaultUsername);
+                safeLocalStorageSet(STORAGE_KEYS.DISCORD_USER_ID, null);
+                safeLocalStorageSet(STORAGE_KEYS.DISCORD_AVATAR, null);
+              }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold px-4 py-2 rounded-md shadow-red-400/70 shadow-lg transition duration-300"
+              aria-label="Disconnect Discord"
+            >
+              Disconnect Discord
+            </button>
+          )}
+        </div>
+
+        {/* Discord Profile with Dropdown */}
+        {discordConnected && safeLocalStorageGet(STORAGE_KEYS.DISCORD_AVATAR) && (
+          <div className="relative" ref={dropdownRef}>
+            <button
+              onClick={() => setShowDiscordDropdown(!showDiscordDropdown)}
+              className="flex items-center space-x-2 hover:bg-pink-600 hover:bg-opacity-20 rounded-lg p-2 transition duration-300"
+              aria-label="Discord profile menu"
+            >
+              <img
+                src={`https://cdn.discordapp.com/avatars/${safeLocalStorageGet(STORAGE_KEYS.DISCORD_USER_ID)}/${safeLocalStorageGet(STORAGE_KEYS.DISCORD_AVATAR)}.png`}
+                alt="Discord Profile"
+                className="w-10 h-10 rounded-full border-2 border-pink-600"
+                onError={(e) => {
+                  e.target.src = 'https://cdn.discordapp.com/embed/avatars/0.png'; // Default Discord avatar
+                }}
+              />
+              <span className="text-white font-semibold">{chatUsername}</span>
+              <svg
+                className={`w-4 h-4 text-white transition-transform duration-200 ${showDiscordDropdown ? 'rotate-180' : ''}`}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {/* Dropdown Menu */}
+            {showDiscordDropdown && (
+              <div className="absolute right-0 mt-2 w-80 bg-black bg-opacity-90 backdrop-blur-md rounded-lg shadow-2xl border border-pink-500 z-[90]">
+                <div className="p-4 z-80">
+                  <h3 className="text-pink-300 text-lg font-bold mb-3 text-center drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]">
+                    🏆 Achievements
+                  </h3>
+                  {/* Display total watch time from achievements hook */}
+                  <p className="text-pink-200 text-sm text-center mb-4">
+                    {/* CORRECTED: Use stats.watch_time as per achievementManager.js */}
+                    Total Watch Time: <span className="font-bold">{formatWatchTime(stats.watch_time)}</span>
+                  </p>
+                  <div className="space-y-3 max-h-64 overflow-y-auto">
+                    {/* Use allAchievements from the hook */}
+                    {allAchievements.map((achievement) => (
+                      <div
+                        key={achievement.id}
+                        className={`flex items-center space-x-3 p-3 rounded-lg transition duration-300 ${
+                          achievement.unlocked
+                            ? 'bg-pink-600 bg-opacity-30 border border-pink-500'
+                            : 'bg-gray-700 bg-opacity-50 border border-gray-600 opacity-60'
+                        }`}
+                      >
+                        <div className="text-2xl">{achievement.icon}</div>
+                        <div className="flex-1">
+                          <h4 className={`font-semibold ${achievement.unlocked ? 'text-white' : 'text-gray-400'}`}>
+                            {achievement.name}
+                          </h4>
+                          <p className={`text-sm ${achievement.unlocked ? 'text-pink-200' : 'text-gray-500'}`}>
+                            {achievement.description}
+                            {/* Optionally show progress for non-unlocked achievements */}
+                            {!achievement.unlocked && achievement.targetValue > 0 && (
+                                <span className="ml-2 text-pink-300">
+                                    ({achievement.currentValue}/{achievement.targetValue})
+                                </span>
+                            )}
+                          </p>
+                        </div>
+                        {achievement.unlocked && (
+                          <div className="text-green-400 text-xl">✓</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="mt-4 pt-3 border-t border-pink-500">
+                    <div className="text-center text-pink-300 text-sm">
+                      {/* Use unlockedCount and totalCount from the hook */}
+                      <span className="font-semibold">
+                        {unlockedCount} / {totalCount}
+                      </span>
+                      <span className="ml-1">achievements unlocked</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </header>
+
+      <main className="flex flex-1 px-6 py-4 space-x-6">
+        <section className={`flex-1 bg-black bg-opacity-40 backdrop-blur-md rounded-3xl shadow-2xl p-6 flex flex-col transition-all duration-700 ease-[cubic-bezier(0.4,0,0.2,1)] ${showChatRoom ? 'mr-6' : 'mr-0'}`}>
+          <h1 className="text-center text-pink-400 text-4xl font-extrabold mb-6 drop-shadow-[0_0_10px_rgba(255,105,180,0.7)]">Link2Gether</h1>
+          <div className="mb-6 flex flex-col space-y-4">
+            <label htmlFor="youtube-url" className="text-pink-300 text-lg font-semibold drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]">Video URL:</label>
+            {urlError && (
+              <p className="mb-2 text-red-500 text-sm font-semibold">{urlError}</p>
+            )}
+            <div className="flex items-center rounded-lg overflow-hidden shadow-lg bg-gradient-to-r from-pink-600 to-purple-700 bg-opacity-30 border border-pink-500 backdrop-blur-md">
+              <input
+                id="youtube-url"
+                type="text"
+                value={youtubeInput}
+                onChange={(e) => {
+                  setYoutubeInput(e.target.value);
+                  if (urlError) setUrlError('');
+                }}
+                onKeyDown={handleKeyDown}
+                placeholder="Enter a YouTube video or playlist, Vimeo or video file URL"
+                className="px-4 py-3 bg-transparent text-white placeholder-pink-300 focus:outline-none flex-grow drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]"
+                aria-label="Video URL input"
+              />
+              <button
+                onClick={handleAddToQueue}
+                className="bg-pink-500 hover:bg-pink-600 text-white px-6 py-3 font-bold transition duration-300 shadow-pink-400/70 shadow-lg"
+              >
+                {canEditQueue ? 'Add to Queue' : 'Suggest Video'}
+              </button>
+            </div>
+            {playlistPreview && (
+              <PlaylistPreview
+                preview={playlistPreview}
+                onImport={importPlaylistItems}
+                onCancel={() => setPlaylistPreview(null)}
+              />
+            )}
+            <p className="text-pink-200 text-sm">
+              {!roomRole.host
+                ? 'Joining the room...'
+                : canControl
+                  ? (roomRole.host === chatUsername ? "You're the host of this room." : "You're a co-host of this room.")
+                  : `${roomRole.host} is hosting. Your playback actions are sent as suggestions.`}
+              {roomRole.queueLocked && ' The queue is locked by the host.'}
+              {suggestionNotice && <span className="ml-2 text-green-300 font-semibold">{suggestionNotice}</span>}
+              {queueError && <span className="ml-2 text-red-400 font-semibold">{queueError}</span>}
+            </p>
+          </div>
+          {youtubeUrl && (
+            <div className="mb-4 flex items-center space-x-3 min-w-0">
+              {nowPlaying?.thumbnailUrl && (
+                <img src={nowPlaying.thumbnailUrl} alt="" className="w-20 h-12 object-cover rounded-md border border-pink-500" />
+              )}
+              <div className="min-w-0">
+                <p className="text-pink-400 text-xs font-semibold uppercase tracking-wide">Now playing</p>
+                <p className="text-white font-bold truncate drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]" title={nowPlaying?.title || youtubeUrl}>
+                  {nowPlaying?.title || youtubeUrl}
+                </p>
+                {(nowPlaying?.channel || nowPlaying?.duration) && (
+                  <p className="text-pink-300 text-sm truncate">
+                    {[nowPlaying.channel, formatDuration(nowPlaying.duration)].filter(Boolean).join(' · ')}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+          {(youtubeUrl && isValidMediaUrl(youtubeUrl)) ? ( // Only render the player if youtubeUrl is playable
+            <div className="relative mb-4">
+              <MediaPlayer
+                url={youtubeUrl}
+                onReady={handlePlayerReady}
+                onEnded={handleVideoEnded}
+                onDurationChange={handleDurationChange}
+                className="block rounded-3xl shadow-2xl border-4 border-pink-600"
+              />
+              {subtitlesEnabled && <SubtitleOverlay player={player} track={subtitleTrack} offset={subtitleOffset} />}
+              <ReactionOverlay player={player} history={reactionHistory} live={liveReactions} />
+            </div>
+          ) : (
+            <div className="flex items-center justify-center h-80 bg-gray-900 rounded-3xl shadow-2xl border-4 border-pink-600 text-pink-300 text-xl font-semibold">
+              Enter a YouTube, Vimeo or video file URL to start watching!
+            </div>
+          )}
+          {youtubeUrl && (
+            <ReactionBar
+              onReact={(emoji) => roomActionsRef.current && roomActionsRef.current.sendReaction(emoji)}
+              disabled={!chatUsername}
+            />
+          )}
+          {youtubeUrl && (
+            <SubtitleControls
+              track={subtitleTrack}
+              canLoad={!!chatUsername && !!currentEntryId}
+              enabled={subtitlesEnabled}
+              offset={subtitleOffset}
+              onLoad={(subtitles) => roomActionsRef.current && roomActionsRef.current.sendSubtitles(currentEntryId, subtitles)}
+              onToggle={setSubtitlesEnabled}
+              onOffsetChange={setSubtitleOffset}
+            />
+          )}
+          {youtubeUrl && (
+            <SeekBar
+              player={player}
+              canControl={canControl}
+              playbackRate={playbackRate}
+              reactions={[...reactionHistory, ...liveReactions]}
+              onSeek={handleSeek}
+              onPlaybackRateChange={setPlaybackRate}
+            />
+          )}
+          <div className="flex flex-wrap items-center space-x-4 space-y-0 justify-center mb-8">
+            <button
+              onClick={canControl ? handlePrevious : () => sendSuggestion('previous')}
+              disabled={currentIndex <= 0}
+              className="h-12 px-6 bg-pink-600 rounded-full text-white font-extrabold text-lg hover:bg-pink-700 transition duration-300 shadow-pink-400/70 shadow-lg flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label="Previous video"
+            >
+              {canControl ? 'Previous' : 'Suggest Previous'} ⏮️
+            </button>
+            <button
+              onClick={canControl ? handlePlay : () => sendSuggestion('play')}
+              disabled={isYoutubePlaying || youtubeQueue.length === 0} // Disable if already playing or no items in queue
+              className="h-12 px-6 bg-pink-600 rounded-full text-white font-extrabold text-lg hover:bg-pink-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed shadow-pink-400/70 shadow-lg flex items-center justify-center"
+              aria-label="Play YouTube video"
+            >
+              {canControl ? 'Play' : 'Suggest Play'} ▶
+            </button>
+            <button
+              onClick={canControl ? handlePause : () => sendSuggestion('pause')}
+              disabled={!isYoutubePlaying} // Disable if not playing
+              className="h-12 px-6 bg-purple-600 rounded-full text-white font-extrabold text-lg hover:bg-purple-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed shadow-purple-400/70 shadow-lg flex items-center justify-center"
+              aria-label="Pause YouTube video"
+            >
+              {canControl ? 'Pause' : 'Suggest Pause'} ▐▐
+            </button>
+            <button
+              onClick={canControl ? handleStop : () => sendSuggestion('stop')}
+              disabled={!isYoutubePlaying && currentIndex === -1} // Disable if not playing and no item selected
+              className="h-12 px-6 bg-pink-600 rounded-full text-white font-extrabold text-lg hover:bg-pink-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed shadow-pink-400/70 shadow-lg flex items-center justify-center"
+              aria-label="Stop YouTube video"
+            >
+              {canControl ? 'Stop' : 'Suggest Stop'} ◼
+            </button>
+            <button
+              onClick={() => roomActionsRef.current && roomActionsRef.current.voteSkip()}
+              disabled={!youtubeUrl}
+              className="h-12 px-6 bg-purple-600 rounded-full text-white font-extrabold text-lg hover:bg-purple-700 transition duration-300 shadow-purple-400/70 shadow-lg flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label="Vote to skip the current video"
+            >
+              {skipVote.votes.includes(chatUsername) ? 'Retract Skip Vote' : 'Vote to Skip'}
+              {skipVote.votes.length > 0 && ` (${skipVote.votes.length}/${skipVote.required})`}
+            </button>
+            <button
+              onClick={canControl ? handleNext : () => sendSuggestion('next')}
+              disabled={currentIndex >= youtubeQueue.length - 1} // Disable if at the end of the queue
+              className="h-12 px-6 bg-pink-600 rounded-full text-white font-extrabold text-lg hover:bg-pink-700 transition duration-300 shadow-pink-400/70 shadow-lg flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label="Next video"
+            >
+              {canControl ? 'Next' : 'Suggest Next'} ⏭️
+            </button>
+          </div>
+          <div className="w-full max-w-md flex flex-col items-center mb-6 mx-auto">
+            <label htmlFor="volume-control" className="text-pink-300 mb-3 font-semibold text-lg drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]">Volume: {Math.round(volume * 100)}%</label>
+            <input
+              id="volume-control"
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={volume}
+              onChange={handleVolumeChange}
+              className="w-full rounded-full accent-pink-500 cursor-pointer"
+              aria-label="Volume control slider"
+            />
+          </div>
+        </section>
+
+        {/* Right Panel - YouTube History */}
+        <aside className="w-96 bg-black bg-opacity-40 backdrop-blur-md rounded-3xl shadow-2xl p-6 max-h-[calc(100vh-96px)] overflow-y-auto border border-pink-500 flex flex-col">
+          <QueuePanel
+            queue={youtubeQueue}
+            currentEntryId={currentEntryId}
+            canControl={canEditQueue}
+            onMove={handleQueueMove}
+            onRemove={handleQueueRemove}
+            onPlayNext={handlePlayNext}
+            onJump={handleJumpToEntry}
+            onClear={handleClearQueue}
+            getVideoMetadata={getVideoMetadata}
+          />
+          <h2 className="text-pink-300 text-2xl mb-4 font-bold tracking-wide text-center drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]">YouTube History</h2>
+          <div className="text-pink-400 text-center font-semibold mb-4">
+            Next in Queue: {currentIndex + 1 < youtubeQueue.length
+              ? (getVideoMetadata(getYoutubeVideoId(youtubeQueue[currentIndex + 1].url))?.title || getYoutubeVideoId(youtubeQueue[currentIndex + 1].url))
+              : 'No next video'}
+          </div>
+          <div className="flex justify-between items-center mb-4 space-x-2">
+            <input
+              type="text"
+              placeholder="Search history..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="flex-grow px-3 py-2 bg-pink-900 bg-opacity-50 rounded-md text-white placeholder-pink-200 focus:outline-none focus:ring-2 focus:ring-pink-500"
+              aria-label="Search YouTube history"
+            />
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-3 py-2 bg-pink-900 bg-opacity-50 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-pink-500 cursor-pointer"
+              aria-label="Sort history by"
+            >
+              <option value="Date Added">Date Added</option>
+              <option value="Difficulty">Name (A-Z)</option> {/* Renamed for clarity */}
+            </select>
+          </div>
+          {sortedHistory.length === 0 ? (
+            <p className="text-pink-400 text-center">No YouTube history found.</p>
+          ) : (
+            <ul className="divide-y divide-pink-600 flex-1 overflow-y-auto">
+              {sortedHistory.map((item, index) => (
+                <li key={index} className="py-3 flex items-center justify-between">
+                  {getVideoMetadata(item.videoId)?.thumbnailUrl && (
+                    <img src={getVideoMetadata(item.videoId).thumbnailUrl} alt="" className="w-16 h-10 mr-3 object-cover rounded-md" />
+                  )}
+                  <div className="flex-1 min-w-0"> {/* Added min-w-0 to allow truncation */}
+                    <p className="text-white font-semibold truncate drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]" title={getHistoryName(item)}>{getHistoryName(item)}</p>
+                    {getVideoMetadata(item.videoId)?.channel && (
+                      <p className="text-pink-300 text-xs truncate">
+                        {[getVideoMetadata(item.videoId).channel, formatDuration(getVideoMetadata(item.videoId).duration)].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
+                    <p className="text-pink-400 text-sm">{item.timestamp}</p>
+                    {/* <p className="text-pink-500 text-xs">{item.type}</p> */} {/* Type is always youtube, so optional */}
+                  </div>
+                  <button
+                    onClick={() => (canControl ? playFromHistory(item) : sendSuggestion('queue', item.src))}
+                    className="ml-5 bg-pink-500 hover:bg-pink-600 text-white px-4 py-2 rounded-full transition duration-300 text-sm font-semibold shadow-pink-400/70 shadow-lg"
+                  >
+                    {canControl ? 'Play' : 'Suggest'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+
+        {/* Chatroom section */}
+        {chatUsername && (
+          <section
+            className={`bg-black bg-opacity-40 backdrop-blur-md rounded-3xl shadow-2xl p-6 max-h-[calc(100vh-96px)] overflow-y-auto border border-pink-500 flex flex-col ml-6 transition-[width,opacity] duration-700 ease-[cubic-bezier(0.4,0,0.2,1)] ${
+              showChatRoom ? 'w-96 opacity-100 pointer-events-auto' : 'w-0 opacity-0 pointer-events-none'
+            }`}
+            style={{ willChange: 'width, opacity' }}
+          >
+          <ChatRoom
+            username={chatUsername}
+            roomCode={roomCode}
+            videoState={{
+              youtubeUrl,
+              isYoutubePlaying,
+              currentEntryId,
+              playbackRate
+            }}
+            watchTime={stats.watch_time}
+            onVideoStateChange={({ videoUrl, playbackState, entryId, playbackRate: rate }) => {
+              // The queue arrives separately as queue ops, the state only says which entry is playing
+              if ((entryId || null) !== currentEntryId) {
+                setCurrentEntryId(entryId || null);
+              }
+              // Only update youtubeUrl if it's different and provided
+              if (videoUrl && videoUrl !== youtubeUrl) {
+                setYoutubeUrl(videoUrl);
+              }
+              if (rate && rate !== playbackRate) {
+                setPlaybackRate(rate);
+              }
+              // Set playback state
+              if (playbackState === 'play') {
+                setIsYoutubePlaying(true);
+              } else if (playbackState === 'pause' || playbackState === 'stop') {
+                setIsYoutubePlaying(false);
+              }
+            }}
+            getPlayerPosition={getPlayerPosition}
+            onPlaybackCorrection={handlePlaybackCorrection}
+            onRoleChange={setRoomRole}
+            onSuggestionAccept={handleSuggestionAccept}
+            onSkipVoteChange={setSkipVote}
+            onQueueOp={handleQueueOp}
+            onQueueSnapshot={handleQueueSnapshot}
+            onQueueReject={handleQueueReject}
+            onReaction={handleReaction}
+            onReactionHistory={handleReactionHistory}
+            onSubtitles={handleSubtitles}
+            commandActions={chatCommandActions}
+            isVisible={showChatRoom}
+            onUsernameChange={(name) => {
+              setChatUsername(name);
+              safeLocalStorageSet(STORAGE_KEYS.USERNAME, name);
+            }}
+            roomActionsRef={roomActionsRef}
+            onSendVideoState={(sendVideoState) => {
+              sendVideoStateRef.current = sendVideoState;
+            }}
+            // Assuming ChatRoom will provide an onMessageSent prop
+            onMessageSent={trackMessageSent}
+          />
+          </section>
+        )}
+      </main>
+
+      {/* Bottom Navigation Bar */}
+      <nav className="flex items-center justify-center px-6 py-3 bg-black bg-opacity-50 backdrop-blur-md border-t border-pink-600 shadow-lg">
+        <p className="text-sm text-white text-center">
+          © {new Date().getFullYear()} <span className="font-bold">Projeckt Aqua</span>. All rights reserved.
+        </p>
+      </nav>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,155 @@
+// messageWindowManager.js
+import { useState, useRef, useCallback, useEffect, useLayoutEffect, useMemo } from 'react';
+import { CHAT_HISTORY_CONFIG } from '../utils/constants.js';
+import { computeRowOffsets, getCenteredScrollTop, getVisibleRange } from '../utils/messageWindow.js';
+
+/**
+ * Custom hook rendering only the messages in view of a scrolling list. Rows are measured once rendered;
+ * rows that are not rendered take the space of their last measured or estimated height in two spacers.
+ * Rows must carry their key in a `data-message-id` attribute, the spacer above them gets `topSpacerRef`,
+ * and the list must not use the browser's own scroll anchoring, the hook keeps the view steady itself.
+ * @param {Object} listRef - Ref of the scrolling element
+ * @param {Array<string>} keys - Message ids, in the order the list shows them
+ */
+export const useMessageWindow = (listRef, keys) => {
+  const heightsRef = useRef(new Map());
+  const [heightsVersion, setHeightsVersion] = useState(0);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const topSpacerRef = useRef(null);
+  const isAtBottomRef = useRef(true);
+  const observerRef = useRef(null);
+  const observedRef = useRef(new Set());
+
+  // heightsVersion changes whenever heightsRef does
+  const offsets = useMemo(() => computeRowOffsets(keys, heightsRef.current, CHAT_HISTORY_CONFIG.ESTIMATED_ROW_HEIGHT_PX), [keys, heightsVersion]);
+  const indexByKey = useMemo(() => new Map(keys.map((key, index) => [key, index])), [keys]);
+  const { start, end } = getVisibleRange(offsets, viewport.scrollTop, viewport.height, CHAT_HISTORY_CONFIG.OVERSCAN_PX);
+  const layoutRef = useRef({ offsets, indexByKey });
+  layoutRef.current = { offsets, indexByKey };
+
+  // Where the rows start inside the scrolling element, below anything rendered above them
+  const getRowsTop = useCallback(() => (topSpacerRef.current ? topSpacerRef.current.offsetTop : 0), []);
+
+  const updateViewport = useCallback(() => {
+    const list = listRef.current;
+    if (!list) return;
+    const scrollTop = list.scrollTop - getRowsTop();
+    isAtBottomRef.current = list.scrollHeight - list.scrollTop - list.clientHeight <= CHAT_HISTORY_CONFIG.STICK_TO_BOTTOM_THRESHOLD_PX;
+    setViewport(prev => (prev.scrollTop === scrollTop && prev.height === list.clientHeight ? prev : { scrollTop, height: list.clientHeight }));
+  }, [listRef, getRowsTop]);
+
+  // Records the height of rendered rows. A row above the view that changed height moved everything
+  // below it, so the list scrolls by the difference; a list that was at the bottom stays there.
+  const measureRows = useCallback((rows) => {
+    const list = listRef.current;
+    if (!list) return;
+    const { offsets: rowOffsets, indexByKey: rowIndexes } = layoutRef.current;
+    const scrollTop = list.scrollTop - getRowsTop();
+    let shift = 0;
+    let changed = false;
+    rows.forEach(row => {
+      const key = row.dataset.messageId;
+      if (!row.isConnected || !rowIndexes.has(key)) return;
+      const height = row.offsetHeight;
+      const previous = heightsRef.current.has(key) ? heightsRef.current.get(key) : CHAT_HISTORY_CONFIG.ESTIMATED_ROW_HEIGHT_PX;
+      if (heightsRef.current.get(key) === height) return;
+      heightsRef.current.set(key, height);
+      changed = true;
+      if (rowOffsets[rowIndexes.get(key) + 1] <= scrollTop) {
+        shift += height - previous;
+      }
+    });
+    if (!changed) return;
+
+    if (isAtBottomRef.current) {
+      list.scrollTop = list.scrollHeight;
+    } else if (shift !== 0) {
+      list.scrollTop += shift;
+    }
+    setHeightsVersion(version => version + 1);
+    updateViewport();
+  }, [listRef, getRowsTop, updateViewport]);
+
+  // Follow scrolling and resizing of the list, and later size changes of rows such as loaded images
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list) return undefined;
+    const observed = observedRef.current;
+    list.addEventListener('scroll', updateViewport, { passive: true });
+    const listObserver = new ResizeObserver(updateViewport);
+    listObserver.observe(list);
+    observerRef.current = new ResizeObserver(entries => measureRows(entries.map(entry => entry.target)));
+    updateViewport();
+
+    return () => {
+      list.removeEventListener('scroll', updateViewport);
+      listObserver.disconnect();
+      observerRef.current.disconnect();
+      observerRef.current = null;
+      observed.clear();
+    };
+  }, [listRef, updateViewport, measureRows]);
+
+  // Measure the rows of every render right away, before the browser paints them at the wrong place
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+    const rows = Array.from(list.querySelectorAll('[data-message-id]'));
+    const observer = observerRef.current;
+    if (observer) {
+      const rendered = new Set(rows);
+      observedRef.current.forEach(row => {
+        if (!rendered.has(row)) {
+          observer.unobserve(row);
+          observedRef.current.delete(row);
+        }
+      });
+      rows.forEach(row => {
+        if (!observedRef.current.has(row)) {
+          observer.observe(row);
+          observedRef.current.add(row);
+        }
+      });
+    }
+    measureRows(rows);
+  });
+
+  const scrollToBottom = useCallback(() => {
+    const list = listRef.current;
+    if (!list) return;
+    list.scrollTop = list.scrollHeight;
+    updateViewport();
+    isAtBottomRef.current = true;
+  }, [listRef, updateViewport]);
+
+  // Scrolls a message to the middle of the view, rendered or not. Returns false if it isn't listed.
+  const scrollToKey = useCallback((key) => {
+    const list = listRef.current;
+    const index = layoutRef.current.indexByKey.get(key);
+    if (!list || index === undefined) return false;
+    list.scrollTop = getRowsTop() + getCenteredScrollTop(layoutRef.current.offsets, index, list.clientHeight);
+    updateViewport();
+    return true;
+  }, [listRef, getRowsTop, updateViewport]);
+
+  // Forget the heights of messages that left the list
+  useEffect(() => {
+    const listed = new Set(keys);
+    heightsRef.current.forEach((height, key) => {
+      if (!listed.has(key)) heightsRef.current.delete(key);
+    });
+  }, [keys]);
+
+  const isAtBottom = useCallback(() => isAtBottomRef.current, []);
+
+  return {
+    start,
+    end,
+    topSpace: offsets[start] || 0,
+    bottomSpace: offsets[offsets.length - 1] - (offsets[end] || 0),
+    topSpacerRef,
+    scrollToBottom,
+    scrollToKey,
+    isAtBottom,
+  };
+};
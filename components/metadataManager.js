@@ -0,0 +1,103 @@
+// metadataManager.js
+import { useState, useEffect, useCallback } from 'react';
+import { METADATA_CONFIG } from '../utils/constants.js';
+
+// Shared by every component on the page: videoId -> metadata, or null if the video is unknown
+const metadataCache = new Map();
+const resolvedIds = new Set(); // Ids the server already answered for
+const queuedIds = new Set(); // Ids waiting for the next batch
+const inFlightIds = new Set();
+const failedAttempts = new Map(); // videoId -> batch requests that failed in a row
+const listeners = new Set();
+let batchTimer = null;
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+const fetchMetadataBatch = async (videoIds) => {
+  try {
+    const response = await fetch(`${METADATA_CONFIG.API_PATH}?ids=${videoIds.map(encodeURIComponent).join(',')}`);
+    if (!response.ok) {
+      throw new Error(`Metadata request failed with status ${response.status}`);
+    }
+    const { videos = {} } = await response.json();
+    videoIds.forEach(videoId => {
+      const known = metadataCache.get(videoId);
+      const value = videos[videoId] || null;
+      // Keep a duration the player already told us about if the server doesn't know it
+      metadataCache.set(videoId, value && known && !value.duration ? { ...value, duration: known.duration } : (value || known || null));
+      resolvedIds.add(videoId);
+      failedAttempts.delete(videoId);
+    });
+    notifyListeners();
+  } catch (error) {
+    console.warn('Could not load video metadata:', error);
+    // The ids were never resolved; ask again a few times so one network blip doesn't leave them without titles
+    videoIds.forEach(videoId => {
+      const attempts = (failedAttempts.get(videoId) || 0) + 1;
+      failedAttempts.set(videoId, attempts);
+      if (attempts <= METADATA_CONFIG.CLIENT_MAX_RETRIES) {
+        setTimeout(() => requestMetadata(videoId), METADATA_CONFIG.CLIENT_RETRY_DELAY_MS * attempts);
+      }
+    });
+  } finally {
+    videoIds.forEach(videoId => inFlightIds.delete(videoId));
+  }
+};
+
+// Collects lookups for a short moment so a whole queue is resolved with a few requests
+const requestMetadata = (videoId) => {
+  if (resolvedIds.has(videoId) || queuedIds.has(videoId) || inFlightIds.has(videoId)) return;
+  queuedIds.add(videoId);
+
+  if (batchTimer) return;
+  batchTimer = setTimeout(() => {
+    batchTimer = null;
+    const pending = [...queuedIds];
+    queuedIds.clear();
+    pending.forEach(videoId => inFlightIds.add(videoId));
+    for (let i = 0; i < pending.length; i += METADATA_CONFIG.MAX_IDS_PER_REQUEST) {
+      fetchMetadataBatch(pending.slice(i, i + METADATA_CONFIG.MAX_IDS_PER_REQUEST));
+    }
+  }, METADATA_CONFIG.CLIENT_BATCH_DELAY_MS);
+};
+
+/**
+ * Stores a duration reported by the player, for videos the server couldn't find a duration for
+ * @param {string} videoId - YouTube video id
+ * @param {number} duration - Duration in seconds
+ */
+export const rememberVideoDuration = (videoId, duration) => {
+  if (!videoId || typeof duration !== 'number' || duration <= 0) return;
+
+  const known = metadataCache.get(videoId);
+  if (known && known.duration) return;
+  metadataCache.set(videoId, { ...(known || { videoId }), duration: Math.round(duration) });
+  notifyListeners();
+};
+
+/**
+ * Custom hook resolving title, channel, thumbnail and duration for a set of videos.
+ * Returns a lookup function; components re-render as metadata arrives.
+ */
+export const useVideoMetadata = (videoIds) => {
+  const [version, setVersion] = useState(0);
+  const idsKey = [...new Set(videoIds.filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    const listener = () => setVersion(prev => prev + 1);
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!idsKey) return;
+    idsKey.split(',').forEach(requestMetadata);
+  }, [idsKey]);
+
+  // version changes whenever the cache does, so consumers memoizing on this function refresh
+  return useCallback((videoId) => (videoId && metadataCache.get(videoId)) || null, [version]);
+};
@@ -0,0 +1,82 @@
+// queueManager.js
+import { useState, useRef, useCallback } from 'react';
+import { QUEUE_CONFIG } from '../utils/constants.js';
+import {
+  addPendingQueueOp,
+  createQueueReplica,
+  getVisibleQueue,
+  receiveQueueOp,
+  receiveQueueSnapshot,
+  rejectPendingQueueOp,
+} from '../utils/queueOps.js';
+
+/**
+ * Custom hook keeping the local replica of the room's shared queue.
+ * Local edits are applied optimistically and sent as ops through ChatRoom (roomActionsRef),
+ * ops from the server are replayed in version order, and snapshots are only used to resync.
+ */
+export const useSharedQueue = (roomActionsRef) => {
+  const replicaRef = useRef(createQueueReplica());
+  const [queue, setQueue] = useState([]);
+  const [queueError, setQueueError] = useState(''); // Why our last edit was refused, until the server catches up
+
+  const updateReplica = useCallback((replica) => {
+    replicaRef.current = replica;
+    setQueue(getVisibleQueue(replica));
+    if (replica.pending.length < QUEUE_CONFIG.MAX_PENDING_OPS) {
+      setQueueError('');
+    }
+  }, []);
+
+  // Apply a local edit right away and send it to the room. Returns false if the edit was refused
+  // because too many of ours are still waiting for the server.
+  const submitQueueOp = useCallback((op) => {
+    const replica = addPendingQueueOp(replicaRef.current, op);
+    if (!replica) {
+      console.warn(`[Queue] ${replicaRef.current.pending.length} queue edits are waiting for the server, refusing a ${op.kind}`);
+      setQueueError('Too many queue changes are still waiting for the server, try again in a moment.');
+      return false;
+    }
+    updateReplica(replica);
+    if (roomActionsRef.current) {
+      roomActionsRef.current.sendQueueOp(op);
+    }
+    return true;
+  }, [roomActionsRef, updateReplica]);
+
+  // An op sequenced by the server (ours or someone else's)
+  const handleQueueOp = useCallback(({ op, version }) => {
+    const { replica, needsResync } = receiveQueueOp(replicaRef.current, op, version);
+    if (needsResync) {
+      console.warn(`[Queue] Missed queue ops (have version ${replicaRef.current.version}, got ${version}), resyncing`);
+      if (roomActionsRef.current) {
+        roomActionsRef.current.requestSync();
+      }
+      return;
+    }
+    updateReplica(replica);
+  }, [roomActionsRef, updateReplica]);
+
+  // A full snapshot on (re)connect: anything still pending never reached the server, send it again
+  const handleQueueSnapshot = useCallback(({ queue: snapshotQueue, version, appliedOps }) => {
+    const replica = receiveQueueSnapshot(replicaRef.current, snapshotQueue, version, appliedOps);
+    updateReplica(replica);
+    if (roomActionsRef.current) {
+      replica.pending.forEach(op => roomActionsRef.current.sendQueueOp(op));
+    }
+  }, [roomActionsRef, updateReplica]);
+
+  // The server refused one of our ops (e.g. we aren't allowed to edit the queue)
+  const handleQueueReject = useCallback(({ opId }) => {
+    updateReplica(rejectPendingQueueOp(replicaRef.current, opId));
+  }, [updateReplica]);
+
+  return {
+    queue,
+    queueError,
+    submitQueueOp,
+    handleQueueOp,
+    handleQueueSnapshot,
+    handleQueueReject,
+  };
+};
@@ -0,0 +1,37 @@
+// reactionManager.js
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { isValidReaction, mergeReactions } from '../utils/reactions.js';
+
+/**
+ * Custom hook collecting the reactions to the video that is playing.
+ * `history` holds what was sent in earlier viewings and is replayed along the timeline,
+ * `live` holds what arrives while we watch and is shown right away. Both feed the heatmap.
+ */
+export const useVideoReactions = (videoId) => {
+  const [history, setHistory] = useState([]);
+  const [live, setLive] = useState([]);
+  const videoIdRef = useRef(videoId);
+  const liveRef = useRef(live);
+
+  useEffect(() => {
+    videoIdRef.current = videoId;
+    liveRef.current = [];
+    setHistory([]);
+    setLive([]);
+  }, [videoId]);
+
+  const handleReaction = useCallback(({ videoId: reactionVideoId, reaction }) => {
+    if (reactionVideoId !== videoIdRef.current || !isValidReaction(reaction)) return;
+    liveRef.current = mergeReactions(liveRef.current, [reaction]);
+    setLive(liveRef.current);
+  }, []);
+
+  // Refetched after reconnecting, so leave out what we already saw live
+  const handleReactionHistory = useCallback(({ videoId: historyVideoId, reactions }) => {
+    if (historyVideoId !== videoIdRef.current) return;
+    const liveIds = new Set(liveRef.current.map(reaction => reaction.id));
+    setHistory(mergeReactions([], reactions.filter(reaction => !liveIds.has(reaction.id))));
+  }, []);
+
+  return { history, live, handleReaction, handleReactionHistory };
+};
@@ -0,0 +1,56 @@
+// subtitleManager.js
+import { useState, useCallback, useEffect } from 'react';
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { normalizeSubtitleTrack } from '../utils/subtitles.js';
+import { safeLocalStorageGet, safeLocalStorageSet } from '../utils/validation.js';
+
+/**
+ * Custom hook keeping the subtitle tracks shared in the room, one per queue entry,
+ * plus this viewer's own settings: whether subtitles are shown and how far they are shifted.
+ */
+export const useSharedSubtitles = (currentEntryId) => {
+  const [tracks, setTracks] = useState({}); // entryId -> track
+  const [enabled, setEnabledState] = useState(true);
+  const [offset, setOffset] = useState(0); // Seconds the subtitles are delayed by, can be negative
+
+  useEffect(() => {
+    setEnabledState(safeLocalStorageGet(STORAGE_KEYS.SUBTITLES_ENABLED, true, (value) => typeof value === 'boolean'));
+  }, []);
+
+  // An offset fits one file and one video, start over with the next one
+  useEffect(() => {
+    setOffset(0);
+  }, [currentEntryId]);
+
+  const setEnabled = useCallback((value) => {
+    setEnabledState(value);
+    safeLocalStorageSet(STORAGE_KEYS.SUBTITLES_ENABLED, value);
+  }, []);
+
+  // A track someone loaded, or the answer to our request for an entry's track (null if it has none)
+  const handleSubtitles = useCallback(({ entryId, subtitles }) => {
+    const track = normalizeSubtitleTrack(subtitles);
+    setTracks(prev => {
+      if (!track && !prev[entryId]) return prev;
+      const next = { ...prev };
+      if (track) {
+        next[entryId] = track;
+      } else {
+        delete next[entryId];
+      }
+      return next;
+    });
+    if (track && entryId === currentEntryId) {
+      setOffset(0);
+    }
+  }, [currentEntryId]);
+
+  return {
+    track: currentEntryId ? tracks[currentEntryId] || null : null,
+    enabled,
+    setEnabled,
+    offset,
+    setOffset,
+    handleSubtitles,
+  };
+};
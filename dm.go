@@ -0,0 +1,44 @@
+package main
+
+import (
+	"log"
+	"strings"
+)
+
+// handleDirectMessage sends a private chat line to one other user in the room. It is kept in the chat log
+// like any other line, but only its sender and recipient get it live or in their history.
+func (c *Client) handleDirectMessage(msg Message) {
+	content := strings.TrimSpace(msg.Content)
+	if content == "" {
+		return
+	}
+	if problem := chatLengthProblem(content); problem != "" {
+		c.sendError(problem)
+		return
+	}
+
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if msg.Target == "" || msg.Target == c.name || !room.hasClientLocked(msg.Target) {
+		c.sendError("Direct messages can only be sent to someone else who is in the room.")
+		return
+	}
+	if reason := c.takeChatTurnLocked(); reason != "" {
+		c.sendError(reason)
+		return
+	}
+	// Like chat lines, only what the user wrote is taken from the client
+	line := room.logChatLocked(room.withReplyQuoteLocked(Message{
+		Type:      "dm",
+		Sender:    c.name,
+		Target:    msg.Target,
+		Content:   content,
+		Emote:     msg.Emote,
+		ReplyTo:   msg.ReplyTo,
+		Timestamp: nowMillis(),
+	}))
+	room.sendToUsersLocked(line, c.name, msg.Target)
+	log.Printf("Room %s: direct message %s from %s to %s", room.code, line.ID, c.name, msg.Target) // --- DEBUG LOG ---
+}
@@ -0,0 +1,81 @@
+package main
+
+import (
+	"strconv"
+	"strings"
+	"unicode/utf8"
+)
+
+const (
+	maxFilterWords       = 200 // Must stay in sync with CONTENT_FILTER_CONFIG.MAX_WORDS
+	maxFilterDomains     = 100 // Per list; must stay in sync with CONTENT_FILTER_CONFIG.MAX_DOMAINS
+	maxFilterEntryLength = 100 // Characters; must stay in sync with CONTENT_FILTER_CONFIG.MAX_ENTRY_LENGTH
+)
+
+// ContentFilterSettings are the chat filters of a room. Clients run the filters on every message they
+// send and receive, see contentFilter.js; the server only keeps and shares the settings.
+type ContentFilterSettings struct {
+	Disabled       []string `json:"disabled"`       // Ids of the filters the host turned off
+	Words          []string `json:"words"`          // Words masked in messages
+	AllowedDomains []string `json:"allowedDomains"` // If not empty, links to other domains are removed
+	BlockedDomains []string `json:"blockedDomains"` // Links to these domains are removed
+}
+
+// cleanFilterList trims the entries of a list and drops empty ones.
+func cleanFilterList(entries []string) []string {
+	cleaned := []string{}
+	for _, entry := range entries {
+		if entry = strings.TrimSpace(entry); entry != "" {
+			cleaned = append(cleaned, entry)
+		}
+	}
+	return cleaned
+}
+
+// validateFilterSettings cleans up filter settings in place and returns why they can't be used, or "" if they are fine.
+func validateFilterSettings(settings *ContentFilterSettings) string {
+	settings.Disabled = cleanFilterList(settings.Disabled)
+	settings.Words = cleanFilterList(settings.Words)
+	settings.AllowedDomains = cleanFilterList(settings.AllowedDomains)
+	settings.BlockedDomains = cleanFilterList(settings.BlockedDomains)
+
+	if len(settings.Words) > maxFilterWords {
+		return "The word list can have at most " + strconv.Itoa(maxFilterWords) + " words."
+	}
+	if len(settings.AllowedDomains) > maxFilterDomains || len(settings.BlockedDomains) > maxFilterDomains {
+		return "Link lists can have at most " + strconv.Itoa(maxFilterDomains) + " domains."
+	}
+	for _, list := range [][]string{settings.Disabled, settings.Words, settings.AllowedDomains, settings.BlockedDomains} {
+		for _, entry := range list {
+			if utf8.RuneCountInString(entry) > maxFilterEntryLength {
+				return "Filter entries can be at most " + strconv.Itoa(maxFilterEntryLength) + " characters long."
+			}
+		}
+	}
+	return ""
+}
+
+// handleContentFilters lets the host change the room's chat filters.
+func (c *Client) handleContentFilters(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if c.name != room.host {
+		c.sendError("Only the host can change the chat filters.")
+		return
+	}
+	if msg.Filters == nil {
+		c.sendError("The chat filter settings are missing.")
+		return
+	}
+	if reason := validateFilterSettings(msg.Filters); reason != "" {
+		c.sendError(reason)
+		return
+	}
+
+	settings := *msg.Filters
+	room.filters = settings
+	room.sendToRoomLocked(Message{Type: "content_filters", Filters: &settings})
+	room.systemMessageLocked(c.name + " updated the chat filters.")
+}
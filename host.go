@@ -0,0 +1,160 @@
+package main
+
+import (
+	"log"
+	"strings"
+)
+
+// suggestionActions are the playback actions non-hosts can suggest to the host.
+var suggestionActions = map[string]bool{
+	"play":     true,
+	"pause":    true,
+	"stop":     true,
+	"next":     true,
+	"previous": true,
+	"queue":    true,
+}
+
+// isControllerLocked reports whether a user may control playback and the queue in the room.
+// The caller must hold mu.
+func (r *Room) isControllerLocked(name string) bool {
+	return name != "" && (name == r.host || r.cohosts[name])
+}
+
+// hasClientLocked reports whether a user currently has at least one connection to the room.
+// The caller must hold mu.
+func (r *Room) hasClientLocked(name string) bool {
+	for client := range r.clients {
+		if client.name == name {
+			return true
+		}
+	}
+	return false
+}
+
+// isNameTakenLocked reports whether someone else is online in the room under a name. Roles go by name,
+// so a second user with the host's name would share the host's control. Connections of the same browser
+// may share a name, so reconnecting isn't refused because of a connection the server hasn't dropped yet.
+// The caller must hold mu.
+func (r *Room) isNameTakenLocked(name, identity string) bool {
+	for client := range r.clients {
+		if client.name == name && (client.identity != identity || !strings.HasPrefix(identity, "id:")) {
+			return true
+		}
+	}
+	return false
+}
+
+// ensureHostLocked makes sure an online user holds the host role, failing over to the
+// longest-connected co-host, or else the longest-connected user, when the host is gone.
+// It returns true if the host changed. The caller must hold mu.
+func (r *Room) ensureHostLocked() bool {
+	if r.host != "" && r.hasClientLocked(r.host) {
+		return false
+	}
+
+	var next *Client
+	for client := range r.clients {
+		if next == nil ||
+			(r.cohosts[client.name] && !r.cohosts[next.name]) ||
+			(r.cohosts[client.name] == r.cohosts[next.name] && client.joinedAt.Before(next.joinedAt)) {
+			next = client
+		}
+	}
+
+	previous := r.host
+	r.host = ""
+	if next != nil {
+		r.host = next.name
+		delete(r.cohosts, next.name)
+	}
+	return r.host != previous
+}
+
+// handleTransferHost lets the host hand the role to another online user.
+func (c *Client) handleTransferHost(msg Message) {
+	mu.Lock()
+	room := c.room
+	if c.name != room.host {
+		mu.Unlock()
+		c.sendError("Only the host can hand over the host role.")
+		return
+	}
+	if msg.Target == c.name || !room.hasClientLocked(msg.Target) {
+		mu.Unlock()
+		c.sendError("That user isn't online in this room.")
+		return
+	}
+	room.host = msg.Target
+	delete(room.cohosts, msg.Target)
+	room.systemMessageLocked(c.name + " made " + msg.Target + " the host.")
+	mu.Unlock()
+
+	log.Printf("Room %s: host transferred from %s to %s", room.code, c.name, msg.Target)
+	sendPresence(room)
+}
+
+// handleCohost lets the host grant or revoke co-host rights.
+func (c *Client) handleCohost(msg Message) {
+	mu.Lock()
+	room := c.room
+	if c.name != room.host {
+		mu.Unlock()
+		c.sendError("Only the host can change co-hosts.")
+		return
+	}
+	if msg.Target == "" || msg.Target == room.host {
+		mu.Unlock()
+		c.sendError("That user can't be made a co-host.")
+		return
+	}
+	if msg.Enabled {
+		room.cohosts[msg.Target] = true
+		room.systemMessageLocked(c.name + " made " + msg.Target + " a co-host.")
+	} else {
+		delete(room.cohosts, msg.Target)
+		room.systemMessageLocked(c.name + " removed " + msg.Target + " as co-host.")
+	}
+	mu.Unlock()
+
+	sendPresence(room)
+}
+
+// handleSuggest relays a playback suggestion from any participant to the whole room,
+// where the host and co-hosts can accept it.
+func (c *Client) handleSuggest(msg Message) {
+	if !suggestionActions[msg.Action] {
+		c.sendError("Unknown suggestion.")
+		return
+	}
+	if msg.Action == "queue" && msg.VideoUrl == "" {
+		c.sendError("Suggest a video by pasting its URL.")
+		return
+	}
+	mu.Lock()
+	reason := ""
+	if msg.Action == "queue" && c.room.queueLocked {
+		reason = "The host locked the queue, it doesn't take suggestions."
+	} else {
+		reason = c.takeChatTurnLocked() // Suggestions show up in the chat
+	}
+	mu.Unlock()
+	if reason != "" {
+		c.sendError(reason)
+		return
+	}
+	msg.Timestamp = nowMillis()
+	broadcast <- msg
+}
+
+// systemMessageLocked posts a chat line from the server to everyone in the room.
+// The caller must hold mu.
+func (r *Room) systemMessageLocked(content string) {
+	r.postChatLocked(Message{
+		Type:      "message",
+		Sender:    "System",
+		System:    true,
+		Content:   content,
+		Timestamp: nowMillis(),
+	})
+}
@@ -0,0 +1,24 @@
+package main
+
+import "testing"
+
+func TestIsNameTaken(t *testing.T) {
+	room := newTestRoom(t)
+	rejoinTestRoom(room, "host", "host-id")
+	joinTestRoom(room, "viewer")
+
+	mu.Lock()
+	defer mu.Unlock()
+	if !room.isNameTakenLocked("host", "id:other-id") || !room.isNameTakenLocked("host", "name:host") {
+		t.Error("someone else could join under the host's name")
+	}
+	if room.isNameTakenLocked("host", "id:host-id") {
+		t.Error("the host's browser couldn't reconnect before its old connection was dropped")
+	}
+	if !room.isNameTakenLocked("viewer", "name:viewer") {
+		t.Error("a second client without an id could join under a name in use")
+	}
+	if room.isNameTakenLocked("newcomer", "name:newcomer") {
+		t.Error("a free name was taken")
+	}
+}
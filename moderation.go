@@ -0,0 +1,329 @@
+package main
+
+import (
+	"log"
+	"math"
+	"sort"
+	"strconv"
+	"strings"
+	"time"
+	"unicode/utf8"
+
+	"github.com/gorilla/websocket"
+)
+
+const (
+	maxIdentityLength         = 64  // Must stay in sync with MODERATION_CONFIG.MAX_IDENTITY_LENGTH
+	maxModerationReasonLength = 100 // Characters; must stay in sync with MODERATION_CONFIG.MAX_REASON_LENGTH
+	maxSlowModeSeconds        = 600 // Must stay in sync with MODERATION_CONFIG.MAX_SLOW_MODE_S
+	maxCloseReasonBytes       = 123 // Longest reason a WebSocket close frame can carry
+	closeKicked               = 4001
+	closeBanned               = 4003 // Close codes must stay in sync with MODERATION_CONFIG
+)
+
+// clientIdentity returns who a connection belongs to: the id the browser keeps across visits, or its name
+// for clients that don't send one. Mutes and bans apply to identities, so renaming doesn't get around them.
+func clientIdentity(id, name string) string {
+	id = strings.TrimSpace(id)
+	if id == "" || len(id) > maxIdentityLength {
+		return "name:" + name
+	}
+	return "id:" + id
+}
+
+// isListed reports whether a mute or ban list applies to a connection: by its identity, or by its name
+// for clients that come back with a fresh id.
+func isListed(byIdentity map[string]string, identity, name string) bool {
+	if _, ok := byIdentity[identity]; ok {
+		return true
+	}
+	for _, listedName := range byIdentity {
+		if listedName == name {
+			return true
+		}
+	}
+	return false
+}
+
+// isBannedLocked reports whether a connection may not join the room. The caller must hold mu.
+func (r *Room) isBannedLocked(identity, name string) bool {
+	return isListed(r.banned, identity, name)
+}
+
+// isMutedLocked reports whether a client may not chat. The caller must hold mu.
+func (c *Client) isMutedLocked() bool {
+	return isListed(c.room.muted, c.identity, c.name)
+}
+
+// slowModeKeys returns the keys a client's posts are timed under for slow mode: its identity, and its
+// name so reconnecting with a fresh id doesn't start a new wait.
+func (c *Client) slowModeKeys() []string {
+	return []string{c.identity, "name:" + c.name}
+}
+
+// sortedNames returns the names of a moderation list, sorted and without duplicates.
+func sortedNames(byIdentity map[string]string) []string {
+	seen := make(map[string]bool)
+	names := []string{}
+	for _, name := range byIdentity {
+		if !seen[name] {
+			seen[name] = true
+			names = append(names, name)
+		}
+	}
+	sort.Strings(names)
+	return names
+}
+
+// withModerationStateLocked adds who is muted or banned, the slow mode and the queue lock to a message.
+// The caller must hold mu.
+func (r *Room) withModerationStateLocked(msg Message) Message {
+	msg.Muted = sortedNames(r.muted)
+	msg.Banned = sortedNames(r.banned)
+	msg.SlowMode = r.slowMode
+	msg.QueueLocked = r.queueLocked
+	return msg
+}
+
+// broadcastModerationStateLocked tells everyone in the room about a moderation change.
+// The caller must hold mu.
+func (r *Room) broadcastModerationStateLocked() {
+	r.sendToRoomLocked(r.withModerationStateLocked(Message{Type: "moderation"}))
+}
+
+// renameModeratedLocked keeps mutes, bans and the slow mode wait under a renamed user's new name.
+// The caller must hold mu.
+func (r *Room) renameModeratedLocked(from, to string) {
+	for _, list := range []map[string]string{r.muted, r.banned} {
+		for identity, name := range list {
+			if name == from {
+				list[identity] = to
+			}
+		}
+	}
+	if last, ok := r.lastChat["name:"+from]; ok {
+		delete(r.lastChat, "name:"+from)
+		r.lastChat["name:"+to] = last
+	}
+}
+
+// takeChatTurnLocked returns why the client can't post to the chat right now, or "" if it can.
+// A post that is allowed starts the client's slow mode wait. The caller must hold mu.
+func (c *Client) takeChatTurnLocked() string {
+	room := c.room
+	if c.isMutedLocked() {
+		return "You are muted in this room."
+	}
+	if room.slowMode > 0 && !room.isControllerLocked(c.name) {
+		var last time.Time
+		for _, key := range c.slowModeKeys() {
+			if room.lastChat[key].After(last) {
+				last = room.lastChat[key]
+			}
+		}
+		wait := time.Duration(room.slowMode)*time.Second - time.Since(last)
+		if wait > 0 {
+			return "Slow mode is on, you can post again in " + strconv.Itoa(int(math.Ceil(wait.Seconds()))) + "s."
+		}
+		now := time.Now()
+		for _, key := range c.slowModeKeys() {
+			room.lastChat[key] = now
+		}
+	}
+	return ""
+}
+
+// moderationTargetLocked checks that the sender may moderate the target: only the host can, and never
+// themselves. It returns the target's connections, or nil after telling the sender why not.
+// The caller must hold mu.
+func (c *Client) moderationTargetLocked(target string) []*Client {
+	room := c.room
+	if c.name != room.host {
+		c.sendError("Only the host can moderate the room.")
+		return nil
+	}
+	if target == "" || target == c.name {
+		c.sendError("You can't moderate yourself.")
+		return nil
+	}
+	clients := []*Client{}
+	for client := range room.clients {
+		if client.name == target {
+			clients = append(clients, client)
+		}
+	}
+	if len(clients) == 0 {
+		c.sendError("That user isn't online in this room.")
+		return nil
+	}
+	return clients
+}
+
+// moderationReason trims the reason given for a kick or ban, "" if none was given.
+func moderationReason(reason string) string {
+	reason = strings.TrimSpace(reason)
+	if utf8.RuneCountInString(reason) > maxModerationReasonLength {
+		reason = string([]rune(reason)[:maxModerationReasonLength])
+	}
+	return reason
+}
+
+// closeReason shortens a reason to what a WebSocket close frame can carry, without splitting a character.
+func closeReason(reason string) string {
+	for len(reason) > maxCloseReasonBytes {
+		_, size := utf8.DecodeLastRuneInString(reason)
+		reason = reason[:len(reason)-size]
+	}
+	return reason
+}
+
+// disconnect closes a connection with a close code and reason the client shows instead of reconnecting.
+// It must be called without holding mu.
+func disconnect(client *Client, code int, reason string) {
+	err := client.conn.WriteControl(websocket.CloseMessage, websocket.FormatCloseMessage(code, closeReason(reason)), time.Now().Add(time.Second))
+	if err != nil {
+		log.Printf("Disconnect: close frame for client %s failed: %v", client.name, err)
+	}
+	unregister <- client
+}
+
+// handleMute lets the host stop a user from chatting, or let them chat again.
+func (c *Client) handleMute(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	clients := c.moderationTargetLocked(msg.Target)
+	if clients == nil {
+		return
+	}
+	for _, client := range clients {
+		if msg.Enabled {
+			room.muted[client.identity] = msg.Target
+		} else {
+			delete(room.muted, client.identity)
+		}
+	}
+	if !msg.Enabled {
+		// Mutes also apply by name, drop those left by earlier connections of the user
+		for identity, name := range room.muted {
+			if name == msg.Target {
+				delete(room.muted, identity)
+			}
+		}
+	}
+	if msg.Enabled {
+		room.systemMessageLocked(c.name + " muted " + msg.Target + ".")
+	} else {
+		room.systemMessageLocked(c.name + " unmuted " + msg.Target + ".")
+	}
+	room.broadcastModerationStateLocked()
+	log.Printf("Room %s: %s set mute of %s to %t", room.code, c.name, msg.Target, msg.Enabled) // --- DEBUG LOG ---
+}
+
+// handleKick lets the host disconnect a user, who may come back. With ban set, the user's identity
+// can't join the room again for as long as the room exists.
+func (c *Client) handleKick(msg Message, ban bool) {
+	mu.Lock()
+	room := c.room
+	clients := c.moderationTargetLocked(msg.Target)
+	if clients == nil {
+		mu.Unlock()
+		return
+	}
+	reason := moderationReason(msg.Content)
+	action, code, notice := "kicked", closeKicked, "You were kicked from the room"
+	if ban {
+		action, code, notice = "banned", closeBanned, "You were banned from the room"
+		for _, client := range clients {
+			room.banned[client.identity] = msg.Target
+		}
+	}
+	line := c.name + " " + action + " " + msg.Target
+	if reason != "" {
+		line += ": " + reason
+		notice += ": " + reason
+	}
+	room.systemMessageLocked(line + ".")
+	room.broadcastModerationStateLocked()
+	mu.Unlock()
+
+	log.Printf("Room %s: %s %s %s (%d connections)", room.code, c.name, action, msg.Target, len(clients)) // --- DEBUG LOG ---
+	for _, client := range clients {
+		disconnect(client, code, notice+".")
+	}
+}
+
+// handleUnban lets the host allow a banned user back into the room.
+func (c *Client) handleUnban(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if c.name != room.host {
+		c.sendError("Only the host can moderate the room.")
+		return
+	}
+	found := false
+	for identity, name := range room.banned {
+		if name == msg.Target {
+			delete(room.banned, identity)
+			found = true
+		}
+	}
+	if !found {
+		c.sendError("That user isn't banned.")
+		return
+	}
+	room.systemMessageLocked(c.name + " unbanned " + msg.Target + ".")
+	room.broadcastModerationStateLocked()
+}
+
+// handleSlowMode lets the host set the minimum number of seconds between two posts of everyone but the
+// host and co-hosts. Zero turns slow mode off.
+func (c *Client) handleSlowMode(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if c.name != room.host {
+		c.sendError("Only the host can moderate the room.")
+		return
+	}
+	if msg.SlowMode < 0 || msg.SlowMode > maxSlowModeSeconds {
+		c.sendError("Slow mode must be between 0 and " + strconv.Itoa(maxSlowModeSeconds) + " seconds.")
+		return
+	}
+	if room.slowMode == msg.SlowMode {
+		return
+	}
+	room.slowMode = msg.SlowMode
+	if msg.SlowMode > 0 {
+		room.systemMessageLocked(c.name + " turned on slow mode, one message every " + strconv.Itoa(msg.SlowMode) + "s.")
+	} else {
+		room.systemMessageLocked(c.name + " turned off slow mode.")
+	}
+	room.broadcastModerationStateLocked()
+}
+
+// handleQueueLock lets the host lock the queue: only the host can then edit it, and nobody can suggest videos for it.
+func (c *Client) handleQueueLock(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if c.name != room.host {
+		c.sendError("Only the host can moderate the room.")
+		return
+	}
+	if room.queueLocked == msg.Enabled {
+		return
+	}
+	room.queueLocked = msg.Enabled
+	if msg.Enabled {
+		room.systemMessageLocked(c.name + " locked the queue.")
+	} else {
+		room.systemMessageLocked(c.name + " unlocked the queue.")
+	}
+	room.broadcastModerationStateLocked()
+}
@@ -0,0 +1,171 @@
+package main
+
+import (
+	"reflect"
+	"strings"
+	"testing"
+)
+
+// rejoinTestRoom adds a connection under a name with a browser id, as a user coming back with a fresh id does.
+func rejoinTestRoom(room *Room, name, id string) *Client {
+	client := joinTestRoom(room, name)
+	client.identity = clientIdentity(id, name)
+	return client
+}
+
+func TestClientIdentity(t *testing.T) {
+	if got := clientIdentity(" abc ", "name"); got != "id:abc" {
+		t.Errorf("identity = %q, want id:abc", got)
+	}
+	if got := clientIdentity("", "name"); got != "name:name" {
+		t.Errorf("identity without id = %q, want name:name", got)
+	}
+	if got := clientIdentity(strings.Repeat("a", maxIdentityLength+1), "name"); got != "name:name" {
+		t.Errorf("identity with a too long id = %q, want name:name", got)
+	}
+}
+
+func TestMuteFollowsTheName(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	talker := rejoinTestRoom(room, "talker", "first-id")
+
+	host.handleMute(Message{Target: "talker", Enabled: true})
+	again := rejoinTestRoom(room, "talker", "second-id")
+	mu.Lock()
+	problem := again.takeChatTurnLocked()
+	mu.Unlock()
+	if problem == "" {
+		t.Error("muted user could chat after coming back with a fresh id")
+	}
+	if got := lastOfType(received(host), "moderation"); got == nil || !reflect.DeepEqual(got.Muted, []string{"talker"}) {
+		t.Errorf("moderation state = %+v", got)
+	}
+
+	room.muted[again.identity] = "talker"
+	host.handleMute(Message{Target: "talker", Enabled: false})
+	if len(room.muted) != 0 {
+		t.Errorf("unmute left %v", room.muted)
+	}
+	mu.Lock()
+	problem = talker.takeChatTurnLocked()
+	mu.Unlock()
+	if problem != "" {
+		t.Errorf("unmuted user can't chat: %s", problem)
+	}
+}
+
+func TestSlowModeFollowsTheName(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	talker := rejoinTestRoom(room, "talker", "first-id")
+	again := rejoinTestRoom(room, "talker", "second-id")
+	room.slowMode = 60
+
+	mu.Lock()
+	defer mu.Unlock()
+	if problem := talker.takeChatTurnLocked(); problem != "" {
+		t.Fatalf("first post refused: %s", problem)
+	}
+	if problem := talker.takeChatTurnLocked(); !strings.HasPrefix(problem, "Slow mode is on") {
+		t.Errorf("second post = %q, want the slow mode wait", problem)
+	}
+	if problem := again.takeChatTurnLocked(); problem == "" {
+		t.Error("reconnecting with a fresh id skipped the slow mode wait")
+	}
+	if problem := host.takeChatTurnLocked(); problem != "" {
+		t.Errorf("host is held by slow mode: %s", problem)
+	}
+
+	room.renameModeratedLocked("talker", "renamed")
+	again.name = "renamed"
+	if problem := again.takeChatTurnLocked(); problem == "" {
+		t.Error("renaming skipped the slow mode wait")
+	}
+}
+
+func TestBanFollowsTheName(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	viewer := joinTestRoom(room, "viewer")
+	room.banned["id:first-id"] = "troll"
+
+	mu.Lock()
+	banned := room.isBannedLocked("id:second-id", "troll")
+	other := room.isBannedLocked("id:first-id-2", "someone")
+	mu.Unlock()
+	if !banned || other {
+		t.Errorf("troll banned: %t, someone banned: %t", banned, other)
+	}
+
+	viewer.handleUnban(Message{Target: "troll"})
+	if len(room.banned) != 1 {
+		t.Error("viewer lifted a ban")
+	}
+	host.handleUnban(Message{Target: "nobody"})
+	if got := lastOfType(received(host), "error"); got == nil {
+		t.Error("unbanning a user who isn't banned wasn't refused")
+	}
+	host.handleUnban(Message{Target: "troll"})
+	if len(room.banned) != 0 {
+		t.Errorf("unban left %v", room.banned)
+	}
+}
+
+func TestModerationNeedsTheHost(t *testing.T) {
+	room := newTestRoom(t)
+	joinTestRoom(room, "host")
+	cohost := joinTestRoom(room, "cohost")
+	room.cohosts["cohost"] = true
+
+	cohost.handleMute(Message{Target: "host", Enabled: true})
+	cohost.handleSlowMode(Message{SlowMode: 30})
+	cohost.handleQueueLock(Message{Enabled: true})
+	if len(room.muted) != 0 || room.slowMode != 0 || room.queueLocked {
+		t.Errorf("co-host moderated the room: muted %v, slow mode %d, queue locked %t", room.muted, room.slowMode, room.queueLocked)
+	}
+	errors := 0
+	for _, msg := range received(cohost) {
+		if msg.Type == "error" {
+			errors++
+		}
+	}
+	if errors != 3 {
+		t.Errorf("co-host got %d errors, want 3", errors)
+	}
+}
+
+func TestHostModeratesTheRoom(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+
+	host.handleMute(Message{Target: "host", Enabled: true})
+	host.handleMute(Message{Target: "nobody", Enabled: true})
+	if len(room.muted) != 0 {
+		t.Errorf("muted %v", room.muted)
+	}
+	host.handleSlowMode(Message{SlowMode: maxSlowModeSeconds + 1})
+	host.handleSlowMode(Message{SlowMode: -1})
+	if room.slowMode != 0 {
+		t.Errorf("slow mode set out of range to %d", room.slowMode)
+	}
+	host.handleSlowMode(Message{SlowMode: 30})
+	host.handleQueueLock(Message{Enabled: true})
+	if room.slowMode != 30 || !room.queueLocked {
+		t.Errorf("slow mode %d, queue locked %t", room.slowMode, room.queueLocked)
+	}
+	state := lastOfType(received(host), "moderation")
+	if state == nil || state.SlowMode != 30 || !state.QueueLocked {
+		t.Errorf("moderation state = %+v", state)
+	}
+}
+
+func TestCloseReason(t *testing.T) {
+	if got := closeReason("short"); got != "short" {
+		t.Errorf("short reason = %q", got)
+	}
+	long := closeReason(strings.Repeat("é", maxCloseReasonBytes))
+	if len(long) > maxCloseReasonBytes || !strings.HasPrefix(strings.Repeat("é", maxCloseReasonBytes), long) {
+		t.Errorf("long reason = %q (%d bytes)", long, len(long))
+	}
+}
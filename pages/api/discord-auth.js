@@ -1,4 +1,5 @@
 import fetch from 'node-fetch';
+import { normalizeRoomCode } from '../../utils/validation.js';
 
 export default async function handler(req, res) {
   const code = req.query.code;
@@ -59,9 +60,12 @@ export default async function handler(req, res) {
 
     const userData = await userResponse.json();
 
-    // Redirect to main page with username, user ID, and avatar hash as query params
+    // Redirect back to the room the user started from (passed through OAuth as `state`),
+    // or the lobby if it is missing, with username, user ID, and avatar hash as query params
     const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
-    const redirectUrl = `${baseUrl}/?username=${encodeURIComponent(userData.username)}&userId=${encodeURIComponent(userData.id)}&avatar=${encodeURIComponent(userData.avatar || '')}`;
+    const roomCode = normalizeRoomCode(req.query.state);
+    const returnPath = roomCode ? `/room/${roomCode}` : '/';
+    const redirectUrl = `${baseUrl}${returnPath}?username=${encodeURIComponent(userData.username)}&userId=${encodeURIComponent(userData.id)}&avatar=${encodeURIComponent(userData.avatar || '')}`;
     res.writeHead(302, { Location: redirectUrl });
     res.end();
 
@@ -0,0 +1,52 @@
+import fetch from 'node-fetch';
+import { PLAYLIST_CONFIG } from '../../utils/constants.js';
+import { createDataApiPlaylistSource, createFeedPlaylistSource, createPlaylistService, isValidPlaylistId } from '../../utils/playlistImport.js';
+
+// Gives up on YouTube after PLAYLIST_CONFIG.REQUEST_TIMEOUT_MS so a slow lookup can't hang the route
+const fetchWithTimeout = (url, options = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PLAYLIST_CONFIG.REQUEST_TIMEOUT_MS);
+  return fetch(url, { ...options, signal: controller.signal }).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Builds the route handler around a playlist service, so a service with a stand-in source can be used
+ * @param {object} service - Service from createPlaylistService
+ * @returns {Function} Next.js API route handler
+ */
+export const createPlaylistHandler = (service) => async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const playlistId = req.query.list;
+  if (!isValidPlaylistId(playlistId)) {
+    res.status(400).json({ error: 'Missing or invalid list parameter' });
+    return;
+  }
+
+  try {
+    const playlist = await service.expandPlaylist(playlistId);
+    if (!playlist || playlist.items.length === 0) {
+      res.status(404).json({ error: 'Playlist not found, private or empty' });
+      return;
+    }
+    res.setHeader('Cache-Control', 'public, max-age=600');
+    res.status(200).json({ playlist });
+  } catch (error) {
+    console.error('Playlist import error:', error);
+    res.status(502).json({ error: 'Could not load the playlist from YouTube' });
+  }
+};
+
+// The Data API sees whole playlists; without a key fall back to the public feed
+const apiKey = process.env.YOUTUBE_API_KEY || '';
+const playlistService = createPlaylistService({
+  source: apiKey
+    ? createDataApiPlaylistSource({ fetcher: fetchWithTimeout, apiKey })
+    : createFeedPlaylistSource({ fetcher: fetchWithTimeout, feedUrl: process.env.YOUTUBE_PLAYLIST_FEED_URL || PLAYLIST_CONFIG.FEED_URL }),
+});
+
+export default createPlaylistHandler(playlistService);
@@ -0,0 +1,54 @@
+import fetch from 'node-fetch';
+import { METADATA_CONFIG } from '../../utils/constants.js';
+import { createVideoMetadataService, isValidVideoId } from '../../utils/videoMetadata.js';
+
+// Gives up on YouTube after METADATA_CONFIG.REQUEST_TIMEOUT_MS so a slow lookup can't hang the route
+const fetchWithTimeout = (url, options = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), METADATA_CONFIG.REQUEST_TIMEOUT_MS);
+  return fetch(url, { ...options, signal: controller.signal }).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Builds the route handler around a metadata service, so a service with a stand-in fetcher can be used
+ * @param {object} service - Service from createVideoMetadataService
+ * @returns {Function} Next.js API route handler
+ */
+export const createVideoMetadataHandler = (service) => async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  // ?ids=a,b,c for several videos, ?id=a for one
+  const rawIds = typeof req.query.ids === 'string' ? req.query.ids : req.query.id;
+  if (!rawIds || typeof rawIds !== 'string') {
+    res.status(400).json({ error: 'Missing or invalid ids parameter' });
+    return;
+  }
+
+  const videoIds = rawIds.split(',').map(id => id.trim()).filter(isValidVideoId);
+  if (videoIds.length === 0 || videoIds.length > METADATA_CONFIG.MAX_IDS_PER_REQUEST) {
+    res.status(400).json({ error: `Provide between 1 and ${METADATA_CONFIG.MAX_IDS_PER_REQUEST} valid video ids` });
+    return;
+  }
+
+  try {
+    const videos = await service.getMetadataBatch(videoIds);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.status(200).json({ videos });
+  } catch (error) {
+    console.error('Video metadata error:', error);
+    res.status(500).json({ error: 'Video metadata service temporarily unavailable' });
+  }
+};
+
+// One service per server process, so its cache is shared by every request
+const metadataService = createVideoMetadataService({
+  fetcher: fetchWithTimeout,
+  oembedUrl: process.env.YOUTUBE_OEMBED_URL || METADATA_CONFIG.OEMBED_URL,
+  apiKey: process.env.YOUTUBE_API_KEY || '',
+});
+
+export default createVideoMetadataHandler(metadataService);
@@ -0,0 +1,29 @@
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import WatchRoom from '../../components/WatchRoom.js';
+import { normalizeRoomCode } from '../../utils/validation.js';
+
+export default function RoomPage() {
+  const router = useRouter();
+
+  // The code is only available once the router is ready on statically optimized pages
+  if (!router.isReady) return null;
+
+  const roomCode = normalizeRoomCode(router.query.code);
+
+  if (!roomCode) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-900 via-pink-900 to-purple-900 flex flex-col items-center justify-center space-y-4">
+        <p className="text-pink-300 text-2xl font-bold drop-shadow-[0_0_5px_rgba(255,105,180,0.7)]">
+          That room code doesn't look right.
+        </p>
+        <Link href="/" className="bg-pink-600 hover:bg-pink-700 text-white font-bold px-4 py-2 rounded-md shadow-pink-400/70 shadow-lg transition duration-300">
+          Back to the lobby
+        </Link>
+      </div>
+    );
+  }
+
+  // Keyed by room code so switching rooms starts from a clean queue, chat and connection
+  return <WatchRoom key={roomCode} roomCode={roomCode} />;
+}
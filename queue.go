@@ -0,0 +1,173 @@
+package main
+
+import "log"
+
+const (
+	maxQueueLength  = 500 // Entries a room's queue can hold
+	maxOpEntries    = 100 // Entries a single insert can add
+	maxRecentOpIDs  = 200 // Applied op ids remembered to ignore retries
+	maxQueueIDBytes = 64
+	maxQueueURLSize = 2048
+)
+
+// queueSourceTypes are the player adapters clients have, see PLAYER_CONFIG.SOURCE_TYPES.
+var queueSourceTypes = map[string]bool{"youtube": true, "vimeo": true, "video": true, "hls": true}
+
+// QueueEntry is one item of a room's queue. Entries are addressed by id, never by position,
+// so concurrent edits keep pointing at the right item.
+type QueueEntry struct {
+	ID     string `json:"id"`
+	URL    string `json:"url"`
+	Source string `json:"source,omitempty"` // Player adapter for the URL: "youtube", "vimeo", "video" or "hls"
+}
+
+// QueueOp is a single edit of the queue. Ops are applied in the order the server sequences them,
+// which every client replays, so concurrent edits from several users merge deterministically.
+type QueueOp struct {
+	ID       string       `json:"id"`                 // Unique op id chosen by the client, used to ignore retries
+	Kind     string       `json:"kind"`               // "insert", "remove", "move" or "clear"
+	Entries  []QueueEntry `json:"entries,omitempty"`  // insert: entries to add
+	EntryID  string       `json:"entryId,omitempty"`  // remove, move: entry the op applies to
+	Position string       `json:"position,omitempty"` // insert, move: "start", "end" (default) or "after"
+	AfterID  string       `json:"afterId,omitempty"`  // insert, move: entry to place after when Position is "after"
+}
+
+// indexOfEntry returns the position of an entry in the queue, or -1.
+func indexOfEntry(queue []QueueEntry, id string) int {
+	for i, entry := range queue {
+		if entry.ID == id {
+			return i
+		}
+	}
+	return -1
+}
+
+// insertionIndex resolves where an op places entries. A missing "after" entry (removed by an
+// earlier op) falls back to the end of the queue. Must match insertionIndex in utils/queueOps.js.
+func insertionIndex(queue []QueueEntry, op QueueOp) int {
+	switch op.Position {
+	case "start":
+		return 0
+	case "after":
+		if i := indexOfEntry(queue, op.AfterID); i != -1 {
+			return i + 1
+		}
+	}
+	return len(queue)
+}
+
+// applyQueueOp returns the queue after an op. Ops that refer to missing entries are no-ops.
+// Must match applyQueueOp in utils/queueOps.js.
+func applyQueueOp(queue []QueueEntry, op QueueOp) []QueueEntry {
+	switch op.Kind {
+	case "insert":
+		added := []QueueEntry{}
+		for _, entry := range op.Entries {
+			if indexOfEntry(queue, entry.ID) == -1 && indexOfEntry(added, entry.ID) == -1 {
+				added = append(added, entry)
+			}
+		}
+		at := insertionIndex(queue, op)
+		result := append([]QueueEntry{}, queue[:at]...)
+		result = append(result, added...)
+		return append(result, queue[at:]...)
+	case "remove":
+		i := indexOfEntry(queue, op.EntryID)
+		if i == -1 {
+			return queue
+		}
+		return append(append([]QueueEntry{}, queue[:i]...), queue[i+1:]...)
+	case "move":
+		i := indexOfEntry(queue, op.EntryID)
+		if i == -1 || (op.Position == "after" && op.AfterID == op.EntryID) {
+			return queue
+		}
+		entry := queue[i]
+		without := append(append([]QueueEntry{}, queue[:i]...), queue[i+1:]...)
+		at := insertionIndex(without, op)
+		result := append([]QueueEntry{}, without[:at]...)
+		result = append(result, entry)
+		return append(result, without[at:]...)
+	case "clear":
+		return []QueueEntry{}
+	}
+	return queue
+}
+
+// validateQueueOp returns a user-facing reason the op can't be applied, or "".
+func validateQueueOp(op *QueueOp, queueLength int) string {
+	if op == nil || op.ID == "" || len(op.ID) > maxQueueIDBytes {
+		return "Invalid queue operation."
+	}
+	switch op.Kind {
+	case "insert":
+		if len(op.Entries) == 0 || len(op.Entries) > maxOpEntries {
+			return "Invalid number of videos to add."
+		}
+		if queueLength+len(op.Entries) > maxQueueLength {
+			return "The queue is full."
+		}
+		for _, entry := range op.Entries {
+			if entry.ID == "" || len(entry.ID) > maxQueueIDBytes || entry.URL == "" || len(entry.URL) > maxQueueURLSize {
+				return "Invalid video in queue operation."
+			}
+			if entry.Source != "" && !queueSourceTypes[entry.Source] {
+				return "Unsupported video source in queue operation."
+			}
+		}
+	case "remove", "move":
+		if op.EntryID == "" {
+			return "Invalid queue operation."
+		}
+	case "clear":
+	default:
+		return "Unknown queue operation."
+	}
+	return ""
+}
+
+// hasAppliedOpLocked reports whether an op id was already applied. The caller must hold mu.
+func (r *Room) hasAppliedOpLocked(id string) bool {
+	for _, applied := range r.recentOpIDs {
+		if applied == id {
+			return true
+		}
+	}
+	return false
+}
+
+// handleQueueOp validates, sequences and broadcasts a queue edit.
+func (c *Client) handleQueueOp(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if msg.Op != nil && room.hasAppliedOpLocked(msg.Op.ID) {
+		return // A retry after a reconnect, everyone already has it
+	}
+	reason := ""
+	if !room.isControllerLocked(c.name) {
+		reason = "Only the host or a co-host can change the queue. Send a suggestion instead."
+	} else if room.queueLocked && c.name != room.host {
+		reason = "The host locked the queue."
+	} else {
+		reason = validateQueueOp(msg.Op, len(room.queue))
+	}
+	if reason != "" {
+		c.sendError(reason)
+		if msg.Op != nil {
+			c.sendDirect(Message{Type: "queue_reject", Op: &QueueOp{ID: msg.Op.ID}})
+		}
+		return
+	}
+
+	room.queue = applyQueueOp(room.queue, *msg.Op)
+	room.queueVersion++
+	room.recentOpIDs = append(room.recentOpIDs, msg.Op.ID)
+	if len(room.recentOpIDs) > maxRecentOpIDs {
+		room.recentOpIDs = room.recentOpIDs[len(room.recentOpIDs)-maxRecentOpIDs:]
+	}
+
+	log.Printf("Room %s: queue op %s (%s) applied by %s, version %d, %d entries", room.code, msg.Op.ID, msg.Op.Kind, c.name, room.queueVersion, len(room.queue))
+	room.sendToRoomLocked(Message{Type: "queue_op", Sender: c.name, Op: msg.Op, Version: room.queueVersion})
+}
@@ -0,0 +1,204 @@
+package main
+
+import (
+	"io"
+	"log"
+	"os"
+	"reflect"
+	"testing"
+)
+
+func TestMain(m *testing.M) {
+	log.SetOutput(io.Discard) // The handlers log every step
+	os.Exit(m.Run())
+}
+
+// newTestRoom returns an empty room that isn't shared with other tests.
+func newTestRoom(t *testing.T) *Room {
+	t.Helper()
+	mu.Lock()
+	delete(rooms, "test-room")
+	mu.Unlock()
+	room := getOrCreateRoom("test-room")
+	t.Cleanup(func() {
+		mu.Lock()
+		delete(rooms, room.code)
+		mu.Unlock()
+	})
+	return room
+}
+
+// joinTestRoom adds a client without a connection to a room, as the register case of handleMessages does.
+// The first client to join becomes the host.
+func joinTestRoom(room *Room, name string) *Client {
+	client := &Client{
+		send:     make(chan Message, 256),
+		name:     name,
+		identity: clientIdentity("", name),
+		room:     room,
+		done:     make(chan struct{}),
+	}
+	mu.Lock()
+	room.clients[client] = true
+	room.ensureHostLocked()
+	mu.Unlock()
+	return client
+}
+
+// received drains the messages queued for a client.
+func received(client *Client) []Message {
+	messages := []Message{}
+	for {
+		select {
+		case msg := <-client.send:
+			messages = append(messages, msg)
+		default:
+			return messages
+		}
+	}
+}
+
+// lastOfType returns the last received message of a type, or nil.
+func lastOfType(messages []Message, msgType string) *Message {
+	for i := len(messages) - 1; i >= 0; i-- {
+		if messages[i].Type == msgType {
+			return &messages[i]
+		}
+	}
+	return nil
+}
+
+func entryIDs(queue []QueueEntry) []string {
+	ids := []string{}
+	for _, entry := range queue {
+		ids = append(ids, entry.ID)
+	}
+	return ids
+}
+
+func testEntry(id string) QueueEntry {
+	return QueueEntry{ID: id, URL: "https://www.youtube.com/watch?v=" + id, Source: "youtube"}
+}
+
+func TestApplyQueueOp(t *testing.T) {
+	queue := []QueueEntry{testEntry("a"), testEntry("b")}
+	cases := []struct {
+		name string
+		op   QueueOp
+		want []string
+	}{
+		{"insert at the end", QueueOp{Kind: "insert", Entries: []QueueEntry{testEntry("c")}}, []string{"a", "b", "c"}},
+		{"insert at the start", QueueOp{Kind: "insert", Entries: []QueueEntry{testEntry("c")}, Position: "start"}, []string{"c", "a", "b"}},
+		{"insert after", QueueOp{Kind: "insert", Entries: []QueueEntry{testEntry("c")}, Position: "after", AfterID: "a"}, []string{"a", "c", "b"}},
+		{"insert after a missing entry", QueueOp{Kind: "insert", Entries: []QueueEntry{testEntry("c")}, Position: "after", AfterID: "gone"}, []string{"a", "b", "c"}},
+		{"insert skips duplicates", QueueOp{Kind: "insert", Entries: []QueueEntry{testEntry("a"), testEntry("c"), testEntry("c")}}, []string{"a", "b", "c"}},
+		{"remove", QueueOp{Kind: "remove", EntryID: "a"}, []string{"b"}},
+		{"remove a missing entry", QueueOp{Kind: "remove", EntryID: "gone"}, []string{"a", "b"}},
+		{"move to the start", QueueOp{Kind: "move", EntryID: "b", Position: "start"}, []string{"b", "a"}},
+		{"move after itself", QueueOp{Kind: "move", EntryID: "a", Position: "after", AfterID: "a"}, []string{"a", "b"}},
+		{"clear", QueueOp{Kind: "clear"}, []string{}},
+	}
+	for _, tc := range cases {
+		t.Run(tc.name, func(t *testing.T) {
+			got := entryIDs(applyQueueOp(queue, tc.op))
+			if !reflect.DeepEqual(got, tc.want) {
+				t.Errorf("got %v, want %v", got, tc.want)
+			}
+			if !reflect.DeepEqual(entryIDs(queue), []string{"a", "b"}) {
+				t.Errorf("op changed the queue it was applied to: %v", entryIDs(queue))
+			}
+		})
+	}
+}
+
+func TestValidateQueueOp(t *testing.T) {
+	cases := []struct {
+		name  string
+		op    *QueueOp
+		valid bool
+	}{
+		{"missing op", nil, false},
+		{"missing id", &QueueOp{Kind: "clear"}, false},
+		{"unknown kind", &QueueOp{ID: "op-1", Kind: "shuffle"}, false},
+		{"empty insert", &QueueOp{ID: "op-1", Kind: "insert"}, false},
+		{"unsupported source", &QueueOp{ID: "op-1", Kind: "insert", Entries: []QueueEntry{{ID: "a", URL: "x", Source: "flash"}}}, false},
+		{"remove without entry", &QueueOp{ID: "op-1", Kind: "remove"}, false},
+		{"insert", &QueueOp{ID: "op-1", Kind: "insert", Entries: []QueueEntry{testEntry("a")}}, true},
+		{"clear", &QueueOp{ID: "op-1", Kind: "clear"}, true},
+	}
+	for _, tc := range cases {
+		if got := validateQueueOp(tc.op, 0) == ""; got != tc.valid {
+			t.Errorf("%s: valid = %t, want %t", tc.name, got, tc.valid)
+		}
+	}
+	full := &QueueOp{ID: "op-1", Kind: "insert", Entries: []QueueEntry{testEntry("a")}}
+	if validateQueueOp(full, maxQueueLength) == "" {
+		t.Error("insert into a full queue was accepted")
+	}
+}
+
+func TestHandleQueueOpSequencesOps(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	viewer := joinTestRoom(room, "viewer")
+	received(viewer)
+
+	host.handleQueueOp(Message{Op: &QueueOp{ID: "op-1", Kind: "insert", Entries: []QueueEntry{testEntry("a")}}})
+	host.handleQueueOp(Message{Op: &QueueOp{ID: "op-2", Kind: "insert", Entries: []QueueEntry{testEntry("b")}, Position: "start"}})
+	host.handleQueueOp(Message{Op: &QueueOp{ID: "op-1", Kind: "insert", Entries: []QueueEntry{testEntry("a")}}}) // Retry
+
+	versions := []int{}
+	for _, msg := range received(viewer) {
+		if msg.Type == "queue_op" {
+			versions = append(versions, msg.Version)
+		}
+	}
+	if !reflect.DeepEqual(versions, []int{1, 2}) {
+		t.Errorf("viewer got queue op versions %v, want [1 2]", versions)
+	}
+	if got := entryIDs(room.queue); !reflect.DeepEqual(got, []string{"b", "a"}) {
+		t.Errorf("queue = %v, want [b a]", got)
+	}
+	if room.queueVersion != 2 {
+		t.Errorf("queue version = %d, want 2", room.queueVersion)
+	}
+	mu.Lock()
+	snapshot := room.snapshotLocked()
+	mu.Unlock()
+	if snapshot.QueueVersion != 2 || !reflect.DeepEqual(snapshot.AppliedOps, []string{"op-1", "op-2"}) {
+		t.Errorf("snapshot has version %d and applied ops %v", snapshot.QueueVersion, snapshot.AppliedOps)
+	}
+}
+
+func TestHandleQueueOpRejectsViewers(t *testing.T) {
+	room := newTestRoom(t)
+	joinTestRoom(room, "host")
+	viewer := joinTestRoom(room, "viewer")
+
+	viewer.handleQueueOp(Message{Op: &QueueOp{ID: "op-1", Kind: "clear"}})
+
+	reject := lastOfType(received(viewer), "queue_reject")
+	if reject == nil || reject.Op == nil || reject.Op.ID != "op-1" {
+		t.Fatalf("viewer's op wasn't rejected: %+v", reject)
+	}
+	if room.queueVersion != 0 {
+		t.Errorf("queue version = %d, want 0", room.queueVersion)
+	}
+}
+
+func TestHandleQueueOpLockedQueue(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	cohost := joinTestRoom(room, "cohost")
+	room.cohosts["cohost"] = true
+	room.queueLocked = true
+
+	cohost.handleQueueOp(Message{Op: &QueueOp{ID: "op-1", Kind: "insert", Entries: []QueueEntry{testEntry("a")}}})
+	if len(room.queue) != 0 {
+		t.Errorf("co-host edited a locked queue: %v", entryIDs(room.queue))
+	}
+	host.handleQueueOp(Message{Op: &QueueOp{ID: "op-2", Kind: "insert", Entries: []QueueEntry{testEntry("a")}}})
+	if len(room.queue) != 1 {
+		t.Errorf("host couldn't edit a locked queue: %v", entryIDs(room.queue))
+	}
+}
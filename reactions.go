@@ -0,0 +1,106 @@
+package main
+
+import (
+	"log"
+	"math"
+	"strconv"
+	"time"
+)
+
+const (
+	maxReactionsPerVideo     = 2000                   // Oldest reactions of a video are dropped beyond this
+	maxReactionVideos        = 50                     // Videos a room keeps reactions for, least recently used are dropped
+	maxReactionVideoIDLength = 512                    // Must stay in sync with REACTION_CONFIG.MAX_VIDEO_ID_LENGTH
+	reactionCooldown         = 250 * time.Millisecond // Minimum time between two reactions of the same user
+)
+
+// reactionEmojis are the reactions users can send. Must stay in sync with REACTION_CONFIG.EMOJIS.
+var reactionEmojis = map[string]bool{
+	"😂":  true,
+	"😮":  true,
+	"😍":  true,
+	"👏":  true,
+	"🔥":  true,
+	"😢":  true,
+	"💀":  true,
+	"❤️": true,
+}
+
+// Reaction is an emoji sent at a point of a video, kept so it can be replayed when the video is watched again.
+type Reaction struct {
+	ID     string  `json:"id"`
+	Emoji  string  `json:"emoji"`
+	Time   float64 `json:"time"` // Playback position in seconds
+	Sender string  `json:"sender"`
+	At     float64 `json:"at"` // Server clock (ms) when it was sent
+}
+
+// touchReactionVideoLocked marks a video's reactions as recently used and drops the least recently used
+// video once the room keeps too many. The caller must hold mu.
+func (r *Room) touchReactionVideoLocked(videoID string) {
+	for i, id := range r.reactionOrder {
+		if id == videoID {
+			r.reactionOrder = append(r.reactionOrder[:i], r.reactionOrder[i+1:]...)
+			break
+		}
+	}
+	r.reactionOrder = append(r.reactionOrder, videoID)
+	for len(r.reactionOrder) > maxReactionVideos {
+		delete(r.reactions, r.reactionOrder[0])
+		r.reactionOrder = r.reactionOrder[1:]
+	}
+}
+
+// handleReaction stores a reaction to the current video and shows it to everyone in the room.
+func (c *Client) handleReaction(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if !reactionEmojis[msg.Content] {
+		c.sendError("Unknown reaction.")
+		return
+	}
+	// Reactions belong to whatever is playing, so nobody can fill up the store for other videos
+	if room.videoState.VideoUrl == "" || msg.VideoUrl != room.videoState.VideoUrl {
+		return
+	}
+	if msg.VideoID == "" || len(msg.VideoID) > maxReactionVideoIDLength {
+		c.sendError("Invalid video id for the reaction.")
+		return
+	}
+	if math.IsNaN(msg.CurrentTime) || math.IsInf(msg.CurrentTime, 0) || msg.CurrentTime < 0 {
+		return
+	}
+	if time.Since(room.lastReaction[c.name]) < reactionCooldown {
+		return
+	}
+	room.lastReaction[c.name] = time.Now()
+
+	room.reactionSeq++
+	reaction := Reaction{
+		ID:     strconv.Itoa(room.reactionSeq),
+		Emoji:  msg.Content,
+		Time:   msg.CurrentTime,
+		Sender: c.name,
+		At:     nowMillis(),
+	}
+	stored := append(room.reactions[msg.VideoID], reaction)
+	if len(stored) > maxReactionsPerVideo {
+		stored = stored[len(stored)-maxReactionsPerVideo:]
+	}
+	room.reactions[msg.VideoID] = stored
+	room.touchReactionVideoLocked(msg.VideoID)
+
+	room.sendToRoomLocked(Message{Type: "reaction", VideoID: msg.VideoID, Reaction: &reaction})
+	log.Printf("Room %s: %s reacted %s at %.1fs of %s", room.code, c.name, reaction.Emoji, reaction.Time, msg.VideoID) // --- DEBUG LOG ---
+}
+
+// handleReactionHistory sends the sender every stored reaction to a video, for the heatmap and replay.
+func (c *Client) handleReactionHistory(msg Message) {
+	mu.Lock()
+	reactions := append([]Reaction{}, c.room.reactions[msg.VideoID]...)
+	mu.Unlock()
+
+	c.sendDirect(Message{Type: "reactions", VideoID: msg.VideoID, Reactions: reactions})
+}
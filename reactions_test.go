@@ -0,0 +1,72 @@
+package main
+
+import (
+	"strconv"
+	"testing"
+	"time"
+)
+
+// reactTo sends a reaction to what the room is playing.
+func reactTo(client *Client, room *Room, emoji string) {
+	client.handleReaction(Message{Content: emoji, VideoUrl: room.videoState.VideoUrl, VideoID: "first", CurrentTime: 3})
+}
+
+func TestReactionCooldown(t *testing.T) {
+	room := newTestRoom(t)
+	viewer := joinTestRoom(room, "viewer")
+	other := joinTestRoom(room, "other")
+	playTestQueue(room, "first")
+
+	reactTo(viewer, room, "🔥")
+	reactTo(viewer, room, "🔥")
+	reactTo(other, room, "😂")
+	if got := len(room.reactions["first"]); got != 2 {
+		t.Fatalf("stored %d reactions, want one per user", got)
+	}
+
+	room.lastReaction["viewer"] = time.Now().Add(-reactionCooldown)
+	reactTo(viewer, room, "🔥")
+	if got := len(room.reactions["first"]); got != 3 {
+		t.Errorf("stored %d reactions after the cooldown, want 3", got)
+	}
+}
+
+func TestReactionsAreChecked(t *testing.T) {
+	room := newTestRoom(t)
+	viewer := joinTestRoom(room, "viewer")
+	playTestQueue(room, "first")
+
+	reactTo(viewer, room, "🍕")
+	viewer.handleReaction(Message{Content: "🔥", VideoUrl: "https://www.youtube.com/watch?v=other", VideoID: "other", CurrentTime: 3})
+	viewer.handleReaction(Message{Content: "🔥", VideoUrl: room.videoState.VideoUrl, VideoID: "first", CurrentTime: -1})
+	if len(room.reactions) != 0 {
+		t.Errorf("stored invalid reactions: %v", room.reactions)
+	}
+	if lastOfType(received(viewer), "error") == nil {
+		t.Error("unknown emoji wasn't refused")
+	}
+}
+
+func TestReactionVideosAreBounded(t *testing.T) {
+	room := newTestRoom(t)
+	mu.Lock()
+	defer mu.Unlock()
+	for i := 0; i <= maxReactionVideos; i++ {
+		id := strconv.Itoa(i)
+		room.reactions[id] = []Reaction{{ID: id}}
+		room.touchReactionVideoLocked(id)
+		if i == 0 {
+			continue
+		}
+		room.touchReactionVideoLocked("0") // Keeps the first video in use
+	}
+	if len(room.reactions) != maxReactionVideos {
+		t.Fatalf("kept reactions for %d videos, want %d", len(room.reactions), maxReactionVideos)
+	}
+	if _, ok := room.reactions["0"]; !ok {
+		t.Error("dropped the most recently used video")
+	}
+	if _, ok := room.reactions["1"]; ok {
+		t.Error("kept the least recently used video")
+	}
+}
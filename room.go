@@ -0,0 +1,169 @@
+package main
+
+import (
+	"log"
+	"regexp"
+	"strings"
+	"time"
+)
+
+// Room holds everything that is shared between the clients connected with the same room code.
+// All fields are guarded by the global mu.
+type Room struct {
+	code          string
+	clients       map[*Client]bool
+	clientData    map[string]float64         // Map username to authoritative watchHours
+	videoState    Message                    // Shared video state to sync new clients
+	host          string                     // Username allowed to control playback and the queue
+	cohosts       map[string]bool            // Users the host delegated control to
+	skipVotes     map[string]bool            // Users who voted to skip the current video
+	skipVoteKey   string                     // Video the votes apply to, see currentVideoKeyLocked
+	skipThreshold float64                    // Fraction of online users needed to skip
+	queue         []QueueEntry               // Shared queue, edited only through queue ops
+	queueVersion  int                        // Number of queue ops applied so far
+	recentOpIDs   []string                   // Recently applied op ids, oldest first
+	waitForAll    bool                       // Pause playback while anyone in the wait set is buffering
+	buffering     map[string]bufferingReport // Latest buffering report per user
+	bufferExempt  map[string]bool            // Users dropped from the wait set for the current video
+	bufferKey     string                     // Video the exemptions apply to, see currentVideoKeyLocked
+	held          bool                       // Paused by wait-for-everyone mode, resumes once nobody is buffering
+	reactions     map[string][]Reaction      // Reactions per video id, see getMediaKey on the client
+	reactionOrder []string                   // Video ids with reactions, least recently used first
+	reactionSeq   int                        // Last reaction id handed out
+	lastReaction  map[string]time.Time       // When each user last reacted, for the cooldown
+	subtitles     map[string]*SubtitleTrack  // Subtitle track per queue entry id
+	chatLog       []Message                  // Recent chat lines, oldest first, see postChatLocked
+	messageSeq    int                        // Last chat message id handed out
+	muted         map[string]string          // Name of each muted identity, see clientIdentity
+	banned        map[string]string          // Name of each identity that can't join the room
+	lastChat      map[string]time.Time       // When each identity and name last posted, for slow mode
+	slowMode      int                        // Seconds between posts, 0 if off
+	queueLocked   bool                       // Only the host may edit the queue, nobody may suggest videos for it
+	filters       ContentFilterSettings      // Chat filters the clients run, set by the host
+	lastActive    time.Time                  // Last time a client joined or left, used to expire empty rooms
+}
+
+const roomIdleTTL = 10 * time.Minute // How long an empty room keeps its state before it is removed
+
+var (
+	rooms           = make(map[string]*Room)
+	roomCodePattern = regexp.MustCompile(`^[a-z0-9-]{3,32}$`) // Must stay in sync with ROOM_CONFIG.CODE_PATTERN
+)
+
+// normalizeRoomCode lowercases and trims a room code, returning "" if it is not a valid code.
+func normalizeRoomCode(code string) string {
+	code = strings.ToLower(strings.TrimSpace(code))
+	if !roomCodePattern.MatchString(code) {
+		return ""
+	}
+	return code
+}
+
+// getOrCreateRoom returns the room for a code, creating it with an empty video state if needed.
+func getOrCreateRoom(code string) *Room {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room, ok := rooms[code]
+	if !ok {
+		room = &Room{
+			code:          code,
+			clients:       make(map[*Client]bool),
+			clientData:    make(map[string]float64),
+			cohosts:       make(map[string]bool),
+			skipVotes:     make(map[string]bool),
+			buffering:     make(map[string]bufferingReport),
+			bufferExempt:  make(map[string]bool),
+			reactions:     make(map[string][]Reaction),
+			lastReaction:  make(map[string]time.Time),
+			subtitles:     make(map[string]*SubtitleTrack),
+			muted:         make(map[string]string),
+			banned:        make(map[string]string),
+			lastChat:      make(map[string]time.Time),
+			skipThreshold: *defaultSkipThreshold,
+			queue:         []QueueEntry{},
+			videoState: Message{
+				Type:          "video",
+				Room:          code,
+				VideoUrl:      "",
+				PlaybackState: "pause",
+				CurrentTime:   0,
+				PlaybackRate:  1,
+				UpdatedAt:     nowMillis(),
+			},
+		}
+		rooms[code] = room
+		log.Printf("Room %s created. Total rooms: %d", code, len(rooms))
+	}
+	// Touch the room so the janitor can't remove it before the client is registered
+	room.lastActive = time.Now()
+	return room
+}
+
+// snapshotLocked returns everything a client needs to catch up with the room, as a "sync" message.
+// The caller must hold mu.
+func (r *Room) snapshotLocked() Message {
+	snapshot := r.withModerationStateLocked(r.withBufferStateLocked(r.withVoteStateLocked(r.videoState)))
+	snapshot.Type = "sync"
+	snapshot.Queue = append([]QueueEntry{}, r.queue...)
+	snapshot.QueueVersion = r.queueVersion
+	snapshot.AppliedOps = append([]string{}, r.recentOpIDs...)
+	filters := r.filters
+	snapshot.Filters = &filters
+	return snapshot
+}
+
+// playbackPositionLocked returns where the room's video is at a server time, in seconds.
+// The caller must hold mu.
+func (r *Room) playbackPositionLocked(now float64) float64 {
+	state := r.videoState
+	if state.PlaybackState != "play" {
+		return state.CurrentTime
+	}
+	return state.CurrentTime + (now-state.UpdatedAt)/1000*sanitizePlaybackRate(state.PlaybackRate)
+}
+
+// pruneIdleRooms removes rooms that have been empty for longer than roomIdleTTL.
+func pruneIdleRooms() {
+	mu.Lock()
+	defer mu.Unlock()
+
+	for code, room := range rooms {
+		if len(room.clients) == 0 && time.Since(room.lastActive) > roomIdleTTL {
+			delete(rooms, code)
+			log.Printf("Room %s expired after being idle. Total rooms: %d", code, len(rooms))
+		}
+	}
+}
+
+// sendToRoomLocked queues a message for every client in the room without blocking.
+// The caller must hold mu.
+func (r *Room) sendToRoomLocked(msg Message) {
+	msg.Room = r.code
+	for client := range r.clients {
+		select {
+		case client.send <- msg:
+		default:
+			log.Printf("Room %s: Client %s send channel full or closed, skipping %s message.", r.code, client.name, msg.Type)
+		}
+	}
+}
+
+// sendToUsersLocked sends a message to every connection of the named users only, without blocking.
+// The caller must hold mu.
+func (r *Room) sendToUsersLocked(msg Message, names ...string) {
+	msg.Room = r.code
+	for client := range r.clients {
+		for _, name := range names {
+			if client.name != name {
+				continue
+			}
+			select {
+			case client.send <- msg:
+			default:
+				log.Printf("Room %s: Client %s send channel full or closed, skipping %s message.", r.code, client.name, msg.Type)
+			}
+			break
+		}
+	}
+}
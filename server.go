@@ -3,6 +3,7 @@ package main
 import (
 	"flag"
 	"log"
+	"math"
 	"net/http"
 	"sync"
 	"time"
@@ -10,24 +11,83 @@ import (
 	"github.com/gorilla/websocket"
 )
 
+const (
+	maxTimestampSkew = 5000       // ms; client-supplied timestamps further off than this are replaced by the server clock
+	maxMessageSize   = 512 * 1024 // bytes; large enough for a parsed subtitle file of a feature-length video
+	minPlaybackRate  = 0.5
+	maxPlaybackRate  = 2.0
+	closeNameRefused = 4002 // Must stay in sync with WS_CONFIG.NAME_REFUSED_CLOSE_CODE
+)
+
 type Client struct {
-	conn *websocket.Conn
-	send chan Message
-	name string
-	done chan struct{} // Channel to signal when the client's goroutines should stop
+	conn     *websocket.Conn
+	send     chan Message
+	name     string
+	identity string // Who the connection belongs to across names and reconnects, see clientIdentity
+	room     *Room
+	joinedAt time.Time     // Used to pick the longest-connected user when the host role fails over
+	done     chan struct{} // Channel to signal when the client's goroutines should stop
 }
 
 type Message struct {
 	Type          string   `json:"type"` // "message", "presence", "video", or "watchHours"
+	Room          string   `json:"room"` // Room code the message belongs to, required on every message
 	Sender        string   `json:"sender"`
 	Content       string   `json:"content,omitempty"`
 	Users         []string `json:"users,omitempty"`
 	VideoUrl      string   `json:"videoUrl,omitempty"`
 	PlaybackState string   `json:"playbackState,omitempty"`
 	CurrentTime   float64  `json:"currentTime,omitempty"`
-	Queue         []string `json:"queue,omitempty"`
-	Index         int      `json:"index,omitempty"`
+	PlaybackRate  float64  `json:"playbackRate,omitempty"` // Shared playback speed, 0.5 to 2
+	EntryID       string   `json:"entryId,omitempty"`      // Queue entry currently playing
 	WatchHours    float64  `json:"watchHours,omitempty"`
+	ClientTime    float64  `json:"clientTime,omitempty"` // Client clock (ms) echoed back in "pong" replies
+	ServerTime    float64  `json:"serverTime,omitempty"` // Server clock (ms) when a "pong" was sent
+	UpdatedAt     float64  `json:"updatedAt,omitempty"`  // Server clock (ms) at which CurrentTime was sampled
+	Timestamp     float64  `json:"timestamp,omitempty"`
+	System        bool     `json:"system,omitempty"`    // Chat line generated by the server rather than a user
+	Host          string   `json:"host,omitempty"`      // Current host, sent with presence updates
+	Cohosts       []string `json:"cohosts,omitempty"`   // Users the host delegated control to
+	Target        string   `json:"target,omitempty"`    // User a "transfer_host" or "cohost" message applies to, or the recipient of a "dm"
+	Enabled       bool     `json:"enabled,omitempty"`   // Whether a "cohost" message grants or revokes the role
+	Action        string   `json:"action,omitempty"`    // Suggested action: "play", "pause", "stop", "next", "previous" or "queue"
+	Votes         []string `json:"votes,omitempty"`     // Users who voted to skip the current video
+	Required      int      `json:"required,omitempty"`  // Votes needed to skip
+	Threshold     float64  `json:"threshold,omitempty"` // Fraction of online users needed to skip
+
+	Queue        []QueueEntry `json:"queue,omitempty"`        // Full queue, only sent in "sync" snapshots
+	QueueVersion int          `json:"queueVersion,omitempty"` // Version of the queue in a snapshot
+	AppliedOps   []string     `json:"appliedOps,omitempty"`   // Recently applied op ids, so resyncing clients can drop pending ops
+	Op           *QueueOp     `json:"op,omitempty"`           // Queue edit carried by "queue_op" and "queue_reject"
+	Version      int          `json:"version,omitempty"`      // Queue version after a "queue_op" was applied
+
+	Buffering  []string `json:"buffering,omitempty"`  // Users whose player is buffering the current video
+	WaitForAll bool     `json:"waitForAll,omitempty"` // Whether playback pauses while anyone is buffering
+	Held       bool     `json:"held,omitempty"`       // Whether the room is paused waiting for someone to buffer
+
+	VideoID   string     `json:"videoId,omitempty"`   // Video a "reaction" or "reactions" message is about, see getMediaKey
+	Reaction  *Reaction  `json:"reaction,omitempty"`  // Reaction carried by a "reaction" message
+	Reactions []Reaction `json:"reactions,omitempty"` // Stored reactions to a video, sent in reply to "reactions"
+
+	Subtitles *SubtitleTrack `json:"subtitles,omitempty"` // Track carried by a "subtitles" message, missing if the entry has none
+
+	ID       string      `json:"id,omitempty"`       // Server-assigned id of a chat line
+	Messages []Message   `json:"messages,omitempty"` // Page of the chat log, sent in reply to "history"
+	Before   string      `json:"before,omitempty"`   // "history": only return messages older than this id
+	Limit    int         `json:"limit,omitempty"`    // "history": number of messages wanted
+	HasMore  bool        `json:"hasMore,omitempty"`  // "history": whether older messages exist
+	EditedAt float64     `json:"editedAt,omitempty"` // Server clock (ms) of a chat line's last edit
+	Deleted  bool        `json:"deleted,omitempty"`  // Chat line removed by its author or a host, kept as a placeholder
+	Emote    bool        `json:"emote,omitempty"`    // Chat line sent with /me, shown as an action of its sender
+	ReplyTo  string      `json:"replyTo,omitempty"`  // Id of the chat line this one answers
+	Quote    *ReplyQuote `json:"quote,omitempty"`    // Short copy of the answered chat line, set by the server
+
+	Muted       []string `json:"muted,omitempty"`       // Users who can't chat
+	Banned      []string `json:"banned,omitempty"`      // Users who can't join the room
+	SlowMode    int      `json:"slowMode,omitempty"`    // Seconds everyone but the host and co-hosts waits between posts, 0 if off
+	QueueLocked bool     `json:"queueLocked,omitempty"` // Whether only the host can change the queue
+
+	Filters *ContentFilterSettings `json:"filters,omitempty"` // Chat filters of the room, see filters.go
 }
 
 var (
@@ -39,22 +99,14 @@ var (
 			return true // Allowing all origins for development simplicity
 		},
 	}
-	clients    = make(map[*Client]bool)
-	clientData = make(map[string]float64) // Map username to authoritative watchHours
 	broadcast  = make(chan Message, 256)
 	register   = make(chan *Client)
 	unregister = make(chan *Client)
 	mu         sync.Mutex
 
-	// Shared video state to sync new clients
-	sharedVideoState = Message{
-		Type:          "video",
-		VideoUrl:      "",
-		PlaybackState: "pause",
-		CurrentTime:   0,
-		Queue:         []string{},
-		Index:         0,
-	}
+	// Client message types the server passes on to the room as they are. Every other type is handled in
+	// readPump or only ever sent by the server, so clients can't forge presence, votes or moderation state.
+	relayedTypes = map[string]bool{"typing": true}
 )
 
 func main() {
@@ -71,6 +123,14 @@ func main() {
 }
 
 func handleConnections(w http.ResponseWriter, r *http.Request) {
+	// Every connection belongs to exactly one room, chosen with the ?room= query parameter
+	roomCode := normalizeRoomCode(r.URL.Query().Get("room"))
+	if roomCode == "" {
+		log.Printf("Rejected connection with invalid room code %q", r.URL.Query().Get("room"))
+		http.Error(w, "Missing or invalid room code", http.StatusBadRequest)
+		return
+	}
+
 	conn, err := upgrader.Upgrade(w, r, nil)
 	if err != nil {
 		log.Printf("Error upgrading connection: %v", err)
@@ -94,13 +154,38 @@ func handleConnections(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 	username := string(msgBytes)
-	log.Printf("New client connected: %s", username) // --- DEBUG LOG ---
+	if problem := checkName(username); problem != "" {
+		log.Printf("Rejected client with invalid name %q from room %s: %s", username, roomCode, problem)
+		refuseConnection(conn, closeNameRefused, problem+" Rejoin with another name.")
+		return
+	}
+	identity := clientIdentity(r.URL.Query().Get("id"), username)
+	log.Printf("New client connected: %s (room %s)", username, roomCode) // --- DEBUG LOG ---
+
+	room := getOrCreateRoom(roomCode)
+	mu.Lock()
+	banned := room.isBannedLocked(identity, username)
+	taken := room.isNameTakenLocked(username, identity)
+	mu.Unlock()
+	if banned {
+		log.Printf("Rejected banned client %s from room %s", username, roomCode)
+		refuseConnection(conn, closeBanned, "You are banned from this room.")
+		return
+	}
+	if taken {
+		log.Printf("Rejected client %s from room %s, the name is in use", username, roomCode)
+		refuseConnection(conn, closeNameRefused, username+" is already taken in this room, rejoin with another name.")
+		return
+	}
 
 	client := &Client{
-		conn: conn,
-		send: make(chan Message, 2048), // Increased buffered channel size for messages
-		name: username,
-		done: make(chan struct{}), // Channel to signal goroutine termination
+		conn:     conn,
+		send:     make(chan Message, 2048), // Increased buffered channel size for messages
+		name:     username,
+		identity: identity,
+		room:     room,
+		joinedAt: time.Now(),
+		done:     make(chan struct{}), // Channel to signal goroutine termination
 	}
 
 	register <- client // Register the client with the handleMessages loop
@@ -109,6 +194,13 @@ func handleConnections(w http.ResponseWriter, r *http.Request) {
 	client.readPump()     // Start goroutine for reading messages from the client (blocking)
 }
 
+// refuseConnection closes a connection that may not join its room, with a close code and reason the
+// client shows instead of reconnecting.
+func refuseConnection(conn *websocket.Conn, code int, reason string) {
+	conn.WriteControl(websocket.CloseMessage, websocket.FormatCloseMessage(code, closeReason(reason)), time.Now().Add(time.Second))
+	conn.Close()
+}
+
 func (c *Client) readPump() {
 	// Defer unregistering the client and signaling done when this goroutine exits.
 	// This ensures cleanup regardless of how readPump terminates (normal close, error).
@@ -117,7 +209,7 @@ func (c *Client) readPump() {
 		close(c.done)   // Signal writePump to stop (if it's still running)
 	}()
 
-	c.conn.SetReadLimit(512) // Maximum message size to prevent excessive memory usage
+	c.conn.SetReadLimit(maxMessageSize) // Maximum message size to prevent excessive memory usage
 	// Initial read deadline, extended by pong handler.
 	// This detects if the client becomes unresponsive.
 	c.conn.SetReadDeadline(time.Now().Add(60 * time.Second))
@@ -142,25 +234,58 @@ func (c *Client) readPump() {
 			break // Exit the read loop on any error, triggering the defer
 		}
 
-		msg.Sender = c.name                                                                 // Assign the sender's name from the client's connection
-		log.Printf("Server received message from %s: Type=%s, Content='%s', VideoUrl='%s'", // --- DEBUG LOG ---
-			msg.Sender, msg.Type, msg.Content, msg.VideoUrl)
+		// Messages addressed to another room are dropped so groups can't interfere with each other
+		if normalizeRoomCode(msg.Room) != c.room.code {
+			log.Printf("[WARN] ReadPump: Client %s sent a %s message for room %q while in room %s, dropping it.", c.name, msg.Type, msg.Room, c.room.code)
+			continue
+		}
+
+		msg.Sender = c.name // Assign the sender's name from the client's connection
+		msg.Room = c.room.code
+		loggedContent := msg.Content
+		if msg.Type == "dm" {
+			loggedContent = "(private)" // handleDirectMessage logs who wrote to whom, never what
+		}
+		log.Printf("Server received message from %s in room %s: Type=%s, Content='%s', VideoUrl='%s'", // --- DEBUG LOG ---
+			msg.Sender, msg.Room, msg.Type, loggedContent, msg.VideoUrl)
+
+		// Answer clock pings immediately so clients can estimate their offset to the server clock
+		if msg.Type == "ping" {
+			c.sendDirect(Message{Type: "pong", ClientTime: msg.ClientTime, ServerTime: nowMillis()})
+			continue
+		}
 
 		// Update shared video state if the incoming message is a video type
 		if msg.Type == "video" {
+			msg.UpdatedAt = sanitizeTimestamp(msg.UpdatedAt)
 			mu.Lock()
+			// Only the host and co-hosts may change playback or the queue, everyone else is reverted
+			if !c.room.isControllerLocked(c.name) {
+				currentState := c.room.snapshotLocked()
+				mu.Unlock()
+				c.sendError("Only the host or a co-host can control playback. Send a suggestion instead.")
+				c.sendDirect(currentState)
+				continue
+			}
 			// Normalize playbackState: treat "stop" as "pause" for consistency
 			if msg.PlaybackState == "stop" {
 				msg.PlaybackState = "pause"
 			}
-			sharedVideoState = msg                                                // Update the global shared video state
-			log.Printf("Updated shared video state: URL=%s, State=%s, Time=%.2f", // --- DEBUG LOG ---
-				sharedVideoState.VideoUrl, sharedVideoState.PlaybackState, sharedVideoState.CurrentTime)
+			msg.PlaybackRate = sanitizePlaybackRate(msg.PlaybackRate)
+			msg.Queue = nil         // The queue only changes through queue ops
+			c.room.videoState = msg // Update the room's shared video state
+			// Sent while holding mu so a buffering pause can't overtake it
+			c.room.sendToRoomLocked(msg)
+			c.room.resetSkipVotesIfVideoChangedLocked()
+			c.room.clearBufferingHoldLocked(c.name)
+			log.Printf("Updated shared video state for room %s: URL=%s, State=%s, Time=%.2f, Rate=%.2f", // --- DEBUG LOG ---
+				c.room.code, msg.VideoUrl, msg.PlaybackState, msg.CurrentTime, msg.PlaybackRate)
 			mu.Unlock()
+			continue
 		} else if msg.Type == "sync" {
 			// Client requests current shared video state
 			mu.Lock()
-			currentState := sharedVideoState
+			currentState := c.room.snapshotLocked()
 			mu.Unlock()
 			select {
 			case c.send <- currentState:
@@ -173,20 +298,112 @@ func (c *Client) readPump() {
 		} else if msg.Type == "watchHours" {
 			// Update authoritative watchHours for sender
 			mu.Lock()
-			clientData[msg.Sender] = msg.WatchHours
+			c.room.clientData[msg.Sender] = msg.WatchHours
+			// Broadcast updated watchHours to everyone in the room
+			c.room.sendToRoomLocked(msg)
 			mu.Unlock()
-			// Broadcast updated watchHours to all clients
-			for client := range clients {
-				select {
-				case client.send <- msg:
-				default:
-					log.Printf("WatchHours: Client %s send channel full or closed, skipping watchHours send.", client.name)
-				}
-			}
 			continue // Skip broadcasting original message again
+		} else if msg.Type == "position" {
+			// Position reports move the shared anchor only when they come from whoever set the current state,
+			// every other client corrects its own drift against that anchor.
+			// If that client left, the host takes over as the reference.
+			mu.Lock()
+			state := &c.room.videoState
+			isReference := state.Sender == c.name || (c.name == c.room.host && !c.room.hasClientLocked(state.Sender))
+			if isReference && state.VideoUrl != "" && msg.VideoUrl == state.VideoUrl {
+				state.CurrentTime = msg.CurrentTime
+				state.UpdatedAt = sanitizeTimestamp(msg.UpdatedAt)
+				msg.UpdatedAt = state.UpdatedAt
+				c.room.sendToRoomLocked(msg)
+			}
+			mu.Unlock()
+			continue
+		} else if msg.Type == "transfer_host" {
+			c.handleTransferHost(msg)
+			continue
+		} else if msg.Type == "cohost" {
+			c.handleCohost(msg)
+			continue
+		} else if msg.Type == "suggest" {
+			c.handleSuggest(msg)
+			continue
+		} else if msg.Type == "queue_op" {
+			c.handleQueueOp(msg)
+			continue
+		} else if msg.Type == "vote_skip" {
+			c.handleVoteSkip()
+			continue
+		} else if msg.Type == "skip_threshold" {
+			c.handleSkipThreshold(msg)
+			continue
+		} else if msg.Type == "buffering" {
+			c.handleBuffering(msg)
+			continue
+		} else if msg.Type == "wait_mode" {
+			c.handleWaitMode(msg)
+			continue
+		} else if msg.Type == "reaction" {
+			c.handleReaction(msg)
+			continue
+		} else if msg.Type == "reactions" {
+			c.handleReactionHistory(msg)
+			continue
+		} else if msg.Type == "subtitles" {
+			c.handleSubtitles(msg)
+			continue
+		} else if msg.Type == "subtitles_request" {
+			c.handleSubtitlesRequest(msg)
+			continue
+		} else if msg.Type == "message" {
+			c.handleChatMessage(msg)
+			continue
+		} else if msg.Type == "history" {
+			c.handleHistory(msg)
+			continue
+		} else if msg.Type == "message_edit" {
+			c.handleMessageEdit(msg)
+			continue
+		} else if msg.Type == "message_delete" {
+			c.handleMessageDelete(msg)
+			continue
+		} else if msg.Type == "dm" {
+			c.handleDirectMessage(msg)
+			continue
+		} else if msg.Type == "nick" {
+			c.handleNick(msg)
+			continue
+		} else if msg.Type == "roll" {
+			c.handleRoll(msg)
+			continue
+		} else if msg.Type == "mute" {
+			c.handleMute(msg)
+			continue
+		} else if msg.Type == "kick" {
+			c.handleKick(msg, false)
+			continue
+		} else if msg.Type == "ban" {
+			c.handleKick(msg, true)
+			continue
+		} else if msg.Type == "unban" {
+			c.handleUnban(msg)
+			continue
+		} else if msg.Type == "slow_mode" {
+			c.handleSlowMode(msg)
+			continue
+		} else if msg.Type == "queue_lock" {
+			c.handleQueueLock(msg)
+			continue
+		} else if msg.Type == "content_filters" {
+			c.handleContentFilters(msg)
+			continue
 		}
 
-		broadcast <- msg // Send the message to the central broadcast channel
+		if !relayedTypes[msg.Type] {
+			log.Printf("[WARN] ReadPump: Client %s sent a %s message, which clients can't send, dropping it.", c.name, msg.Type)
+			continue
+		}
+		// Only who is typing is passed on, not whatever else the client put in the message
+		broadcast <- Message{Type: msg.Type, Room: msg.Room, Sender: msg.Sender}
 	}
 }
 
@@ -244,12 +461,24 @@ func (c *Client) writePump() {
 }
 
 func handleMessages() {
+	janitor := time.NewTicker(time.Minute) // Periodically expire rooms nobody has used for a while
+	defer janitor.Stop()
+	bufferingCheck := time.NewTicker(time.Second) // Stop waiting for users who take too long to buffer
+	defer bufferingCheck.Stop()
+
 	for {
 		select {
 		case client := <-register:
+			room := client.room
 			mu.Lock()
-			clients[client] = true                                                           // Add the new client to the map of active clients
-			log.Printf("Client %s registered. Total clients: %d", client.name, len(clients)) // --- DEBUG LOG ---
+			room.clients[client] = true // Add the new client to its room
+			room.lastActive = time.Now()
+			if room.ensureHostLocked() {
+				log.Printf("Room %s: %s is now the host", room.code, room.host)
+			}
+			log.Printf("Client %s registered in room %s. Clients in room: %d", client.name, room.code, len(room.clients)) // --- DEBUG LOG ---
+			initialState := room.snapshotLocked()
+			room.broadcastVoteStateLocked() // The number of votes needed grows with the room
 			mu.Unlock()
 
 			// --- FIX 1: Send shared video state AFTER client is registered ---
@@ -263,7 +492,7 @@ func handleMessages() {
 				}()
 				for i := 0; i < 3; i++ {
 					select {
-					case c.send <- sharedVideoState:
+					case c.send <- initialState:
 						log.Printf("Sent shared video state to new client %s (attempt %d)", c.name, i+1) // --- DEBUG LOG ---
 						return
 					case <-time.After(500 * time.Millisecond):
@@ -273,51 +502,79 @@ func handleMessages() {
 				log.Printf("Failed to send shared video state to new client %s after retries. Initiating unregistration.", c.name) // --- DEBUG LOG ---
 				unregister <- c
 			}(client)
-			sendPresence() // Update all clients with the new list of online users
+			sendPresence(room) // Update everyone in the room with the new list of online users
 
 		case client := <-unregister:
+			room := client.room
 			mu.Lock()
-			if _, ok := clients[client]; ok { // Check if the client is still in the map
-				delete(clients, client)                                                            // Remove client from the active clients map
-				close(client.send)                                                                 // Close the client's send channel to stop its writePump
-				client.conn.Close()                                                                // Explicitly close the WebSocket connection
-				log.Printf("Client %s unregistered. Total clients: %d", client.name, len(clients)) // --- DEBUG LOG ---
+			if _, ok := room.clients[client]; ok { // Check if the client is still in the room
+				delete(room.clients, client)                                                                                      // Remove client from the room
+				close(client.send)                                                                                                // Close the client's send channel to stop its writePump
+				client.conn.Close()                                                                                               // Explicitly close the WebSocket connection
+				room.lastActive = time.Now()                                                                                      // Empty rooms expire roomIdleTTL after the last client leaves
+				log.Printf("Client %s unregistered from room %s. Clients in room: %d", client.name, room.code, len(room.clients)) // --- DEBUG LOG ---
+				// Fail over to another user when the host's last connection goes away
+				if room.ensureHostLocked() && room.host != "" {
+					log.Printf("Room %s: host %s left, %s is now the host", room.code, client.name, room.host)
+					room.systemMessageLocked(client.name + " left, " + room.host + " is now the host.")
+				}
+				room.dropStaleSkipVotesLocked()
+				room.dropStaleBufferingLocked()
 			}
 			mu.Unlock()
-			sendPresence() // Update all clients with the updated list of online users
+			sendPresence(room) // Update everyone in the room with the updated list of online users
 
 		case msg := <-broadcast:
-			log.Printf("Broadcasting message: Type=%s, Sender=%s, Content='%s'", msg.Type, msg.Sender, msg.Content) // --- DEBUG LOG ---
+			log.Printf("Broadcasting message to room %s: Type=%s, Sender=%s, Content='%s'", msg.Room, msg.Type, msg.Sender, msg.Content) // --- DEBUG LOG ---
 			mu.Lock()
-			for client := range clients {
+			room, ok := rooms[msg.Room]
+			if !ok {
+				mu.Unlock()
+				log.Printf("Broadcast: Room %s no longer exists, dropping %s message.", msg.Room, msg.Type)
+				continue
+			}
+			for client := range room.clients {
 				select {
 				case client.send <- msg:
 					// Message sent successfully to this client's send channel
 				default:
 					log.Printf("Broadcast: Client %s send channel full or closed, unregistering client to prevent blocking.", client.name) // --- DEBUG LOG ---
-					delete(clients, client)
+					delete(room.clients, client)
 					close(client.send)
 					client.conn.Close()
 				}
 			}
 			mu.Unlock()
+
+		case <-janitor.C:
+			pruneIdleRooms()
+
+		case <-bufferingCheck.C:
+			checkBufferingTimeouts()
 		}
 	}
 }
 
-func sendPresence() {
+func sendPresence(room *Room) {
 	mu.Lock()
 	defer mu.Unlock()
 	users := []Message{} // Changed to slice of Message to include watchHours
-	for client := range clients {
+	for client := range room.clients {
 		users = append(users, Message{
 			Sender:     client.name,
 			WatchHours: 0, // Default 0, will be updated by clients
 		})
 	}
+	cohosts := []string{}
+	for name := range room.cohosts {
+		cohosts = append(cohosts, name)
+	}
 	presenceMsg := Message{
-		Type:  "presence",
-		Users: []string{},
+		Type:    "presence",
+		Room:    room.code,
+		Users:   []string{},
+		Host:    room.host,
+		Cohosts: cohosts,
 	}
 
 	usernames := []string{}
@@ -326,9 +583,9 @@ func sendPresence() {
 	}
 	presenceMsg.Users = usernames
 
-	log.Printf("Sending presence update: Online users: %v", usernames)
+	log.Printf("Sending presence update for room %s: Online users: %v", room.code, usernames)
 
-	for client := range clients {
+	for client := range room.clients {
 		select {
 		case client.send <- presenceMsg:
 		default:
@@ -340,10 +597,11 @@ func sendPresence() {
 	for _, user := range users {
 		watchHoursMsg := Message{
 			Type:       "watchHours",
+			Room:       room.code,
 			Sender:     user.Sender,
 			WatchHours: user.WatchHours,
 		}
-		for client := range clients {
+		for client := range room.clients {
 			select {
 			case client.send <- watchHoursMsg:
 			default:
@@ -352,3 +610,41 @@ func sendPresence() {
 		}
 	}
 }
+
+// sendDirect queues a message for this client only, without blocking.
+func (c *Client) sendDirect(msg Message) {
+	msg.Room = c.room.code
+	select {
+	case c.send <- msg:
+	default:
+		log.Printf("Client %s send channel full or closed, skipping direct %s message.", c.name, msg.Type)
+	}
+}
+
+// sendError tells this client why its request was refused.
+func (c *Client) sendError(content string) {
+	c.sendDirect(Message{Type: "error", Content: content, Timestamp: nowMillis()})
+}
+
+// nowMillis returns the server clock in milliseconds, the reference every client synchronizes to.
+func nowMillis() float64 {
+	return float64(time.Now().UnixMilli())
+}
+
+// sanitizeTimestamp keeps a client-estimated server timestamp if it is plausible, otherwise uses the server clock.
+func sanitizeTimestamp(ts float64) float64 {
+	now := nowMillis()
+	if ts <= 0 || ts > now+maxTimestampSkew || ts < now-maxTimestampSkew {
+		return now
+	}
+	return ts
+}
+
+// sanitizePlaybackRate keeps the shared playback rate within what the clients offer (PLAYER_CONFIG.PLAYBACK_RATES).
+// Missing or invalid rates mean normal speed.
+func sanitizePlaybackRate(rate float64) float64 {
+	if math.IsNaN(rate) || rate <= 0 {
+		return 1
+	}
+	return math.Max(minPlaybackRate, math.Min(maxPlaybackRate, rate))
+}
@@ -17,6 +17,6 @@ fi
 go get github.com/gorilla/websocket
 
 # Run the Go server backend server & run the NPM dev next.sj frontend
-go run server.go & npm run dev
+go run . & npm run dev
 
 echo "server closed"
\ No newline at end of file
@@ -0,0 +1,96 @@
+package main
+
+import (
+	"log"
+	"unicode/utf8"
+)
+
+const (
+	maxSubtitleCues        = 5000 // Must stay in sync with SUBTITLE_CONFIG.MAX_CUES
+	maxSubtitleCueLength   = 500  // Characters; must stay in sync with SUBTITLE_CONFIG.MAX_CUE_LENGTH
+	maxSubtitleLabelLength = 100  // Characters; must stay in sync with SUBTITLE_CONFIG.MAX_LABEL_LENGTH
+)
+
+// SubtitleCue is one timed line of a subtitle track, times in seconds of the video.
+type SubtitleCue struct {
+	Start float64 `json:"start"`
+	End   float64 `json:"end"`
+	Text  string  `json:"text"`
+}
+
+// SubtitleTrack is a subtitle file a user loaded for a queue entry, parsed by their client.
+type SubtitleTrack struct {
+	Label  string        `json:"label"` // Usually the file name
+	Cues   []SubtitleCue `json:"cues"`
+	Sender string        `json:"sender,omitempty"`
+}
+
+// validateSubtitleTrack returns why a track can't be shared, or "" if it is fine.
+func validateSubtitleTrack(track *SubtitleTrack) string {
+	if len(track.Cues) == 0 {
+		return "The subtitle file has no cues."
+	}
+	if len(track.Cues) > maxSubtitleCues {
+		return "The subtitle file has too many cues."
+	}
+	if utf8.RuneCountInString(track.Label) > maxSubtitleLabelLength {
+		return "The subtitle file name is too long."
+	}
+	for _, cue := range track.Cues {
+		if cue.Start < 0 || cue.End <= cue.Start {
+			return "The subtitle file has cues with invalid times."
+		}
+		if utf8.RuneCountInString(cue.Text) > maxSubtitleCueLength {
+			return "The subtitle file has cues that are too long."
+		}
+	}
+	return ""
+}
+
+// pruneSubtitlesLocked forgets tracks of entries that are no longer in the queue.
+// The caller must hold mu.
+func (r *Room) pruneSubtitlesLocked() {
+	for entryID := range r.subtitles {
+		if indexOfEntry(r.queue, entryID) == -1 {
+			delete(r.subtitles, entryID)
+		}
+	}
+}
+
+// handleSubtitles shares a subtitle track for the queue entry that is playing.
+func (c *Client) handleSubtitles(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if msg.EntryID == "" || msg.EntryID != room.videoState.EntryID || indexOfEntry(room.queue, msg.EntryID) == -1 {
+		c.sendError("Subtitles can only be loaded for the queue entry that is playing.")
+		return
+	}
+	if msg.Subtitles == nil {
+		c.sendError("The subtitle file is missing.")
+		return
+	}
+	if reason := validateSubtitleTrack(msg.Subtitles); reason != "" {
+		c.sendError(reason)
+		return
+	}
+
+	track := *msg.Subtitles
+	track.Sender = c.name
+	room.pruneSubtitlesLocked()
+	room.subtitles[msg.EntryID] = &track
+
+	room.sendToRoomLocked(Message{Type: "subtitles", EntryID: msg.EntryID, Subtitles: &track})
+	room.systemMessageLocked(c.name + " loaded subtitles (" + track.Label + ") for this video.")
+	log.Printf("Room %s: %s loaded %d subtitle cues for entry %s", room.code, c.name, len(track.Cues), msg.EntryID) // --- DEBUG LOG ---
+}
+
+// handleSubtitlesRequest sends the sender the track loaded for a queue entry, if there is one.
+func (c *Client) handleSubtitlesRequest(msg Message) {
+	mu.Lock()
+	track := c.room.subtitles[msg.EntryID]
+	mu.Unlock()
+
+	c.sendDirect(Message{Type: "subtitles", EntryID: msg.EntryID, Subtitles: track})
+}
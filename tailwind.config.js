@@ -5,7 +5,18 @@ module.exports = {
     "./components/**/*.{js,ts,jsx,tsx}"
   ],
   theme: {
-    extend: {},
+    extend: {
+      keyframes: {
+        'float-up': {
+          '0%': { transform: 'translateY(0) scale(0.8)', opacity: '0' },
+          '10%': { transform: 'translateY(-10%) scale(1.1)', opacity: '1' },
+          '100%': { transform: 'translateY(-300px) scale(1)', opacity: '0' },
+        },
+      },
+      animation: {
+        'float-up': 'float-up 2.5s ease-out forwards', // Matches REACTION_CONFIG.FLOAT_DURATION_MS
+      },
+    },
   },
   plugins: [],
 }
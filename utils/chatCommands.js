@@ -0,0 +1,188 @@
+// chatCommands.js - Slash commands typed into the chat input, such as /play, /seek or /roll
+
+import { CHAT_CONFIG, VALIDATION } from './constants.js';
+import { isValidUsername, parseYoutubeTime } from './validation.js';
+
+/**
+ * Splits chat input such as "/seek 1:23" into the command name and the rest of the line.
+ * Input starting with "//" is a plain message that starts with a slash, not a command.
+ * @param {string} input - Chat input
+ * @returns {{name: string, args: string}|null} Lowercased name and trimmed arguments, null if not a command
+ */
+export const parseCommandInput = (input) => {
+  if (typeof input !== 'string') return null;
+  const trimmed = input.trim();
+  if (!trimmed.startsWith('/') || trimmed.startsWith('//')) return null;
+
+  const match = trimmed.slice(1).match(/^(\S*)\s*([\s\S]*)$/);
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+};
+
+/**
+ * Parses a position typed by a user: "1:23", "1:02:03", "83", "83s" or "1m23s"
+ * @param {string} value - Position to parse
+ * @returns {number|null} Position in seconds, null if it isn't a valid position
+ */
+export const parseSeekPosition = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+
+  if (/^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(trimmed)) {
+    return trimmed.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return parseFloat(trimmed);
+  }
+  if (/^(\d+h)?(\d+m)?(\d+s)?$/.test(trimmed) && trimmed) {
+    return parseYoutubeTime(trimmed);
+  }
+  return null;
+};
+
+/**
+ * Creates a registry of chat commands. A command is { name, usage, description, run(args, context) };
+ * run gets the argument text and the actions of the chat, and returns a note to show the user, if any.
+ * @param {Array} commands - Commands to start with
+ * @returns {Object} { register, get, list, suggest }
+ */
+export const createCommandRegistry = (commands = []) => {
+  const byName = new Map();
+
+  const register = (command) => {
+    if (!command || !/^[a-z][a-z0-9-]*$/.test(command.name) || typeof command.run !== 'function') {
+      throw new Error(`Invalid chat command: ${command && command.name}`);
+    }
+    byName.set(command.name, command);
+  };
+
+  commands.forEach(register);
+
+  return {
+    register,
+    get: (name) => byName.get(name) || null,
+    list: () => Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    suggest: (prefix) => Array.from(byName.values())
+      .filter(command => command.name.startsWith(prefix.toLowerCase()))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+/**
+ * Lists the commands of a registry with their usage, one per line
+ * @param {Object} registry - Registry from createCommandRegistry
+ * @returns {string} Help text
+ */
+export const formatCommandHelp = (registry) => {
+  return registry.list().map(command => `${command.usage} - ${command.description}`).join('\n');
+};
+
+/**
+ * Runs a command typed into the chat
+ * @param {Object} registry - Registry from createCommandRegistry
+ * @param {string} input - Chat input
+ * @param {Object} context - Actions the commands may use, see CHAT_COMMANDS
+ * @returns {{note: string}|null} Note to show the user (may be empty), null if the input isn't a command
+ */
+export const runChatCommand = (registry, input, context) => {
+  const parsed = parseCommandInput(input);
+  if (!parsed) return null;
+
+  const command = registry.get(parsed.name);
+  if (!command) {
+    const similar = parsed.name ? registry.suggest(parsed.name) : [];
+    return {
+      note: `Unknown command "/${parsed.name}". ` +
+        (similar.length > 0 ? `Did you mean /${similar[0].name}? ` : '') +
+        `Available commands:\n${formatCommandHelp(registry)}`,
+    };
+  }
+  return { note: command.run(parsed.args, context) || '' };
+};
+
+// Runs an action the page may not provide, e.g. playback controls outside a watch room
+const callAction = (context, action, ...args) => {
+  if (typeof context[action] !== 'function') {
+    return 'That command is not available here.';
+  }
+  return context[action](...args);
+};
+
+// Commands every chat starts with. Playback and queue commands go through the same actions as the
+// player buttons, so non-hosts send suggestions or skip votes instead of changing playback.
+export const CHAT_COMMANDS = [
+  {
+    name: 'play',
+    usage: '/play [url]',
+    description: 'Play a video right away, or resume playback',
+    run: (args, context) => callAction(context, 'play', args),
+  },
+  {
+    name: 'queue',
+    usage: '/queue <url>',
+    description: 'Add a video to the end of the queue',
+    run: (args, context) => (args ? callAction(context, 'queue', args) : 'Usage: /queue <url>'),
+  },
+  {
+    name: 'skip',
+    usage: '/skip',
+    description: 'Skip to the next video, or vote to skip it',
+    run: (args, context) => callAction(context, 'skip'),
+  },
+  {
+    name: 'pause',
+    usage: '/pause',
+    description: 'Pause playback',
+    run: (args, context) => callAction(context, 'pause'),
+  },
+  {
+    name: 'seek',
+    usage: '/seek <time>',
+    description: 'Jump to a position, e.g. /seek 1:23',
+    run: (args, context) => {
+      const position = parseSeekPosition(args);
+      return position === null ? 'Usage: /seek <time>, e.g. /seek 1:23 or /seek 90' : callAction(context, 'seek', position);
+    },
+  },
+  {
+    name: 'nick',
+    usage: '/nick <name>',
+    description: 'Change your name',
+    run: (args, context) => {
+      if (!isValidUsername(args)) {
+        return `Usage: /nick <name>, up to ${VALIDATION.MAX_USERNAME_LENGTH} letters, digits, spaces, - or _`;
+      }
+      return callAction(context, 'nick', args);
+    },
+  },
+  {
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Describe what you are doing, e.g. /me grabs popcorn',
+    run: (args, context) => (args ? callAction(context, 'emote', args) : 'Usage: /me <action>'),
+  },
+  {
+    name: 'roll',
+    usage: '/roll [sides]',
+    description: `Roll a die for everyone to see, ${CHAT_CONFIG.DEFAULT_ROLL_SIDES} sides unless you pick another number`,
+    run: (args, context) => {
+      if (!args) return callAction(context, 'roll', CHAT_CONFIG.DEFAULT_ROLL_SIDES);
+      const sides = Number(args);
+      if (!Number.isInteger(sides) || sides < 2 || sides > CHAT_CONFIG.MAX_ROLL_SIDES) {
+        return `Usage: /roll [sides], between 2 and ${CHAT_CONFIG.MAX_ROLL_SIDES}`;
+      }
+      return callAction(context, 'roll', sides);
+    },
+  },
+  {
+    name: 'clear',
+    usage: '/clear',
+    description: 'Clear the chat on your screen, nobody else is affected',
+    run: (args, context) => callAction(context, 'clear'),
+  },
+  {
+    name: 'help',
+    usage: '/help',
+    description: 'List the available commands',
+    run: (args, context) => formatCommandHelp(context.registry),
+  },
+];
@@ -0,0 +1,47 @@
+// chatHistory.js - Keeps the chat message list in order as live messages and history pages arrive
+
+/**
+ * Merges messages into the list, skipping ids that are already in it. Server messages carry the
+ * id the server gave them, so the same message from a live broadcast and a history page is kept once.
+ * @param {Array} messages - Current messages, oldest first
+ * @param {Array} incoming - Messages to add, in any order
+ * @returns {Array} Merged list sorted by timestamp, the same array if nothing was added
+ */
+export const mergeChatMessages = (messages, incoming) => {
+  const knownIds = new Set(messages.map(msg => msg.id));
+  const added = [];
+  incoming.forEach(msg => {
+    if (!msg || !msg.id || knownIds.has(msg.id)) return;
+    knownIds.add(msg.id);
+    added.push(msg);
+  });
+  if (added.length === 0) return messages;
+
+  const merged = [...messages, ...added];
+  // Live messages almost always go at the end, only sort when something landed out of order
+  const isSorted = merged.every((msg, i) => i === 0 || merged[i - 1].timestamp <= msg.timestamp);
+  return isSorted ? merged : merged.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Server ids are sequence numbers; local notes and errors use prefixed ids
+const isServerMessage = (msg) => /^\d+$/.test(msg.id);
+
+/**
+ * Returns the id of the oldest message the server knows, the cursor older history pages are requested before
+ * @param {Array} messages - Messages, oldest first
+ * @returns {string|null} Id of the oldest server message, null if there is none
+ */
+export const getOldestServerMessageId = (messages) => {
+  const oldest = messages.find(isServerMessage);
+  return oldest ? oldest.id : null;
+};
+
+/**
+ * Drops the oldest messages once there are more than can be kept in memory; they can be loaded back from history
+ * @param {Array} messages - Messages, oldest first
+ * @param {number} maxMessages - Messages to keep
+ * @returns {Array} The newest maxMessages messages, the same array if nothing was dropped
+ */
+export const trimChatMessages = (messages, maxMessages) => {
+  return messages.length > maxMessages ? messages.slice(messages.length - maxMessages) : messages;
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOldestServerMessageId, mergeChatMessages, trimChatMessages } from './chatHistory.js';
+
+const message = (id, timestamp) => ({ id, timestamp, content: `message ${id}` });
+
+test('mergeChatMessages appends live messages and keeps each id once', () => {
+  const messages = [message('1', 100), message('2', 200)];
+  const merged = mergeChatMessages(messages, [message('2', 200), message('3', 300)]);
+  assert.deepEqual(merged.map(msg => msg.id), ['1', '2', '3']);
+});
+
+test('mergeChatMessages returns the same list when nothing is new', () => {
+  const messages = [message('1', 100)];
+  assert.equal(mergeChatMessages(messages, [message('1', 100), null, { timestamp: 5 }]), messages);
+});
+
+test('mergeChatMessages sorts older history pages in front of the loaded messages', () => {
+  const messages = [message('5', 500), message('6', 600)];
+  const merged = mergeChatMessages(messages, [message('3', 300), message('4', 400)]);
+  assert.deepEqual(merged.map(msg => msg.id), ['3', '4', '5', '6']);
+});
+
+test('trimChatMessages keeps the newest messages', () => {
+  const messages = [message('note-1', 50), message('5', 500), message('6', 600), message('error-2', 650), message('7', 700)];
+  assert.deepEqual(trimChatMessages(messages, 3).map(msg => msg.id), ['6', 'error-2', '7']);
+  assert.equal(trimChatMessages(messages, 5), messages);
+});
+
+test('getOldestServerMessageId skips local notes and errors', () => {
+  assert.equal(getOldestServerMessageId([message('note-1', 50), message('5', 500), message('6', 600)]), '5');
+  assert.equal(getOldestServerMessageId([message('note-1', 50), message('error-2', 60)]), null);
+  assert.equal(getOldestServerMessageId([]), null);
+});
@@ -0,0 +1,121 @@
+// chatTranscript.js - Searching the loaded chat and exporting it as a transcript
+
+import { formatDuration } from './videoMetadata.js';
+
+// Formats a transcript can be downloaded in
+export const TRANSCRIPT_FORMATS = {
+  text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+};
+
+// Lines that were said in the room; local notes and deleted messages are left out of searches and transcripts
+const isTranscriptLine = (msg) => !msg.local && !msg.deleted && typeof msg.content === 'string' && msg.type !== 'suggest';
+
+/**
+ * Checks whether a message matches a search, by its text or its sender, ignoring case
+ * @param {Object} msg - Chat message
+ * @param {string} query - Search text
+ * @returns {boolean} True if the message matches
+ */
+export const messageMatchesSearch = (msg, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle || !isTranscriptLine(msg)) return false;
+  return msg.content.toLowerCase().includes(needle) || (!msg.system && (msg.sender || '').toLowerCase().includes(needle));
+};
+
+/**
+ * Splits text around the matches of a search, for highlighting them
+ * @param {string} text - Text to split
+ * @param {string} query - Search text
+ * @returns {Array<{text: string, match: boolean}>} Parts in order, a single non-matching part if nothing matches
+ */
+export const splitSearchMatches = (text, query) => {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle || typeof text !== 'string') return [{ text: text || '', match: false }];
+
+  const parts = [];
+  const haystack = text.toLowerCase();
+  let last = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    if (index > last) parts.push({ text: text.slice(last, index), match: false });
+    parts.push({ text: text.slice(index, index + needle.length), match: true });
+    last = index + needle.length;
+    index = haystack.indexOf(needle, last);
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+};
+
+// One message of a transcript, in the shape of the JSON export
+const toTranscriptEntry = (msg) => ({
+  id: msg.id,
+  time: new Date(msg.timestamp).toISOString(),
+  sender: msg.system ? 'System' : msg.sender,
+  ...(msg.type === 'dm' ? { to: msg.target } : {}),
+  content: msg.content,
+  ...(msg.emote ? { emote: true } : {}),
+  ...(msg.editedAt ? { editedAt: new Date(msg.editedAt).toISOString() } : {}),
+  ...(msg.replyTo ? { replyTo: msg.replyTo } : {}),
+  video: msg.videoUrl ? { url: msg.videoUrl, position: Math.floor(msg.currentTime || 0) } : null,
+});
+
+const describeVideo = (video) => (video ? `${video.url} at ${formatDuration(video.position)}` : '');
+
+// Indents the later lines of a multi-line message, so they can't pass for messages of their own
+const indentLines = (text) => text.replace(/\r\n?|\n/g, '\n    ');
+
+// Backslash-escapes what Markdown would read as formatting, links or HTML. Line breaks become <br> so the message
+// stays on its list item's line, where nothing can start a heading, list or code block.
+const escapeMarkdown = (text) => text
+  .replace(/[\\`*_{}[\]()#+\-!|<>~]/g, '\\$&')
+  .replace(/\r\n?|\n/g, '<br>');
+
+// Link targets can't contain spaces, parentheses or angle brackets unencoded
+const escapeMarkdownUrl = (url) => url.replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+const formatTextLine = (entry) => {
+  const speaker = entry.to ? `${entry.sender} → ${entry.to}` : entry.sender;
+  const content = indentLines(entry.content);
+  const line = entry.emote ? `* ${speaker} ${content}` : `${speaker}: ${content}`;
+  return `[${entry.time}] ${line}${entry.editedAt ? ' (edited)' : ''}${entry.video ? ` (watching ${describeVideo(entry.video)})` : ''}`;
+};
+
+const formatMarkdownLine = (entry) => {
+  const speaker = entry.to ? `**${escapeMarkdown(entry.sender)}** → **${escapeMarkdown(entry.to)}**` : `**${escapeMarkdown(entry.sender)}**`;
+  const content = entry.emote ? `_${escapeMarkdown(entry.content)}_` : escapeMarkdown(entry.content);
+  const video = entry.video ? ` · [${formatDuration(entry.video.position)}](${escapeMarkdownUrl(entry.video.url)})` : '';
+  return `- \`${entry.time}\` ${speaker}: ${content}${entry.editedAt ? ' _(edited)_' : ''}${video}`;
+};
+
+/**
+ * Writes loaded chat messages as a transcript, with the time of each message and the video that was playing
+ * @param {Array} messages - Chat messages, oldest first
+ * @param {string} format - Key of TRANSCRIPT_FORMATS
+ * @param {Object} options - { roomCode, exportedAt }
+ * @returns {string} Transcript
+ */
+export const formatTranscript = (messages, format, { roomCode, exportedAt = new Date() }) => {
+  const entries = messages.filter(isTranscriptLine).map(toTranscriptEntry);
+  const title = `Link2Gether chat transcript of room ${roomCode}, exported ${exportedAt.toISOString()}`;
+
+  if (format === 'json') {
+    return JSON.stringify({ room: roomCode, exportedAt: exportedAt.toISOString(), messages: entries }, null, 2);
+  }
+  if (format === 'markdown') {
+    return [`# ${title}`, '', ...entries.map(formatMarkdownLine), ''].join('\n');
+  }
+  return [title, '', ...entries.map(formatTextLine), ''].join('\n');
+};
+
+/**
+ * Names a transcript download, e.g. "link2gether-movie-night-2024-05-01.md"
+ * @param {string} roomCode - Room the transcript is from
+ * @param {string} format - Key of TRANSCRIPT_FORMATS
+ * @param {Date} date - Export date
+ * @returns {string} File name
+ */
+export const getTranscriptFileName = (roomCode, format, date = new Date()) => {
+  return `link2gether-${roomCode}-${date.toISOString().slice(0, 10)}.${TRANSCRIPT_FORMATS[format].extension}`;
+};
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTranscript, getTranscriptFileName, messageMatchesSearch, splitSearchMatches } from './chatTranscript.js';
+
+const exportedAt = new Date('2024-05-01T20:00:00Z');
+const at = (minute) => Date.parse(`2024-05-01T19:${String(minute).padStart(2, '0')}:00Z`);
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+const messages = [
+  { id: '1', type: 'message', sender: 'System', system: true, content: 'alice joined.', timestamp: at(0) },
+  { id: '2', type: 'message', sender: 'alice', content: 'hello *all*', timestamp: at(1), videoUrl: VIDEO_URL, currentTime: 65.7 },
+  { id: '3', type: 'message', sender: 'bob', content: 'waves', emote: true, timestamp: at(2), editedAt: at(3) },
+  { id: '4', type: 'dm', sender: 'bob', target: 'alice', content: 'psst', timestamp: at(4), replyTo: '2' },
+  { id: '5', type: 'message', sender: 'bob', content: 'gone', deleted: true, timestamp: at(5) },
+  { id: 'note-1', type: 'message', sender: 'System', local: true, content: 'Only you can see this.', timestamp: at(6) },
+  { id: 'suggest-1', type: 'suggest', sender: 'bob', content: 'a video', timestamp: at(7) },
+];
+
+test('messageMatchesSearch looks at the text and the sender of said messages only', () => {
+  assert.equal(messageMatchesSearch(messages[1], 'HELLO'), true);
+  assert.equal(messageMatchesSearch(messages[1], 'ali'), true);
+  assert.equal(messageMatchesSearch(messages[0], 'system'), false);
+  assert.equal(messageMatchesSearch(messages[4], 'gone'), false);
+  assert.equal(messageMatchesSearch(messages[5], 'only'), false);
+  assert.equal(messageMatchesSearch(messages[1], '  '), false);
+});
+
+test('splitSearchMatches splits text around every match, keeping its case', () => {
+  assert.deepEqual(splitSearchMatches('Aha, ha!', 'HA'), [
+    { text: 'A', match: false },
+    { text: 'ha', match: true },
+    { text: ', ', match: false },
+    { text: 'ha', match: true },
+    { text: '!', match: false },
+  ]);
+  assert.deepEqual(splitSearchMatches('text', ''), [{ text: 'text', match: false }]);
+  assert.deepEqual(splitSearchMatches(null, 'x'), [{ text: '', match: false }]);
+});
+
+test('the text transcript lists said messages with their time, video and edits', () => {
+  assert.equal(formatTranscript(messages, 'text', { roomCode: 'movie-night', exportedAt }), [
+    'Link2Gether chat transcript of room movie-night, exported 2024-05-01T20:00:00.000Z',
+    '',
+    '[2024-05-01T19:00:00.000Z] System: alice joined.',
+    `[2024-05-01T19:01:00.000Z] alice: hello *all* (watching ${VIDEO_URL} at 1:05)`,
+    '[2024-05-01T19:02:00.000Z] * bob waves (edited)',
+    '[2024-05-01T19:04:00.000Z] bob → alice: psst',
+    '',
+  ].join('\n'));
+});
+
+test('the text transcript indents the later lines of a message', () => {
+  const forged = [{ id: '1', type: 'message', sender: 'bob', content: 'hi\n[2024-05-01T19:00:00.000Z] alice: I owe bob', timestamp: at(0) }];
+  const lines = formatTranscript(forged, 'text', { roomCode: 'room', exportedAt }).split('\n');
+  assert.deepEqual(lines.slice(2, 4), ['[2024-05-01T19:00:00.000Z] bob: hi', '    [2024-05-01T19:00:00.000Z] alice: I owe bob']);
+});
+
+test('the markdown transcript escapes formatting, links and HTML in names and messages', () => {
+  const markdown = formatTranscript(messages.slice(1, 4), 'markdown', { roomCode: 'movie-night', exportedAt });
+  assert.deepEqual(markdown.split('\n'), [
+    '# Link2Gether chat transcript of room movie-night, exported 2024-05-01T20:00:00.000Z',
+    '',
+    `- \`2024-05-01T19:01:00.000Z\` **alice**: hello \\*all\\* · [1:05](${VIDEO_URL})`,
+    '- `2024-05-01T19:02:00.000Z` **bob**: _waves_ _(edited)_',
+    '- `2024-05-01T19:04:00.000Z` **bob** → **alice**: psst',
+    '',
+  ]);
+
+  const hostile = [{
+    id: '1',
+    type: 'message',
+    sender: '**boss**',
+    content: '[click](javascript:alert(1)) <img src=x onerror=alert(1)> `code`\n# heading',
+    timestamp: at(0),
+    videoUrl: 'https://example.com/a video(1).m3u8',
+    currentTime: 0,
+  }];
+  const [, , line] = formatTranscript(hostile, 'markdown', { roomCode: 'room', exportedAt }).split('\n');
+  assert.equal(line, '- `2024-05-01T19:00:00.000Z` **\\*\\*boss\\*\\***: ' +
+    '\\[click\\]\\(javascript:alert\\(1\\)\\) \\<img src=x onerror=alert\\(1\\)\\> \\`code\\`<br>\\# heading' +
+    ' · [0:00](https://example.com/a%20video%281%29.m3u8)');
+});
+
+test('the JSON transcript keeps the fields of each message', () => {
+  const json = JSON.parse(formatTranscript(messages, 'json', { roomCode: 'movie-night', exportedAt }));
+  assert.equal(json.room, 'movie-night');
+  assert.equal(json.exportedAt, '2024-05-01T20:00:00.000Z');
+  assert.deepEqual(json.messages.map(entry => entry.id), ['1', '2', '3', '4']);
+  assert.deepEqual(json.messages[1].video, { url: VIDEO_URL, position: 65 });
+  assert.deepEqual(json.messages[2], {
+    id: '3',
+    time: '2024-05-01T19:02:00.000Z',
+    sender: 'bob',
+    content: 'waves',
+    emote: true,
+    editedAt: '2024-05-01T19:03:00.000Z',
+    video: null,
+  });
+  assert.equal(json.messages[3].to, 'alice');
+  assert.equal(json.messages[3].replyTo, '2');
+
+  const quoted = JSON.parse(formatTranscript([{ ...messages[1], content: '"quoted" \\ </script>\n' }], 'json', { roomCode: 'room', exportedAt }));
+  assert.equal(quoted.messages[0].content, '"quoted" \\ </script>\n');
+});
+
+test('getTranscriptFileName names the file after the room, date and format', () => {
+  assert.equal(getTranscriptFileName('movie-night', 'markdown', exportedAt), 'link2gether-movie-night-2024-05-01.md');
+  assert.equal(getTranscriptFileName('movie-night', 'json', exportedAt), 'link2gether-movie-night-2024-05-01.json');
+});
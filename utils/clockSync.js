@@ -0,0 +1,104 @@
+// clockSync.js - Pure helpers for client/server clock offset estimation and playback drift correction
+
+import { CLOCK_SYNC_CONFIG } from './constants.js';
+
+/**
+ * Builds a clock sample from one ping/pong round trip (NTP-style, assuming symmetric latency)
+ * @param {number} clientSentAt - Client time (ms) when the ping was sent
+ * @param {number} serverTime - Server time (ms) stamped on the pong
+ * @param {number} clientReceivedAt - Client time (ms) when the pong arrived
+ * @returns {{offset: number, rtt: number}|null} Offset to add to client time to get server time, or null if invalid
+ */
+export const createClockSample = (clientSentAt, serverTime, clientReceivedAt) => {
+  if (![clientSentAt, serverTime, clientReceivedAt].every(Number.isFinite)) return null;
+
+  const rtt = clientReceivedAt - clientSentAt;
+  if (rtt < 0) return null;
+
+  return {
+    offset: serverTime - (clientSentAt + rtt / 2),
+    rtt,
+  };
+};
+
+/**
+ * Adds a sample to the list, keeping only the most recent ones
+ * @param {Array} samples - Existing samples
+ * @param {{offset: number, rtt: number}} sample - New sample
+ * @param {number} maxSamples - Maximum number of samples kept
+ * @returns {Array} New samples array
+ */
+export const addClockSample = (samples, sample, maxSamples = CLOCK_SYNC_CONFIG.MAX_SAMPLES) => {
+  if (!sample) return samples;
+  return [...samples, sample].slice(-maxSamples);
+};
+
+/**
+ * Estimates the clock offset from the samples. Low-latency round trips are the most
+ * accurate, so the estimate is the median offset of the faster half of the samples.
+ * @param {Array} samples - Clock samples
+ * @returns {number} Estimated offset in ms (0 when there are no samples)
+ */
+export const estimateClockOffset = (samples) => {
+  if (!Array.isArray(samples) || samples.length === 0) return 0;
+
+  const fastest = [...samples]
+    .sort((a, b) => a.rtt - b.rtt)
+    .slice(0, Math.ceil(samples.length / 2))
+    .map(sample => sample.offset)
+    .sort((a, b) => a - b);
+
+  const middle = Math.floor(fastest.length / 2);
+  return fastest.length % 2 === 0
+    ? (fastest[middle - 1] + fastest[middle]) / 2
+    : fastest[middle];
+};
+
+/**
+ * Computes where playback should be right now according to a shared anchor
+ * @param {{currentTime: number, updatedAt: number, isPlaying: boolean, playbackRate?: number}} anchor - Shared position anchor
+ * @param {number} serverNow - Current time on the server clock (ms)
+ * @returns {number|null} Expected position in seconds, or null without a usable anchor
+ */
+export const getExpectedPosition = (anchor, serverNow) => {
+  if (!anchor || !Number.isFinite(anchor.currentTime)) return null;
+  if (!anchor.isPlaying || !Number.isFinite(anchor.updatedAt)) return anchor.currentTime;
+
+  const elapsedSeconds = Math.max(0, serverNow - anchor.updatedAt) / 1000;
+  return anchor.currentTime + elapsedSeconds * (anchor.playbackRate || 1);
+};
+
+/**
+ * Decides how to correct a drift between the local player and the expected position
+ * @param {number} drift - Local position minus expected position, in seconds (positive = ahead)
+ * @param {number} baseRate - The room's playback rate
+ * @param {Array<number>} availableRates - Rates the player supports, if known
+ * @returns {{action: 'none'|'seek'|'nudge', playbackRate: number}} Correction to apply
+ */
+export const getDriftCorrection = (drift, baseRate = 1, availableRates = null) => {
+  const absDrift = Math.abs(drift);
+
+  if (!Number.isFinite(drift) || absDrift <= CLOCK_SYNC_CONFIG.DRIFT_TOLERANCE_S) {
+    return { action: 'none', playbackRate: baseRate };
+  }
+  if (absDrift >= CLOCK_SYNC_CONFIG.SEEK_THRESHOLD_S) {
+    return { action: 'seek', playbackRate: baseRate };
+  }
+
+  // Behind -> speed up slightly, ahead -> slow down slightly
+  const direction = drift < 0 ? 1 : -1;
+  let playbackRate = baseRate + direction * CLOCK_SYNC_CONFIG.NUDGE_RATE_DELTA;
+
+  // Players that only support a fixed set of rates get the closest one in the right direction
+  if (Array.isArray(availableRates) && availableRates.length > 0 && !availableRates.includes(playbackRate)) {
+    const candidates = availableRates.filter(rate => (direction > 0 ? rate > baseRate : rate < baseRate));
+    if (candidates.length === 0) {
+      return { action: 'seek', playbackRate: baseRate };
+    }
+    playbackRate = candidates.reduce((closest, rate) =>
+      Math.abs(rate - baseRate) < Math.abs(closest - baseRate) ? rate : closest
+    );
+  }
+
+  return { action: 'nudge', playbackRate };
+};
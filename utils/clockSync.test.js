@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLOCK_SYNC_CONFIG } from './constants.js';
+import { addClockSample, createClockSample, estimateClockOffset, getDriftCorrection, getExpectedPosition } from './clockSync.js';
+
+test('createClockSample assumes the pong was stamped halfway through the round trip', () => {
+  assert.deepEqual(createClockSample(1000, 5100, 1200), { offset: 4000, rtt: 200 });
+  assert.equal(createClockSample(1000, 5100, 900), null);
+  assert.equal(createClockSample(1000, undefined, 1200), null);
+});
+
+test('addClockSample keeps the most recent samples', () => {
+  const samples = [1, 2, 3].map(rtt => ({ offset: 0, rtt }));
+  assert.deepEqual(addClockSample(samples, { offset: 0, rtt: 4 }, 3).map(sample => sample.rtt), [2, 3, 4]);
+  assert.equal(addClockSample(samples, null), samples);
+});
+
+test('estimateClockOffset takes the median offset of the fastest half of the samples', () => {
+  const samples = [
+    { offset: 900, rtt: 400 }, // Slow round trips are ignored
+    { offset: 100, rtt: 20 },
+    { offset: 120, rtt: 30 },
+    { offset: -500, rtt: 350 },
+    { offset: 110, rtt: 10 },
+  ];
+  assert.equal(estimateClockOffset(samples), 110);
+  assert.equal(estimateClockOffset(samples.slice(1, 3).concat(samples[0], samples[3])), 110);
+  assert.equal(estimateClockOffset([{ offset: 42, rtt: 1000 }]), 42);
+  assert.equal(estimateClockOffset([]), 0);
+});
+
+test('getExpectedPosition advances a playing anchor by the elapsed server time and rate', () => {
+  assert.equal(getExpectedPosition({ currentTime: 10, updatedAt: 1000, isPlaying: true }, 3000), 12);
+  assert.equal(getExpectedPosition({ currentTime: 10, updatedAt: 1000, isPlaying: true, playbackRate: 1.5 }, 3000), 13);
+  assert.equal(getExpectedPosition({ currentTime: 10, updatedAt: 1000, isPlaying: false }, 3000), 10);
+  assert.equal(getExpectedPosition({ currentTime: 10, updatedAt: 5000, isPlaying: true }, 3000), 10);
+  assert.equal(getExpectedPosition(null, 3000), null);
+});
+
+test('getDriftCorrection leaves small drift alone, nudges the rate for medium drift and seeks past the threshold', () => {
+  const { DRIFT_TOLERANCE_S, SEEK_THRESHOLD_S, NUDGE_RATE_DELTA } = CLOCK_SYNC_CONFIG;
+  assert.deepEqual(getDriftCorrection(DRIFT_TOLERANCE_S), { action: 'none', playbackRate: 1 });
+  assert.deepEqual(getDriftCorrection(NaN, 1.5), { action: 'none', playbackRate: 1.5 });
+  assert.deepEqual(getDriftCorrection(-0.5), { action: 'nudge', playbackRate: 1 + NUDGE_RATE_DELTA });
+  assert.deepEqual(getDriftCorrection(0.5), { action: 'nudge', playbackRate: 1 - NUDGE_RATE_DELTA });
+  assert.deepEqual(getDriftCorrection(SEEK_THRESHOLD_S), { action: 'seek', playbackRate: 1 });
+  assert.deepEqual(getDriftCorrection(-SEEK_THRESHOLD_S * 3, 2), { action: 'seek', playbackRate: 2 });
+});
+
+test('getDriftCorrection picks the closest rate the player supports, or seeks without one', () => {
+  const rates = [0.5, 0.75, 1, 1.25, 1.5];
+  assert.deepEqual(getDriftCorrection(-0.5, 1, rates), { action: 'nudge', playbackRate: 1.25 });
+  assert.deepEqual(getDriftCorrection(0.5, 1, rates), { action: 'nudge', playbackRate: 0.75 });
+  assert.deepEqual(getDriftCorrection(-0.5, 1.5, rates), { action: 'seek', playbackRate: 1.5 });
+});
@@ -7,8 +7,115 @@ export const WS_CONFIG = {
   MAX_RECONNECT_ATTEMPTS: 10,
   EXPONENTIAL_BACKOFF_FACTOR: 1.5,
   SYNC_REQUEST_DELAY: 500,
-  DUPLICATE_CHECK_WINDOW: 3000,
-  MAX_DUPLICATE_CHECK_MESSAGES: 10,
+  NAME_REFUSED_CLOSE_CODE: 4002, // Sent when our name is reserved, too long or already used in the room, must stay in sync with closeNameRefused in server.go
+};
+
+// Chat messages
+export const CHAT_CONFIG = {
+  EDIT_WINDOW_MS: 15 * 60 * 1000, // How long authors can edit or delete a message, must stay in sync with messageEditWindow in chat.go
+  DEFAULT_ROLL_SIDES: 100,
+  MAX_ROLL_SIDES: 1000000, // Must stay in sync with maxRollSides in commands.go
+  JUMP_HIGHLIGHT_MS: 2000, // How long the original of a reply stays highlighted after jumping to it
+};
+
+// Host moderation tools
+export const MODERATION_CONFIG = {
+  MAX_IDENTITY_LENGTH: 64, // Must stay in sync with maxIdentityLength in moderation.go
+  MAX_REASON_LENGTH: 100, // Must stay in sync with maxModerationReasonLength in moderation.go
+  MAX_SLOW_MODE_S: 600, // Must stay in sync with maxSlowModeSeconds in moderation.go
+  SLOW_MODE_OPTIONS_S: [0, 5, 10, 30, 60, 300], // Choices offered to the host, 0 turns slow mode off
+  KICKED_CLOSE_CODE: 4001, // Close codes must stay in sync with closeKicked and closeBanned in moderation.go
+  BANNED_CLOSE_CODE: 4003,
+};
+
+// Chat content filters, see contentFilter.js
+export const CONTENT_FILTER_CONFIG = {
+  MAX_COMBINING_MARKS: 2, // Accent marks kept on one letter, more are "zalgo" text
+  MAX_REPEATED_CHARACTERS: 4, // Longer runs of the same character are shortened to this
+  CAPS_MIN_LETTERS: 8, // Shorter messages may be all caps
+  CAPS_RATIO: 0.7, // Share of capital letters that counts as caps lock
+  MAX_WORDS: 200, // Must stay in sync with maxFilterWords in filters.go
+  MAX_DOMAINS: 100, // Per list, must stay in sync with maxFilterDomains in filters.go
+  MAX_ENTRY_LENGTH: 100, // Must stay in sync with maxFilterEntryLength in filters.go
+};
+
+// Sound and browser notification for mentions
+export const NOTIFICATION_CONFIG = {
+  SOUND_FREQUENCY_HZ: 660,
+  SOUND_DURATION_S: 0.3,
+  SOUND_VOLUME: 0.2,
+  ICON: '/Link2Gether_Favicon.png',
+  MAX_BODY_LENGTH: 120, // Longer messages are cut in the notification
+};
+
+// Chat history kept by the server for late joiners
+export const CHAT_HISTORY_CONFIG = {
+  INITIAL_MESSAGES: 50, // Latest messages requested on every (re)connect
+  PAGE_SIZE: 50, // Older messages requested when scrolling to the top
+  LOAD_MORE_THRESHOLD_PX: 40, // How close to the top the list must be scrolled to load more
+  MAX_LOADED_MESSAGES: 300, // Oldest messages are dropped past this while following the chat, history loads them back
+  ESTIMATED_ROW_HEIGHT_PX: 44, // Assumed height of messages that weren't rendered yet
+  OVERSCAN_PX: 600, // Rendered above and below the visible part of the list
+  STICK_TO_BOTTOM_THRESHOLD_PX: 40, // How close to the bottom counts as following the chat
+};
+
+// Playback clock synchronization (client/server offset and drift correction)
+export const CLOCK_SYNC_CONFIG = {
+  PING_INTERVAL_MS: 10000, // Steady-state interval between clock pings
+  INITIAL_PING_BURST: 5, // Pings sent right after connecting for a quick first estimate
+  INITIAL_PING_SPACING_MS: 250,
+  MAX_SAMPLES: 10, // Most recent offset samples kept for the estimate
+  POSITION_REPORT_INTERVAL_MS: 5000, // How often clients report their real player position
+  DRIFT_CHECK_INTERVAL_MS: 1000,
+  DRIFT_TOLERANCE_S: 0.15, // Drift we leave alone entirely
+  SEEK_THRESHOLD_S: 1.0, // Beyond this we seek instead of nudging the playback rate
+  NUDGE_RATE_DELTA: 0.05, // Playback rate offset used to catch up or fall back smoothly
+};
+
+// Buffering reports for "wait for everyone" playback
+export const BUFFERING_CONFIG = {
+  CHECK_INTERVAL_MS: 500, // How often the local player's buffering state is checked
+  READY_AHEAD_S: 5, // After buffering, seconds that must be loaded before we report being ready again
+};
+
+// Shared queue configuration
+export const QUEUE_CONFIG = {
+  MAX_PENDING_OPS: 100, // Our own ops kept while waiting for the server to sequence them
+};
+
+// Video metadata lookups (pages/api/video-metadata.js)
+export const METADATA_CONFIG = {
+  API_PATH: '/api/video-metadata',
+  OEMBED_URL: 'https://www.youtube.com/oembed',
+  DATA_API_URL: 'https://www.googleapis.com/youtube/v3/videos', // Only used for durations when YOUTUBE_API_KEY is set
+  CACHE_TTL_MS: 6 * 60 * 60 * 1000, // How long resolved metadata stays cached on the server
+  FAILURE_TTL_MS: 5 * 60 * 1000, // Unknown or private videos are retried after this
+  MAX_CACHE_ENTRIES: 2000,
+  MAX_IDS_PER_REQUEST: 50,
+  REQUEST_TIMEOUT_MS: 5000,
+  CLIENT_BATCH_DELAY_MS: 50, // Lookups requested within this window are sent as one request
+  CLIENT_RETRY_DELAY_MS: 5000, // A failed batch is requested again after this, times the attempt
+  CLIENT_MAX_RETRIES: 3,
+};
+
+// Playlist import (pages/api/playlist.js)
+export const PLAYLIST_CONFIG = {
+  API_PATH: '/api/playlist',
+  FEED_URL: 'https://www.youtube.com/feeds/videos.xml', // Used without YOUTUBE_API_KEY, only lists the latest 15 videos
+  FEED_MAX_ITEMS: 15,
+  DATA_API_URL: 'https://www.googleapis.com/youtube/v3/playlistItems',
+  DATA_API_PAGE_SIZE: 50,
+  MAX_IMPORT_ITEMS: 100, // Must not exceed maxOpEntries in queue.go, the whole import is one insert op
+  CACHE_TTL_MS: 30 * 60 * 1000,
+  MAX_CACHE_ENTRIES: 200,
+  REQUEST_TIMEOUT_MS: 8000,
+};
+
+// Room configuration
+export const ROOM_CONFIG = {
+  CODE_LENGTH: 6,
+  CODE_ALPHABET: 'abcdefghjkmnpqrstuvwxyz23456789', // No 0/o, 1/l/i to keep codes easy to read out loud
+  CODE_PATTERN: /^[a-z0-9-]{3,32}$/, // Must stay in sync with roomCodePattern in room.go
 };
 
 // Discord OAuth configuration
@@ -25,6 +132,51 @@ export const DISCORD_CONFIG = {
 export const YOUTUBE_CONFIG = {
   EMBED_BASE_URL: 'https://www.youtube.com/embed/',
   ALLOWED_ORIGINS: ['https://www.youtube.com', 'https://youtube.com'],
+  // Hosts accepted by parseYoutubeUrl; anything else is rejected even if it contains a video id
+  HOSTS: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'],
+  SHORT_HOSTS: ['youtu.be', 'www.youtu.be'], // Video id is the first path segment
+  ID_PATH_PREFIXES: ['shorts', 'live', 'embed', 'v'], // /<prefix>/<videoId> paths on the main hosts
+  VIDEO_ID_PATTERN: /^[0-9A-Za-z_-]{11}$/,
+  PLAYLIST_ID_PATTERN: /^[0-9A-Za-z_-]{2,64}$/,
+};
+
+// Player adapters and the kinds of media they can play
+export const PLAYER_CONFIG = {
+  SOURCE_TYPES: {
+    YOUTUBE: 'youtube',
+    VIMEO: 'vimeo',
+    VIDEO: 'video', // Direct MP4/WebM/Ogg files played by <video>
+    HLS: 'hls', // .m3u8 streams, native where supported, hls.js elsewhere
+  },
+  VIDEO_EXTENSIONS: ['mp4', 'm4v', 'webm', 'ogv', 'ogg', 'mov'],
+  HLS_EXTENSIONS: ['m3u8'],
+  VIMEO_HOSTS: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+  VIMEO_ORIGIN: 'https://player.vimeo.com',
+  VIMEO_EMBED_BASE_URL: 'https://player.vimeo.com/video/',
+  PLAYBACK_RATES: [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2], // Shared speeds; the server clamps to the first and last
+  SEEK_BAR_UPDATE_MS: 250,
+};
+
+// Live reactions floating over the player and their heatmap along the timeline
+export const REACTION_CONFIG = {
+  EMOJIS: ['😂', '😮', '😍', '👏', '🔥', '😢', '💀', '❤️'], // Must stay in sync with reactionEmojis in reactions.go
+  FLOAT_DURATION_MS: 2500, // How long a reaction floats over the player
+  MAX_FLOATING: 40, // Reactions on screen at once, older ones are dropped first
+  REPLAY_CHECK_MS: 250, // How often stored reactions are checked against the playback position
+  REPLAY_MAX_STEP_S: 1.5, // Larger jumps in position are seeks, reactions in between aren't replayed
+  HEATMAP_BINS: 60,
+  MAX_VIDEO_ID_LENGTH: 512, // Must stay in sync with maxReactionVideoIDLength in reactions.go
+};
+
+// Shared subtitle tracks (SRT/WebVTT files parsed in the browser)
+export const SUBTITLE_CONFIG = {
+  FILE_EXTENSIONS: ['.srt', '.vtt'],
+  MAX_FILE_BYTES: 1024 * 1024,
+  MAX_CUES: 5000, // Must stay in sync with maxSubtitleCues in subtitles.go
+  MAX_CUE_LENGTH: 500, // Must stay in sync with maxSubtitleCueLength in subtitles.go
+  MAX_LABEL_LENGTH: 100, // Must stay in sync with maxSubtitleLabelLength in subtitles.go
+  UPDATE_INTERVAL_MS: 100, // How often the overlay checks the playback position
+  OFFSET_STEP_S: 0.5,
 };
 
 // Achievement storage keys
@@ -34,6 +186,9 @@ export const STORAGE_KEYS = {
   WATCH_SESSION: 'watch_session_start',
   USERNAME: 'chatUsername',
   VOLUME: 'volume',
+  SUBTITLES_ENABLED: 'subtitlesEnabled',
+  MENTION_ALERTS_MUTED: 'mentionAlertsMuted',
+  CLIENT_ID: 'clientId',
   DISCORD_AVATAR: 'discordAvatar',
   DISCORD_USER_ID: 'discordUserId',
   DISCORD_ACCESS_TOKEN: 'discordAccessToken',
@@ -41,9 +196,8 @@ export const STORAGE_KEYS = {
 
 // Validation constants
 export const VALIDATION = {
-  MAX_MESSAGE_LENGTH: 500,
-  MAX_USERNAME_LENGTH: 50,
-  YOUTUBE_URL_PATTERN: /(?:v=|\/)([0-9A-Za-z_-]{11}).*/,
+  MAX_MESSAGE_LENGTH: 500, // Must stay in sync with maxChatLength in chat.go
+  MAX_USERNAME_LENGTH: 50, // Must stay in sync with maxNameLength in commands.go
 };
 
 // UI constants
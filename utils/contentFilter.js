@@ -0,0 +1,173 @@
+// contentFilter.js - Filters chat messages run through before they are sent and after they are received.
+// Every filter is a pure function of the text and the room's settings, and reports what it changed so the
+// sender can be told. The host picks the word list, link lists and which filters are on for the room.
+
+import { CONTENT_FILTER_CONFIG } from './constants.js';
+
+const LINK_PATTERN = /https?:\/\/[^\s<>"]+/gi;
+// Zero-width characters, bidirectional overrides and other invisible format characters. The zero-width
+// joiner (U+200D) and variation selectors are left alone, emoji sequences need them.
+const INVISIBLE_PATTERN = /[\u00AD\u180E\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const STACKED_MARKS_PATTERN = new RegExp(`(\\p{M}{${CONTENT_FILTER_CONFIG.MAX_COMBINING_MARKS}})\\p{M}+`, 'gu');
+const REPEATED_PATTERN = new RegExp(`(.)\\1{${CONTENT_FILTER_CONFIG.MAX_REPEATED_CHARACTERS},}`, 'gu');
+
+// Room settings before the host changes anything: every filter on, nothing listed
+export const DEFAULT_FILTER_SETTINGS = {
+  disabled: [],
+  words: [],
+  allowedDomains: [],
+  blockedDomains: [],
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Runs a replacement on the parts of a text that aren't links, so filters can't break URLs
+const mapOutsideLinks = (text, transform) => {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    result += transform(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + transform(text.slice(last));
+};
+
+/**
+ * Removes invisible characters and thins out stacked combining marks ("zalgo" text)
+ * @param {string} text - Message text
+ * @returns {{text: string, note: string|null}} Filtered text, and what was changed
+ */
+export const stripUnsafeUnicode = (text) => {
+  const filtered = text.replace(INVISIBLE_PATTERN, '').replace(STACKED_MARKS_PATTERN, '$1');
+  return { text: filtered, note: filtered !== text ? 'Removed invisible or stacked characters.' : null };
+};
+
+/**
+ * Shortens runs of the same character and lowers messages written in caps lock. Links are left as they are.
+ * @param {string} text - Message text
+ * @returns {{text: string, note: string|null}} Filtered text, and what was changed
+ */
+export const dampFlood = (text) => {
+  const notes = [];
+  let filtered = mapOutsideLinks(text, part => part.replace(REPEATED_PATTERN, (run, char) => char.repeat(CONTENT_FILTER_CONFIG.MAX_REPEATED_CHARACTERS)));
+  if (filtered !== text) notes.push('Shortened repeated characters.');
+
+  const letters = filtered.replace(LINK_PATTERN, ' ').replace(/[^\p{L}]/gu, '');
+  const capitals = letters.replace(/[^\p{Lu}]/gu, '');
+  if (letters.length >= CONTENT_FILTER_CONFIG.CAPS_MIN_LETTERS && capitals.length / letters.length >= CONTENT_FILTER_CONFIG.CAPS_RATIO) {
+    filtered = mapOutsideLinks(filtered, part => part.toLowerCase());
+    notes.push('Turned off caps lock.');
+  }
+  return { text: filtered, note: notes.length > 0 ? notes.join(' ') : null };
+};
+
+/**
+ * Masks whole-word, case-insensitive matches of the room's word list with asterisks
+ * @param {string} text - Message text
+ * @param {{words: string[]}} settings - Room filter settings
+ * @returns {{text: string, note: string|null}} Filtered text, and what was changed
+ */
+export const maskWords = (text, settings) => {
+  const words = (settings.words || []).map(word => word.trim()).filter(Boolean);
+  if (words.length === 0) return { text, note: null };
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  let count = 0;
+  const filtered = text.replace(pattern, (match) => {
+    count++;
+    return '*'.repeat([...match].length);
+  });
+  return { text: filtered, note: count > 0 ? `Masked ${count === 1 ? 'a filtered word' : `${count} filtered words`}.` : null };
+};
+
+/**
+ * Checks whether a host is one of the listed domains or a subdomain of one
+ * @param {string} host - Host name of a link
+ * @param {string[]} domains - Listed domains, e.g. "example.com"
+ * @returns {boolean} True if the host is listed
+ */
+export const matchesDomain = (host, domains) => {
+  const normalized = host.toLowerCase().replace(/\.$/, '');
+  return domains.some(domain => {
+    const listed = domain.trim().toLowerCase().replace(/^\*?\./, '');
+    return !!listed && (normalized === listed || normalized.endsWith(`.${listed}`));
+  });
+};
+
+/**
+ * Removes links the room doesn't allow: links to blocked domains, and when there is an allow list,
+ * links to anything not on it. Messages with such links are blocked when sent.
+ * @param {string} text - Message text
+ * @param {{allowedDomains: string[], blockedDomains: string[]}} settings - Room filter settings
+ * @returns {{text: string, note: string|null, blocked: boolean}} Text with the links removed, and what was changed
+ */
+export const filterLinks = (text, settings) => {
+  const allowed = settings.allowedDomains || [];
+  const blocked = settings.blockedDomains || [];
+  if (allowed.length === 0 && blocked.length === 0) return { text, note: null, blocked: false };
+
+  const refused = [];
+  const filtered = text.replace(LINK_PATTERN, (url) => {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      return url;
+    }
+    if (matchesDomain(host, blocked) || (allowed.length > 0 && !matchesDomain(host, allowed))) {
+      if (!refused.includes(host)) refused.push(host);
+      return '[link removed]';
+    }
+    return url;
+  });
+  if (refused.length === 0) return { text, note: null, blocked: false };
+  return { text: filtered, note: `Links to ${refused.join(', ')} aren't allowed in this room.`, blocked: true };
+};
+
+// Filters in the order they run; the host can turn each one off by id
+export const CONTENT_FILTERS = [
+  { id: 'unicode', label: 'Strip zalgo and invisible characters', apply: stripUnsafeUnicode },
+  { id: 'flood', label: 'Damp repeated characters and caps lock', apply: dampFlood },
+  { id: 'words', label: 'Mask words from the word list', apply: maskWords },
+  { id: 'links', label: 'Enforce the link allow and deny lists', apply: filterLinks },
+];
+
+/**
+ * Runs a message through every filter the room has on
+ * @param {string} text - Message text
+ * @param {Object} settings - Room filter settings, see DEFAULT_FILTER_SETTINGS
+ * @param {Array} filters - Filters to run, CONTENT_FILTERS unless testing others
+ * @returns {{text: string, notes: string[], blocked: boolean}} Filtered text, what each filter changed,
+ * and whether the message should not be sent
+ */
+export const runContentFilters = (text, settings = DEFAULT_FILTER_SETTINGS, filters = CONTENT_FILTERS) => {
+  if (typeof text !== 'string' || !text) return { text: '', notes: [], blocked: false };
+
+  const disabled = settings.disabled || [];
+  return filters.reduce((result, filter) => {
+    if (disabled.includes(filter.id)) return result;
+    const outcome = filter.apply(result.text, settings);
+    return {
+      text: outcome.text,
+      notes: outcome.note ? [...result.notes, outcome.note] : result.notes,
+      blocked: result.blocked || !!outcome.blocked,
+    };
+  }, { text, notes: [], blocked: false });
+};
+
+/**
+ * Reads the room's filter settings from a "content_filters" or "sync" message
+ * @param {Object} msg - Server message
+ * @returns {Object} Filter settings, the defaults if the message has none
+ */
+export const toFilterSettings = (msg) => {
+  const settings = msg && msg.filters;
+  if (!settings || typeof settings !== 'object') return DEFAULT_FILTER_SETTINGS;
+  const list = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+  return {
+    disabled: list(settings.disabled),
+    words: list(settings.words),
+    allowedDomains: list(settings.allowedDomains),
+    blockedDomains: list(settings.blockedDomains),
+  };
+};
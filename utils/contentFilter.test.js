@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FILTER_SETTINGS,
+  dampFlood,
+  filterLinks,
+  maskWords,
+  matchesDomain,
+  runContentFilters,
+  stripUnsafeUnicode,
+  toFilterSettings,
+} from './contentFilter.js';
+
+test('stripUnsafeUnicode removes invisible characters and stacked marks but keeps emoji sequences', () => {
+  assert.deepEqual(stripUnsafeUnicode('hi\u200Bthere\u202E'), { text: 'hithere', note: 'Removed invisible or stacked characters.' });
+  assert.equal(stripUnsafeUnicode('e\u0301\u0302\u0303\u0304').text, 'e\u0301\u0302');
+  assert.deepEqual(stripUnsafeUnicode('café 👩\u200D💻'), { text: 'café 👩\u200D💻', note: null });
+});
+
+test('dampFlood shortens runs and lowers caps lock outside links', () => {
+  assert.equal(dampFlood('nooooooo').text, 'noooo');
+  assert.equal(dampFlood('THIS IS SO LOUD').text, 'this is so loud');
+  assert.deepEqual(dampFlood('OK'), { text: 'OK', note: null });
+  const link = 'https://example.com/AAAAAAAA';
+  assert.equal(dampFlood(`LOOK AT THIS ${link}`).text, `look at this ${link}`);
+});
+
+test('maskWords masks whole words whatever their case', () => {
+  const settings = { words: ['darn', ' c++ '] };
+  assert.deepEqual(maskWords('Darn it, I like C++', settings), { text: '**** it, I like ***', note: 'Masked 2 filtered words.' });
+  assert.deepEqual(maskWords('darnit', settings), { text: 'darnit', note: null });
+  assert.deepEqual(maskWords('darn', { words: [] }), { text: 'darn', note: null });
+});
+
+test('matchesDomain matches the domain and its subdomains only', () => {
+  assert.equal(matchesDomain('example.com', ['example.com']), true);
+  assert.equal(matchesDomain('www.Example.com.', ['*.example.com']), true);
+  assert.equal(matchesDomain('badexample.com', ['example.com']), false);
+  assert.equal(matchesDomain('example.com', ['', ' ']), false);
+});
+
+test('filterLinks removes blocked links and links missing from the allow list', () => {
+  const blocked = filterLinks('see https://spam.example/x and https://ok.example', { blockedDomains: ['spam.example'] });
+  assert.deepEqual(blocked, {
+    text: 'see [link removed] and https://ok.example',
+    note: "Links to spam.example aren't allowed in this room.",
+    blocked: true,
+  });
+  const allowed = filterLinks('https://youtu.be/x https://other.example', { allowedDomains: ['youtu.be'] });
+  assert.equal(allowed.text, 'https://youtu.be/x [link removed]');
+  assert.deepEqual(filterLinks('https://other.example', DEFAULT_FILTER_SETTINGS), { text: 'https://other.example', note: null, blocked: false });
+});
+
+test('runContentFilters runs the filters the room has on, in order', () => {
+  const settings = { ...DEFAULT_FILTER_SETTINGS, words: ['loud'], blockedDomains: ['spam.example'] };
+  const result = runContentFilters('THIS IS SO LOUD\u200B https://spam.example', settings);
+  assert.deepEqual(result, {
+    text: 'this is so **** [link removed]',
+    notes: [
+      'Removed invisible or stacked characters.',
+      'Turned off caps lock.',
+      'Masked a filtered word.',
+      "Links to spam.example aren't allowed in this room.",
+    ],
+    blocked: true,
+  });
+
+  const off = runContentFilters('THIS IS SO LOUD', { ...settings, disabled: ['flood', 'words'] });
+  assert.deepEqual(off, { text: 'THIS IS SO LOUD', notes: [], blocked: false });
+  assert.deepEqual(runContentFilters(null), { text: '', notes: [], blocked: false });
+});
+
+test('toFilterSettings keeps only string lists', () => {
+  assert.equal(toFilterSettings({}), DEFAULT_FILTER_SETTINGS);
+  assert.deepEqual(toFilterSettings({ filters: { words: ['a', 1, null], disabled: 'links' } }), {
+    disabled: [],
+    words: ['a'],
+    allowedDomains: [],
+    blockedDomains: [],
+  });
+});
@@ -0,0 +1,46 @@
+// directMessages.js - Splits the chat into the room's conversation and private conversations with one user
+
+// Key of the room's own conversation; other conversations are keyed by the name of the other user
+export const ROOM_CONVERSATION = '';
+
+/**
+ * Returns who a direct message was exchanged with, from our point of view
+ * @param {Object} msg - Chat message
+ * @param {string} username - Our name
+ * @returns {string} The other user, ROOM_CONVERSATION for messages that aren't direct messages
+ */
+export const getConversationPartner = (msg, username) => {
+  if (!msg || msg.type !== 'dm') return ROOM_CONVERSATION;
+  return msg.sender === username ? msg.target : msg.sender;
+};
+
+/**
+ * Checks whether a message belongs in a conversation. Local notes (command output, refused requests)
+ * show in whichever conversation is open.
+ * @param {Object} msg - Chat message
+ * @param {string} conversation - Conversation key
+ * @param {string} username - Our name
+ * @returns {boolean} True if the message is shown in the conversation
+ */
+export const isInConversation = (msg, conversation, username) => {
+  if (msg.type === 'dm') return getConversationPartner(msg, username) === conversation;
+  return conversation === ROOM_CONVERSATION || !!msg.local;
+};
+
+/**
+ * Adds the partners of the direct messages among some messages to a list of open conversations
+ * @param {Array<string>} conversations - Open conversations, in the order they were opened
+ * @param {Array} messages - Messages that may include direct messages
+ * @param {string} username - Our name
+ * @returns {Array<string>} Updated list, the same array if nothing was added
+ */
+export const addConversations = (conversations, messages, username) => {
+  const added = [];
+  messages.forEach(msg => {
+    const partner = getConversationPartner(msg, username);
+    if (partner && !conversations.includes(partner) && !added.includes(partner)) {
+      added.push(partner);
+    }
+  });
+  return added.length > 0 ? [...conversations, ...added] : conversations;
+};
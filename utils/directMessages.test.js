@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROOM_CONVERSATION, addConversations, getConversationPartner, isInConversation } from './directMessages.js';
+
+const dm = (sender, target) => ({ type: 'dm', sender, target, content: 'psst' });
+const line = { type: 'message', sender: 'bob', content: 'hi' };
+const note = { type: 'message', sender: 'System', local: true, content: 'Only you can see this.' };
+
+test('getConversationPartner returns the other user of a direct message', () => {
+  assert.equal(getConversationPartner(dm('me', 'bob'), 'me'), 'bob');
+  assert.equal(getConversationPartner(dm('bob', 'me'), 'me'), 'bob');
+  assert.equal(getConversationPartner(line, 'me'), ROOM_CONVERSATION);
+  assert.equal(getConversationPartner(null, 'me'), ROOM_CONVERSATION);
+});
+
+test('isInConversation keeps direct messages in their own conversation and local notes everywhere', () => {
+  assert.equal(isInConversation(dm('bob', 'me'), 'bob', 'me'), true);
+  assert.equal(isInConversation(dm('bob', 'me'), ROOM_CONVERSATION, 'me'), false);
+  assert.equal(isInConversation(dm('carol', 'me'), 'bob', 'me'), false);
+  assert.equal(isInConversation(line, ROOM_CONVERSATION, 'me'), true);
+  assert.equal(isInConversation(line, 'bob', 'me'), false);
+  assert.equal(isInConversation(note, 'bob', 'me'), true);
+});
+
+test('addConversations opens a conversation per new partner, in order', () => {
+  const conversations = ['bob'];
+  assert.deepEqual(addConversations(conversations, [dm('carol', 'me'), line, dm('me', 'bob'), dm('me', 'dave'), dm('carol', 'me')], 'me'), ['bob', 'carol', 'dave']);
+  assert.equal(addConversations(conversations, [line, dm('bob', 'me')], 'me'), conversations);
+});
@@ -0,0 +1,121 @@
+// mediaSources.js - Works out which player adapter can play a URL
+
+import { PLAYER_CONFIG } from './constants.js';
+import { parseYoutubeTime, parseYoutubeUrl } from './validation.js';
+
+const { SOURCE_TYPES } = PLAYER_CONFIG;
+
+/**
+ * Parses a Vimeo link (vimeo.com/123, vimeo.com/123/privatehash, vimeo.com/channels/x/123, player.vimeo.com/video/123)
+ * @param {URL} parsed - Parsed URL on a Vimeo host
+ * @returns {{videoId: string, hash: string|null}|null} Vimeo video, null if the path has no video id
+ */
+const parseVimeoPath = (parsed) => {
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const idIndex = segments.findIndex(segment => /^\d+$/.test(segment));
+  if (idIndex === -1) return null;
+
+  const next = segments[idIndex + 1];
+  const hash = parsed.searchParams.get('h') || (next && /^[0-9a-f]{6,}$/i.test(next) ? next : null);
+  return { videoId: segments[idIndex], hash };
+};
+
+/**
+ * Parses any URL the room can play
+ * @param {string} url - Media URL
+ * @returns {{type: string, url: string, videoId: string|null, hash: string|null, start: number}|null} Media source, null if no adapter can play it
+ */
+export const parseMediaUrl = (url) => {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  const youtube = parseYoutubeUrl(url);
+  if (youtube) {
+    return youtube.videoId
+      ? { type: SOURCE_TYPES.YOUTUBE, url, videoId: youtube.videoId, hash: null, start: youtube.start }
+      : null; // Playlist-only links are imported, not played
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+
+  const start = parseYoutubeTime(new URLSearchParams(parsed.hash.slice(1)).get('t'));
+
+  if (PLAYER_CONFIG.VIMEO_HOSTS.includes(parsed.hostname.toLowerCase())) {
+    const vimeo = parseVimeoPath(parsed);
+    return vimeo ? { type: SOURCE_TYPES.VIMEO, url, videoId: vimeo.videoId, hash: vimeo.hash, start } : null;
+  }
+
+  const extension = (parsed.pathname.split('.').pop() || '').toLowerCase();
+  if (PLAYER_CONFIG.HLS_EXTENSIONS.includes(extension)) {
+    return { type: SOURCE_TYPES.HLS, url, videoId: null, hash: null, start };
+  }
+  if (PLAYER_CONFIG.VIDEO_EXTENSIONS.includes(extension)) {
+    return { type: SOURCE_TYPES.VIDEO, url, videoId: null, hash: null, start };
+  }
+  return null;
+};
+
+/**
+ * Returns the source type of a URL, see PLAYER_CONFIG.SOURCE_TYPES
+ * @param {string} url - Media URL
+ * @returns {string|null} Source type, null if unsupported
+ */
+export const getMediaSourceType = (url) => {
+  const media = parseMediaUrl(url);
+  return media ? media.type : null;
+};
+
+/**
+ * Validates that some player adapter can play a URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if playable
+ */
+export const isValidMediaUrl = (url) => {
+  return parseMediaUrl(url) !== null;
+};
+
+/**
+ * Short display name for a URL when no metadata is known
+ * @param {string} url - Media URL
+ * @returns {string} Display name
+ */
+export const getMediaDisplayName = (url) => {
+  const media = parseMediaUrl(url);
+  if (!media) return url;
+
+  switch (media.type) {
+    case SOURCE_TYPES.YOUTUBE:
+      return `YouTube - ${media.videoId}`;
+    case SOURCE_TYPES.VIMEO:
+      return `Vimeo - ${media.videoId}`;
+    default: {
+      const fileName = new URL(url.trim()).pathname.split('/').pop() || '';
+      try {
+        return decodeURIComponent(fileName) || url;
+      } catch (error) {
+        return fileName || url;
+      }
+    }
+  }
+};
+
+/**
+ * Identifies the video behind a URL, so links with a different start time or tracking parameters
+ * still refer to the same video (used to store reactions per video)
+ * @param {string} url - Media URL
+ * @returns {string|null} Key such as "youtube:dQw4w9WgXcQ", null if unsupported
+ */
+export const getMediaKey = (url) => {
+  const media = parseMediaUrl(url);
+  if (!media) return null;
+  if (media.videoId) return `${media.type}:${media.videoId}`;
+
+  const parsed = new URL(url.trim());
+  parsed.hash = '';
+  return `${media.type}:${parsed.href}`;
+};
@@ -0,0 +1,68 @@
+// mentions.js - @username mentions in chat messages
+
+/**
+ * Finds the @mention being typed just before the caret
+ * @param {string} input - Chat input
+ * @param {number} caret - Caret position in the input
+ * @returns {{start: number, query: string}|null} Position of the "@" and the text typed after it, null if none
+ */
+export const getMentionQuery = (input, caret) => {
+  if (typeof input !== 'string') return null;
+  const beforeCaret = input.slice(0, typeof caret === 'number' ? caret : input.length);
+  const match = beforeCaret.match(/(^|\s)@([^\s@]*)$/);
+  if (!match) return null;
+  return { start: beforeCaret.length - match[2].length - 1, query: match[2] };
+};
+
+/**
+ * Lists the users whose name starts with what was typed after the "@"
+ * @param {Array<string>} usernames - Users to pick from
+ * @param {string} query - Text typed after the "@"
+ * @param {string} self - Our own name, never suggested
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array<string>} Matching names, alphabetically
+ */
+export const suggestMentions = (usernames, query, self, limit = 8) => {
+  const lowerQuery = query.toLowerCase();
+  return [...new Set(usernames)]
+    .filter(name => name && name !== self && name.toLowerCase().startsWith(lowerQuery))
+    .sort((a, b) => a.localeCompare(b))
+    .slice(0, limit);
+};
+
+/**
+ * Checks whether a message mentions a user. Names may contain spaces, so the whole name is looked for
+ * after an "@" rather than parsing the mention out of the message.
+ * @param {string} content - Message text
+ * @param {string} username - User to look for
+ * @returns {boolean} True if the message contains @username as a whole word
+ */
+export const mentionsUser = (content, username) => {
+  if (typeof content !== 'string' || !username) return false;
+  const lowerContent = content.toLowerCase();
+  const mention = `@${username.toLowerCase()}`;
+
+  let index = lowerContent.indexOf(mention);
+  while (index !== -1) {
+    const before = lowerContent[index - 1];
+    const after = lowerContent[index + mention.length];
+    if ((!before || /\s/.test(before)) && (!after || !/[0-9a-z_-]/.test(after))) {
+      return true;
+    }
+    index = lowerContent.indexOf(mention, index + 1);
+  }
+  return false;
+};
+
+/**
+ * Checks whether a chat message is meant for a user: a direct message to them, or a message that mentions
+ * them or replies to one of their messages
+ * @param {Object} msg - Chat message, replies carry the server's quote of their parent
+ * @param {string} username - User to check for
+ * @returns {boolean} True if the user should be alerted
+ */
+export const isMessageForUser = (msg, username) => {
+  if (!msg || msg.system || msg.deleted || msg.sender === username) return false;
+  if (msg.type === 'dm') return msg.target === username;
+  return mentionsUser(msg.content, username) || (!!msg.replyTo && !!msg.quote && msg.quote.sender === username);
+};
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMentionQuery, isMessageForUser, mentionsUser, suggestMentions } from './mentions.js';
+
+test('getMentionQuery finds the mention typed before the caret', () => {
+  assert.deepEqual(getMentionQuery('hi @al', 6), { start: 3, query: 'al' });
+  assert.deepEqual(getMentionQuery('@', 1), { start: 0, query: '' });
+  assert.deepEqual(getMentionQuery('hi @al there', 6), { start: 3, query: 'al' });
+  assert.equal(getMentionQuery('hi @al there', 12), null);
+  assert.equal(getMentionQuery('mail@example', 12), null);
+  assert.equal(getMentionQuery(null, 0), null);
+});
+
+test('suggestMentions lists matching names without ourselves, once each and alphabetically', () => {
+  const users = ['bob', 'Alice', 'alan', 'me', 'alan', ''];
+  assert.deepEqual(suggestMentions(users, 'AL', 'me'), ['alan', 'Alice']);
+  assert.deepEqual(suggestMentions(users, '', 'me', 2), ['alan', 'Alice']);
+  assert.deepEqual(suggestMentions(users, 'm', 'me'), []);
+});
+
+test('mentionsUser matches whole names, also with spaces, whatever their case', () => {
+  assert.equal(mentionsUser('hey @Alice!', 'alice'), true);
+  assert.equal(mentionsUser('@Mary Jane look', 'Mary Jane'), true);
+  assert.equal(mentionsUser('hey @alice_2', 'alice'), false);
+  assert.equal(mentionsUser('mail@alice', 'alice'), false);
+  assert.equal(mentionsUser('@alicex and @alice', 'alice'), true);
+  assert.equal(mentionsUser('hey alice', 'alice'), false);
+  assert.equal(mentionsUser('@alice', ''), false);
+});
+
+test('isMessageForUser alerts for mentions, replies to our messages and direct messages to us', () => {
+  assert.equal(isMessageForUser({ type: 'message', sender: 'bob', content: '@alice hi' }, 'alice'), true);
+  assert.equal(isMessageForUser({ type: 'message', sender: 'bob', content: 'ok', replyTo: '4', quote: { sender: 'alice' } }, 'alice'), true);
+  assert.equal(isMessageForUser({ type: 'message', sender: 'bob', content: 'ok', replyTo: '4', quote: { sender: 'carol' } }, 'alice'), false);
+  assert.equal(isMessageForUser({ type: 'dm', sender: 'bob', target: 'alice', content: 'psst' }, 'alice'), true);
+  assert.equal(isMessageForUser({ type: 'dm', sender: 'bob', target: 'carol', content: '@alice' }, 'alice'), false);
+  assert.equal(isMessageForUser({ type: 'message', sender: 'alice', content: '@alice' }, 'alice'), false);
+  assert.equal(isMessageForUser({ type: 'message', sender: 'System', system: true, content: '@alice' }, 'alice'), false);
+  assert.equal(isMessageForUser({ type: 'message', sender: 'bob', deleted: true, content: '@alice' }, 'alice'), false);
+});
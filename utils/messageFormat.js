@@ -0,0 +1,202 @@
+// messageFormat.js - Parses chat message text into formatting tokens: links, **bold**, *italic*, `code`,
+// ||spoilers|| and :shortcode: emoji. Rendering the tokens is left to React, so text is never parsed as HTML.
+
+import { getYoutubeVideoId } from './validation.js';
+
+// Shortcodes recognised in messages, written without the surrounding colons
+export const EMOJI_SHORTCODES = {
+  smile: '😄',
+  grin: '😁',
+  joy: '😂',
+  rofl: '🤣',
+  wink: '😉',
+  blush: '😊',
+  heart_eyes: '😍',
+  thinking: '🤔',
+  neutral_face: '😐',
+  unamused: '😒',
+  sweat_smile: '😅',
+  cry: '😢',
+  sob: '😭',
+  angry: '😠',
+  scream: '😱',
+  sunglasses: '😎',
+  skull: '💀',
+  eyes: '👀',
+  popcorn: '🍿',
+  fire: '🔥',
+  heart: '❤️',
+  broken_heart: '💔',
+  sparkles: '✨',
+  star: '⭐',
+  tada: '🎉',
+  clap: '👏',
+  wave: '👋',
+  pray: '🙏',
+  ok_hand: '👌',
+  thumbsup: '👍',
+  '+1': '👍',
+  thumbsdown: '👎',
+  '-1': '👎',
+  muscle: '💪',
+  100: '💯',
+  tv: '📺',
+  movie_camera: '🎥',
+  musical_note: '🎵',
+  zzz: '💤',
+  ghost: '👻',
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/y;
+const SHORTCODE_PATTERN = /:([a-z0-9_+-]+):/y;
+const TRAILING_URL_PUNCTUATION = /[.,!?;:'"*_|~]+$/;
+
+// Strips punctuation that ends the sentence rather than the URL, and closing parentheses without an opening one
+const trimUrl = (url) => {
+  let trimmed = url.replace(TRAILING_URL_PUNCTUATION, '');
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_URL_PUNCTUATION, '');
+  }
+  return trimmed;
+};
+
+/**
+ * Checks that a link is safe to open: only http and https URLs that parse
+ * @param {string} url - Link target
+ * @returns {boolean} True if the link can be rendered
+ */
+export const isSafeLinkUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const isWordChar = (char) => !!char && /[0-9A-Za-z]/.test(char);
+
+// Finds where an emphasis that opens at `start` closes: the closing marker must follow a non-space character,
+// and underscores only close at the end of a word so snake_case names stay as they are
+const findClosingMarker = (text, marker, start) => {
+  let index = text.indexOf(marker, start);
+  while (index !== -1) {
+    const before = text[index - 1];
+    const after = text[index + marker.length];
+    const closesWord = marker !== '_' || !isWordChar(after);
+    if (index > start && before !== ' ' && closesWord) {
+      return index;
+    }
+    index = text.indexOf(marker, index + 1);
+  }
+  return -1;
+};
+
+// Markers that wrap formatted text, longest first so "**" isn't read as two "*"
+const EMPHASIS_MARKERS = [
+  { marker: '||', type: 'spoiler' },
+  { marker: '**', type: 'bold' },
+  { marker: '*', type: 'italic' },
+  { marker: '_', type: 'italic' },
+];
+
+/**
+ * Parses message text into tokens: { type: 'text', text }, { type: 'link', url }, { type: 'code', text },
+ * { type: 'emoji', text, shortcode } and { type: 'bold' | 'italic' | 'spoiler', children }.
+ * Unclosed markers stay plain text.
+ * @param {string} text - Message text
+ * @returns {Array} Tokens in order
+ */
+export const parseMessageContent = (text) => {
+  if (typeof text !== 'string' || !text) return [];
+
+  const tokens = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) {
+      tokens.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        tokens.push({ type: 'code', text: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === 'h' && !isWordChar(text[i - 1])) {
+      URL_PATTERN.lastIndex = i;
+      const match = URL_PATTERN.exec(text);
+      if (match) {
+        const url = trimUrl(match[0]);
+        if (isSafeLinkUrl(url)) {
+          flush();
+          tokens.push({ type: 'link', url });
+          i += url.length;
+          continue;
+        }
+      }
+    }
+
+    if (char === ':') {
+      SHORTCODE_PATTERN.lastIndex = i;
+      const match = SHORTCODE_PATTERN.exec(text);
+      if (match && Object.prototype.hasOwnProperty.call(EMOJI_SHORTCODES, match[1])) {
+        flush();
+        tokens.push({ type: 'emoji', text: EMOJI_SHORTCODES[match[1]], shortcode: match[1] });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    const emphasis = EMPHASIS_MARKERS.find(({ marker }) => text.startsWith(marker, i));
+    const opens = emphasis &&
+      text[i + emphasis.marker.length] && text[i + emphasis.marker.length] !== ' ' &&
+      (emphasis.marker !== '_' || !isWordChar(text[i - 1]));
+    if (opens) {
+      const start = i + emphasis.marker.length;
+      const end = findClosingMarker(text, emphasis.marker, start);
+      if (end !== -1) {
+        flush();
+        tokens.push({ type: emphasis.type, children: parseMessageContent(text.slice(start, end)) });
+        i = end + emphasis.marker.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+  flush();
+  return tokens;
+};
+
+/**
+ * Returns the YouTube videos linked in a message, once each and in order, for "add to queue" cards
+ * @param {Array} tokens - Tokens from parseMessageContent
+ * @returns {Array} { url, videoId } per linked video
+ */
+export const getLinkedYoutubeVideos = (tokens) => {
+  const videos = [];
+  const visit = (token) => {
+    if (token.type === 'link') {
+      const videoId = getYoutubeVideoId(token.url);
+      if (videoId && !videos.some(video => video.videoId === videoId)) {
+        videos.push({ url: token.url, videoId });
+      }
+    } else if (token.children) {
+      token.children.forEach(visit);
+    }
+  };
+  tokens.forEach(visit);
+  return videos;
+};
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLinkedYoutubeVideos, isSafeLinkUrl, parseMessageContent } from './messageFormat.js';
+
+const VIDEO = 'dQw4w9WgXcQ';
+const text = (value) => ({ type: 'text', text: value });
+
+test('isSafeLinkUrl only allows http and https links', () => {
+  assert.equal(isSafeLinkUrl('https://example.com/a'), true);
+  assert.equal(isSafeLinkUrl('http://example.com'), true);
+  assert.equal(isSafeLinkUrl('javascript:alert(1)'), false);
+  assert.equal(isSafeLinkUrl('JavaScript:alert(1)'), false);
+  assert.equal(isSafeLinkUrl('data:text/html,<script>alert(1)</script>'), false);
+  assert.equal(isSafeLinkUrl('not a url'), false);
+});
+
+test('javascript: and data: links stay plain text', () => {
+  assert.deepEqual(parseMessageContent('javascript:alert(1)'), [text('javascript:alert(1)')]);
+  assert.deepEqual(parseMessageContent('data:text/html;base64,PHNjcmlwdD4='), [text('data:text/html;base64,PHNjcmlwdD4=')]);
+  assert.deepEqual(parseMessageContent('see hxxp://example.com'), [text('see hxxp://example.com')]);
+});
+
+test('HTML stays in text tokens', () => {
+  assert.deepEqual(parseMessageContent('<script>alert(1)</script>'), [text('<script>alert(1)</script>')]);
+  assert.deepEqual(parseMessageContent('<img src=x onerror=alert(1)>'), [text('<img src=x onerror=alert(1)>')]);
+  assert.deepEqual(parseMessageContent('**<b>hi</b>**'), [{ type: 'bold', children: [text('<b>hi</b>')] }]);
+  // Quotes and angle brackets end a link, so they can't break out of an attribute
+  assert.deepEqual(parseMessageContent('https://example.com/"onmouseover="x'), [
+    { type: 'link', url: 'https://example.com/' },
+    text('"onmouseover="x'),
+  ]);
+});
+
+test('formatting markers wrap text and can be nested', () => {
+  assert.deepEqual(parseMessageContent('a **b** *c* _d_ `e` ||f||'), [
+    text('a '),
+    { type: 'bold', children: [text('b')] },
+    text(' '),
+    { type: 'italic', children: [text('c')] },
+    text(' '),
+    { type: 'italic', children: [text('d')] },
+    text(' '),
+    { type: 'code', text: 'e' },
+    text(' '),
+    { type: 'spoiler', children: [text('f')] },
+  ]);
+  assert.deepEqual(parseMessageContent('||**bold** secret||'), [
+    { type: 'spoiler', children: [{ type: 'bold', children: [text('bold')] }, text(' secret')] },
+  ]);
+  assert.deepEqual(parseMessageContent('`**not bold**`'), [{ type: 'code', text: '**not bold**' }]);
+});
+
+test('unclosed and misplaced markers stay plain text', () => {
+  ['**open', 'open*', '_open', '`open', '||open', '** spaced**', 'a * b * c', '``'].forEach(value => {
+    assert.deepEqual(parseMessageContent(value), [text(value)], value);
+  });
+  assert.deepEqual(parseMessageContent('snake_case_name'), [text('snake_case_name')]);
+  assert.deepEqual(parseMessageContent(''), []);
+  assert.deepEqual(parseMessageContent(null), []);
+});
+
+test('links lose the punctuation that ends the sentence', () => {
+  assert.deepEqual(parseMessageContent('see https://example.com/a.'), [text('see '), { type: 'link', url: 'https://example.com/a' }, text('.')]);
+  assert.deepEqual(parseMessageContent('(https://example.com/a)!'), [text('('), { type: 'link', url: 'https://example.com/a' }, text(')!')]);
+  assert.deepEqual(parseMessageContent('https://en.wikipedia.org/wiki/Foo_(bar)'), [{ type: 'link', url: 'https://en.wikipedia.org/wiki/Foo_(bar)' }]);
+  assert.deepEqual(parseMessageContent('**https://example.com**'), [{ type: 'bold', children: [{ type: 'link', url: 'https://example.com' }] }]);
+});
+
+test('shortcodes become emoji only when they are known', () => {
+  assert.deepEqual(parseMessageContent(':fire: :nope:'), [{ type: 'emoji', text: '🔥', shortcode: 'fire' }, text(' :nope:')]);
+  assert.deepEqual(parseMessageContent(':constructor:'), [text(':constructor:')]);
+});
+
+test('getLinkedYoutubeVideos picks YouTube links once each and ignores other hosts', () => {
+  const tokens = parseMessageContent(
+    `https://youtu.be/${VIDEO} ||https://www.youtube.com/watch?v=${VIDEO}|| https://www.youtube.com.evil.example/watch?v=aaaaaaaaaaa https://example.com/watch?v=bbbbbbbbbbb`,
+  );
+  assert.deepEqual(getLinkedYoutubeVideos(tokens), [{ url: `https://youtu.be/${VIDEO}`, videoId: VIDEO }]);
+  assert.deepEqual(getLinkedYoutubeVideos(parseMessageContent('no links here')), []);
+});
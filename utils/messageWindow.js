@@ -0,0 +1,62 @@
+// messageWindow.js - Layout math for lists that only render the rows in view. Rows can have any height:
+// measured rows use their real height, rows that weren't rendered yet an estimate.
+
+/**
+ * Works out where each row of a list starts
+ * @param {Array<string>} keys - Row keys, in order
+ * @param {Map<string, number>} heights - Measured row heights by key
+ * @param {number} estimatedHeight - Height assumed for rows that weren't measured
+ * @returns {number[]} Top of every row, plus the height of the whole list as the last entry
+ */
+export const computeRowOffsets = (keys, heights, estimatedHeight) => {
+  const offsets = new Array(keys.length + 1);
+  offsets[0] = 0;
+  keys.forEach((key, index) => {
+    offsets[index + 1] = offsets[index] + (heights.has(key) ? heights.get(key) : estimatedHeight);
+  });
+  return offsets;
+};
+
+/**
+ * Finds the rows that overlap the visible part of a list
+ * @param {number[]} offsets - Row offsets from computeRowOffsets
+ * @param {number} scrollTop - How far the list is scrolled, from its top
+ * @param {number} viewportHeight - Visible height
+ * @param {number} overscan - Extra pixels rendered above and below, so fast scrolling doesn't show gaps
+ * @returns {{start: number, end: number}} First row to render and the row after the last one
+ */
+export const getVisibleRange = (offsets, scrollTop, viewportHeight, overscan) => {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+
+  const top = Math.max(0, scrollTop - overscan);
+  const bottom = scrollTop + viewportHeight + overscan;
+  // The first row that ends below the top edge
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle + 1] <= top) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  let end = low + 1;
+  while (end < count && offsets[end] < bottom) {
+    end++;
+  }
+  return { start: low, end };
+};
+
+/**
+ * Finds the scroll position that shows a row in the middle of the viewport
+ * @param {number[]} offsets - Row offsets from computeRowOffsets
+ * @param {number} index - Row to show
+ * @param {number} viewportHeight - Visible height
+ * @returns {number} Scroll position, from the top of the list
+ */
+export const getCenteredScrollTop = (offsets, index, viewportHeight) => {
+  const rowHeight = offsets[index + 1] - offsets[index];
+  return Math.max(0, offsets[index] - (viewportHeight - rowHeight) / 2);
+};
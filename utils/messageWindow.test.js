@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRowOffsets, getCenteredScrollTop, getVisibleRange } from './messageWindow.js';
+
+// 100 rows of 40px, except row 0 (100px) and row 5 (10px) which were measured
+const keys = Array.from({ length: 100 }, (_, index) => String(index));
+const offsets = computeRowOffsets(keys, new Map([['0', 100], ['5', 10]]), 40);
+
+test('computeRowOffsets uses measured heights and the estimate for the rest', () => {
+  assert.deepEqual(offsets.slice(0, 8), [0, 100, 140, 180, 220, 260, 270, 310]);
+  assert.equal(offsets.length, 101);
+  assert.equal(offsets[100], 4030);
+  assert.deepEqual(computeRowOffsets([], new Map(), 40), [0]);
+});
+
+test('getVisibleRange returns the rows overlapping the viewport and the overscan', () => {
+  assert.deepEqual(getVisibleRange(offsets, 0, 200, 0), { start: 0, end: 4 });
+  assert.deepEqual(getVisibleRange(offsets, 1000, 200, 100), { start: 21, end: 32 });
+});
+
+test('getVisibleRange stays inside the list', () => {
+  assert.deepEqual(getVisibleRange(offsets, 99999, 200, 0), { start: 99, end: 100 });
+  assert.deepEqual(getVisibleRange([0], 0, 100, 0), { start: 0, end: 0 });
+});
+
+test('getCenteredScrollTop centers a row and never scrolls above the top', () => {
+  assert.equal(getCenteredScrollTop(offsets, 50, 200), 1950);
+  assert.equal(getCenteredScrollTop(offsets, 0, 200), 0);
+});
@@ -0,0 +1,52 @@
+// moderation.js - Client side of the host's moderation tools: who we are to the server, and why we were removed
+
+import { MODERATION_CONFIG, STORAGE_KEYS, WS_CONFIG } from './constants.js';
+import { safeLocalStorageGet, safeLocalStorageSet } from './validation.js';
+
+const isValidClientId = (value) => typeof value === 'string' && value.length > 0 && value.length <= MODERATION_CONFIG.MAX_IDENTITY_LENGTH;
+
+/**
+ * Returns the id this browser introduces itself with, creating it on first use. The server applies mutes
+ * and bans to it, so they stick when the user changes their name or reconnects.
+ * @returns {string} Client id
+ */
+export const getClientId = () => {
+  const stored = safeLocalStorageGet(STORAGE_KEYS.CLIENT_ID, null, isValidClientId);
+  if (stored) return stored;
+
+  const random = Math.random().toString(36).slice(2, 12);
+  const clientId = `client-${Date.now().toString(36)}-${random}`;
+  safeLocalStorageSet(STORAGE_KEYS.CLIENT_ID, clientId);
+  return clientId;
+};
+
+/**
+ * Tells whether the server closed our connection because the host removed us, or refused our name
+ * @param {number} code - WebSocket close code
+ * @param {string} reason - WebSocket close reason
+ * @returns {string|null} Notice to show instead of reconnecting, null for any other close
+ */
+export const getRemovalNotice = (code, reason) => {
+  if (code === WS_CONFIG.NAME_REFUSED_CLOSE_CODE) {
+    return reason || "Your name can't be used in this room, rejoin with another name.";
+  }
+  if (code === MODERATION_CONFIG.KICKED_CLOSE_CODE) {
+    return reason || 'You were kicked from the room.';
+  }
+  if (code === MODERATION_CONFIG.BANNED_CLOSE_CODE) {
+    return reason || 'You are banned from this room.';
+  }
+  return null;
+};
+
+/**
+ * Reads the moderation state from a "moderation" or "sync" message
+ * @param {Object} msg - Server message
+ * @returns {{muted: string[], banned: string[], slowMode: number, queueLocked: boolean}} Moderation state
+ */
+export const toModerationState = (msg) => ({
+  muted: Array.isArray(msg.muted) ? msg.muted : [],
+  banned: Array.isArray(msg.banned) ? msg.banned : [],
+  slowMode: typeof msg.slowMode === 'number' ? msg.slowMode : 0,
+  queueLocked: msg.queueLocked === true,
+});
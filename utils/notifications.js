@@ -0,0 +1,67 @@
+// notifications.js - Sound and browser notifications for chat alerts
+
+import { NOTIFICATION_CONFIG } from './constants.js';
+
+let audioContext = null;
+
+/**
+ * Plays a short chime. Generated with the Web Audio API so no sound file has to be loaded.
+ * Browsers only allow audio after the user interacted with the page, before that this does nothing.
+ */
+export const playAlertSound = () => {
+  if (typeof window === 'undefined') return;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    const now = audioContext.currentTime;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(NOTIFICATION_CONFIG.SOUND_FREQUENCY_HZ, now);
+    oscillator.frequency.setValueAtTime(NOTIFICATION_CONFIG.SOUND_FREQUENCY_HZ * 1.5, now + NOTIFICATION_CONFIG.SOUND_DURATION_S / 2);
+    gain.gain.setValueAtTime(NOTIFICATION_CONFIG.SOUND_VOLUME, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + NOTIFICATION_CONFIG.SOUND_DURATION_S);
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start(now);
+    oscillator.stop(now + NOTIFICATION_CONFIG.SOUND_DURATION_S);
+  } catch (error) {
+    console.warn('Could not play the alert sound:', error);
+  }
+};
+
+/**
+ * Asks for permission to show browser notifications, if it wasn't granted or denied yet.
+ * Must be called from a user action such as a click.
+ */
+export const requestNotificationPermission = () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return;
+  if (window.Notification.permission === 'default') {
+    window.Notification.requestPermission().catch((error) => {
+      console.warn('Could not request notification permission:', error);
+    });
+  }
+};
+
+/**
+ * Shows a browser notification if the user allowed them. Notifications with the same tag replace each other.
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ * @param {string} tag - Groups notifications, e.g. per room
+ */
+export const showBrowserNotification = (title, body, tag) => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return;
+  if (window.Notification.permission !== 'granted') return;
+
+  try {
+    const notification = new window.Notification(title, { body, tag, icon: NOTIFICATION_CONFIG.ICON });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    console.warn('Could not show a notification:', error);
+  }
+};
@@ -0,0 +1,473 @@
+// playerAdapters.js - One interface over every kind of player the room can use
+//
+// Every adapter wraps a DOM element and exposes the same methods, so playback sync, drift correction
+// and the controls don't care what is playing:
+//   load(url, start)        show a new video, optionally starting at `start` seconds
+//   play() / pause() / stop()
+//   seek(seconds)
+//   setVolume(volume)       0 to 1
+//   setPlaybackRate(rate)
+//   getCurrentTime()        seconds, or null until the player has reported a position
+//   getStatus()             { url, currentTime, isPlaying, playbackRate, duration, availablePlaybackRates,
+//                             isBuffering, bufferedAhead } where bufferedAhead is the seconds loaded past
+//                             currentTime, or null if the player doesn't say
+//   onEnded(callback)       returns a function that removes the callback
+//   onDurationChange(callback(duration, url))
+//   destroy()
+
+import { PLAYER_CONFIG, YOUTUBE_CONFIG } from './constants.js';
+import { parseMediaUrl } from './mediaSources.js';
+import { isValidYoutubeOrigin } from './validation.js';
+
+const { SOURCE_TYPES } = PLAYER_CONFIG;
+
+const createListeners = () => {
+  const listeners = new Set();
+  return {
+    add: (callback) => {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    emit: (...args) => listeners.forEach(callback => callback(...args)),
+    clear: () => listeners.clear(),
+  };
+};
+
+const createIframeStatus = (url = '') => ({
+  url,
+  currentTime: 0,
+  sampledAt: 0, // When currentTime was reported, 0 until the player reported anything
+  isPlaying: false,
+  playbackRate: 1,
+  duration: 0,
+  availablePlaybackRates: null,
+  isBuffering: false,
+  loadedFraction: null, // Share of the video the player has loaded, null until reported
+});
+
+// Iframe players only report their position every so often, extrapolate from the last report
+const extrapolateTime = (status) => {
+  if (!status.sampledAt) return null;
+  const elapsedSeconds = status.isPlaying ? (Date.now() - status.sampledAt) / 1000 : 0;
+  return status.currentTime + elapsedSeconds * status.playbackRate;
+};
+
+// Status in the shape getStatus() promises, with the loaded share turned into seconds ahead of the position
+const getIframeStatus = (status) => {
+  const { loadedFraction, ...rest } = status;
+  const currentTime = extrapolateTime(status);
+  const bufferedAhead = loadedFraction !== null && status.duration > 0
+    ? Math.max(0, loadedFraction * status.duration - (currentTime || 0))
+    : null;
+  return { ...rest, currentTime, bufferedAhead };
+};
+
+/**
+ * Adapter for the YouTube embed, driven through the iframe API's postMessage protocol
+ * @param {HTMLIFrameElement} iframe - Player iframe
+ * @returns {object} Player adapter
+ */
+export const createYoutubeAdapter = (iframe) => {
+  const ended = createListeners();
+  const durationChanged = createListeners();
+  let status = createIframeStatus();
+  const desired = { playing: false, volume: 1, rate: 1 }; // Re-applied once the player is ready, earlier commands are lost
+
+  const post = (message) => {
+    if (iframe.contentWindow) {
+      iframe.contentWindow.postMessage(JSON.stringify(message), '*');
+    }
+  };
+  const command = (func, args = []) => post({ event: 'command', func, args });
+
+  // Ask the player to stream infoDelivery events (current time, state, rate) to this window
+  const handleLoad = () => post({ event: 'listening', id: 1, channel: 'widget' });
+
+  const handleMessage = (event) => {
+    if (event.source !== iframe.contentWindow || !isValidYoutubeOrigin(event.origin) || typeof event.data !== 'string') {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    if (data.event === 'onReady') {
+      command('setVolume', [Math.round(desired.volume * 100)]);
+      command('setPlaybackRate', [desired.rate]);
+      command(desired.playing ? 'playVideo' : 'pauseVideo');
+    }
+    if ((data.event === 'infoDelivery' || data.event === 'initialDelivery') && data.info) {
+      const info = data.info;
+      status = {
+        ...status,
+        currentTime: typeof info.currentTime === 'number' ? info.currentTime : status.currentTime,
+        sampledAt: typeof info.currentTime === 'number' ? Date.now() : status.sampledAt,
+        isPlaying: typeof info.playerState === 'number' ? info.playerState === 1 : status.isPlaying, // 1 means playing
+        isBuffering: typeof info.playerState === 'number' ? info.playerState === 3 : status.isBuffering, // 3 means buffering
+        loadedFraction: typeof info.videoLoadedFraction === 'number' ? info.videoLoadedFraction : status.loadedFraction,
+        playbackRate: typeof info.playbackRate === 'number' ? info.playbackRate : status.playbackRate,
+        availablePlaybackRates: Array.isArray(info.availablePlaybackRates) ? info.availablePlaybackRates : status.availablePlaybackRates,
+      };
+      if (typeof info.duration === 'number' && info.duration > 0 && info.duration !== status.duration) {
+        status.duration = info.duration;
+        durationChanged.emit(info.duration, status.url);
+      }
+    }
+    if (data.event === 'onStateChange' && typeof data.info === 'number') {
+      status = { ...status, isBuffering: data.info === 3 };
+      if (data.info === 0) { // info 0 means ended
+        ended.emit();
+      }
+    }
+  };
+
+  iframe.addEventListener('load', handleLoad);
+  window.addEventListener('message', handleMessage);
+
+  return {
+    load: (url, start = 0) => {
+      const media = parseMediaUrl(url);
+      if (!media || media.type !== SOURCE_TYPES.YOUTUBE) return;
+      status = createIframeStatus(url);
+      iframe.src = `${YOUTUBE_CONFIG.EMBED_BASE_URL}${media.videoId}?enablejsapi=1&version=3&autoplay=1&mute=0${start ? `&start=${Math.floor(start)}` : ''}`;
+    },
+    play: () => {
+      desired.playing = true;
+      command('playVideo');
+    },
+    pause: () => {
+      desired.playing = false;
+      command('pauseVideo');
+    },
+    stop: () => {
+      desired.playing = false;
+      command('stopVideo');
+    },
+    seek: (seconds) => {
+      command('seekTo', [seconds, true]);
+      status = { ...status, currentTime: seconds, sampledAt: Date.now() };
+    },
+    setVolume: (volume) => {
+      desired.volume = volume;
+      command('setVolume', [Math.round(volume * 100)]);
+    },
+    setPlaybackRate: (rate) => {
+      desired.rate = rate;
+      command('setPlaybackRate', [rate]);
+    },
+    getCurrentTime: () => extrapolateTime(status),
+    getStatus: () => getIframeStatus(status),
+    onEnded: ended.add,
+    onDurationChange: durationChanged.add,
+    destroy: () => {
+      iframe.removeEventListener('load', handleLoad);
+      window.removeEventListener('message', handleMessage);
+      ended.clear();
+      durationChanged.clear();
+    },
+  };
+};
+
+/**
+ * Adapter for the Vimeo embed, driven through Vimeo's postMessage player API
+ * @param {HTMLIFrameElement} iframe - Player iframe
+ * @returns {object} Player adapter
+ */
+export const createVimeoAdapter = (iframe) => {
+  const ended = createListeners();
+  const durationChanged = createListeners();
+  let status = createIframeStatus();
+  const desired = { playing: false, volume: 1, rate: 1 };
+
+  const post = (method, value) => {
+    if (iframe.contentWindow) {
+      iframe.contentWindow.postMessage(JSON.stringify(value === undefined ? { method } : { method, value }), PLAYER_CONFIG.VIMEO_ORIGIN);
+    }
+  };
+
+  const updateDuration = (duration) => {
+    if (typeof duration === 'number' && duration > 0 && duration !== status.duration) {
+      status.duration = duration;
+      durationChanged.emit(duration, status.url);
+    }
+  };
+
+  const handleMessage = (event) => {
+    if (event.source !== iframe.contentWindow || event.origin !== PLAYER_CONFIG.VIMEO_ORIGIN) return;
+
+    let data = event.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+    }
+    if (!data || typeof data !== 'object') return;
+
+    switch (data.event) {
+      case 'ready':
+        ['timeupdate', 'progress', 'play', 'pause', 'ended', 'playbackratechange', 'bufferstart', 'bufferend']
+          .forEach(name => post('addEventListener', name));
+        post('setVolume', desired.volume);
+        post('setPlaybackRate', desired.rate);
+        post(desired.playing ? 'play' : 'pause');
+        post('getDuration');
+        break;
+      case 'timeupdate':
+        if (data.data && typeof data.data.seconds === 'number') {
+          status = { ...status, currentTime: data.data.seconds, sampledAt: Date.now() };
+          updateDuration(data.data.duration);
+        }
+        break;
+      case 'progress':
+        if (data.data && typeof data.data.percent === 'number') {
+          status = { ...status, loadedFraction: data.data.percent };
+        }
+        break;
+      case 'bufferstart':
+        status = { ...status, isBuffering: true };
+        break;
+      case 'bufferend':
+        status = { ...status, isBuffering: false };
+        break;
+      case 'play':
+        status = { ...status, isPlaying: true };
+        break;
+      case 'pause':
+        status = { ...status, isPlaying: false };
+        break;
+      case 'ended':
+        status = { ...status, isPlaying: false, isBuffering: false };
+        ended.emit();
+        break;
+      case 'playbackratechange':
+        if (data.data && typeof data.data.playbackRate === 'number') {
+          status = { ...status, playbackRate: data.data.playbackRate };
+        }
+        break;
+      default:
+        if (data.method === 'getDuration') {
+          updateDuration(data.value);
+        }
+    }
+  };
+
+  window.addEventListener('message', handleMessage);
+
+  return {
+    load: (url, start = 0) => {
+      const media = parseMediaUrl(url);
+      if (!media || media.type !== SOURCE_TYPES.VIMEO) return;
+      status = createIframeStatus(url);
+      const params = new URLSearchParams({ autoplay: '1', api: '1' });
+      if (media.hash) params.set('h', media.hash);
+      iframe.src = `${PLAYER_CONFIG.VIMEO_EMBED_BASE_URL}${media.videoId}?${params}${start ? `#t=${Math.floor(start)}s` : ''}`;
+    },
+    play: () => {
+      desired.playing = true;
+      post('play');
+    },
+    pause: () => {
+      desired.playing = false;
+      post('pause');
+    },
+    stop: () => {
+      desired.playing = false;
+      post('pause');
+      post('setCurrentTime', 0);
+    },
+    seek: (seconds) => {
+      post('setCurrentTime', seconds);
+      status = { ...status, currentTime: seconds, sampledAt: Date.now() };
+    },
+    setVolume: (volume) => {
+      desired.volume = volume;
+      post('setVolume', volume);
+    },
+    setPlaybackRate: (rate) => {
+      desired.rate = rate;
+      post('setPlaybackRate', rate);
+    },
+    getCurrentTime: () => extrapolateTime(status),
+    getStatus: () => getIframeStatus(status),
+    onEnded: ended.add,
+    onDurationChange: durationChanged.add,
+    destroy: () => {
+      window.removeEventListener('message', handleMessage);
+      ended.clear();
+      durationChanged.clear();
+    },
+  };
+};
+
+/**
+ * Adapter for a <video> element playing direct files, or HLS streams (natively or through hls.js)
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {object} Player adapter
+ */
+export const createHtml5Adapter = (video) => {
+  const ended = createListeners();
+  const durationChanged = createListeners();
+  let url = '';
+  let pendingStart = 0; // Start offset applied once the metadata is loaded
+  let hls = null;
+  let desiredPlaying = false;
+  let isBuffering = false; // Between a 'waiting' event and the player being able to play again
+
+  const detachHls = () => {
+    if (hls) {
+      hls.destroy();
+      hls = null;
+    }
+  };
+
+  const startPlayback = () => {
+    const playPromise = video.play();
+    if (playPromise && typeof playPromise.catch === 'function') {
+      playPromise.catch(error => console.warn('Video playback was blocked:', error.message));
+    }
+  };
+
+  const handleEnded = () => {
+    isBuffering = false;
+    ended.emit();
+  };
+  const handleWaiting = () => {
+    isBuffering = true;
+  };
+  const handleCanPlay = () => {
+    isBuffering = false;
+  };
+  const handleDurationChange = () => {
+    if (isFinite(video.duration) && video.duration > 0) {
+      durationChanged.emit(video.duration, url);
+    }
+  };
+  const handleLoadedMetadata = () => {
+    if (pendingStart) {
+      video.currentTime = pendingStart;
+      pendingStart = 0;
+    }
+  };
+
+  video.addEventListener('ended', handleEnded);
+  video.addEventListener('durationchange', handleDurationChange);
+  video.addEventListener('loadedmetadata', handleLoadedMetadata);
+  video.addEventListener('waiting', handleWaiting);
+  video.addEventListener('canplay', handleCanPlay);
+  video.addEventListener('playing', handleCanPlay);
+
+  // Seconds loaded past the current position, from the buffered range the position is in
+  const getBufferedAhead = () => {
+    for (let i = 0; i < video.buffered.length; i++) {
+      if (video.buffered.start(i) <= video.currentTime && video.currentTime <= video.buffered.end(i)) {
+        return video.buffered.end(i) - video.currentTime;
+      }
+    }
+    return 0;
+  };
+
+  return {
+    load: (newUrl, start = 0) => {
+      const media = parseMediaUrl(newUrl);
+      if (!media) return;
+      url = newUrl;
+      pendingStart = start;
+      isBuffering = false;
+      detachHls();
+
+      // Safari plays HLS natively, everyone else needs hls.js (only loaded when a stream is played)
+      if (media.type === SOURCE_TYPES.HLS && !video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.removeAttribute('src');
+        import('hls.js')
+          .then(({ default: Hls }) => {
+            if (url !== newUrl) return; // Something else was loaded in the meantime
+            if (!Hls.isSupported()) {
+              console.warn('HLS streams are not supported in this browser');
+              return;
+            }
+            hls = new Hls();
+            hls.loadSource(newUrl);
+            hls.attachMedia(video);
+            if (desiredPlaying) startPlayback();
+          })
+          .catch(error => console.error('Could not load the HLS player:', error));
+      } else {
+        video.src = newUrl;
+      }
+    },
+    play: () => {
+      desiredPlaying = true;
+      startPlayback();
+    },
+    pause: () => {
+      desiredPlaying = false;
+      video.pause();
+    },
+    stop: () => {
+      desiredPlaying = false;
+      video.pause();
+      video.currentTime = 0;
+    },
+    seek: (seconds) => {
+      video.currentTime = seconds;
+    },
+    setVolume: (volume) => {
+      video.volume = volume;
+    },
+    setPlaybackRate: (rate) => {
+      video.defaultPlaybackRate = rate; // Survives loading the next source
+      video.playbackRate = rate;
+    },
+    getCurrentTime: () => (url && video.readyState > 0 ? video.currentTime : null),
+    getStatus: () => ({
+      url,
+      currentTime: url && video.readyState > 0 ? video.currentTime : null,
+      isPlaying: !video.paused && !video.ended,
+      playbackRate: video.playbackRate,
+      duration: isFinite(video.duration) ? video.duration : 0,
+      availablePlaybackRates: null, // Any rate works
+      isBuffering,
+      bufferedAhead: url ? getBufferedAhead() : null,
+    }),
+    onEnded: ended.add,
+    onDurationChange: durationChanged.add,
+    destroy: () => {
+      video.removeEventListener('ended', handleEnded);
+      video.removeEventListener('durationchange', handleDurationChange);
+      video.removeEventListener('loadedmetadata', handleLoadedMetadata);
+      video.removeEventListener('waiting', handleWaiting);
+      video.removeEventListener('canplay', handleCanPlay);
+      video.removeEventListener('playing', handleCanPlay);
+      detachHls();
+      ended.clear();
+      durationChanged.clear();
+    },
+  };
+};
+
+/**
+ * Creates the adapter for a source type
+ * @param {string} type - Source type, see PLAYER_CONFIG.SOURCE_TYPES
+ * @param {HTMLElement} element - The iframe or video element rendered for that type
+ * @returns {object|null} Player adapter, null for unknown types
+ */
+export const createPlayerAdapter = (type, element) => {
+  switch (type) {
+    case SOURCE_TYPES.YOUTUBE:
+      return createYoutubeAdapter(element);
+    case SOURCE_TYPES.VIMEO:
+      return createVimeoAdapter(element);
+    case SOURCE_TYPES.VIDEO:
+    case SOURCE_TYPES.HLS:
+      return createHtml5Adapter(element);
+    default:
+      console.warn('No player adapter for source type:', type);
+      return null;
+  }
+};
@@ -0,0 +1,183 @@
+// playlistImport.js - Expands a YouTube playlist id into its videos
+//
+// Used by pages/api/playlist.js. A playlist source is any async function
+// (playlistId, limit) => { title, items: [{ videoId, title }], total } or null if the playlist doesn't exist,
+// so the YouTube Data API, the public feed or a local stand-in can be plugged in.
+
+import { PLAYLIST_CONFIG, YOUTUBE_CONFIG } from './constants.js';
+
+/**
+ * Validates a YouTube playlist id
+ * @param {string} playlistId - Playlist id to validate
+ * @returns {boolean} True if valid
+ */
+export const isValidPlaylistId = (playlistId) => {
+  return typeof playlistId === 'string' && YOUTUBE_CONFIG.PLAYLIST_ID_PATTERN.test(playlistId);
+};
+
+// Numeric entities outside Unicode are left as they are, one bad title shouldn't fail the whole feed
+const decodeCodePoint = (match, code) => (code <= 0x10FFFF ? String.fromCodePoint(code) : match);
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#[xX]([0-9a-fA-F]+);/g, (match, hex) => decodeCodePoint(match, parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, decimal) => decodeCodePoint(match, Number(decimal)))
+  .replace(/&amp;/g, '&');
+
+const readXmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXmlEntities(match[1].trim()) : '';
+};
+
+/**
+ * Playlist source reading the public playlist feed. Needs no API key but only sees the latest videos.
+ * @param {object} options - Source options
+ * @param {Function} options.fetcher - fetch-compatible function
+ * @param {string} [options.feedUrl] - Feed endpoint
+ * @returns {Function} Playlist source
+ */
+export const createFeedPlaylistSource = ({ fetcher, feedUrl = PLAYLIST_CONFIG.FEED_URL }) => async (playlistId, limit) => {
+  const response = await fetcher(`${feedUrl}?playlist_id=${encodeURIComponent(playlistId)}`);
+  if (response.status === 404 || response.status === 400) return null;
+  if (!response.ok) {
+    throw new Error(`Playlist feed request failed with status ${response.status}`);
+  }
+
+  const xml = await response.text();
+  const [head, ...entries] = xml.split('<entry>');
+  const items = entries
+    .map(entry => ({ videoId: readXmlTag(entry, 'yt:videoId'), title: readXmlTag(entry, 'title') }))
+    .filter(item => YOUTUBE_CONFIG.VIDEO_ID_PATTERN.test(item.videoId));
+
+  // The feed is capped, so a full page means there may be more we can't see
+  return {
+    title: readXmlTag(head, 'title'),
+    items: items.slice(0, limit),
+    total: items.length < PLAYLIST_CONFIG.FEED_MAX_ITEMS && items.length <= limit ? items.length : null,
+  };
+};
+
+// The Data API answers 403 both for private playlists and for key or quota problems; only the first is the playlist's fault
+const isPrivatePlaylistError = async (response) => {
+  try {
+    const data = await response.json();
+    const errors = (data.error && Array.isArray(data.error.errors)) ? data.error.errors : [];
+    return errors.some(error => error && error.reason === 'playlistItemsNotAccessible');
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Playlist source using the YouTube Data API, pages through the whole playlist up to the limit
+ * @param {object} options - Source options
+ * @param {Function} options.fetcher - fetch-compatible function
+ * @param {string} options.apiKey - Data API key
+ * @param {string} [options.dataApiUrl] - playlistItems endpoint
+ * @returns {Function} Playlist source
+ */
+export const createDataApiPlaylistSource = ({ fetcher, apiKey, dataApiUrl = PLAYLIST_CONFIG.DATA_API_URL }) => async (playlistId, limit) => {
+  const items = [];
+  let total = null;
+  let pageToken = '';
+
+  do {
+    const params = new URLSearchParams({
+      part: 'snippet',
+      playlistId,
+      maxResults: String(PLAYLIST_CONFIG.DATA_API_PAGE_SIZE),
+      key: apiKey,
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const response = await fetcher(`${dataApiUrl}?${params}`);
+    if (response.status === 404 || (response.status === 403 && await isPrivatePlaylistError(response))) return null;
+    if (!response.ok) {
+      throw new Error(`Playlist request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    total = data.pageInfo && typeof data.pageInfo.totalResults === 'number' ? data.pageInfo.totalResults : total;
+    (Array.isArray(data.items) ? data.items : []).forEach(item => {
+      const snippet = item.snippet || {};
+      const videoId = snippet.resourceId && snippet.resourceId.videoId;
+      // Private and deleted videos stay listed but can't be played
+      if (YOUTUBE_CONFIG.VIDEO_ID_PATTERN.test(videoId || '') && snippet.title !== 'Private video' && snippet.title !== 'Deleted video') {
+        items.push({ videoId, title: snippet.title || '' });
+      }
+    });
+    pageToken = data.nextPageToken || '';
+  } while (pageToken && items.length < limit);
+
+  return { title: '', items: items.slice(0, limit), total };
+};
+
+/**
+ * Creates a cached playlist expander around a playlist source
+ * @param {object} options - Service options
+ * @param {Function} options.source - Playlist source
+ * @param {number} [options.maxItems] - Most videos returned for one playlist
+ * @param {number} [options.cacheTtlMs] - How long expanded playlists are cached
+ * @param {number} [options.maxEntries] - Cache size, oldest entries are evicted first
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {{expandPlaylist: Function, clearCache: Function}} Playlist service
+ */
+export const createPlaylistService = ({
+  source,
+  maxItems = PLAYLIST_CONFIG.MAX_IMPORT_ITEMS,
+  cacheTtlMs = PLAYLIST_CONFIG.CACHE_TTL_MS,
+  maxEntries = PLAYLIST_CONFIG.MAX_CACHE_ENTRIES,
+  now = Date.now,
+}) => {
+  if (typeof source !== 'function') {
+    throw new Error('createPlaylistService needs a playlist source');
+  }
+
+  const cache = new Map(); // playlistId -> { value, expiresAt }
+  const inFlight = new Map();
+
+  const lookup = async (playlistId) => {
+    // Ask for one more than we keep so we can tell whether the list was cut off
+    const result = await source(playlistId, maxItems + 1);
+    const value = result ? {
+      playlistId,
+      title: result.title || '',
+      items: result.items.slice(0, maxItems),
+      total: typeof result.total === 'number' ? result.total : null,
+      truncated: result.items.length > maxItems || (typeof result.total === 'number' ? result.total > maxItems : result.total === null),
+    } : null;
+
+    cache.delete(playlistId);
+    cache.set(playlistId, { value, expiresAt: now() + cacheTtlMs });
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    return value;
+  };
+
+  /**
+   * Expands a playlist into at most maxItems videos
+   * @param {string} playlistId - YouTube playlist id
+   * @returns {Promise<object|null>} { playlistId, title, items, total, truncated }, null if the playlist doesn't exist
+   */
+  const expandPlaylist = async (playlistId) => {
+    if (!isValidPlaylistId(playlistId)) return null;
+
+    const cached = cache.get(playlistId);
+    if (cached && cached.expiresAt > now()) return cached.value;
+
+    if (!inFlight.has(playlistId)) {
+      inFlight.set(playlistId, lookup(playlistId).finally(() => inFlight.delete(playlistId)));
+    }
+    return inFlight.get(playlistId);
+  };
+
+  const clearCache = () => {
+    cache.clear();
+  };
+
+  return { expandPlaylist, clearCache };
+};
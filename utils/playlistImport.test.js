@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlaylistHandler } from '../pages/api/playlist.js';
+import { PLAYLIST_CONFIG } from './constants.js';
+import { createDataApiPlaylistSource, createFeedPlaylistSource, createPlaylistService, isValidPlaylistId } from './playlistImport.js';
+
+const PLAYLIST = 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+const videoId = (index) => `video${String(index).padStart(6, '0')}`;
+
+// Stands in for fetch: answers each request with the next response and records the URLs
+const fakeFetcher = (...responses) => {
+  const fetcher = async (url) => {
+    fetcher.urls.push(url);
+    const { status = 200, body = '' } = responses.shift();
+    return {
+      status,
+      ok: status >= 200 && status < 300,
+      text: async () => body,
+      json: async () => JSON.parse(body),
+    };
+  };
+  fetcher.urls = [];
+  return fetcher;
+};
+
+const feed = (title, entries) => `<feed><title>${title}</title>${entries.map(([id, entryTitle]) => (
+  `<entry><yt:videoId>${id}</yt:videoId><title>${entryTitle}</title></entry>`
+)).join('')}</feed>`;
+
+test('isValidPlaylistId accepts playlist ids only', () => {
+  assert.equal(isValidPlaylistId(PLAYLIST), true);
+  assert.equal(isValidPlaylistId('x'), false);
+  assert.equal(isValidPlaylistId('bad id'), false);
+  assert.equal(isValidPlaylistId(`${PLAYLIST}&x=1`), false);
+  assert.equal(isValidPlaylistId(null), false);
+});
+
+test('the feed source reads titles and decodes entities', async () => {
+  const fetcher = fakeFetcher({
+    body: feed('Mix &amp; match', [
+      [videoId(1), 'Rock &#38; roll &#x27;live&#X27; &lt;3'],
+      [videoId(2), 'Bad &#99999999; entity &#x110000;'],
+      ['not a video', 'Skipped'],
+    ]),
+  });
+  const playlist = await createFeedPlaylistSource({ fetcher, feedUrl: 'https://feed.test/videos.xml' })(PLAYLIST, 10);
+  assert.equal(fetcher.urls[0], `https://feed.test/videos.xml?playlist_id=${PLAYLIST}`);
+  assert.deepEqual(playlist, {
+    title: 'Mix & match',
+    items: [
+      { videoId: videoId(1), title: "Rock & roll 'live' <3" },
+      { videoId: videoId(2), title: 'Bad &#99999999; entity &#x110000;' },
+    ],
+    total: 2,
+  });
+});
+
+test('the feed source reports missing playlists, failures and full pages', async () => {
+  assert.equal(await createFeedPlaylistSource({ fetcher: fakeFetcher({ status: 404 }) })(PLAYLIST, 10), null);
+  await assert.rejects(createFeedPlaylistSource({ fetcher: fakeFetcher({ status: 500 }) })(PLAYLIST, 10), /status 500/);
+
+  const entries = Array.from({ length: PLAYLIST_CONFIG.FEED_MAX_ITEMS }, (_, index) => [videoId(index), `Video ${index}`]);
+  const full = await createFeedPlaylistSource({ fetcher: fakeFetcher({ body: feed('Full', entries) }) })(PLAYLIST, 100);
+  assert.equal(full.items.length, PLAYLIST_CONFIG.FEED_MAX_ITEMS);
+  assert.equal(full.total, null);
+});
+
+const dataApiPage = (items, { total = null, next = '' } = {}) => ({
+  body: JSON.stringify({
+    items: items.map(([id, title]) => ({ snippet: { title, resourceId: { videoId: id } } })),
+    pageInfo: total === null ? undefined : { totalResults: total },
+    nextPageToken: next || undefined,
+  }),
+});
+
+test('the Data API source pages through the playlist and skips private and deleted videos', async () => {
+  const fetcher = fakeFetcher(
+    dataApiPage([[videoId(1), 'One'], [videoId(2), 'Private video']], { total: 4, next: 'page-2' }),
+    dataApiPage([[videoId(3), 'Deleted video'], [videoId(4), 'Four']], { total: 4 }),
+  );
+  const playlist = await createDataApiPlaylistSource({ fetcher, apiKey: 'key', dataApiUrl: 'https://api.test/items' })(PLAYLIST, 10);
+  assert.deepEqual(playlist, { title: '', items: [{ videoId: videoId(1), title: 'One' }, { videoId: videoId(4), title: 'Four' }], total: 4 });
+  assert.equal(fetcher.urls.length, 2);
+  assert.equal(new URL(fetcher.urls[1]).searchParams.get('pageToken'), 'page-2');
+  assert.equal(new URL(fetcher.urls[1]).searchParams.get('key'), 'key');
+});
+
+test('the Data API source treats missing and private playlists as missing, and key problems as failures', async () => {
+  const source = (...responses) => createDataApiPlaylistSource({ fetcher: fakeFetcher(...responses), apiKey: 'key' });
+  const apiError = (reason) => JSON.stringify({ error: { code: 403, errors: [{ reason }] } });
+
+  assert.equal(await source({ status: 404 })(PLAYLIST, 10), null);
+  assert.equal(await source({ status: 403, body: apiError('playlistItemsNotAccessible') })(PLAYLIST, 10), null);
+  await assert.rejects(source({ status: 403, body: apiError('quotaExceeded') })(PLAYLIST, 10), /status 403/);
+  await assert.rejects(source({ status: 403, body: 'not json' })(PLAYLIST, 10), /status 403/);
+  await assert.rejects(source({ status: 500 })(PLAYLIST, 10), /status 500/);
+});
+
+test('the playlist service caps the videos, caches playlists and shares lookups in flight', async () => {
+  let clock = 0;
+  let lookups = 0;
+  const source = async (playlistId, limit) => {
+    lookups++;
+    assert.equal(limit, 3);
+    return { title: 'Mix', items: [1, 2, 3].map(index => ({ videoId: videoId(index), title: '' })), total: 5 };
+  };
+  const service = createPlaylistService({ source, maxItems: 2, cacheTtlMs: 1000, now: () => clock });
+
+  const [first, second] = await Promise.all([service.expandPlaylist(PLAYLIST), service.expandPlaylist(PLAYLIST)]);
+  assert.equal(first, second);
+  assert.equal(lookups, 1);
+  assert.deepEqual(first.items.map(item => item.videoId), [videoId(1), videoId(2)]);
+  assert.equal(first.total, 5);
+  assert.equal(first.truncated, true);
+
+  clock = 999;
+  await service.expandPlaylist(PLAYLIST);
+  assert.equal(lookups, 1);
+  clock = 1000;
+  await service.expandPlaylist(PLAYLIST);
+  assert.equal(lookups, 2);
+
+  assert.equal(await service.expandPlaylist('bad id'), null);
+  assert.equal(lookups, 2);
+});
+
+test('the playlist service evicts the oldest playlists and retries failed lookups', async () => {
+  const requested = [];
+  let failing = true;
+  const source = async (playlistId) => {
+    requested.push(playlistId);
+    if (failing) throw new Error('offline');
+    return { title: '', items: [{ videoId: videoId(1), title: '' }], total: 1 };
+  };
+  const service = createPlaylistService({ source, maxEntries: 2 });
+  const ids = ['PLaaaaaaaaaaaaaa', 'PLbbbbbbbbbbbbbb', 'PLcccccccccccccc'];
+
+  await assert.rejects(service.expandPlaylist(ids[0]), /offline/);
+  failing = false;
+  assert.equal((await service.expandPlaylist(ids[0])).truncated, false);
+  await service.expandPlaylist(ids[1]);
+  await service.expandPlaylist(ids[2]);
+  await service.expandPlaylist(ids[2]);
+  await service.expandPlaylist(ids[0]);
+  assert.deepEqual(requested, [ids[0], ids[0], ids[1], ids[2], ids[0]]);
+});
+
+// Stands in for the Next.js response object
+const fakeResponse = () => {
+  const res = { statusCode: null, body: null, headers: {} };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+test('the playlist route answers with 4xx for bad requests and missing playlists, 502 for failures', async () => {
+  const handle = async (source, req) => {
+    const res = fakeResponse();
+    await createPlaylistHandler(createPlaylistService({ source }))({ method: 'GET', query: { list: PLAYLIST }, ...req }, res);
+    return res;
+  };
+  const found = async () => ({ title: 'Mix', items: [{ videoId: videoId(1), title: 'One' }], total: 1 });
+
+  assert.equal((await handle(found, { method: 'POST' })).statusCode, 405);
+  assert.equal((await handle(found, { query: { list: 'bad id' } })).statusCode, 400);
+  assert.equal((await handle(async () => null)).statusCode, 404);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await handle(async () => { throw new Error('offline'); })).statusCode, 502);
+  } finally {
+    console.error = originalError;
+  }
+
+  const res = await handle(found);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.playlist.items[0].title, 'One');
+});
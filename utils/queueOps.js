@@ -0,0 +1,180 @@
+// queueOps.js - Queue entries and operations shared through the room
+//
+// The queue is edited with small operations (insert, remove, move, clear) instead of sending the
+// whole array. The server gives every op a version and all clients replay them in that order, so
+// concurrent edits merge the same way everywhere. applyQueueOp must match applyQueueOp in queue.go.
+
+import { QUEUE_CONFIG } from './constants.js';
+import { getMediaSourceType } from './mediaSources.js';
+
+/**
+ * Generates a reasonably unique id for queue entries and operations
+ * @param {string} prefix - Prefix making ids easier to tell apart in logs
+ * @returns {string} Unique id
+ */
+export const generateQueueId = (prefix) => {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${prefix}-${Date.now().toString(36)}-${random}`;
+};
+
+/**
+ * Creates a queue entry for a URL
+ * @param {string} url - Video URL
+ * @returns {{id: string, url: string, source: string}} Queue entry, source says which player adapter plays it
+ */
+export const createQueueEntry = (url) => ({
+  id: generateQueueId('entry'),
+  url,
+  source: getMediaSourceType(url) || '',
+});
+
+/**
+ * Creates a queue operation with a unique op id
+ * @param {'insert'|'remove'|'move'|'clear'} kind - Operation kind
+ * @param {object} fields - entries (insert), entryId (remove, move), position and afterId (insert, move)
+ * @returns {object} Queue operation
+ */
+export const createQueueOp = (kind, fields = {}) => ({
+  id: generateQueueId('op'),
+  kind,
+  ...fields,
+});
+
+/**
+ * Resolves where an insert or move places entries; a missing "after" entry appends
+ * @param {Array} queue - Queue the op applies to
+ * @param {object} op - Queue operation
+ * @returns {number} Insertion index
+ */
+const insertionIndex = (queue, op) => {
+  if (op.position === 'start') return 0;
+  if (op.position === 'after') {
+    const afterIndex = queue.findIndex(entry => entry.id === op.afterId);
+    if (afterIndex !== -1) return afterIndex + 1;
+  }
+  return queue.length;
+};
+
+/**
+ * Applies one operation to a queue. Ops referring to missing entries are no-ops.
+ * @param {Array} queue - Current queue entries
+ * @param {object} op - Queue operation
+ * @returns {Array} New queue entries
+ */
+export const applyQueueOp = (queue, op) => {
+  if (!op || typeof op !== 'object') return queue;
+
+  switch (op.kind) {
+    case 'insert': {
+      const existingIds = new Set(queue.map(entry => entry.id));
+      const added = (Array.isArray(op.entries) ? op.entries : []).filter(entry => {
+        if (!entry || existingIds.has(entry.id)) return false;
+        existingIds.add(entry.id);
+        return true;
+      });
+      const at = insertionIndex(queue, op);
+      return [...queue.slice(0, at), ...added, ...queue.slice(at)];
+    }
+    case 'remove':
+      return queue.some(entry => entry.id === op.entryId)
+        ? queue.filter(entry => entry.id !== op.entryId)
+        : queue;
+    case 'move': {
+      const entry = queue.find(item => item.id === op.entryId);
+      if (!entry || (op.position === 'after' && op.afterId === op.entryId)) return queue;
+      const without = queue.filter(item => item.id !== op.entryId);
+      const at = insertionIndex(without, op);
+      return [...without.slice(0, at), entry, ...without.slice(at)];
+    }
+    case 'clear':
+      return [];
+    default:
+      console.warn('Unknown queue operation:', op.kind);
+      return queue;
+  }
+};
+
+/**
+ * Local copy of the shared queue: the last state confirmed by the server plus our own ops
+ * that the server hasn't sequenced yet.
+ * @returns {{confirmed: Array, version: number, pending: Array}} Empty replica
+ */
+export const createQueueReplica = () => ({
+  confirmed: [],
+  version: 0,
+  pending: [],
+});
+
+/**
+ * The queue to display: confirmed entries with our pending ops applied optimistically on top
+ * @param {object} replica - Queue replica
+ * @returns {Array} Queue entries
+ */
+export const getVisibleQueue = (replica) => {
+  return replica.pending.reduce(applyQueueOp, replica.confirmed);
+};
+
+/**
+ * Adds one of our own ops to the replica until the server confirms it. Waiting ops are never dropped to
+ * make room, the queue we show would stop matching the server's, so new ops are refused instead.
+ * @param {object} replica - Queue replica
+ * @param {object} op - Queue operation
+ * @returns {object|null} New replica, null if MAX_PENDING_OPS ops are already waiting
+ */
+export const addPendingQueueOp = (replica, op) => {
+  if (replica.pending.length >= QUEUE_CONFIG.MAX_PENDING_OPS) return null;
+  return { ...replica, pending: [...replica.pending, op] };
+};
+
+/**
+ * Drops one of our ops the server refused
+ * @param {object} replica - Queue replica
+ * @param {string} opId - Refused op id
+ * @returns {object} New replica
+ */
+export const rejectPendingQueueOp = (replica, opId) => ({
+  ...replica,
+  pending: replica.pending.filter(op => op.id !== opId),
+});
+
+/**
+ * Applies an op sequenced by the server
+ * @param {object} replica - Queue replica
+ * @param {object} op - Queue operation
+ * @param {number} version - Queue version after the op
+ * @returns {{replica: object, needsResync: boolean}} New replica, and whether we missed ops and need a snapshot
+ */
+export const receiveQueueOp = (replica, op, version) => {
+  if (!op || typeof version !== 'number' || version <= replica.version) {
+    return { replica, needsResync: false }; // Already have it
+  }
+  if (version !== replica.version + 1) {
+    return { replica, needsResync: true }; // We missed something in between
+  }
+
+  return {
+    replica: {
+      confirmed: applyQueueOp(replica.confirmed, op),
+      version,
+      pending: replica.pending.filter(pendingOp => pendingOp.id !== op.id),
+    },
+    needsResync: false,
+  };
+};
+
+/**
+ * Replaces the confirmed queue with a versioned snapshot from the server
+ * @param {object} replica - Queue replica
+ * @param {Array} queue - Snapshot entries
+ * @param {number} version - Snapshot version
+ * @param {Array<string>} appliedOps - Ids of recently applied ops, pending ops among them are done
+ * @returns {object} New replica
+ */
+export const receiveQueueSnapshot = (replica, queue, version, appliedOps = []) => {
+  const applied = new Set(Array.isArray(appliedOps) ? appliedOps : []);
+  return {
+    confirmed: Array.isArray(queue) ? queue : [],
+    version: typeof version === 'number' ? version : 0,
+    pending: replica.pending.filter(op => !applied.has(op.id)),
+  };
+};
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUEUE_CONFIG } from './constants.js';
+import {
+  addPendingQueueOp,
+  applyQueueOp,
+  createQueueOp,
+  createQueueReplica,
+  getVisibleQueue,
+  receiveQueueOp,
+  receiveQueueSnapshot,
+  rejectPendingQueueOp,
+} from './queueOps.js';
+
+const entry = (id) => ({ id, url: `https://www.youtube.com/watch?v=${id}`, source: 'youtube' });
+const ids = (queue) => queue.map(item => item.id);
+
+test('insert places entries at the start, the end or after an entry, skipping duplicates', () => {
+  const queue = [entry('a'), entry('b')];
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'insert', entries: [entry('c')], position: 'start' })), ['c', 'a', 'b']);
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'insert', entries: [entry('c')] })), ['a', 'b', 'c']);
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'insert', entries: [entry('c')], position: 'after', afterId: 'a' })), ['a', 'c', 'b']);
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'insert', entries: [entry('a'), entry('c'), entry('c')] })), ['a', 'b', 'c']);
+});
+
+test('insert after a missing entry appends', () => {
+  const queue = [entry('a')];
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'insert', entries: [entry('b')], position: 'after', afterId: 'gone' })), ['a', 'b']);
+});
+
+test('remove and move ignore missing entries', () => {
+  const queue = [entry('a'), entry('b'), entry('c')];
+  assert.equal(applyQueueOp(queue, { kind: 'remove', entryId: 'gone' }), queue);
+  assert.equal(applyQueueOp(queue, { kind: 'move', entryId: 'gone', position: 'start' }), queue);
+  assert.equal(applyQueueOp(queue, { kind: 'move', entryId: 'a', position: 'after', afterId: 'a' }), queue);
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'remove', entryId: 'b' })), ['a', 'c']);
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'move', entryId: 'c', position: 'after', afterId: 'a' })), ['a', 'c', 'b']);
+  assert.deepEqual(ids(applyQueueOp(queue, { kind: 'move', entryId: 'a' })), ['b', 'c', 'a']);
+  assert.deepEqual(applyQueueOp(queue, { kind: 'clear' }), []);
+});
+
+test('pending ops are shown on top of the confirmed queue until the server sequences them', () => {
+  const op = createQueueOp('insert', { entries: [entry('a')] });
+  let replica = addPendingQueueOp(createQueueReplica(), op);
+  assert.deepEqual(ids(getVisibleQueue(replica)), ['a']);
+
+  const other = createQueueOp('insert', { entries: [entry('b')], position: 'start' });
+  ({ replica } = receiveQueueOp(replica, other, 1));
+  assert.deepEqual(ids(replica.confirmed), ['b']);
+  assert.deepEqual(ids(getVisibleQueue(replica)), ['b', 'a']);
+
+  ({ replica } = receiveQueueOp(replica, op, 2));
+  assert.deepEqual(replica.pending, []);
+  assert.deepEqual(ids(getVisibleQueue(replica)), ['b', 'a']);
+});
+
+test('ops already applied are ignored and gaps in the versions ask for a resync', () => {
+  const replica = { ...createQueueReplica(), version: 3 };
+  const op = createQueueOp('clear');
+  assert.deepEqual(receiveQueueOp(replica, op, 3), { replica, needsResync: false });
+  assert.deepEqual(receiveQueueOp(replica, op, 5), { replica, needsResync: true });
+  assert.equal(receiveQueueOp(replica, op, 4).replica.version, 4);
+});
+
+test('refused ops are dropped from the pending ops', () => {
+  const op = createQueueOp('insert', { entries: [entry('a')] });
+  const replica = rejectPendingQueueOp(addPendingQueueOp(createQueueReplica(), op), op.id);
+  assert.deepEqual(getVisibleQueue(replica), []);
+});
+
+test('a snapshot replaces the confirmed queue and keeps only the pending ops it did not apply', () => {
+  const applied = createQueueOp('insert', { entries: [entry('a')] });
+  const unsent = createQueueOp('insert', { entries: [entry('b')] });
+  let replica = addPendingQueueOp(addPendingQueueOp(createQueueReplica(), applied), unsent);
+  replica = receiveQueueSnapshot(replica, [entry('a')], 7, [applied.id]);
+  assert.equal(replica.version, 7);
+  assert.deepEqual(replica.pending, [unsent]);
+  assert.deepEqual(ids(getVisibleQueue(replica)), ['a', 'b']);
+});
+
+test('new ops are refused once the pending limit is reached, waiting ones are kept', () => {
+  let replica = createQueueReplica();
+  for (let i = 0; i < QUEUE_CONFIG.MAX_PENDING_OPS; i++) {
+    replica = addPendingQueueOp(replica, createQueueOp('insert', { entries: [entry(`e${i}`)] }));
+  }
+  assert.equal(addPendingQueueOp(replica, createQueueOp('clear')), null);
+  assert.equal(replica.pending.length, QUEUE_CONFIG.MAX_PENDING_OPS);
+  assert.equal(getVisibleQueue(replica)[0].id, 'e0');
+});
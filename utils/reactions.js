@@ -0,0 +1,58 @@
+// reactions.js - Helpers for live reactions and replaying them along the timeline
+
+import { REACTION_CONFIG } from './constants.js';
+
+/**
+ * Checks that a reaction from the server has the expected shape
+ * @param {any} reaction - Reaction to check
+ * @returns {boolean} True if valid
+ */
+export const isValidReaction = (reaction) => {
+  return !!reaction &&
+    typeof reaction.id === 'string' &&
+    REACTION_CONFIG.EMOJIS.includes(reaction.emoji) &&
+    typeof reaction.time === 'number' && isFinite(reaction.time) && reaction.time >= 0;
+};
+
+/**
+ * Merges reactions into a list, skipping ids that are already in it
+ * @param {Array} reactions - Current reactions
+ * @param {Array} incoming - Reactions to add
+ * @returns {Array} Merged list, the same array if nothing was added
+ */
+export const mergeReactions = (reactions, incoming) => {
+  const knownIds = new Set(reactions.map(reaction => reaction.id));
+  const added = incoming.filter(reaction => isValidReaction(reaction) && !knownIds.has(reaction.id));
+  return added.length > 0 ? [...reactions, ...added] : reactions;
+};
+
+/**
+ * Returns the reactions to replay when playback moved from one position to another.
+ * Backwards moves and jumps longer than REACTION_CONFIG.REPLAY_MAX_STEP_S are seeks and replay nothing.
+ * @param {Array} reactions - Stored reactions
+ * @param {number} from - Previous playback position in seconds
+ * @param {number} to - Current playback position in seconds
+ * @returns {Array} Reactions with from < time <= to
+ */
+export const getReactionsToReplay = (reactions, from, to) => {
+  if (to <= from || to - from > REACTION_CONFIG.REPLAY_MAX_STEP_S) return [];
+  return reactions.filter(reaction => reaction.time > from && reaction.time <= to);
+};
+
+/**
+ * Counts reactions per slice of the timeline
+ * @param {Array} reactions - Reactions to count
+ * @param {number} duration - Video duration in seconds
+ * @param {number} bins - Number of slices
+ * @returns {number[]} Reaction count per slice, empty if the duration is unknown
+ */
+export const buildReactionHeatmap = (reactions, duration, bins = REACTION_CONFIG.HEATMAP_BINS) => {
+  if (!(duration > 0) || bins < 1) return [];
+  const counts = new Array(bins).fill(0);
+  reactions.forEach(reaction => {
+    if (reaction.time > duration) return;
+    const bin = Math.min(bins - 1, Math.floor((reaction.time / duration) * bins));
+    counts[bin]++;
+  });
+  return counts;
+};
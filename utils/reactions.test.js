@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REACTION_CONFIG } from './constants.js';
+import { buildReactionHeatmap, getReactionsToReplay, isValidReaction, mergeReactions } from './reactions.js';
+
+const reaction = (id, time, emoji = '🔥') => ({ id, emoji, time, sender: 'viewer' });
+
+test('isValidReaction accepts known emoji at a playback position', () => {
+  assert.equal(isValidReaction(reaction('1', 0)), true);
+  assert.equal(isValidReaction(reaction('1', 5, '🍕')), false);
+  assert.equal(isValidReaction(reaction('1', -1)), false);
+  assert.equal(isValidReaction(reaction('1', Infinity)), false);
+  assert.equal(isValidReaction({ ...reaction('1', 5), id: 1 }), false);
+  assert.equal(isValidReaction(null), false);
+});
+
+test('mergeReactions adds new valid reactions once', () => {
+  const reactions = [reaction('1', 1)];
+  assert.deepEqual(mergeReactions(reactions, [reaction('1', 1), reaction('2', 2), reaction('3', 3, 'x')]).map(item => item.id), ['1', '2']);
+  assert.equal(mergeReactions(reactions, [reaction('1', 1)]), reactions);
+});
+
+test('getReactionsToReplay replays what playback passed and skips seeks', () => {
+  const reactions = [reaction('1', 10), reaction('2', 10.5), reaction('3', 11)];
+  assert.deepEqual(getReactionsToReplay(reactions, 10, 11).map(item => item.id), ['2', '3']);
+  assert.deepEqual(getReactionsToReplay(reactions, 11, 10), []);
+  assert.deepEqual(getReactionsToReplay(reactions, 9, 9 + REACTION_CONFIG.REPLAY_MAX_STEP_S + 0.1), []);
+});
+
+test('buildReactionHeatmap counts reactions per slice of the video', () => {
+  const reactions = [reaction('1', 0), reaction('2', 4.9), reaction('3', 5), reaction('4', 10), reaction('5', 11)];
+  assert.deepEqual(buildReactionHeatmap(reactions, 10, 2), [2, 2]);
+  assert.equal(buildReactionHeatmap(reactions, 10).length, REACTION_CONFIG.HEATMAP_BINS);
+  assert.deepEqual(buildReactionHeatmap(reactions, 0, 2), []);
+  assert.deepEqual(buildReactionHeatmap(reactions, NaN, 2), []);
+});
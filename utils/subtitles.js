@@ -0,0 +1,112 @@
+// subtitles.js - Parses SRT and WebVTT subtitle files into timed cues
+
+import { SUBTITLE_CONFIG } from './constants.js';
+
+// 00:01:02,345 (SRT) or 00:01:02.345 / 01:02.345 (WebVTT)
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/;
+const TIMING_LINE_PATTERN = /^\s*(\S+)\s+-->\s+(\S+)/;
+
+/**
+ * Parses a subtitle timestamp
+ * @param {string} value - Timestamp such as "00:01:02,345" or "01:02.345"
+ * @returns {number|null} Seconds, null if the timestamp is malformed
+ */
+export const parseSubtitleTimestamp = (value) => {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+// Cue text is shown as plain text: formatting tags (<i>, <b>, <font>, <v Speaker>, <c.class>) are dropped
+const toPlainText = (lines) => lines
+  .join('\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/\{\\[^}]*\}/g, '') // SSA-style override tags some SRT files carry, e.g. {\an8}
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .trim()
+  .slice(0, SUBTITLE_CONFIG.MAX_CUE_LENGTH);
+
+/**
+ * Parses an SRT or WebVTT file. Both are blocks separated by blank lines with a "start --> end" line,
+ * so one parser handles them; blocks without a valid timing line (headers, NOTE, STYLE) are skipped.
+ * @param {string} text - File contents
+ * @returns {Array<{start: number, end: number, text: string}>} Cues sorted by start time
+ */
+export const parseSubtitles = (text) => {
+  if (typeof text !== 'string') return [];
+
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+    const timing = TIMING_LINE_PATTERN.exec(lines[timingIndex]);
+    if (!timing) continue;
+
+    const start = parseSubtitleTimestamp(timing[1]);
+    const end = parseSubtitleTimestamp(timing[2]);
+    const cueText = toPlainText(lines.slice(timingIndex + 1));
+    if (start === null || end === null || end <= start || !cueText) continue;
+
+    cues.push({ start, end, text: cueText });
+    if (cues.length >= SUBTITLE_CONFIG.MAX_CUES) break;
+  }
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Keeps the well-formed cues of a track received from the room
+ * @param {any} track - Track as sent by the server
+ * @returns {{label: string, sender: string, cues: Array}|null} Track, null if it has no usable cues
+ */
+export const normalizeSubtitleTrack = (track) => {
+  if (!track || !Array.isArray(track.cues)) return null;
+  const cues = track.cues
+    .filter(cue => cue && typeof cue.start === 'number' && typeof cue.end === 'number' && cue.end > cue.start && typeof cue.text === 'string')
+    .sort((a, b) => a.start - b.start);
+  if (cues.length === 0) return null;
+  return {
+    label: typeof track.label === 'string' ? track.label : '',
+    sender: typeof track.sender === 'string' ? track.sender : '',
+    cues,
+  };
+};
+
+/**
+ * Checks that a subtitle file can be loaded before reading it
+ * @param {File} file - Selected file
+ * @returns {string} Error message, empty if the file looks fine
+ */
+export const validateSubtitleFile = (file) => {
+  if (!file) return 'No file selected.';
+  const name = file.name.toLowerCase();
+  if (!SUBTITLE_CONFIG.FILE_EXTENSIONS.some(extension => name.endsWith(extension))) {
+    return 'Subtitles must be an .srt or .vtt file.';
+  }
+  if (file.size > SUBTITLE_CONFIG.MAX_FILE_BYTES) {
+    return 'The subtitle file is too large.';
+  }
+  return '';
+};
+
+/**
+ * Returns the cues shown at a playback position
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues sorted by start time
+ * @param {number} time - Playback position in seconds, already shifted by the viewer's offset
+ * @returns {Array<{start: number, end: number, text: string}>} Active cues
+ */
+export const getActiveCues = (cues, time) => {
+  const active = [];
+  for (const cue of cues) {
+    if (cue.start > time) break;
+    if (time < cue.end) active.push(cue);
+  }
+  return active;
+};
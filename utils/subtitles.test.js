@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SUBTITLE_CONFIG } from './constants.js';
+import { getActiveCues, normalizeSubtitleTrack, parseSubtitleTimestamp, parseSubtitles, validateSubtitleFile } from './subtitles.js';
+
+test('parseSubtitleTimestamp reads SRT and WebVTT timestamps', () => {
+  assert.equal(parseSubtitleTimestamp('00:01:02,345'), 62.345);
+  assert.equal(parseSubtitleTimestamp('01:00:00.5'), 3600.5);
+  assert.equal(parseSubtitleTimestamp('01:02.345'), 62.345);
+  ['', '1:2', '00:01:02', '00:01:02,3456', 'aa:bb:cc,ddd', '00:01:02,345 '].forEach(value => {
+    assert.equal(parseSubtitleTimestamp(value), null, value);
+  });
+});
+
+test('parseSubtitles reads SRT files with cue numbers, comma decimals and CRLF line ends', () => {
+  const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\n<i>world</i>\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n{\\an8}Top &amp; tail\r\n';
+  assert.deepEqual(parseSubtitles(srt), [
+    { start: 1, end: 2.5, text: 'Hello\nworld' },
+    { start: 3, end: 4, text: 'Top & tail' },
+  ]);
+});
+
+test('parseSubtitles reads WebVTT files with headers, hour-less timestamps and cue settings', () => {
+  const vtt = [
+    'WEBVTT - Example',
+    '',
+    'NOTE written by hand --> not a cue',
+    '',
+    'STYLE',
+    '::cue { color: red }',
+    '',
+    'intro',
+    '00:05.000 --> 00:06.000 align:start line:0',
+    '<v Alice>Second</v>',
+    '',
+    '00:00:01.000 --> 00:00:02.000',
+    '<c.loud>First</c> &lt;3',
+  ].join('\n');
+  assert.deepEqual(parseSubtitles(vtt), [
+    { start: 1, end: 2, text: 'First <3' },
+    { start: 5, end: 6, text: 'Second' },
+  ]);
+});
+
+test('parseSubtitles skips malformed blocks and keeps the rest', () => {
+  const text = [
+    '1',
+    '00:00:01,000 --> soon',
+    'Bad end',
+    '',
+    '2',
+    '00:00:05,000 --> 00:00:04,000',
+    'Ends before it starts',
+    '',
+    '3',
+    '00:00:06,000 --> 00:00:07,000',
+    '',
+    '4',
+    'no timing line',
+    '',
+    '5',
+    '00:00:08,000 --> 00:00:09,000',
+    '<b></b>',
+    '',
+    '6',
+    '00:00:10,000 --> 00:00:11,000',
+    'Good',
+  ].join('\n');
+  assert.deepEqual(parseSubtitles(text), [{ start: 10, end: 11, text: 'Good' }]);
+  assert.deepEqual(parseSubtitles(''), []);
+  assert.deepEqual(parseSubtitles(null), []);
+});
+
+test('parseSubtitles caps the cue length', () => {
+  const long = 'a'.repeat(SUBTITLE_CONFIG.MAX_CUE_LENGTH + 10);
+  const [cue] = parseSubtitles(`00:00:01,000 --> 00:00:02,000\n${long}`);
+  assert.equal(cue.text.length, SUBTITLE_CONFIG.MAX_CUE_LENGTH);
+});
+
+test('validateSubtitleFile refuses other file types and files that are too large', () => {
+  assert.equal(validateSubtitleFile({ name: 'movie.SRT', size: 100 }), '');
+  assert.equal(validateSubtitleFile({ name: 'movie.vtt', size: SUBTITLE_CONFIG.MAX_FILE_BYTES }), '');
+  assert.equal(validateSubtitleFile({ name: 'movie.ass', size: 100 }), 'Subtitles must be an .srt or .vtt file.');
+  assert.equal(validateSubtitleFile({ name: 'movie.srt.exe', size: 100 }), 'Subtitles must be an .srt or .vtt file.');
+  assert.equal(validateSubtitleFile({ name: 'movie.srt', size: SUBTITLE_CONFIG.MAX_FILE_BYTES + 1 }), 'The subtitle file is too large.');
+  assert.equal(validateSubtitleFile(null), 'No file selected.');
+});
+
+test('normalizeSubtitleTrack keeps only well-formed cues from the room', () => {
+  const track = normalizeSubtitleTrack({
+    label: 'English',
+    sender: 5,
+    cues: [{ start: 3, end: 4, text: 'b' }, null, { start: 2, end: 1, text: 'x' }, { start: '1', end: 2, text: 'x' }, { start: 1, end: 2, text: 'a' }],
+  });
+  assert.deepEqual(track, { label: 'English', sender: '', cues: [{ start: 1, end: 2, text: 'a' }, { start: 3, end: 4, text: 'b' }] });
+  assert.equal(normalizeSubtitleTrack({ cues: [{ start: 2, end: 1, text: 'x' }] }), null);
+  assert.equal(normalizeSubtitleTrack({}), null);
+});
+
+test('getActiveCues returns every cue shown at a position, including overlapping ones', () => {
+  const cues = [
+    { start: 0, end: 5, text: 'long' },
+    { start: 2, end: 3, text: 'short' },
+    { start: 3, end: 4, text: 'next' },
+  ];
+  assert.deepEqual(getActiveCues(cues, 2.5).map(cue => cue.text), ['long', 'short']);
+  assert.deepEqual(getActiveCues(cues, 3).map(cue => cue.text), ['long', 'next']);
+  assert.deepEqual(getActiveCues(cues, 5), []);
+  assert.deepEqual(getActiveCues(cues, -1), []);
+  assert.deepEqual(getActiveCues([], 1), []);
+});
@@ -1,6 +1,6 @@
 // validation.js - Utility functions for input validation and sanitization
 
-import { VALIDATION, YOUTUBE_CONFIG } from './constants.js';
+import { ROOM_CONFIG, VALIDATION, YOUTUBE_CONFIG } from './constants.js';
 
 /**
  * Sanitizes a string by trimming whitespace and removing potentially harmful characters
@@ -13,16 +13,79 @@ export const sanitizeString = (input, maxLength = VALIDATION.MAX_MESSAGE_LENGTH)
   return input.trim().substring(0, maxLength);
 };
 
+/**
+ * Parses a YouTube timestamp such as "90", "90s", "1m30s" or "1h2m3s"
+ * @param {string|null} value - Timestamp from a t= or start= parameter
+ * @returns {number} Offset in whole seconds, 0 if missing or invalid
+ */
+export const parseYoutubeTime = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return 0;
+
+  const trimmed = value.trim().toLowerCase();
+  if (/^\d+(\.\d+)?s?$/.test(trimmed)) {
+    return Math.floor(parseFloat(trimmed));
+  }
+  const match = trimmed.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match) return 0;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+/**
+ * Parses a YouTube link. Only YouTube hosts are accepted (www, m, music, youtu.be, youtube-nocookie)
+ * with watch, /shorts/, /live/, /embed/ and playlist paths. The protocol may be left out.
+ * @param {string} url - URL to parse
+ * @returns {{videoId: string|null, start: number, playlistId: string|null}|null} Parsed link, null if it isn't a YouTube video or playlist link
+ */
+export const parseYoutubeUrl = (url) => {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  let parsed;
+  try {
+    const trimmed = url.trim();
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+
+  const host = parsed.hostname.toLowerCase();
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  let videoId = null;
+  if (YOUTUBE_CONFIG.SHORT_HOSTS.includes(host)) {
+    videoId = segments[0] || null;
+  } else if (YOUTUBE_CONFIG.HOSTS.includes(host)) {
+    if (segments[0] === 'watch') {
+      videoId = parsed.searchParams.get('v');
+    } else if (YOUTUBE_CONFIG.ID_PATH_PREFIXES.includes(segments[0]) && segments[1] !== 'videoseries') {
+      videoId = segments[1] || null;
+    } else if (segments[0] !== 'playlist' && segments[1] !== 'videoseries') {
+      return null;
+    }
+  } else {
+    return null;
+  }
+  if (videoId !== null && !YOUTUBE_CONFIG.VIDEO_ID_PATTERN.test(videoId)) return null;
+
+  const list = parsed.searchParams.get('list');
+  const playlistId = list && YOUTUBE_CONFIG.PLAYLIST_ID_PATTERN.test(list) ? list : null;
+  if (!videoId && !playlistId) return null;
+
+  // Start offset from ?t=, ?start= or a #t= fragment
+  const hashParams = new URLSearchParams(parsed.hash.slice(1));
+  const start = parseYoutubeTime(parsed.searchParams.get('t') || parsed.searchParams.get('start') || hashParams.get('t'));
+
+  return { videoId, start, playlistId };
+};
+
 /**
  * Validates and extracts YouTube video ID from URL
  * @param {string} url - YouTube URL to validate
  * @returns {string|null} Video ID if valid, null otherwise
  */
 export const getYoutubeVideoId = (url) => {
-  if (typeof url !== 'string') return null;
-
-  const match = url.match(VALIDATION.YOUTUBE_URL_PATTERN);
-  return match ? match[1] : null;
+  const parsed = parseYoutubeUrl(url);
+  return parsed ? parsed.videoId : null;
 };
 
 /**
@@ -49,6 +112,39 @@ export const generateRandomUsername = () => {
   return `${adjective}${noun}${number}`;
 };
 
+/**
+ * Generates a random, human-friendly room code
+ * @returns {string} Room code
+ */
+export const generateRoomCode = () => {
+  let code = '';
+  for (let i = 0; i < ROOM_CONFIG.CODE_LENGTH; i++) {
+    code += ROOM_CONFIG.CODE_ALPHABET[Math.floor(Math.random() * ROOM_CONFIG.CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Normalizes a room code (trimmed, lowercase) and validates its format
+ * @param {string} code - Room code to normalize
+ * @returns {string|null} Normalized room code if valid, null otherwise
+ */
+export const normalizeRoomCode = (code) => {
+  if (typeof code !== 'string') return null;
+
+  const normalized = code.trim().toLowerCase();
+  return ROOM_CONFIG.CODE_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Validates room code format
+ * @param {string} code - Room code to validate
+ * @returns {boolean} True if valid
+ */
+export const isValidRoomCode = (code) => {
+  return normalizeRoomCode(code) !== null;
+};
+
 /**
  * Validates username format and length
  * @param {string} username - Username to validate
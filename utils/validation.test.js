@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYoutubeTime, parseYoutubeUrl } from './validation.js';
+
+const VIDEO = 'dQw4w9WgXcQ';
+const PLAYLIST = 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+
+test('parseYoutubeTime reads seconds and h/m/s timestamps', () => {
+  assert.equal(parseYoutubeTime('90'), 90);
+  assert.equal(parseYoutubeTime('90s'), 90);
+  assert.equal(parseYoutubeTime('1m30s'), 90);
+  assert.equal(parseYoutubeTime('1h2m3s'), 3723);
+  assert.equal(parseYoutubeTime('soon'), 0);
+  assert.equal(parseYoutubeTime(null), 0);
+});
+
+test('parseYoutubeUrl reads the video id from every supported path', () => {
+  const links = [
+    `https://www.youtube.com/watch?v=${VIDEO}`,
+    `https://m.youtube.com/watch?v=${VIDEO}&feature=share`,
+    `https://music.youtube.com/watch?v=${VIDEO}`,
+    `https://youtu.be/${VIDEO}`,
+    `https://www.youtube.com/shorts/${VIDEO}`,
+    `https://www.youtube.com/live/${VIDEO}`,
+    `https://www.youtube-nocookie.com/embed/${VIDEO}`,
+    `youtube.com/watch?v=${VIDEO}`,
+  ];
+  links.forEach(link => {
+    assert.deepEqual(parseYoutubeUrl(link), { videoId: VIDEO, start: 0, playlistId: null }, link);
+  });
+});
+
+test('parseYoutubeUrl keeps the start time and the playlist id', () => {
+  assert.equal(parseYoutubeUrl(`https://youtu.be/${VIDEO}?t=1m5s`).start, 65);
+  assert.equal(parseYoutubeUrl(`https://www.youtube.com/watch?v=${VIDEO}&start=42`).start, 42);
+  assert.equal(parseYoutubeUrl(`https://www.youtube.com/watch?v=${VIDEO}#t=30`).start, 30);
+  assert.deepEqual(parseYoutubeUrl(`https://www.youtube.com/watch?v=${VIDEO}&list=${PLAYLIST}`), { videoId: VIDEO, start: 0, playlistId: PLAYLIST });
+  assert.deepEqual(parseYoutubeUrl(`https://www.youtube.com/playlist?list=${PLAYLIST}`), { videoId: null, start: 0, playlistId: PLAYLIST });
+});
+
+test('parseYoutubeUrl rejects other hosts, protocols and malformed ids', () => {
+  [
+    `https://www.youtube.com.evil.example/watch?v=${VIDEO}`,
+    `https://example.com/watch?v=${VIDEO}`,
+    `ftp://www.youtube.com/watch?v=${VIDEO}`,
+    'https://www.youtube.com/watch?v=short',
+    'https://www.youtube.com/channel/UC123',
+    'https://www.youtube.com/playlist',
+    'not a link',
+    '',
+    null,
+  ].forEach(link => {
+    assert.equal(parseYoutubeUrl(link), null, String(link));
+  });
+});
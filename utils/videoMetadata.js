@@ -0,0 +1,164 @@
+// videoMetadata.js - Video title, channel, thumbnail and duration lookups
+//
+// Used by pages/api/video-metadata.js. The fetcher is passed in (node-fetch in production) so the
+// service can be pointed at a local stand-in instead of YouTube.
+
+import { METADATA_CONFIG, YOUTUBE_CONFIG } from './constants.js';
+
+/**
+ * Validates a YouTube video id
+ * @param {string} videoId - Video id to validate
+ * @returns {boolean} True if valid
+ */
+export const isValidVideoId = (videoId) => {
+  return typeof videoId === 'string' && YOUTUBE_CONFIG.VIDEO_ID_PATTERN.test(videoId);
+};
+
+/**
+ * Parses an ISO 8601 duration as returned by the YouTube Data API (e.g. "PT1H2M3S")
+ * @param {string} value - ISO 8601 duration
+ * @returns {number|null} Duration in seconds, null if it can't be parsed
+ */
+export const parseIsoDuration = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+/**
+ * Formats a duration for display
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} "m:ss" or "h:mm:ss", empty if unknown
+ */
+export const formatDuration = (totalSeconds) => {
+  if (typeof totalSeconds !== 'number' || !isFinite(totalSeconds) || totalSeconds < 0) return '';
+
+  const seconds = Math.floor(totalSeconds % 60);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const hours = Math.floor(totalSeconds / 3600);
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
+/**
+ * Creates a metadata service with its own cache
+ * @param {object} options - Service options
+ * @param {Function} options.fetcher - fetch-compatible function used for every outgoing request
+ * @param {string} [options.oembedUrl] - oEmbed endpoint
+ * @param {string} [options.dataApiUrl] - YouTube Data API videos endpoint
+ * @param {string} [options.apiKey] - Data API key; durations are only looked up when set
+ * @param {number} [options.cacheTtlMs] - How long resolved metadata is cached
+ * @param {number} [options.failureTtlMs] - How long failed lookups are cached
+ * @param {number} [options.maxEntries] - Cache size, oldest entries are evicted first
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {{getMetadata: Function, getMetadataBatch: Function, clearCache: Function}} Metadata service
+ */
+export const createVideoMetadataService = ({
+  fetcher,
+  oembedUrl = METADATA_CONFIG.OEMBED_URL,
+  dataApiUrl = METADATA_CONFIG.DATA_API_URL,
+  apiKey = '',
+  cacheTtlMs = METADATA_CONFIG.CACHE_TTL_MS,
+  failureTtlMs = METADATA_CONFIG.FAILURE_TTL_MS,
+  maxEntries = METADATA_CONFIG.MAX_CACHE_ENTRIES,
+  now = Date.now,
+}) => {
+  if (typeof fetcher !== 'function') {
+    throw new Error('createVideoMetadataService needs a fetcher');
+  }
+
+  const cache = new Map(); // videoId -> { value, expiresAt }, in insertion order for eviction
+  const inFlight = new Map(); // videoId -> Promise, so concurrent requests share one lookup
+
+  const remember = (videoId, value) => {
+    cache.delete(videoId);
+    cache.set(videoId, { value, expiresAt: now() + (value ? cacheTtlMs : failureTtlMs) });
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  const fetchJson = async (url) => {
+    const response = await fetcher(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      const error = new Error(`Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  const fetchDuration = async (videoId) => {
+    if (!apiKey) return null;
+    try {
+      const params = new URLSearchParams({ id: videoId, part: 'contentDetails', key: apiKey });
+      const data = await fetchJson(`${dataApiUrl}?${params}`);
+      const item = Array.isArray(data.items) ? data.items[0] : null;
+      return item && item.contentDetails ? parseIsoDuration(item.contentDetails.duration) : null;
+    } catch (error) {
+      console.warn(`Video duration lookup failed for ${videoId}:`, error.message);
+      return null;
+    }
+  };
+
+  const lookup = async (videoId) => {
+    const params = new URLSearchParams({ url: `https://www.youtube.com/watch?v=${videoId}`, format: 'json' });
+    try {
+      const [oembed, duration] = await Promise.all([fetchJson(`${oembedUrl}?${params}`), fetchDuration(videoId)]);
+      const value = {
+        videoId,
+        title: typeof oembed.title === 'string' ? oembed.title : '',
+        channel: typeof oembed.author_name === 'string' ? oembed.author_name : '',
+        channelUrl: typeof oembed.author_url === 'string' ? oembed.author_url : '',
+        thumbnailUrl: typeof oembed.thumbnail_url === 'string' ? oembed.thumbnail_url : `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+        duration,
+      };
+      remember(videoId, value);
+      return value;
+    } catch (error) {
+      // 401/404 mean private, removed or not embeddable; remember that for a while. Other errors aren't cached.
+      if (error.status === 401 || error.status === 403 || error.status === 404) {
+        remember(videoId, null);
+      }
+      console.warn(`Video metadata lookup failed for ${videoId}:`, error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Resolves metadata for one video, from the cache when possible
+   * @param {string} videoId - YouTube video id
+   * @returns {Promise<object|null>} Metadata, null if the video is unknown
+   */
+  const getMetadata = async (videoId) => {
+    if (!isValidVideoId(videoId)) return null;
+
+    const cached = cache.get(videoId);
+    if (cached && cached.expiresAt > now()) return cached.value;
+
+    if (!inFlight.has(videoId)) {
+      inFlight.set(videoId, lookup(videoId).finally(() => inFlight.delete(videoId)));
+    }
+    return inFlight.get(videoId);
+  };
+
+  /**
+   * Resolves metadata for several videos at once
+   * @param {Array<string>} videoIds - YouTube video ids
+   * @returns {Promise<object>} Map of video id to metadata or null
+   */
+  const getMetadataBatch = async (videoIds) => {
+    const uniqueIds = [...new Set(videoIds.filter(isValidVideoId))];
+    const results = await Promise.all(uniqueIds.map(getMetadata));
+    return uniqueIds.reduce((videos, videoId, i) => ({ ...videos, [videoId]: results[i] }), {});
+  };
+
+  const clearCache = () => {
+    cache.clear();
+  };
+
+  return { getMetadata, getMetadataBatch, clearCache };
+};
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVideoMetadataHandler } from '../pages/api/video-metadata.js';
+import { createVideoMetadataService, formatDuration, isValidVideoId, parseIsoDuration } from './videoMetadata.js';
+
+const videoId = (index) => `video${String(index).padStart(6, '0')}`;
+
+// Stands in for fetch: answers oEmbed requests from a table of video id -> status and counts the requests
+const fakeFetcher = (statuses = {}) => {
+  const fetcher = async (url) => {
+    const params = new URL(url).searchParams;
+    const id = params.has('id') ? params.get('id') : new URL(params.get('url')).searchParams.get('v');
+    fetcher.requests.push(id);
+    await Promise.resolve();
+    const status = statuses[id] || 200;
+    const body = params.has('id')
+      ? { items: [{ contentDetails: { duration: 'PT1M5S' } }] }
+      : { title: `Title of ${id}`, author_name: 'Channel', author_url: 'https://www.youtube.com/@channel' };
+    return { status, ok: status === 200, json: async () => body };
+  };
+  fetcher.requests = [];
+  return fetcher;
+};
+
+test('isValidVideoId, parseIsoDuration and formatDuration', () => {
+  assert.equal(isValidVideoId(videoId(1)), true);
+  assert.equal(isValidVideoId('short'), false);
+  assert.equal(parseIsoDuration('PT1H2M3S'), 3723);
+  assert.equal(parseIsoDuration('P1DT1S'), 86401);
+  assert.equal(parseIsoDuration('1:00'), null);
+  assert.equal(formatDuration(65), '1:05');
+  assert.equal(formatDuration(3723), '1:02:03');
+  assert.equal(formatDuration(-1), '');
+});
+
+test('metadata is served from the cache within the TTL and fetched again after it', async () => {
+  let clock = 0;
+  const fetcher = fakeFetcher();
+  const service = createVideoMetadataService({ fetcher, cacheTtlMs: 1000, now: () => clock });
+
+  const first = await service.getMetadata(videoId(1));
+  assert.deepEqual(first, {
+    videoId: videoId(1),
+    title: `Title of ${videoId(1)}`,
+    channel: 'Channel',
+    channelUrl: 'https://www.youtube.com/@channel',
+    thumbnailUrl: `https://i.ytimg.com/vi/${videoId(1)}/hqdefault.jpg`,
+    duration: null,
+  });
+  clock = 999;
+  assert.equal(await service.getMetadata(videoId(1)), first);
+  assert.equal(fetcher.requests.length, 1);
+  clock = 1000;
+  await service.getMetadata(videoId(1));
+  assert.equal(fetcher.requests.length, 2);
+});
+
+test('durations are looked up only with an API key', async () => {
+  const fetcher = fakeFetcher();
+  const service = createVideoMetadataService({ fetcher, apiKey: 'key' });
+  assert.equal((await service.getMetadata(videoId(1))).duration, 65);
+  assert.equal(fetcher.requests.length, 2);
+});
+
+test('missing videos are remembered for the failure TTL, other errors are not', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let clock = 0;
+  const fetcher = fakeFetcher({ [videoId(1)]: 404, [videoId(2)]: 500 });
+  const service = createVideoMetadataService({ fetcher, cacheTtlMs: 10000, failureTtlMs: 100, now: () => clock });
+
+  assert.equal(await service.getMetadata(videoId(1)), null);
+  assert.equal(await service.getMetadata(videoId(1)), null);
+  assert.deepEqual(fetcher.requests, [videoId(1)]);
+  clock = 100;
+  await service.getMetadata(videoId(1));
+  assert.deepEqual(fetcher.requests, [videoId(1), videoId(1)]);
+
+  assert.equal(await service.getMetadata(videoId(2)), null);
+  assert.equal(await service.getMetadata(videoId(2)), null);
+  assert.equal(fetcher.requests.filter(id => id === videoId(2)).length, 2);
+});
+
+test('concurrent requests for a video share one lookup', async () => {
+  const fetcher = fakeFetcher();
+  const service = createVideoMetadataService({ fetcher });
+  const results = await Promise.all([service.getMetadata(videoId(1)), service.getMetadata(videoId(1))]);
+  assert.equal(results[0], results[1]);
+  assert.equal(fetcher.requests.length, 1);
+
+  const batch = await service.getMetadataBatch([videoId(2), videoId(2), 'bad', videoId(3)]);
+  assert.deepEqual(Object.keys(batch), [videoId(2), videoId(3)]);
+  assert.equal(fetcher.requests.length, 3);
+});
+
+test('the oldest cached videos are evicted first', async () => {
+  const fetcher = fakeFetcher();
+  const service = createVideoMetadataService({ fetcher, maxEntries: 2 });
+  await service.getMetadata(videoId(1));
+  await service.getMetadata(videoId(2));
+  await service.getMetadata(videoId(3));
+  await service.getMetadata(videoId(3));
+  await service.getMetadata(videoId(2));
+  assert.deepEqual(fetcher.requests, [videoId(1), videoId(2), videoId(3)]);
+  await service.getMetadata(videoId(1));
+  assert.deepEqual(fetcher.requests, [videoId(1), videoId(2), videoId(3), videoId(1)]);
+
+  service.clearCache();
+  await service.getMetadata(videoId(3));
+  assert.equal(fetcher.requests.length, 5);
+});
+
+test('the metadata route answers for valid ids only', async () => {
+  const handler = createVideoMetadataHandler(createVideoMetadataService({ fetcher: fakeFetcher() }));
+  const call = async (req) => {
+    const res = { statusCode: null, body: null, headers: {} };
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    await handler({ method: 'GET', ...req }, res);
+    return res;
+  };
+
+  assert.equal((await call({ method: 'POST', query: {} })).statusCode, 405);
+  assert.equal((await call({ query: {} })).statusCode, 400);
+  const res = await call({ query: { ids: `${videoId(1)},bad` } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.videos[videoId(1)].title, `Title of ${videoId(1)}`);
+});
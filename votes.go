@@ -0,0 +1,162 @@
+package main
+
+import (
+	"flag"
+	"fmt"
+	"log"
+	"math"
+)
+
+var defaultSkipThreshold = flag.Float64("skip-threshold", 0.5, "fraction of online users needed to vote-skip a video")
+
+// onlineUsersLocked returns the number of distinct users connected to the room.
+// The caller must hold mu.
+func (r *Room) onlineUsersLocked() int {
+	names := make(map[string]bool)
+	for client := range r.clients {
+		names[client.name] = true
+	}
+	return len(names)
+}
+
+// skipVotesRequiredLocked returns how many votes skip the current video with the current threshold.
+// The caller must hold mu.
+func (r *Room) skipVotesRequiredLocked() int {
+	required := int(math.Ceil(r.skipThreshold * float64(r.onlineUsersLocked())))
+	if required < 1 {
+		required = 1
+	}
+	return required
+}
+
+// currentVideoKeyLocked identifies the video votes apply to, so votes reset when it changes.
+// The caller must hold mu.
+func (r *Room) currentVideoKeyLocked() string {
+	if r.videoState.VideoUrl == "" {
+		return ""
+	}
+	return r.videoState.EntryID + "|" + r.videoState.VideoUrl
+}
+
+// withVoteStateLocked adds the vote-to-skip progress to a message.
+// The caller must hold mu.
+func (r *Room) withVoteStateLocked(msg Message) Message {
+	votes := []string{}
+	for name := range r.skipVotes {
+		votes = append(votes, name)
+	}
+	msg.Votes = votes
+	msg.Required = r.skipVotesRequiredLocked()
+	msg.Threshold = r.skipThreshold
+	return msg
+}
+
+// broadcastVoteStateLocked tells everyone in the room how the vote is going.
+// The caller must hold mu.
+func (r *Room) broadcastVoteStateLocked() {
+	r.sendToRoomLocked(r.withVoteStateLocked(Message{Type: "vote_status"}))
+}
+
+// resetSkipVotesIfVideoChangedLocked clears the votes once the room moved on to another video.
+// The caller must hold mu.
+func (r *Room) resetSkipVotesIfVideoChangedLocked() {
+	key := r.currentVideoKeyLocked()
+	if key == r.skipVoteKey {
+		return
+	}
+	r.skipVoteKey = key
+	if len(r.skipVotes) > 0 {
+		r.skipVotes = make(map[string]bool)
+	}
+	r.broadcastVoteStateLocked()
+}
+
+// dropStaleSkipVotesLocked removes votes of users who left and skips if the remaining votes now pass.
+// The caller must hold mu.
+func (r *Room) dropStaleSkipVotesLocked() {
+	for name := range r.skipVotes {
+		if !r.hasClientLocked(name) {
+			delete(r.skipVotes, name)
+		}
+	}
+	if len(r.skipVotes) > 0 && len(r.skipVotes) >= r.skipVotesRequiredLocked() {
+		r.skipCurrentVideoLocked()
+		return
+	}
+	r.broadcastVoteStateLocked()
+}
+
+// skipCurrentVideoLocked advances to the next queued video, or pauses at the end of the queue,
+// and broadcasts the new state. The caller must hold mu.
+func (r *Room) skipCurrentVideoLocked() {
+	state := r.videoState
+	state.Sender = "" // Applied by every client, including whoever set the previous state
+	state.CurrentTime = 0
+	state.UpdatedAt = nowMillis()
+	// A current entry that was removed from the queue counts as before the first one
+	if next := indexOfEntry(r.queue, state.EntryID) + 1; next < len(r.queue) {
+		state.EntryID = r.queue[next].ID
+		state.VideoUrl = r.queue[next].URL
+		state.PlaybackState = "play"
+		r.systemMessageLocked("Vote to skip passed, playing the next video.")
+	} else {
+		state.PlaybackState = "pause"
+		r.systemMessageLocked("Vote to skip passed, that was the last video in the queue.")
+	}
+	r.videoState = state
+	r.sendToRoomLocked(state)
+
+	r.skipVotes = make(map[string]bool)
+	r.skipVoteKey = r.currentVideoKeyLocked()
+	r.broadcastVoteStateLocked()
+	log.Printf("Room %s: vote to skip passed, now playing entry %s", r.code, state.EntryID)
+}
+
+// handleVoteSkip toggles the sender's vote to skip the current video.
+func (c *Client) handleVoteSkip() {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if room.currentVideoKeyLocked() == "" {
+		c.sendError("There is no video to skip.")
+		return
+	}
+	room.resetSkipVotesIfVideoChangedLocked()
+
+	if room.skipVotes[c.name] {
+		delete(room.skipVotes, c.name)
+	} else {
+		room.skipVotes[c.name] = true
+	}
+
+	if len(room.skipVotes) >= room.skipVotesRequiredLocked() {
+		room.skipCurrentVideoLocked()
+		return
+	}
+	room.broadcastVoteStateLocked()
+}
+
+// handleSkipThreshold lets the host or a co-host change the fraction of users needed to skip.
+func (c *Client) handleSkipThreshold(msg Message) {
+	mu.Lock()
+	defer mu.Unlock()
+
+	room := c.room
+	if !room.isControllerLocked(c.name) {
+		c.sendError("Only the host or a co-host can change the skip threshold.")
+		return
+	}
+	if msg.Threshold <= 0 || msg.Threshold > 1 {
+		c.sendError("The skip threshold must be between 0 and 100%.")
+		return
+	}
+	room.skipThreshold = msg.Threshold
+	room.systemMessageLocked(fmt.Sprintf("%s set the vote to skip threshold to %.0f%% of online users.", c.name, msg.Threshold*100))
+
+	if len(room.skipVotes) > 0 && len(room.skipVotes) >= room.skipVotesRequiredLocked() {
+		room.skipCurrentVideoLocked()
+		return
+	}
+	room.broadcastVoteStateLocked()
+}
@@ -0,0 +1,102 @@
+package main
+
+import "testing"
+
+// playTestQueue fills the room's queue and plays its first entry.
+func playTestQueue(room *Room, ids ...string) {
+	for _, id := range ids {
+		room.queue = append(room.queue, testEntry(id))
+	}
+	room.videoState.EntryID = room.queue[0].ID
+	room.videoState.VideoUrl = room.queue[0].URL
+	room.videoState.PlaybackState = "play"
+}
+
+func TestSkipVotesRequired(t *testing.T) {
+	room := newTestRoom(t)
+	cases := []struct {
+		users     int
+		threshold float64
+		want      int
+	}{
+		{1, 0.5, 1},
+		{4, 0.5, 2},
+		{5, 0.5, 3},
+		{4, 0.01, 1},
+		{4, 1, 4},
+	}
+	for _, tc := range cases {
+		room.clients = make(map[*Client]bool)
+		for i := 0; i < tc.users; i++ {
+			joinTestRoom(room, string(rune('a'+i)))
+		}
+		room.skipThreshold = tc.threshold
+		if got := room.skipVotesRequiredLocked(); got != tc.want {
+			t.Errorf("%d users at %.2f: %d votes required, want %d", tc.users, tc.threshold, got, tc.want)
+		}
+	}
+}
+
+func TestVoteSkipPlaysTheNextVideo(t *testing.T) {
+	room := newTestRoom(t)
+	clients := []*Client{joinTestRoom(room, "host"), joinTestRoom(room, "a"), joinTestRoom(room, "b"), joinTestRoom(room, "c")}
+	playTestQueue(room, "first", "second")
+
+	clients[1].handleVoteSkip()
+	clients[1].handleVoteSkip() // Takes the vote back
+	clients[2].handleVoteSkip()
+	if room.videoState.EntryID != "first" || len(room.skipVotes) != 1 {
+		t.Fatalf("skipped with one of two votes: entry %s, votes %v", room.videoState.EntryID, room.skipVotes)
+	}
+
+	clients[3].handleVoteSkip()
+	if room.videoState.EntryID != "second" || room.videoState.PlaybackState != "play" {
+		t.Errorf("vote passed but entry %s is %s", room.videoState.EntryID, room.videoState.PlaybackState)
+	}
+	if len(room.skipVotes) != 0 {
+		t.Errorf("votes weren't reset after the skip: %v", room.skipVotes)
+	}
+	status := lastOfType(received(clients[0]), "vote_status")
+	if status == nil || len(status.Votes) != 0 || status.Required != 2 {
+		t.Errorf("last vote status = %+v", status)
+	}
+}
+
+func TestVotesResetWhenTheVideoChanges(t *testing.T) {
+	room := newTestRoom(t)
+	joinTestRoom(room, "host")
+	voter := joinTestRoom(room, "voter")
+	joinTestRoom(room, "other")
+	joinTestRoom(room, "last")
+	playTestQueue(room, "first", "second")
+
+	voter.handleVoteSkip()
+	mu.Lock()
+	room.videoState.EntryID = "second"
+	room.videoState.VideoUrl = room.queue[1].URL
+	room.resetSkipVotesIfVideoChangedLocked()
+	mu.Unlock()
+	if len(room.skipVotes) != 0 {
+		t.Errorf("votes for the previous video were kept: %v", room.skipVotes)
+	}
+}
+
+func TestSkipThresholdNeedsController(t *testing.T) {
+	room := newTestRoom(t)
+	host := joinTestRoom(room, "host")
+	viewer := joinTestRoom(room, "viewer")
+	room.skipThreshold = 0.5
+
+	viewer.handleSkipThreshold(Message{Threshold: 0.1})
+	if room.skipThreshold != 0.5 {
+		t.Errorf("viewer changed the threshold to %.2f", room.skipThreshold)
+	}
+	host.handleSkipThreshold(Message{Threshold: 1.5})
+	if room.skipThreshold != 0.5 {
+		t.Errorf("threshold set out of range to %.2f", room.skipThreshold)
+	}
+	host.handleSkipThreshold(Message{Threshold: 0.75})
+	if room.skipThreshold != 0.75 {
+		t.Errorf("threshold = %.2f, want 0.75", room.skipThreshold)
+	}
+}